@@ -7,12 +7,20 @@
  * - Support language switching
  */
 
-class Translator {
+class TranslationService {
     constructor() {
         this.currentLanguage = 'en';
         this.fallbackLanguage = 'en';
         this.translations = {};
         this.initialized = false;
+
+        // Locale used to format dates, numbers and money for each language
+        this.locales = {
+            en: 'en-US',
+            am: 'am-ET',
+            es: 'es-ES',
+            fr: 'fr-FR'
+        };
     }
 
     async init() {
@@ -113,8 +121,12 @@ class Translator {
         document.title = this.translate('page_title');
     }
 
+    getLocale() {
+        return this.locales[this.currentLanguage] || this.currentLanguage;
+    }
+
     formatDate(date, options = {}) {
-        const locale = this.currentLanguage;
+        const locale = this.getLocale();
         const defaultOptions = {
             year: 'numeric',
             month: 'long',
@@ -125,10 +137,15 @@ class Translator {
     }
 
     formatNumber(number, options = {}) {
-        const locale = this.currentLanguage;
+        const locale = this.getLocale();
         return new Intl.NumberFormat(locale, options).format(number);
     }
 
+    // amount may be a decimal string so large or exact values format as given
+    formatCurrency(amount, currency, options = {}) {
+        return this.formatNumber(amount, { style: 'currency', currency, ...options });
+    }
+
     setupLanguageSwitch() {
         // Listen for language switch events
         document.addEventListener('click', (e) => {
@@ -141,5 +158,5 @@ class Translator {
 }
 
 // Singleton instance
-const Translator = new Translator();
+const Translator = new TranslationService();
 export default Translator;
@@ -224,17 +224,7 @@ class UnifiedCommunicationSystem {
         if (!roomId) return;
 
         try {
-            // Initialize media room if not already
-            if (!this.mediaRoom) {
-                this.mediaRoom = new MediaRoom();
-                await this.mediaRoom.initialize();
-            }
-
-            // Join the meeting
-            await this.mediaRoom.joinRoom(roomId);
-            
-            // Switch to meet tab
-            this.switchTab('meet');
+            await this.joinMeeting(roomId);
 
         } catch (error) {
             console.error('Failed to join video call:', error);
@@ -242,6 +232,31 @@ class UnifiedCommunicationSystem {
         }
     }
 
+    // Reserves a meeting ID for a call at a later time; the media room is
+    // only opened when someone joins it
+    scheduleMeeting() {
+        const roomId = `meet_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+
+        return {
+            roomId,
+            link: `${window.location.origin}/meet/${roomId}`
+        };
+    }
+
+    async joinMeeting(roomId) {
+        // Initialize media room if not already
+        if (!this.mediaRoom) {
+            this.mediaRoom = new MediaRoom();
+            await this.mediaRoom.initialize();
+        }
+
+        // Join the meeting
+        await this.mediaRoom.joinRoom(roomId);
+        
+        // Switch to meet tab
+        this.switchTab('meet');
+    }
+
     async handleVoiceMessage(transcript) {
         const message = transcript.replace('send message', '').trim();
         if (message && this.chatSystem.currentRoom) {
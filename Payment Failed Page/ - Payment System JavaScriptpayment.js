@@ -3,6 +3,10 @@ class PaymentSystem {
     constructor() {
         this.currentMethod = 'telebirr';
         this.paymentData = {};
+        // The uploaded receipt; a File cannot be saved with paymentData
+        this.receiptFile = null;
+        // A subscription invoice being paid (payment.html?invoice=...)
+        this.invoice = null;
         this.init();
     }
 
@@ -12,6 +16,8 @@ class PaymentSystem {
         this.setupCopyButtons();
         this.setupFormValidation();
         this.loadSavedData();
+        this.setupInvoice();
+        this.setupReference();
         this.setupAutoSave();
     }
 
@@ -140,6 +146,7 @@ class PaymentSystem {
             removeBtn.addEventListener('click', () => {
                 uploadedFile.style.display = 'none';
                 fileInput.value = '';
+                this.receiptFile = null;
                 uploadArea.style.display = 'flex';
             });
         }
@@ -195,8 +202,7 @@ class PaymentSystem {
         }
 
         // Store file reference
-        this.paymentData.receiptFile = file;
-        this.saveData();
+        this.receiptFile = file;
     }
 
     setupCopyButtons() {
@@ -343,6 +349,78 @@ class PaymentSystem {
         });
     }
 
+    // Subscription invoices from the renewal reminders replace the order
+    // summary with the invoice lines
+    setupInvoice() {
+        const invoiceId = new URLSearchParams(window.location.search).get('invoice');
+        const subscriptions = window.JobPortal?.subscriptions;
+        if (!invoiceId || !subscriptions) return;
+
+        const invoice = subscriptions.getInvoice(invoiceId);
+        if (!invoice || invoice.status !== 'open') {
+            this.showNotification(invoice ? `This invoice is already ${invoice.status}` : 'Invoice not found', 'info');
+            return;
+        }
+        this.invoice = invoice;
+
+        const escape = window.JobPortal.escapeHtml;
+        const format = amount => `${invoice.currency} ${Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+        const summary = document.querySelector('.order-summary');
+        if (!summary) return;
+
+        summary.querySelectorAll('.order-item').forEach(item => item.remove());
+        summary.querySelector('.order-divider').insertAdjacentHTML('beforebegin', invoice.lines.map(line => `
+            <div class="order-item">
+                <div class="order-item-title">${escape(line.description)}</div>
+                ${invoice.periodStart ? `
+                    <div class="order-item-details">
+                        <span>${new Date(invoice.periodStart).toLocaleDateString()} – ${new Date(invoice.periodEnd).toLocaleDateString()}</span>
+                    </div>
+                ` : ''}
+                <div class="order-item-price">${escape(format(line.amount))}</div>
+            </div>
+        `).join(''));
+        summary.querySelector('.order-totals').innerHTML = `
+            <div class="total-row">
+                <span>Subtotal</span>
+                <span>${escape(format(invoice.subtotal))}</span>
+            </div>
+            ${invoice.credit ? `
+                <div class="total-row">
+                    <span>Account credit</span>
+                    <span>-${escape(format(invoice.credit))}</span>
+                </div>
+            ` : ''}
+            <div class="total-row grand-total">
+                <span>Total Amount</span>
+                <span class="total-amount">${escape(format(invoice.amount))}</span>
+            </div>
+        `;
+    }
+
+    // The reference the customer quotes on the transfer so it can be matched
+    // to the bank statement. It is kept until the receipt is submitted; an
+    // invoice has its own.
+    setupReference() {
+        const ethiopian = window.JobPortal?.paymentSystems?.ethiopian;
+        if (!this.paymentData.reference && ethiopian) {
+            this.paymentData.reference = ethiopian.generateReferenceNumber();
+            this.saveData();
+        }
+
+        const reference = this.getReference();
+        document.querySelectorAll('.payment-reference').forEach(element => {
+            element.textContent = reference || '';
+        });
+        document.querySelectorAll('.payment-reference-copy').forEach(btn => {
+            btn.dataset.text = reference || '';
+        });
+    }
+
+    getReference() {
+        return this.invoice ? this.invoice.reference : this.paymentData.reference;
+    }
+
     saveData() {
         localStorage.setItem('zewedjobs_payment_data', JSON.stringify(this.paymentData));
     }
@@ -359,7 +437,7 @@ class PaymentSystem {
                     this.showNotification('Please enter transaction ID', 'error');
                     isValid = false;
                 }
-                if (!this.paymentData.receiptFile) {
+                if (!this.receiptFile) {
                     this.showNotification('Please upload payment receipt', 'error');
                     isValid = false;
                 }
@@ -370,7 +448,7 @@ class PaymentSystem {
                     this.showNotification('Please enter sender name', 'error');
                     isValid = false;
                 }
-                if (!this.paymentData.receiptFile) {
+                if (!this.receiptFile) {
                     this.showNotification('Please upload bank slip', 'error');
                     isValid = false;
                 }
@@ -407,4 +485,90 @@ class PaymentSystem {
         return isValid;
     }
 
-    submitPayment()
+    async submitPayment() {
+        if (!this.validatePaymentForm()) {
+            return;
+        }
+
+        if (['visa', 'mastercard'].includes(this.currentMethod)) {
+            this.showNotification('Card payments are not available yet. Please pay with Telebirr, HelloCash, Amole or a bank transfer', 'error');
+            return;
+        }
+
+        const ethiopian = window.JobPortal?.paymentSystems?.ethiopian;
+        const receipts = window.JobPortal?.receipts;
+        if (!ethiopian || !receipts || !this.getReference()) {
+            this.showNotification('Payments are unavailable right now. Please try again later', 'error');
+            return;
+        }
+
+        const submitBtn = document.getElementById('submitPayment');
+        submitBtn.disabled = true;
+
+        try {
+            const value = id => (document.getElementById(id)?.value || '').trim();
+            const reference = this.getReference();
+
+            // Retrying with the same reference resumes the same payment
+            const result = this.invoice
+                ? await window.JobPortal.subscriptions.payInvoice(this.invoice.id, { method: this.currentMethod })
+                : await ethiopian.initiatePayment({
+                    amount: this.getOrderAmount(),
+                    currency: 'ETB',
+                    method: this.currentMethod,
+                    reference,
+                    idempotencyKey: `receipt_${reference}`,
+                    description: 'ZewedJobs order',
+                    customer: {
+                        name: value('fullName'),
+                        email: value('email'),
+                        phone: value('phone'),
+                        company: value('company')
+                    }
+                });
+            if (!result.success) {
+                throw new Error(result.error || 'Payment could not be started');
+            }
+
+            await receipts.submitReceipt(result.paymentId, {
+                file: this.receiptFile,
+                method: this.currentMethod,
+                transactionId: value('transactionId'),
+                senderName: value('senderName'),
+                note: value('notes')
+            });
+
+            // The next order gets its own reference
+            if (!this.invoice) {
+                delete this.paymentData.reference;
+            }
+            delete this.paymentData.transactionId;
+            this.saveData();
+
+            this.showNotification(`Receipt received. We will confirm payment ${reference} once it is checked against our account`, 'success');
+        } catch (error) {
+            console.error('Receipt submission failed:', error);
+            this.showNotification(error.message, 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    // "ETB 4,599" → "4599"
+    getOrderAmount() {
+        if (this.invoice) {
+            return this.invoice.amount;
+        }
+
+        const total = document.querySelector('.total-amount');
+        return total ? total.textContent.replace(/[^\d.]/g, '') : '0';
+    }
+
+    showNotification(message, type = 'info') {
+        if (typeof Notifications !== 'undefined') {
+            Notifications[type](message);
+        } else {
+            alert(message);
+        }
+    }
+}
@@ -153,9 +153,50 @@ async function syncMessages() {
 }
 
 // Push notification handling
+// Payloads are plain text for AI chat messages, or JSON with a type for
+// job alerts: { type: 'job-alert', title, body, url, tag }
 self.addEventListener('push', event => {
+  event.waitUntil(showPushNotification(parsePushData(event.data)));
+});
+
+// Pages hand job alerts found locally to the same handler
+self.addEventListener('message', event => {
+  if (event.data?.type === 'job-alert') {
+    event.waitUntil(showPushNotification(event.data));
+  }
+});
+
+function parsePushData(data) {
+  if (!data) return {};
+  
+  try {
+    const payload = data.json();
+    if (payload && payload.type) return payload;
+  } catch (error) {
+    // Not JSON - a plain chat message
+  }
+  
+  return { body: data.text() };
+}
+
+function showPushNotification(payload) {
+  if (payload.type === 'job-alert') {
+    return self.registration.showNotification(payload.title || 'New job alert', {
+      body: payload.body || '',
+      icon: 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>💼</text></svg>',
+      badge: 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>🔔</text></svg>',
+      // One notification per job or digest, even if delivered again
+      tag: payload.tag,
+      data: { url: payload.url || '/jobs.html', type: 'job-alert' },
+      actions: [
+        { action: 'open', title: 'View Jobs' },
+        { action: 'close', title: 'Close' }
+      ]
+    });
+  }
+  
   const options = {
-    body: event.data?.text() || 'New message from AI Chat',
+    body: payload.body || 'New message from AI Chat',
     icon: 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>🤖</text></svg>',
     badge: 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>💬</text></svg>',
     vibrate: [200, 100, 200],
@@ -166,18 +207,19 @@ self.addEventListener('push', event => {
     ]
   };
   
-  event.waitUntil(
-    self.registration.showNotification('AI Chat Assistant', options)
-  );
-});
+  return self.registration.showNotification('AI Chat Assistant', options);
+}
 
 // Notification click handling
 self.addEventListener('notificationclick', event => {
   event.notification.close();
   
-  if (event.action === 'open') {
+  const { url, type } = event.notification.data || {};
+  
+  // Job alerts also open when the notification body is clicked
+  if (event.action === 'open' || (type === 'job-alert' && !event.action)) {
     event.waitUntil(
-      clients.openWindow('/ai-chat.html')
+      clients.openWindow(url || '/ai-chat.html')
     );
   }
 });
@@ -0,0 +1,176 @@
+/**
+ * ArifPay Mock Server
+ * Responsibilities:
+ * - Answer checkout session, status and cancel requests in place of
+ *   gateway.arifpay.net
+ * - Play out the hosted checkout as success, failed, cancelled or abandoned
+ * - Send notify callbacks, like ArifPay does
+ *
+ *     const arifpay = new ArifPayMockServer({ scenario: 'cancelled' });
+ *     new EthiopianPayment({ gateway: arifpay.connect() });
+ */
+
+import ArifPayGateway from './arifpay.js';
+
+const SCENARIOS = ['success', 'failed', 'cancelled', 'abandoned'];
+
+const CREDENTIALS = {
+    apiKey: 'arifpay-mock-key'
+};
+
+class ArifPayMockServer {
+    constructor(options = {}) {
+        this.delay = options.delay ?? 1500;
+        this.onWebhook = options.onWebhook || null;
+        this.sessions = {};
+        this.setScenario(options.scenario || 'success');
+    }
+
+    setScenario(scenario) {
+        if (!SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown ArifPay scenario: ${scenario}. Use one of ${SCENARIOS.join(', ')}`);
+        }
+        this.scenario = scenario;
+    }
+
+    connect(options = {}) {
+        return new ArifPayGateway({
+            ...CREDENTIALS,
+            baseUrl: 'mock://arifpay/api',
+            beneficiaries: [{ accountNumber: '01320811436100', bank: 'AWINETAA' }],
+            callbackUrl: 'mock://notify',
+            pollInterval: 500,
+            ...options,
+            transport: (method, path, body, headers) => this.handle(method, path, body, headers),
+            launcher: intent => this.checkout(intent)
+        });
+    }
+
+    // ====== API ======
+    async handle(method, path, body, headers = {}) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        if (headers['x-arifpay-key'] !== CREDENTIALS.apiKey) {
+            return { error: true, msg: 'Unauthorized' };
+        }
+
+        const sessionId = decodeURIComponent(path.split('/').pop());
+        if (method === 'POST' && path === '/checkout/session') {
+            return this.createSession(body);
+        }
+        if (method === 'GET' && path.startsWith('/ms/transaction/status/')) {
+            return this.getStatus(sessionId);
+        }
+        if (method === 'POST' && path.startsWith('/checkout/session/cancel/')) {
+            return this.cancel(sessionId);
+        }
+        return { error: true, msg: `No route for ${method} ${path}` };
+    }
+
+    createSession(body) {
+        const total = (body.items || []).reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const paidOut = (body.beneficiaries || []).reduce((sum, beneficiary) => sum + beneficiary.amount, 0);
+
+        let message = null;
+        if (!body.nonce) message = 'nonce is required';
+        else if (Object.values(this.sessions).some(session => session.nonce === body.nonce)) message = 'nonce has already been used';
+        else if (!(total > 0)) message = 'items must total more than 0';
+        else if (!body.beneficiaries?.length || paidOut !== total) message = 'beneficiary amounts must add up to the items total';
+        else if (!(new Date(body.expireDate) > new Date())) message = 'expireDate must be in the future';
+        if (message) {
+            return { error: true, msg: message };
+        }
+
+        const sessionId = `MOCK${Math.random().toString(36).substr(2, 12).toUpperCase()}`;
+        this.sessions[sessionId] = {
+            ...body,
+            sessionId,
+            totalAmount: total,
+            transactionStatus: 'PENDING',
+            createdAt: new Date().toISOString()
+        };
+
+        return {
+            error: false,
+            msg: 'Checkout session created',
+            data: {
+                sessionId,
+                paymentUrl: `https://checkout.arifpay.net/checkout/${sessionId}`,
+                cancelUrl: `https://checkout.arifpay.net/cancel/${sessionId}`,
+                totalAmount: total
+            }
+        };
+    }
+
+    getStatus(sessionId) {
+        const session = this.sessions[sessionId];
+        if (!session) {
+            return { error: true, msg: 'Session not found' };
+        }
+
+        if (session.transactionStatus === 'PENDING' && new Date(session.expireDate) <= new Date()) {
+            session.transactionStatus = 'EXPIRED';
+        }
+        return { error: false, msg: 'Session status', data: this.describe(session) };
+    }
+
+    cancel(sessionId) {
+        const session = this.sessions[sessionId];
+        if (!session || session.transactionStatus !== 'PENDING') {
+            return { error: true, msg: 'Session cannot be cancelled' };
+        }
+
+        session.transactionStatus = 'CANCELLED';
+        return { error: false, msg: 'Session cancelled', data: this.describe(session) };
+    }
+
+    describe(session) {
+        return {
+            sessionId: session.sessionId,
+            nonce: session.nonce,
+            phone: session.phone,
+            totalAmount: session.totalAmount,
+            paymentMethod: session.paymentMethod || null,
+            transactionStatus: session.transactionStatus,
+            transaction: session.transactionId
+                ? { transactionId: session.transactionId, transactionStatus: session.transactionStatus }
+                : null,
+            notificationUrl: session.notifyUrl,
+            updatedAt: session.updatedAt || session.createdAt
+        };
+    }
+
+    // ====== CHECKOUT ======
+    // Stands in for the customer on the hosted checkout page
+    async checkout(intent) {
+        const session = this.sessions[intent.sessionId];
+        if (!session) {
+            throw new Error('ArifPay checkout session is invalid');
+        }
+
+        const scenario = this.scenario;
+        setTimeout(() => this.settle(session, scenario), this.delay);
+    }
+
+    async settle(session, scenario) {
+        if (session.transactionStatus !== 'PENDING' || scenario === 'abandoned') return;
+
+        Object.assign(session, {
+            transactionStatus: { success: 'SUCCESS', failed: 'FAILED', cancelled: 'CANCELLED' }[scenario],
+            transactionId: scenario === 'success' ? `AP${Date.now().toString(36).toUpperCase()}` : null,
+            paymentMethod: 'TELEBIRR',
+            updatedAt: new Date().toISOString()
+        });
+
+        if (!this.onWebhook) return;
+
+        try {
+            await this.onWebhook(JSON.stringify({ uuid: session.sessionId, ...this.describe(session) }));
+        } catch (error) {
+            console.error('ArifPay notify callback failed:', error);
+        }
+    }
+}
+
+export { ArifPayMockServer, SCENARIOS, CREDENTIALS };
+export default ArifPayMockServer;
@@ -0,0 +1,139 @@
+/**
+ * ArifPay Gateway
+ * Responsibilities:
+ * - Create a hosted checkout session for a payment reference
+ * - Check a session's status
+ * - Verify notify callbacks (ArifPay does not sign them: the nonce must be
+ *   ours and the status is re-read from ArifPay)
+ * - Cancel a session that has not been paid
+ *
+ * ArifPay takes ETB only. The payment reference is sent as the session
+ * nonce, which ArifPay echoes back in the notify callback.
+ */
+
+import PaymentGateway, { gatewayError } from './payment-gateway.js';
+import Money from './money.js';
+
+// ArifPay transactionStatus → status used by the payment systems
+const ARIFPAY_STATUS = {
+    SUCCESS: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+    PENDING: 'pending',
+    UNPAID: 'pending'
+};
+
+class ArifPayGateway extends PaymentGateway {
+    constructor(config = {}) {
+        super({
+            name: 'arifpay',
+            displayName: 'ArifPay',
+            baseUrl: 'https://gateway.arifpay.net/api',
+            ...config
+        });
+
+        this.apiKey = config.apiKey || null;
+        this.paymentMethods = config.paymentMethods || [
+            'TELEBIRR', 'CBE', 'AWASH', 'AWASH_WALLET', 'BOA', 'AMOLE', 'HELLOCASH', 'KACHA', 'MPESSA'
+        ];
+        // Who the money is paid out to: [{ accountNumber, bank }]
+        this.beneficiaries = config.beneficiaries || [];
+    }
+
+    getHeaders() {
+        return this.apiKey ? { 'x-arifpay-key': this.apiKey } : {};
+    }
+
+    async createPaymentIntent(paymentData) {
+        if (paymentData.currency !== 'ETB') {
+            throw new Error('ArifPay payments must be in ETB');
+        }
+
+        const amount = Money.of(paymentData.amount, 'ETB').toNumber();
+        const customer = paymentData.customer || {};
+        const expiresAt = new Date(Date.now() + this.checkoutTimeout * 60000).toISOString();
+        const response = await this.request('POST', '/checkout/session', {
+            nonce: paymentData.reference,
+            phone: customer.phone ? customer.phone.replace(/^(?:\+?251|0)/, '251') : undefined,
+            email: customer.email,
+            successUrl: this.returnUrl,
+            cancelUrl: this.returnUrl,
+            errorUrl: this.returnUrl,
+            notifyUrl: this.callbackUrl || undefined,
+            paymentMethods: this.paymentMethods,
+            expireDate: expiresAt,
+            items: [{
+                name: paymentData.description || 'ZewedJobs payment',
+                quantity: 1,
+                price: amount
+            }],
+            beneficiaries: this.beneficiaries.map(beneficiary => ({ ...beneficiary, amount })),
+            lang: 'EN'
+        });
+
+        if (response.error || !response.data?.paymentUrl) {
+            throw gatewayError(response.msg || 'ArifPay could not start the checkout', 'payment_failed');
+        }
+
+        return {
+            paymentIntentId: `arifpay_${response.data.sessionId}`,
+            gateway: this.name,
+            sessionId: response.data.sessionId,
+            reference: paymentData.reference,
+            amount: paymentData.amount,
+            currency: 'ETB',
+            checkoutUrl: response.data.paymentUrl,
+            paymentInstructions: 'Complete the payment on the ArifPay checkout page.',
+            expiresAt
+        };
+    }
+
+    // intent: a payment intent with its sessionId
+    async verifyTransaction(intent) {
+        const response = await this.request('GET', `/ms/transaction/status/${encodeURIComponent(intent.sessionId)}`);
+        if (response.error || !response.data) {
+            throw new Error(response.msg || 'ArifPay session not found');
+        }
+
+        const data = response.data;
+        const status = data.transaction?.transactionStatus || data.transactionStatus;
+        return {
+            reference: data.nonce || intent.reference,
+            sessionId: data.sessionId || intent.sessionId,
+            status: ARIFPAY_STATUS[status] || 'pending',
+            transactionId: data.transaction?.transactionId || null,
+            amount: data.totalAmount,
+            currency: 'ETB',
+            method: data.paymentMethod || null,
+            errorMessage: null,
+            completedAt: data.updatedAt || null
+        };
+    }
+
+    // The body is only trusted for which session to look up; the status
+    // comes from ArifPay and its nonce must match the one we sent
+    async verifyWebhook(body) {
+        const event = typeof body === 'string' ? JSON.parse(body) : body;
+        if (!event?.sessionId || !event.nonce) {
+            throw gatewayError('ArifPay notification is missing its session', 'invalid_signature');
+        }
+
+        const result = await this.verifyTransaction({ sessionId: event.sessionId });
+        if (result.reference !== event.nonce) {
+            throw gatewayError('ArifPay notification does not match its session', 'invalid_signature');
+        }
+        return result;
+    }
+
+    async executeCancellation(payment) {
+        const response = await this.request('POST', `/checkout/session/cancel/${encodeURIComponent(payment.paymentIntent.sessionId)}`);
+        if (response.error) {
+            throw new Error(response.msg || 'ArifPay could not cancel the checkout');
+        }
+        return response;
+    }
+}
+
+export { ArifPayGateway, ARIFPAY_STATUS };
+export default ArifPayGateway;
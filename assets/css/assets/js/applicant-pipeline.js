@@ -0,0 +1,742 @@
+// Applicant Pipeline for JobPortal Website
+// Employer-side tracking of submitted applications through configurable
+// hiring stages: kanban board with drag and drop, bulk advance / reject with
+// templated messages, per-candidate notes, ratings and fit scores, and
+// shortcuts to chat with a candidate or schedule a video interview, with
+// .ics calendar entries for interviews.
+// Load after job-postings.js (and job-matcher.js for fit scores,
+// calendar-export.js for interview calendars).
+
+class ApplicantPipeline {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'applicantPipeline';
+        this.board = options.board || null;
+        this.selected = new Set();
+        this.filters = { stage: '', jobId: '', minRating: 0, minFit: 0 };
+        this.jobs = [];
+        this.editingStages = false;
+        this.rejecting = false;
+        this.interviewMinutes = options.interviewMinutes || 45;
+
+        this.defaultStages = [
+            { id: 'new', label: 'New' },
+            { id: 'screening', label: 'Screening' },
+            { id: 'interview', label: 'Interview' },
+            { id: 'offer', label: 'Offer' },
+            { id: 'hired', label: 'Hired' },
+            { id: 'rejected', label: 'Rejected' }
+        ];
+
+        // Stages bulk actions depend on; they can be renamed but not removed
+        this.lockedStages = ['hired', 'rejected'];
+
+        // Placeholders: {{name}}, {{job}}, {{company}}
+        this.templates = {
+            standard: {
+                label: 'Not moving forward',
+                text: 'Hi {{name}},\n\nThank you for applying for the {{job}} position at {{company}}. ' +
+                    'After careful review we have decided not to move forward with your application. ' +
+                    'We wish you the best in your job search.\n\n{{company}} Hiring Team'
+            },
+            afterInterview: {
+                label: 'After interview',
+                text: 'Hi {{name}},\n\nThank you for taking the time to interview for {{job}} at {{company}}. ' +
+                    'We have decided to continue with other candidates whose experience more closely matches our needs.\n\n' +
+                    '{{company}} Hiring Team'
+            },
+            positionFilled: {
+                label: 'Position filled',
+                text: 'Hi {{name}},\n\nThe {{job}} position at {{company}} has now been filled. ' +
+                    'We will keep your details on file and contact you about future openings.\n\n{{company}} Hiring Team'
+            }
+        };
+
+        this.load();
+    }
+
+    // ====== PERSISTENCE ======
+    load() {
+        const state = window.JobPortal.Storage.get(this.storageKey) || {};
+        this.stages = state.stages || this.defaultStages.map(stage => ({ ...stage }));
+        this.candidates = state.candidates || {};
+        return this;
+    }
+
+    save() {
+        window.JobPortal.Storage.set(this.storageKey, {
+            stages: this.stages,
+            candidates: this.candidates
+        });
+        this.render();
+    }
+
+    // Applications come from Api.submitApplication; pipeline state is kept separately
+    getApplications() {
+        return window.JobPortal.Storage.get('applications') || [];
+    }
+
+    // Listings the applications were made for, used for the fit score
+    async loadJobs() {
+        const response = await window.JobPortal.Api.getJobs();
+        this.jobs = response.data;
+        this.render();
+        return this.jobs;
+    }
+
+    getApplication(appId) {
+        return this.getApplications().find(application => application.id === appId) || null;
+    }
+
+    getCandidate(appId) {
+        if (!this.candidates[appId]) {
+            const now = new Date().toISOString();
+            this.candidates[appId] = {
+                stage: this.stages[0].id,
+                rating: 0,
+                notes: [],
+                messages: [],
+                history: [{ stage: this.stages[0].id, date: now }],
+                chatRoomId: null,
+                interview: null,
+                updatedAt: now
+            };
+        }
+
+        return this.candidates[appId];
+    }
+
+    // ====== STAGES ======
+    getStageLabel(stage) {
+        return this.stages.find(s => s.id === stage)?.label || stage;
+    }
+
+    addStage(label) {
+        label = label.trim();
+        if (!label) return null;
+
+        let id = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'stage';
+        while (this.stages.some(stage => stage.id === id)) id += '-2';
+
+        // New stages go before the terminal ones
+        const position = this.stages.findIndex(stage => this.lockedStages.includes(stage.id));
+        const stage = { id, label };
+        this.stages.splice(position === -1 ? this.stages.length : position, 0, stage);
+
+        this.save();
+        return stage;
+    }
+
+    renameStage(id, label) {
+        const stage = this.stages.find(s => s.id === id);
+        if (!stage || !label.trim()) return;
+
+        stage.label = label.trim();
+        this.save();
+    }
+
+    // Candidates in a removed stage go back to the first stage
+    removeStage(id) {
+        if (this.lockedStages.includes(id)) throw new Error(`The ${this.getStageLabel(id)} stage cannot be removed`);
+        if (this.stages.length <= this.lockedStages.length + 1) throw new Error('The pipeline needs at least one open stage');
+
+        this.stages = this.stages.filter(stage => stage.id !== id);
+        Object.keys(this.candidates).forEach(appId => {
+            if (this.candidates[appId].stage === id) this.setStage(appId, this.stages[0].id);
+        });
+
+        this.save();
+    }
+
+    moveStage(id, offset) {
+        const index = this.stages.findIndex(stage => stage.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.stages.length) return;
+
+        [this.stages[index], this.stages[target]] = [this.stages[target], this.stages[index]];
+        this.save();
+    }
+
+    // ====== CANDIDATES ======
+    setStage(appId, stage) {
+        const candidate = this.getCandidate(appId);
+        if (candidate.stage === stage) return candidate;
+
+        const now = new Date().toISOString();
+        candidate.stage = stage;
+        candidate.updatedAt = now;
+        candidate.history.push({ stage, date: now });
+        return candidate;
+    }
+
+    moveTo(appId, stage) {
+        if (!this.stages.some(s => s.id === stage)) throw new Error(`Unknown stage: ${stage}`);
+
+        const candidate = this.setStage(appId, stage);
+        this.save();
+        return candidate;
+    }
+
+    // Next stage in order, never stepping into Rejected
+    getNextStage(stage) {
+        const open = this.stages.filter(s => s.id !== 'rejected');
+        const index = open.findIndex(s => s.id === stage);
+        return index === -1 || index === open.length - 1 ? null : open[index + 1].id;
+    }
+
+    advance(appIds) {
+        let moved = 0;
+
+        appIds.forEach(appId => {
+            const next = this.getNextStage(this.getCandidate(appId).stage);
+            if (!next) return;
+
+            this.setStage(appId, next);
+            moved++;
+        });
+
+        this.save();
+        return moved;
+    }
+
+    fillTemplate(text, application) {
+        const values = {
+            name: application.applicant?.fullName || 'there',
+            job: application.jobTitle || 'the',
+            company: application.company || 'our company'
+        };
+
+        return text.replace(/\{\{\s*(name|job|company)\s*\}\}/g, (match, key) => values[key]);
+    }
+
+    // Every rejection message is recorded on the candidate; it is also sent
+    // through the candidate's chat room when one is open
+    reject(appIds, templateText) {
+        const chat = window.communicationSystem?.chatSystem;
+        const now = new Date().toISOString();
+
+        appIds.forEach(appId => {
+            const application = this.getApplication(appId);
+            if (!application) return;
+
+            const candidate = this.getCandidate(appId);
+            const text = this.fillTemplate(templateText, application);
+            candidate.messages.push({ type: 'rejection', text, date: now });
+
+            if (chat && candidate.chatRoomId) {
+                chat.sendMessage(text, candidate.chatRoomId);
+            }
+
+            if (this.hasInterview(appId)) this.cancelInterview(appId);
+
+            this.setStage(appId, 'rejected');
+        });
+
+        this.save();
+        return appIds.length;
+    }
+
+    addNote(appId, text) {
+        if (!text.trim()) return null;
+
+        const candidate = this.getCandidate(appId);
+        const note = { text: text.trim(), date: new Date().toISOString() };
+        candidate.notes.push(note);
+        candidate.updatedAt = note.date;
+
+        this.save();
+        return note;
+    }
+
+    setRating(appId, rating) {
+        const candidate = this.getCandidate(appId);
+        candidate.rating = Math.max(0, Math.min(5, Number(rating) || 0));
+        this.save();
+    }
+
+    // ====== COMMUNICATION ======
+    getCommunication() {
+        if (!window.communicationSystem) throw new Error('Messaging and video calls are not available right now');
+        return window.communicationSystem;
+    }
+
+    // Private chat room with the candidate, reused on later clicks
+    async openChat(appId) {
+        const chat = this.getCommunication().chatSystem;
+        const application = this.getApplication(appId);
+        const candidate = this.getCandidate(appId);
+        const name = `${application.applicant.fullName} — ${application.jobTitle}`;
+
+        if (candidate.chatRoomId && chat.rooms.has(candidate.chatRoomId)) {
+            await chat.joinRoom(candidate.chatRoomId, name);
+        } else {
+            const room = await chat.createRoom(name, true, [application.applicant.email]);
+            candidate.chatRoomId = room.id;
+            this.save();
+        }
+
+        return candidate.chatRoomId;
+    }
+
+    hasInterview(appId) {
+        const interview = this.getCandidate(appId).interview;
+        return Boolean(interview) && interview.status !== 'cancelled';
+    }
+
+    // Rescheduling keeps the meeting room, and with it the calendar UID;
+    // the sequence goes up so calendar apps move the existing entry
+    scheduleInterview(appId, at) {
+        const date = new Date(at);
+        if (isNaN(date)) throw new Error('Choose a date and time for the interview');
+
+        const candidate = this.getCandidate(appId);
+        const previous = this.hasInterview(appId) ? candidate.interview : null;
+        const meeting = previous || this.getCommunication().scheduleMeeting();
+        const now = new Date().toISOString();
+
+        candidate.interview = {
+            at: date.toISOString(),
+            roomId: meeting.roomId,
+            link: meeting.link,
+            status: 'scheduled',
+            sequence: previous ? (previous.sequence || 0) + 1 : 0,
+            updatedAt: now
+        };
+        candidate.messages.push({
+            type: 'interview',
+            text: `Interview ${previous ? 'rescheduled' : 'scheduled'} for ${date.toLocaleString()}: ${meeting.link}`,
+            date: now
+        });
+
+        // Only ever moves a candidate forward to Interview
+        const order = this.stages.map(stage => stage.id);
+        if (order.includes('interview') && order.indexOf(candidate.stage) < order.indexOf('interview')) {
+            this.setStage(appId, 'interview');
+        }
+
+        this.save();
+        return candidate.interview;
+    }
+
+    cancelInterview(appId) {
+        if (!this.hasInterview(appId)) throw new Error('No interview scheduled for this candidate');
+
+        const candidate = this.getCandidate(appId);
+        const interview = candidate.interview;
+        interview.status = 'cancelled';
+        interview.sequence = (interview.sequence || 0) + 1;
+        interview.updatedAt = new Date().toISOString();
+        candidate.messages.push({
+            type: 'interview',
+            text: `Interview on ${new Date(interview.at).toLocaleString()} cancelled`,
+            date: interview.updatedAt
+        });
+
+        this.save();
+        return interview;
+    }
+
+    async joinInterview(appId) {
+        if (!this.hasInterview(appId)) throw new Error('No interview scheduled for this candidate');
+
+        await this.getCommunication().joinMeeting(this.getCandidate(appId).interview.roomId);
+    }
+
+    // ====== CALENDAR ======
+    // One entry per meeting room: reschedules and cancellations update it
+    getCalendarEntry(appId) {
+        const calendar = window.JobPortal.CalendarExport;
+        const application = this.getApplication(appId);
+        const interview = this.getCandidate(appId).interview;
+        const applicant = application.applicant || {};
+        const start = new Date(interview.at);
+
+        return {
+            uid: calendar.uid('interview', interview.roomId),
+            start,
+            end: new Date(start.getTime() + this.interviewMinutes * 60000),
+            summary: `Interview: ${applicant.fullName || 'Candidate'} – ${application.jobTitle || 'Application'}`,
+            description: `Video interview with ${applicant.fullName || 'the candidate'}${applicant.email ? ` (${applicant.email})` : ''} ` +
+                `for ${application.jobTitle || 'the position'}${application.company ? ` at ${application.company}` : ''}.\nJoin: ${interview.link}`,
+            location: interview.link,
+            url: interview.link,
+            categories: ['Interview'],
+            status: interview.status === 'cancelled' ? 'cancelled' : 'confirmed',
+            sequence: interview.sequence || 0,
+            updated: interview.updatedAt,
+            reminders: [1440, 15]
+        };
+    }
+
+    downloadInterviewCalendar(appId) {
+        const calendar = window.JobPortal.CalendarExport;
+        if (!this.getCandidate(appId).interview) throw new Error('No interview scheduled for this candidate');
+
+        const entry = this.getCalendarEntry(appId);
+        calendar.download(calendar.filename(entry.summary), calendar.calendar([entry], { name: entry.summary }));
+    }
+
+    // Every interview on the board, cancelled ones included so they are
+    // removed from a calendar that imported them before
+    downloadAllInterviews() {
+        const calendar = window.JobPortal.CalendarExport;
+        const entries = this.getApplications()
+            .filter(application => this.candidates[application.id]?.interview)
+            .map(application => this.getCalendarEntry(application.id));
+        if (!entries.length) throw new Error('No interviews scheduled yet');
+
+        calendar.download('interviews.ics', calendar.calendar(entries, { name: 'Candidate Interviews' }));
+    }
+
+    // ====== FIT SCORE ======
+    // JobMatcher result for the application, or null until listings are loaded
+    getFit(application) {
+        const matcher = window.JobPortal.JobMatcher;
+        const job = this.jobs.find(listing => String(listing.id) === String(application.jobId));
+        if (!matcher || !job) return null;
+
+        return matcher.match(matcher.fromApplication(application), job);
+    }
+
+    // ====== FILTERING ======
+    getFiltered() {
+        const { stage, jobId, minRating, minFit } = this.filters;
+
+        return this.getApplications()
+            .map(application => ({
+                application,
+                candidate: this.getCandidate(application.id),
+                fit: this.getFit(application)
+            }))
+            .filter(({ application, candidate, fit }) =>
+                (!stage || candidate.stage === stage) &&
+                (!jobId || String(application.jobId) === jobId) &&
+                candidate.rating >= minRating &&
+                (!minFit || (fit?.score ?? 0) >= minFit))
+            .sort((a, b) => b.candidate.rating - a.candidate.rating ||
+                (b.fit?.score ?? -1) - (a.fit?.score ?? -1) ||
+                new Date(b.application.submittedAt) - new Date(a.application.submittedAt));
+    }
+
+    getJobs() {
+        const jobs = new Map();
+        this.getApplications().forEach(application => jobs.set(String(application.jobId), application.jobTitle));
+        return Array.from(jobs, ([id, title]) => ({ id, title }));
+    }
+
+    // ====== KANBAN VIEW ======
+    formatDate(date) {
+        return date ? new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : '';
+    }
+
+    render() {
+        if (!this.board) return;
+
+        const escape = window.JobPortal.escapeHtml;
+        const candidates = this.getFiltered();
+        const stages = this.filters.stage
+            ? this.stages.filter(stage => stage.id === this.filters.stage)
+            : this.stages;
+
+        // Drop selections that are no longer on the board
+        const visible = new Set(candidates.map(({ application }) => application.id));
+        this.selected.forEach(appId => { if (!visible.has(appId)) this.selected.delete(appId); });
+
+        this.board.innerHTML = `
+            <div class="ats-toolbar">
+                <select class="ats-filter" data-filter="jobId" aria-label="Job">
+                    <option value="">All jobs</option>
+                    ${this.getJobs().map(job => `
+                        <option value="${escape(job.id)}" ${job.id === this.filters.jobId ? 'selected' : ''}>${escape(job.title)}</option>
+                    `).join('')}
+                </select>
+                <select class="ats-filter" data-filter="stage" aria-label="Stage">
+                    <option value="">All stages</option>
+                    ${this.stages.map(stage => `
+                        <option value="${stage.id}" ${stage.id === this.filters.stage ? 'selected' : ''}>${escape(stage.label)}</option>
+                    `).join('')}
+                </select>
+                <select class="ats-filter" data-filter="minRating" aria-label="Minimum rating">
+                    <option value="0">Any rating</option>
+                    ${[1, 2, 3, 4, 5].map(rating => `
+                        <option value="${rating}" ${rating === this.filters.minRating ? 'selected' : ''}>${rating}+ ★</option>
+                    `).join('')}
+                </select>
+                ${window.JobPortal.JobMatcher ? `
+                    <select class="ats-filter" data-filter="minFit" aria-label="Minimum fit score">
+                        <option value="0">Any fit</option>
+                        ${[50, 60, 70, 80, 90].map(fit => `
+                            <option value="${fit}" ${fit === this.filters.minFit ? 'selected' : ''}>${fit}%+ fit</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+                <span class="ats-total">${candidates.length} ${candidates.length === 1 ? 'candidate' : 'candidates'}</span>
+                <button type="button" class="ats-interviews-calendar">Interview calendar</button>
+                <button type="button" class="ats-edit-stages">${this.editingStages ? 'Done' : 'Edit stages'}</button>
+            </div>
+            <div class="ats-bulk">
+                <label><input type="checkbox" class="ats-select-all" ${candidates.length && this.selected.size === candidates.length ? 'checked' : ''}> Select all</label>
+                <span>${this.selected.size} selected</span>
+                <button type="button" class="ats-advance" ${this.selected.size ? '' : 'disabled'}>Advance</button>
+                <button type="button" class="ats-reject" ${this.selected.size ? '' : 'disabled'}>Reject…</button>
+            </div>
+            ${this.rejecting && this.selected.size ? this.renderRejectPanel() : ''}
+            ${this.editingStages ? this.renderStageEditor(escape) : ''}
+            <div class="ats-columns" style="grid-template-columns: repeat(${stages.length}, minmax(220px, 1fr));">
+                ${stages.map(stage => {
+                    const cards = candidates.filter(({ candidate }) => candidate.stage === stage.id);
+                    return `
+                        <div class="ats-column" data-stage="${stage.id}">
+                            <h3 class="ats-column-title">${escape(stage.label)} <span>${cards.length}</span></h3>
+                            ${cards.map(card => this.renderCard(card, escape)).join('')}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderRejectPanel() {
+        const first = Object.values(this.templates)[0];
+
+        return `
+            <form class="ats-reject-panel">
+                <label class="form-label" for="ats-template">Message template</label>
+                <select id="ats-template" class="ats-template">
+                    ${Object.entries(this.templates).map(([id, template]) => `
+                        <option value="${id}">${template.label}</option>
+                    `).join('')}
+                </select>
+                <textarea class="ats-reject-text" rows="6" required>${window.JobPortal.escapeHtml(first.text)}</textarea>
+                <small>{{name}}, {{job}} and {{company}} are filled in for each candidate.</small>
+                <div class="ats-reject-actions">
+                    <button type="button" class="ats-reject-cancel">Cancel</button>
+                    <button type="submit" class="ats-reject-confirm">Reject ${this.selected.size} and send message</button>
+                </div>
+            </form>
+        `;
+    }
+
+    renderStageEditor(escape) {
+        return `
+            <div class="ats-stage-editor">
+                ${this.stages.map((stage, index) => `
+                    <div class="ats-stage-row" data-stage="${stage.id}">
+                        <input type="text" class="ats-stage-label" value="${escape(stage.label)}" aria-label="Stage name">
+                        <button type="button" class="ats-stage-move" data-offset="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                        <button type="button" class="ats-stage-move" data-offset="1" ${index === this.stages.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                        <button type="button" class="ats-stage-remove" ${this.lockedStages.includes(stage.id) ? 'disabled' : ''}>Remove</button>
+                    </div>
+                `).join('')}
+                <form class="ats-stage-add">
+                    <input type="text" class="ats-stage-new" placeholder="New stage name">
+                    <button type="submit">Add stage</button>
+                </form>
+            </div>
+        `;
+    }
+
+    renderCard({ application, candidate, fit }, escape) {
+        const applicant = application.applicant || {};
+        const interview = candidate.interview;
+
+        return `
+            <div class="ats-card" draggable="true" data-app-id="${escape(application.id)}">
+                <label class="ats-card-header">
+                    <input type="checkbox" class="ats-select" ${this.selected.has(application.id) ? 'checked' : ''}>
+                    <strong>${escape(applicant.fullName || 'Unnamed applicant')}</strong>
+                </label>
+                <p class="ats-job">${escape(application.jobTitle || '')}</p>
+                <p class="ats-meta">
+                    Applied ${this.formatDate(application.submittedAt)}${applicant.city ? ` · ${escape(applicant.city)}` : ''}
+                </p>
+                <div class="ats-rating" aria-label="Rating">
+                    ${[1, 2, 3, 4, 5].map(star => `
+                        <button type="button" class="ats-star ${star <= candidate.rating ? 'active' : ''}" data-rating="${star}" aria-label="${star} stars">★</button>
+                    `).join('')}
+                </div>
+                ${fit ? window.JobPortal.JobMatcher.renderScore(fit, 'fit') : ''}
+                ${interview ? `
+                    <p class="ats-interview ${interview.status === 'cancelled' ? 'cancelled' : ''}">
+                        Interview ${new Date(interview.at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}${interview.status === 'cancelled' ? ' · Cancelled' : ''}
+                        ${interview.status === 'cancelled' ? '' : `
+                            <button type="button" class="ats-join">Join</button>
+                            <button type="button" class="ats-cancel-interview">Cancel</button>
+                        `}
+                        <button type="button" class="ats-calendar" title="Download .ics">Calendar</button>
+                    </p>
+                ` : ''}
+                <details class="ats-notes">
+                    <summary>Notes (${candidate.notes.length})</summary>
+                    <ul>
+                        ${candidate.notes.map(note => `
+                            <li><time>${this.formatDate(note.date)}</time> ${escape(note.text)}</li>
+                        `).join('')}
+                    </ul>
+                    <form class="ats-note-form">
+                        <input type="text" class="ats-note-input" placeholder="Add a note">
+                    </form>
+                </details>
+                <div class="ats-card-actions">
+                    <button type="button" class="ats-chat">Message</button>
+                    <button type="button" class="ats-schedule">${this.hasInterview(application.id) ? 'Reschedule' : 'Schedule interview'}</button>
+                </div>
+                <form class="ats-schedule-form" hidden>
+                    <input type="datetime-local" class="ats-schedule-at" required>
+                    <button type="submit">Schedule</button>
+                </form>
+            </div>
+        `;
+    }
+
+    bindBoard() {
+        if (!this.board) return;
+
+        const run = async (action) => {
+            try {
+                await action();
+            } catch (error) {
+                console.error('Applicant pipeline action failed:', error);
+                if (typeof Notifications !== 'undefined') Notifications.error(error.message);
+            }
+        };
+
+        this.board.addEventListener('change', e => {
+            const target = e.target;
+
+            if (target.matches('.ats-filter')) {
+                const value = target.value;
+                this.filters[target.dataset.filter] = ['minRating', 'minFit'].includes(target.dataset.filter) ? Number(value) : value;
+                this.render();
+            } else if (target.matches('.ats-select')) {
+                const appId = this.getCardAppId(target);
+                target.checked ? this.selected.add(appId) : this.selected.delete(appId);
+                this.render();
+            } else if (target.matches('.ats-select-all')) {
+                this.selected = new Set(target.checked
+                    ? this.getFiltered().map(({ application }) => application.id)
+                    : []);
+                this.render();
+            } else if (target.matches('.ats-template')) {
+                this.board.querySelector('.ats-reject-text').value = this.templates[target.value].text;
+            } else if (target.matches('.ats-stage-label')) {
+                this.renameStage(target.closest('.ats-stage-row').dataset.stage, target.value);
+            }
+        });
+
+        this.board.addEventListener('submit', e => {
+            const form = e.target;
+            e.preventDefault();
+
+            if (form.matches('.ats-note-form')) {
+                const appId = this.getCardAppId(form);
+                this.addNote(appId, form.querySelector('.ats-note-input').value);
+                this.board.querySelector(`.ats-card[data-app-id="${appId}"] .ats-notes`)?.setAttribute('open', '');
+            } else if (form.matches('.ats-stage-add')) {
+                this.addStage(form.querySelector('.ats-stage-new').value);
+            } else if (form.matches('.ats-reject-panel')) {
+                const count = this.reject(Array.from(this.selected), form.querySelector('.ats-reject-text').value);
+                this.selected.clear();
+                this.rejecting = false;
+                this.render();
+                if (typeof Notifications !== 'undefined') {
+                    Notifications.success(`${count} ${count === 1 ? 'candidate' : 'candidates'} rejected`);
+                }
+            } else if (form.matches('.ats-schedule-form')) {
+                run(() => {
+                    const interview = this.scheduleInterview(this.getCardAppId(form), form.querySelector('.ats-schedule-at').value);
+                    if (typeof Notifications !== 'undefined') {
+                        Notifications.success(`Interview scheduled. Meeting link: ${interview.link}`);
+                    }
+                });
+            }
+        });
+
+        this.board.addEventListener('click', e => {
+            const target = e.target;
+
+            if (target.matches('.ats-star')) {
+                const appId = this.getCardAppId(target);
+                const rating = Number(target.dataset.rating);
+                // Clicking the current rating again clears it
+                this.setRating(appId, this.getCandidate(appId).rating === rating ? 0 : rating);
+            } else if (target.matches('.ats-advance')) {
+                const moved = this.advance(Array.from(this.selected));
+                this.selected.clear();
+                this.render();
+                if (typeof Notifications !== 'undefined') {
+                    Notifications.success(`${moved} ${moved === 1 ? 'candidate' : 'candidates'} advanced`);
+                }
+            } else if (target.matches('.ats-reject')) {
+                this.rejecting = true;
+                this.render();
+            } else if (target.matches('.ats-reject-cancel')) {
+                this.rejecting = false;
+                this.render();
+            } else if (target.matches('.ats-edit-stages')) {
+                this.editingStages = !this.editingStages;
+                this.render();
+            } else if (target.matches('.ats-stage-move')) {
+                this.moveStage(target.closest('.ats-stage-row').dataset.stage, Number(target.dataset.offset));
+            } else if (target.matches('.ats-stage-remove')) {
+                run(() => this.removeStage(target.closest('.ats-stage-row').dataset.stage));
+            } else if (target.matches('.ats-chat')) {
+                run(() => this.openChat(this.getCardAppId(target)));
+            } else if (target.matches('.ats-schedule')) {
+                target.closest('.ats-card').querySelector('.ats-schedule-form').hidden = false;
+            } else if (target.matches('.ats-join')) {
+                run(() => this.joinInterview(this.getCardAppId(target)));
+            } else if (target.matches('.ats-cancel-interview') && confirm('Cancel this interview?')) {
+                run(() => {
+                    this.cancelInterview(this.getCardAppId(target));
+                    if (typeof Notifications !== 'undefined') {
+                        Notifications.info('Interview cancelled. Download its calendar entry to remove it from your calendar.');
+                    }
+                });
+            } else if (target.matches('.ats-calendar')) {
+                run(() => this.downloadInterviewCalendar(this.getCardAppId(target)));
+            } else if (target.matches('.ats-interviews-calendar')) {
+                run(() => this.downloadAllInterviews());
+            }
+        });
+
+        // Drag cards between columns
+        this.board.addEventListener('dragstart', e => {
+            const card = e.target.closest('.ats-card');
+            if (card) e.dataTransfer.setData('text/plain', card.dataset.appId);
+        });
+
+        this.board.addEventListener('dragover', e => {
+            if (e.target.closest('.ats-column')) e.preventDefault();
+        });
+
+        this.board.addEventListener('drop', e => {
+            const column = e.target.closest('.ats-column');
+            const appId = e.dataTransfer.getData('text/plain');
+            if (!column || !appId) return;
+
+            e.preventDefault();
+            this.moveTo(appId, column.dataset.stage);
+        });
+    }
+
+    getCardAppId(element) {
+        return element.closest('.ats-card').dataset.appId;
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const board = document.querySelector('.ats-board');
+    if (!board) return;
+
+    const pipeline = new ApplicantPipeline({ board });
+    window.JobPortal.pipeline = pipeline;
+    pipeline.render();
+    pipeline.bindBoard();
+
+    pipeline.loadJobs().catch(error => {
+        console.error('Failed to load job listings:', error);
+    });
+});
+
+window.JobPortal.ApplicantPipeline = ApplicantPipeline;
@@ -0,0 +1,799 @@
+// Job Application Wizard for JobPortal Website
+// Multi-step application flow opened from .apply-btn: contact details,
+// documents, screening questions and review. Drafts autosave per job and are
+// restored when the seeker comes back. Load after main.js.
+
+class ApplicationWizard {
+    constructor(options = {}) {
+        this.draftPrefix = options.draftPrefix || 'applicationDraft:';
+        this.modal = null;
+        this.job = null;
+        this.draft = null;
+        this.stepIndex = 0;
+
+        // Defaults mirror application.* in config/settings.json
+        this.limits = {
+            supportedFileTypes: ['.jpg', '.png', '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.csv'],
+            resumeFileTypes: ['.pdf', '.docx', '.doc', '.txt'],
+            maxUploadSize: 10485760
+        };
+
+        // Files up to this size are kept in the draft so they survive a reload
+        this.maxDraftFileSize = 1048576;
+
+        this.steps = [
+            { id: 'contact', title: 'Contact Details' },
+            { id: 'documents', title: 'Resume & Cover Letter' },
+            { id: 'screening', title: 'Screening Questions' },
+            { id: 'review', title: 'Review & Submit' }
+        ];
+
+        this.defaultQuestions = [
+            { id: 'experienceYears', label: 'Years of relevant experience', type: 'number', required: true },
+            { id: 'availability', label: 'When can you start?', type: 'select', required: true,
+                options: ['Immediately', 'Within 2 weeks', 'Within a month', 'More than a month'] },
+            { id: 'workAuthorization', label: 'Are you authorized to work in the job location?', type: 'yesno', required: true },
+            { id: 'expectedSalary', label: 'Expected salary (optional)', type: 'text', required: false }
+        ];
+
+        this.saveDraft = window.JobPortal.debounce(() => this.persistDraft(), 500);
+        this.setupStyles();
+    }
+
+    async loadLimits() {
+        const { Settings } = window.JobPortal;
+        this.limits.supportedFileTypes = await Settings.get('application.supportedFileTypes', this.limits.supportedFileTypes);
+        this.limits.resumeFileTypes = await Settings.get('application.resumeFileTypes', this.limits.resumeFileTypes);
+        this.limits.maxUploadSize = await Settings.get('application.maxUploadSize', this.limits.maxUploadSize);
+        return this.limits;
+    }
+
+    // ====== DRAFTS ======
+    getDraftKey(jobId) {
+        return `${this.draftPrefix}${jobId}`;
+    }
+
+    loadDraft(job) {
+        return window.JobPortal.Storage.get(this.getDraftKey(job.id)) || {
+            jobId: job.id,
+            step: 0,
+            fields: {},
+            files: {},
+            confidence: {},
+            updatedAt: null
+        };
+    }
+
+    persistDraft() {
+        if (!this.draft) return;
+
+        this.collectFields();
+        this.draft.step = this.stepIndex;
+        this.draft.updatedAt = new Date().toISOString();
+        window.JobPortal.Storage.set(this.getDraftKey(this.job.id), this.draft);
+
+        const status = this.modal?.querySelector('.wizard-draft-status');
+        if (status) status.textContent = `Draft saved ${new Date().toLocaleTimeString()}`;
+    }
+
+    discardDraft(jobId) {
+        window.JobPortal.Storage.remove(this.getDraftKey(jobId));
+    }
+
+    // ====== PROFILE PRE-FILL ======
+    // Fills empty fields, and fields still awaiting confirmation, from the
+    // seeker profile. Confirmed or typed values are left alone.
+    applyProfile() {
+        const profile = window.JobPortal.SeekerProfile;
+        if (!profile) return 0;
+
+        let filled = 0;
+        Object.entries(profile.toFormFields()).forEach(([field, { value, confidence }]) => {
+            const pending = this.draft.confidence[field] !== undefined;
+            if (this.draft.fields[field] && !pending) return;
+
+            this.draft.fields[field] = value;
+            if (confidence === undefined) {
+                delete this.draft.confidence[field];
+            } else {
+                this.draft.confidence[field] = confidence;
+            }
+            filled++;
+        });
+
+        return filled;
+    }
+
+    prefillFromProfile() {
+        if (!this.modal) return;
+
+        this.collectFields();
+        if (this.applyProfile() > 0) {
+            this.render();
+            this.persistDraft();
+        }
+    }
+
+    confirmField(name) {
+        if (this.draft.confidence[name] === undefined) return;
+
+        delete this.draft.confidence[name];
+        const field = this.modal.querySelector(`[name="${name}"]`);
+        field?.classList.remove('needs-confirmation');
+        field?.parentNode.querySelector('.confidence-marker')?.remove();
+        if (field) window.JobPortal.Validation.showResult(field, '');
+
+        const profile = window.JobPortal.SeekerProfile;
+        if (profile) {
+            profile.confirm(name, profile.contactFields.includes(name) ? field?.value : undefined);
+        }
+
+        this.saveDraft();
+    }
+
+    // ====== OPEN / CLOSE ======
+    async open(job) {
+        this.close();
+
+        this.job = job;
+        this.draft = this.loadDraft(job);
+        this.draft.confidence = this.draft.confidence || {};
+        if (!this.draft.updatedAt) this.applyProfile();
+        this.stepIndex = Math.min(this.draft.step || 0, this.steps.length - 1);
+
+        await this.loadLimits();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'application-modal';
+        this.modal.setAttribute('role', 'dialog');
+        this.modal.setAttribute('aria-modal', 'true');
+        document.body.appendChild(this.modal);
+
+        this.bindModal();
+        this.render();
+
+        if (this.draft.updatedAt && typeof Notifications !== 'undefined') {
+            Notifications.info('We restored your saved application draft.');
+        }
+    }
+
+    close() {
+        if (this.modal) {
+            this.persistDraft();
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    getQuestions() {
+        return this.job.screeningQuestions?.length ? this.job.screeningQuestions : this.defaultQuestions;
+    }
+
+    // ====== RENDERING ======
+    render() {
+        const escape = window.JobPortal.escapeHtml;
+        const step = this.steps[this.stepIndex];
+        const isLast = this.stepIndex === this.steps.length - 1;
+
+        this.modal.innerHTML = `
+            <div class="wizard-content">
+                <div class="wizard-header">
+                    <div>
+                        <h3>Apply for ${escape(this.job.title)}</h3>
+                        <p class="company">${escape(this.job.company)}</p>
+                    </div>
+                    <button type="button" class="close-modal" aria-label="Close">&times;</button>
+                </div>
+                <ol class="wizard-progress">
+                    ${this.steps.map((s, index) => `
+                        <li class="${index === this.stepIndex ? 'active' : ''} ${index < this.stepIndex ? 'done' : ''}">${s.title}</li>
+                    `).join('')}
+                </ol>
+                <form class="wizard-form" novalidate>
+                    <fieldset class="wizard-step" data-step="${step.id}">
+                        <legend>${step.title}</legend>
+                        ${this.renderStep(step.id, escape)}
+                    </fieldset>
+                    <div class="wizard-actions">
+                        <span class="wizard-draft-status"></span>
+                        ${this.stepIndex > 0 ? '<button type="button" class="wizard-back">Back</button>' : ''}
+                        <button type="submit" class="wizard-next">${isLast ? 'Submit Application' : 'Next'}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        this.restoreFields();
+        this.modal.querySelector('.wizard-step input, .wizard-step select, .wizard-step textarea')?.focus();
+    }
+
+    renderStep(stepId, escape) {
+        switch (stepId) {
+            case 'contact':
+                return `
+                    ${window.JobPortal.ResumeParser ? this.renderFileInput('resume', 'Have a resume? Upload it to fill this in',
+                        this.limits.resumeFileTypes.join(','), false, escape) : ''}
+                    ${this.renderInput('fullName', 'Full name', 'text', { required: true, autocomplete: 'name' })}
+                    ${this.renderInput('email', 'Email', 'email', { required: true, autocomplete: 'email' })}
+                    ${this.renderInput('phone', 'Phone', 'tel', { required: true, autocomplete: 'tel', placeholder: '0911 234 567' })}
+                    ${this.renderInput('city', 'City', 'text', { autocomplete: 'address-level2' })}
+                    ${this.renderInput('linkedin', 'LinkedIn profile', 'url', { placeholder: 'https://linkedin.com/in/...' })}
+                    ${this.renderInput('portfolio', 'Portfolio or website', 'url', { placeholder: 'https://' })}
+                `;
+
+            case 'documents': {
+                const accept = this.limits.supportedFileTypes.join(',');
+                const maxMb = (this.limits.maxUploadSize / 1048576).toFixed(0);
+                return `
+                    <p class="wizard-hint">
+                        Resume: ${escape(this.limits.resumeFileTypes.join(', '))} ·
+                        Cover letter: ${escape(this.limits.supportedFileTypes.join(', '))} · up to ${maxMb} MB each
+                    </p>
+                    ${this.renderFileInput('resume', 'Resume / CV', this.limits.resumeFileTypes.join(','), true, escape)}
+                    ${this.renderFileInput('coverLetterFile', 'Cover letter file (optional)', accept, false, escape)}
+                    <div class="wizard-field">
+                        <label for="wizard-coverLetter">Or write a short cover letter</label>
+                        <textarea id="wizard-coverLetter" name="coverLetter" rows="5" maxlength="3000"></textarea>
+                    </div>
+                `;
+            }
+
+            case 'screening':
+                return this.getQuestions().map(question => this.renderQuestion(question, escape)).join('');
+
+            case 'review':
+                return this.renderReview(escape);
+
+            default:
+                return '';
+        }
+    }
+
+    renderInput(name, label, type, attributes = {}) {
+        const extra = Object.entries(attributes)
+            .map(([key, value]) => value === true ? key : `${key}="${window.JobPortal.escapeHtml(value)}"`)
+            .join(' ');
+
+        return `
+            <div class="wizard-field">
+                <label for="wizard-${name}">${label}${attributes.required ? ' *' : ''}</label>
+                <input id="wizard-${name}" name="${name}" type="${type}" ${extra}>
+                ${this.renderConfidence(name)}
+            </div>
+        `;
+    }
+
+    // Marks a value read from the resume until the seeker confirms or edits it
+    renderConfidence(name) {
+        const confidence = this.draft.confidence[name];
+        if (confidence === undefined) return '';
+
+        const labels = {
+            high: 'From your resume',
+            medium: 'From your resume — please check',
+            low: 'Best guess from your resume — please check'
+        };
+        const level = confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+
+        return `
+            <div class="confidence-marker confidence-${level}" data-field="${name}">
+                <span>${labels[level]} (${Math.round(confidence * 100)}% sure)</span>
+                <button type="button" class="confidence-confirm">Looks right</button>
+            </div>
+        `;
+    }
+
+    renderFileInput(name, label, accept, required, escape) {
+        const saved = this.draft.files[name];
+
+        return `
+            <div class="wizard-field">
+                <label for="wizard-${name}">${label}${required ? ' *' : ''}</label>
+                <input id="wizard-${name}" name="${name}" type="file" accept="${escape(accept)}"
+                    ${required ? 'required' : ''} ${saved?.dataUrl ? 'data-restored="true"' : ''}>
+                ${saved ? `
+                    <p class="wizard-file-note">
+                        ${saved.dataUrl ? 'Attached' : 'Previously attached — please attach again'}:
+                        ${escape(saved.name)} (${Math.ceil(saved.size / 1024)} KB)
+                    </p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderQuestion(question, escape) {
+        const name = `q_${question.id}`;
+        const required = question.required ? 'required' : '';
+        const label = `${escape(question.label)}${question.required ? ' *' : ''}`;
+
+        if (question.type === 'yesno' || question.type === 'select') {
+            const options = question.type === 'yesno' ? ['Yes', 'No'] : question.options;
+            return `
+                <div class="wizard-field">
+                    <label for="wizard-${name}">${label}</label>
+                    <select id="wizard-${name}" name="${name}" ${required}>
+                        <option value="">Select...</option>
+                        ${options.map(option => `<option value="${escape(option)}">${escape(option)}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+        }
+
+        const type = question.type === 'number' ? 'number' : 'text';
+        return `
+            <div class="wizard-field">
+                <label for="wizard-${name}">${label}</label>
+                <input id="wizard-${name}" name="${name}" type="${type}" ${type === 'number' ? 'min="0" max="60"' : ''} ${required}>
+            </div>
+        `;
+    }
+
+    renderReview(escape) {
+        const fields = this.draft.fields;
+        const row = (label, value) => `<dt>${label}</dt><dd>${escape(value || '—')}</dd>`;
+        const files = this.draft.files;
+
+        return `
+            <dl class="wizard-review">
+                ${row('Name', fields.fullName)}
+                ${row('Email', fields.email)}
+                ${row('Phone', fields.phone)}
+                ${row('City', fields.city)}
+                ${row('LinkedIn', fields.linkedin)}
+                ${row('Portfolio', fields.portfolio)}
+                ${row('Resume', files.resume?.name)}
+                ${row('Cover letter', files.coverLetterFile?.name || (fields.coverLetter ? 'Written' : ''))}
+                ${this.getQuestions().map(question => row(escape(question.label), fields[`q_${question.id}`])).join('')}
+            </dl>
+            ${this.renderResumeDetails()}
+            <div class="wizard-field wizard-confirm">
+                <label>
+                    <input type="checkbox" name="confirm" required>
+                    I confirm the information above is accurate.
+                </label>
+            </div>
+        `;
+    }
+
+    // Skills, work history and education read from the resume, editable here
+    renderResumeDetails() {
+        const details = [
+            { name: 'skills', label: 'Skills', rows: 2 },
+            { name: 'experience', label: 'Work history', rows: 4 },
+            { name: 'education', label: 'Education', rows: 3 }
+        ].filter(detail => this.draft.fields[detail.name]);
+
+        if (details.length === 0) return '';
+
+        return `
+            <div class="wizard-resume-details">
+                <h4>From your resume</h4>
+                ${details.map(detail => `
+                    <div class="wizard-field">
+                        <label for="wizard-${detail.name}">${detail.label}</label>
+                        <textarea id="wizard-${detail.name}" name="${detail.name}" rows="${detail.rows}"></textarea>
+                        ${this.renderConfidence(detail.name)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // ====== FIELD STATE ======
+    collectFields() {
+        if (!this.modal) return;
+
+        this.modal.querySelectorAll('.wizard-step input, .wizard-step select, .wizard-step textarea').forEach(field => {
+            if (field.type === 'file' || field.name === 'confirm') return;
+            this.draft.fields[field.name] = field.value;
+        });
+    }
+
+    restoreFields() {
+        this.modal.querySelectorAll('.wizard-step input, .wizard-step select, .wizard-step textarea').forEach(field => {
+            if (field.type === 'file' || field.type === 'checkbox') return;
+            if (this.draft.fields[field.name] !== undefined) {
+                field.value = this.draft.fields[field.name];
+            }
+            field.classList.toggle('needs-confirmation', this.draft.confidence[field.name] !== undefined);
+        });
+    }
+
+    async handleFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        const { Validation } = window.JobPortal;
+        const error = Validation.validateFile(file, input.accept.split(','), this.limits.maxUploadSize);
+        Validation.showResult(input, error);
+
+        if (error) {
+            input.value = '';
+            return;
+        }
+
+        const stored = { name: file.name, size: file.size, type: file.type };
+        if (file.size <= this.maxDraftFileSize) {
+            stored.dataUrl = await this.readAsDataUrl(file);
+        }
+
+        this.draft.files[input.name] = stored;
+        input.dataset.restored = stored.dataUrl ? 'true' : '';
+        this.persistDraft();
+
+        document.dispatchEvent(new CustomEvent('applicationFileSelected', {
+            detail: { field: input.name, file, job: this.job }
+        }));
+    }
+
+    readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // ====== NAVIGATION ======
+    validateStep() {
+        const { Validation } = window.JobPortal;
+        const step = this.modal.querySelector('.wizard-step');
+        let isValid = Validation.validateForm(step);
+
+        // Resume values must be confirmed or corrected before moving on
+        step.querySelectorAll('.needs-confirmation').forEach(field => {
+            Validation.showResult(field, 'Please confirm or correct this detail from your resume');
+            isValid = false;
+        });
+
+        return isValid;
+    }
+
+    goTo(index) {
+        this.collectFields();
+        this.stepIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+        this.persistDraft();
+        this.render();
+    }
+
+    async next() {
+        if (!this.validateStep()) return;
+
+        if (this.stepIndex < this.steps.length - 1) {
+            this.goTo(this.stepIndex + 1);
+            return;
+        }
+
+        await this.submit();
+    }
+
+    async submit() {
+        const button = this.modal.querySelector('.wizard-next');
+        button.textContent = 'Submitting...';
+        button.disabled = true;
+
+        this.collectFields();
+        const fields = { ...this.draft.fields };
+        const answers = this.getQuestions().map(question => ({
+            id: question.id,
+            question: question.label,
+            answer: fields[`q_${question.id}`] || ''
+        }));
+
+        try {
+            const response = await window.JobPortal.Api.submitApplication({
+                jobId: this.job.id,
+                jobTitle: this.job.title,
+                company: this.job.company,
+                applicant: {
+                    fullName: fields.fullName,
+                    email: fields.email,
+                    phone: fields.phone,
+                    city: fields.city,
+                    linkedin: fields.linkedin,
+                    portfolio: fields.portfolio
+                },
+                coverLetter: fields.coverLetter || '',
+                documents: this.draft.files,
+                resume: {
+                    skills: fields.skills || '',
+                    experience: fields.experience || '',
+                    education: fields.education || ''
+                },
+                answers
+            });
+
+            if (window.JobPortal.SeekerProfile) {
+                const profile = Object.fromEntries(
+                    window.JobPortal.SeekerProfile.contactFields
+                        .filter(field => fields[field])
+                        .map(field => [field, fields[field]]));
+
+                // Kept for job matching; the default screening questions ask for both
+                if (fields.skills) profile.skills = fields.skills.split(',').map(skill => skill.trim()).filter(Boolean);
+                if (fields.q_experienceYears) profile.experienceYears = Number(fields.q_experienceYears);
+                if (fields.q_expectedSalary) profile.salaryExpectation = fields.q_expectedSalary;
+
+                window.JobPortal.SeekerProfile.update(profile);
+            }
+
+            document.dispatchEvent(new CustomEvent('applicationSubmitted', {
+                detail: { job: this.job, application: response.data }
+            }));
+
+            this.discardDraft(this.job.id);
+            this.draft = null;
+            this.modal.remove();
+            this.modal = null;
+
+            if (typeof Notifications !== 'undefined') {
+                Notifications.success(`Application for ${this.job.title} submitted`);
+            }
+
+            return response.data;
+
+        } catch (error) {
+            console.error('Application submission failed:', error);
+            button.textContent = 'Submit Application';
+            button.disabled = false;
+
+            if (typeof Notifications !== 'undefined') {
+                Notifications.error('Could not submit your application. Your draft is saved.');
+            }
+        }
+    }
+
+    bindModal() {
+        this.modal.addEventListener('submit', e => {
+            e.preventDefault();
+            this.next();
+        });
+
+        this.modal.addEventListener('click', e => {
+            if (e.target.matches('.close-modal') || e.target === this.modal) {
+                this.close();
+            } else if (e.target.matches('.wizard-back')) {
+                this.goTo(this.stepIndex - 1);
+            } else if (e.target.matches('.confidence-confirm')) {
+                this.confirmField(e.target.closest('.confidence-marker').dataset.field);
+            }
+        });
+
+        // Editing a value read from the resume counts as correcting it
+        this.modal.addEventListener('input', e => {
+            if (e.target.classList.contains('needs-confirmation')) {
+                this.confirmField(e.target.name);
+            } else {
+                this.saveDraft();
+            }
+        });
+
+        this.modal.addEventListener('change', e => {
+            if (e.target.type === 'file') {
+                this.handleFile(e.target);
+            } else {
+                this.saveDraft();
+            }
+        });
+
+        // Validate each field as the user leaves it
+        this.modal.addEventListener('focusout', e => {
+            if (e.target.matches('input:not([type="file"]), select, textarea') && e.target.value) {
+                window.JobPortal.Validation.showResult(e.target, window.JobPortal.Validation.validateField(e.target));
+            }
+        });
+
+        this.modal.addEventListener('keydown', e => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    setupStyles() {
+        if (document.querySelector('#application-wizard-styles')) return;
+
+        const styles = document.createElement('style');
+        styles.id = 'application-wizard-styles';
+        styles.textContent = `
+            .application-modal {
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 2000;
+                padding: 1rem;
+            }
+
+            .wizard-content {
+                background: white;
+                border-radius: 12px;
+                width: 640px;
+                max-width: 100%;
+                max-height: 90vh;
+                overflow-y: auto;
+                padding: 2rem;
+            }
+
+            .wizard-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: flex-start;
+            }
+
+            .wizard-header .close-modal {
+                background: none;
+                border: none;
+                font-size: 1.8rem;
+                cursor: pointer;
+                color: #7f8c8d;
+            }
+
+            .wizard-progress {
+                display: flex;
+                list-style: none;
+                gap: 0.5rem;
+                margin: 1rem 0 1.5rem;
+                font-size: 0.8rem;
+                color: #95a5a6;
+            }
+
+            .wizard-progress li {
+                flex: 1;
+                border-top: 4px solid #e1e8ed;
+                padding-top: 0.4rem;
+            }
+
+            .wizard-progress li.done { border-color: #27ae60; }
+            .wizard-progress li.active { border-color: #3498db; color: #2c3e50; font-weight: 600; }
+
+            .wizard-step {
+                border: none;
+            }
+
+            .wizard-step legend {
+                font-size: 1.2rem;
+                font-weight: 600;
+                color: #2c3e50;
+                margin-bottom: 1rem;
+            }
+
+            .wizard-field {
+                margin-bottom: 1rem;
+            }
+
+            .wizard-field label {
+                display: block;
+                font-weight: 600;
+                color: #2c3e50;
+                margin-bottom: 0.3rem;
+            }
+
+            .wizard-field input:not([type="checkbox"]),
+            .wizard-field select,
+            .wizard-field textarea {
+                width: 100%;
+                padding: 0.7rem;
+                border: 2px solid #e1e8ed;
+                border-radius: 6px;
+                font-size: 0.95rem;
+            }
+
+            .wizard-hint,
+            .wizard-file-note {
+                font-size: 0.85rem;
+                color: #7f8c8d;
+                margin: 0.3rem 0 1rem;
+            }
+
+            .wizard-review {
+                display: grid;
+                grid-template-columns: max-content 1fr;
+                gap: 0.4rem 1rem;
+                margin-bottom: 1.5rem;
+            }
+
+            .wizard-review dt {
+                font-weight: 600;
+                color: #2c3e50;
+            }
+
+            .wizard-resume-details h4 {
+                color: #2c3e50;
+                margin-bottom: 0.8rem;
+            }
+
+            .wizard-field .needs-confirmation {
+                border-color: #f39c12;
+                background: #fffaf0;
+            }
+
+            .confidence-marker {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 0.5rem;
+                margin-top: 0.3rem;
+                font-size: 0.8rem;
+            }
+
+            .confidence-marker.confidence-high { color: #27ae60; }
+            .confidence-marker.confidence-medium { color: #d68910; }
+            .confidence-marker.confidence-low { color: #e74c3c; }
+
+            .confidence-confirm {
+                background: none;
+                border: 1px solid currentColor;
+                border-radius: 4px;
+                color: inherit;
+                padding: 0.15rem 0.6rem;
+                cursor: pointer;
+            }
+
+            .wizard-actions {
+                display: flex;
+                align-items: center;
+                gap: 0.8rem;
+                margin-top: 1.5rem;
+            }
+
+            .wizard-draft-status {
+                flex: 1;
+                font-size: 0.8rem;
+                color: #95a5a6;
+            }
+
+            .wizard-actions button {
+                padding: 0.8rem 1.6rem;
+                border-radius: 6px;
+                font-weight: 600;
+                cursor: pointer;
+                border: 2px solid #3498db;
+            }
+
+            .wizard-back {
+                background: white;
+                color: #3498db;
+            }
+
+            .wizard-next {
+                background: #3498db;
+                color: white;
+            }
+
+            .wizard-next:disabled {
+                opacity: 0.6;
+                cursor: wait;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const wizard = new ApplicationWizard();
+    window.JobPortal.applications = wizard;
+
+    const grid = document.querySelector('.job-grid');
+    if (!grid) return;
+
+    grid.addEventListener('click', function(e) {
+        const button = e.target.closest('.apply-btn:not(.clear-filters-btn)');
+        if (!button) return;
+
+        const card = button.closest('.job-card');
+        const id = card.dataset.jobId;
+        const job = window.JobPortal.search?.jobs.find(listing => String(listing.id) === id) || {
+            id: id || card.querySelector('.job-title').textContent,
+            title: card.querySelector('.job-title').textContent,
+            company: card.querySelector('.company')?.textContent || ''
+        };
+
+        wizard.open(job);
+    });
+});
+
+window.JobPortal.ApplicationWizard = ApplicationWizard;
@@ -0,0 +1,258 @@
+// Calendar Export for JobPortal Website
+// iCalendar (RFC 5545) builder for .ics downloads and subscribable feeds:
+// event listings and tickets from events.html, interviews from the
+// applicant pipeline and live course sessions. Times are written in
+// Africa/Addis_Ababa with a matching VTIMEZONE and every entry carries
+// reminders. A booking keeps its UID for life; updates raise SEQUENCE and
+// cancellations go out as STATUS:CANCELLED so calendar apps change or
+// remove the entry they already have.
+// Load after main.js. scripts/export-structured-data.js also uses it for
+// the static feeds.
+
+const CalendarExport = {
+    prodId: '-//ZewedJobs//JobPortal Calendar//EN',
+    domain: 'zewedjobs.com',
+    timezone: 'Africa/Addis_Ababa',
+    timezoneNames: { 'Africa/Addis_Ababa': 'EAT' },
+
+    // Minutes before the start: the day before and an hour before
+    reminders: [1440, 60],
+
+    // How often calendar apps should re-fetch a subscribed feed
+    refreshInterval: 'PT12H',
+
+    // ====== TEXT ======
+    escapeText: function(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    // Content lines are folded at 75 octets without splitting a UTF-8 character
+    fold: function(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            const limit = parts.length ? 74 : 75;
+
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    uid: function(kind, id) {
+        return `${kind}-${String(id).toLowerCase().replace(/[^a-z0-9]+/g, '-')}@${this.domain}`;
+    },
+
+    // ====== DATES ======
+    // 20240315T060000Z
+    formatUtc: function(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    getParts: function(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(date));
+
+        return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, part.value]));
+    },
+
+    // Wall-clock time in timezone: 20240315T090000
+    formatLocal: function(date, timezone) {
+        const p = this.getParts(date, timezone);
+        return `${p.year}${p.month}${p.day}T${p.hour}${p.minute}${p.second}`;
+    },
+
+    // Minutes east of UTC for timezone at that moment
+    getOffset: function(date, timezone) {
+        const p = this.getParts(date, timezone);
+        const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return Math.round((wall - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+    },
+
+    formatOffset: function(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+    },
+
+    // 1440 → P1D, 90 → PT1H30M
+    formatDuration: function(minutes) {
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const rest = minutes % 60;
+        const time = `${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+
+        return days || time ? `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}` : 'PT0M';
+    },
+
+    // Every moment an entry covers, including its last weekly repeat
+    getDates: function(entry) {
+        const dates = [new Date(entry.start)];
+        if (entry.end) dates.push(new Date(entry.end));
+        if (entry.weeks > 1) dates.push(new Date(new Date(entry.start).getTime() + (entry.weeks - 1) * 7 * 86400000));
+        return dates;
+    },
+
+    // The single UTC offset timezone has across dates, or null when it
+    // changes (daylight saving). Entries are then written in UTC, which
+    // stays correct without a full set of transition rules.
+    getFixedOffset: function(timezone, dates) {
+        const offsets = new Set(dates.map(date => this.getOffset(date, timezone)));
+        return offsets.size === 1 ? [...offsets][0] : null;
+    },
+
+    // ====== COMPONENTS ======
+    vtimezone: function(timezone, offset) {
+        const name = this.timezoneNames[timezone];
+
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${timezone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${this.formatOffset(offset)}`,
+            `TZOFFSETTO:${this.formatOffset(offset)}`,
+            ...(name ? [`TZNAME:${name}`] : []),
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    },
+
+    // entry: { uid, start, end, summary, description, location, url,
+    // categories, status ('confirmed' | 'tentative' | 'cancelled'), sequence,
+    // updated, weeks (weekly repeats), reminders (minutes before start) }
+    vevent: function(entry, options = {}) {
+        const timezone = options.timezone;
+        const time = (name, date) => timezone
+            ? `${name};TZID=${timezone}:${this.formatLocal(date, timezone)}`
+            : `${name}:${this.formatUtc(date)}`;
+        const status = (entry.status || 'confirmed').toUpperCase();
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${entry.uid}`,
+            `DTSTAMP:${this.formatUtc(options.now || new Date())}`,
+            time('DTSTART', entry.start),
+            entry.end ? time('DTEND', entry.end) : 'DURATION:PT1H',
+            `SEQUENCE:${entry.sequence || 0}`,
+            `STATUS:${status}`,
+            `SUMMARY:${this.escapeText(entry.summary)}`
+        ];
+
+        if (entry.weeks > 1) lines.push(`RRULE:FREQ=WEEKLY;COUNT=${entry.weeks}`);
+        if (entry.description) lines.push(`DESCRIPTION:${this.escapeText(entry.description)}`);
+        if (entry.location) lines.push(`LOCATION:${this.escapeText(entry.location)}`);
+        if (entry.url) lines.push(`URL:${entry.url}`);
+        if (entry.categories?.length) lines.push(`CATEGORIES:${entry.categories.map(category => this.escapeText(category)).join(',')}`);
+        if (entry.updated) lines.push(`LAST-MODIFIED:${this.formatUtc(entry.updated)}`);
+
+        // Nothing to remind anyone of once it is cancelled
+        if (status !== 'CANCELLED') {
+            (entry.reminders || this.reminders).forEach(minutes => {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(entry.summary)}`,
+                    `TRIGGER:-${this.formatDuration(minutes)}`,
+                    'END:VALARM'
+                );
+            });
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    },
+
+    // options: { name, description, timezone, now, feed }. Feeds carry
+    // refresh hints for calendar apps that subscribe to them.
+    calendar: function(entries, options = {}) {
+        const timezone = options.timezone || this.timezone;
+        const offset = entries.length ? this.getFixedOffset(timezone, entries.flatMap(entry => this.getDates(entry))) : null;
+        const zone = offset === null ? null : timezone;
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.prodId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        if (options.name) lines.push(`X-WR-CALNAME:${this.escapeText(options.name)}`);
+        if (options.description) lines.push(`X-WR-CALDESC:${this.escapeText(options.description)}`);
+        if (zone) lines.push(`X-WR-TIMEZONE:${zone}`);
+        if (options.feed) {
+            lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${this.refreshInterval}`, `X-PUBLISHED-TTL:${this.refreshInterval}`);
+        }
+
+        if (zone) lines.push(...this.vtimezone(zone, offset));
+        entries.forEach(entry => lines.push(...this.vevent(entry, { timezone: zone, now: options.now })));
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+    },
+
+    // ====== ENTRIES ======
+    // An event as read by StructuredData.readEvents or from the
+    // EventTickets catalog
+    eventListing: function(event, options = {}) {
+        return {
+            uid: this.uid('event', event.id),
+            start: event.start,
+            end: event.end,
+            summary: event.title,
+            description: event.description || '',
+            location: event.location,
+            url: options.baseUrl ? new URL(event.url || 'events.html', options.baseUrl).href : '',
+            categories: event.type ? [event.type] : []
+        };
+    },
+
+    // ====== OUTPUT ======
+    filename: function(text) {
+        return `${String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'calendar'}.ics`;
+    },
+
+    download: function(filename, ics) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    // webcal:// makes calendar apps subscribe instead of importing once
+    subscribeUrl: function(href, baseUrl) {
+        return new URL(href, baseUrl).href.replace(/^https?:/, 'webcal:');
+    }
+};
+
+// ====== PAGE BINDING ======
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        document.querySelectorAll('a.calendar-subscribe').forEach(link => {
+            link.href = CalendarExport.subscribeUrl(link.getAttribute('href'), window.location.href);
+        });
+    });
+}
+
+window.JobPortal = window.JobPortal || {};
+window.JobPortal.CalendarExport = CalendarExport;
@@ -0,0 +1,557 @@
+// Company Profiles for JobPortal Website
+// Data-driven company profiles: about, benefits and culture, the company's
+// open jobs (mock listings and live employer postings, refreshed as they
+// change) and employee reviews with star ratings, pros and cons. Reviews
+// are moderated before they count: new ones wait as pending, readers can
+// report approved ones (flagged) and only approved reviews are shown and
+// rated. Renders the "Companies Trust JobPortal" grid on employers.html,
+// the profile on company.html?id=<company> and the moderation queue on
+// review-moderation.html. Load after main.js.
+
+class CompanyProfiles {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'companyReviews';
+        this.refreshInterval = options.refreshInterval || 5 * 60 * 1000;
+        this.jobs = null;
+        this.listeners = {};
+
+        // aliases are other names the company posts jobs under
+        this.companies = {
+            techcorp: {
+                name: 'TechCorp', initials: 'TC', aliases: ['TechCorp Solutions'],
+                industry: 'Technology', size: '500+ employees', founded: 2009,
+                location: 'San Francisco, CA · Addis Ababa', website: 'https://techcorp.example.com',
+                quote: 'Reduced our time-to-hire by 60% and found exceptional talent for our engineering teams.',
+                about: 'TechCorp Solutions builds cloud software for retailers and logistics companies across North America and East Africa. Product teams in San Francisco and Addis Ababa ship the web and mobile apps used by more than two million shoppers every month.',
+                benefits: ['Remote-first with a home office budget', 'Health, dental and vision cover', 'Stock options for every employee', '$2,000 yearly learning budget', '20 days paid leave plus public holidays'],
+                culture: ['Small product teams that own what they build', 'Written proposals before big decisions', 'Blameless post-mortems', 'Quarterly hack weeks']
+            },
+            dataworks: {
+                name: 'DataWorks', initials: 'DW', aliases: ['DataWorks Inc.'],
+                industry: 'Data Analytics', size: '200+ employees', founded: 2014,
+                location: 'New York, NY', website: 'https://dataworks.example.com',
+                quote: 'The quality of candidates we found through JobPortal exceeded our expectations.',
+                about: 'DataWorks Inc. helps banks, insurers and public agencies make sense of their data, from warehouse design to machine learning models in production.',
+                benefits: ['Hybrid work, three office days a week', 'Health cover for you and your family', 'Conference and certification budget', 'Parental leave of 16 weeks', 'Annual performance bonus'],
+                culture: ['Pairing between analysts and engineers', 'Open research reviews every Friday', 'Mentoring for every new hire']
+            },
+            creativestudio: {
+                name: 'CreativeStudio', initials: 'CS', aliases: [],
+                industry: 'Design', size: '150+ employees', founded: 2012,
+                location: 'Remote · Addis Ababa', website: 'https://creativestudio.example.com',
+                quote: 'Best recruitment platform for creative professionals. Highly recommended!',
+                about: 'CreativeStudio is a design agency working on brand identities, product design and campaigns for startups and NGOs in Africa and Europe.',
+                benefits: ['Fully remote with studio space in Addis Ababa', 'Flexible hours', 'New laptop and design tools', 'Paid creative sabbatical after four years'],
+                culture: ['Critique sessions that stay kind', 'Time set aside for personal projects', 'Clients chosen for impact, not only budget']
+            }
+        };
+
+        // pending: waiting for a moderator · approved: shown and rated ·
+        // flagged: reported by a reader, hidden until reviewed again ·
+        // rejected: never shown
+        this.transitions = {
+            pending: ['approved', 'rejected'],
+            approved: ['flagged', 'rejected'],
+            flagged: ['approved', 'rejected'],
+            rejected: []
+        };
+
+        this.load();
+    }
+
+    // ====== PERSISTENCE ======
+    load() {
+        this.reviews = window.JobPortal.Storage.get(this.storageKey) || this.getSeedReviews();
+        return this;
+    }
+
+    save() {
+        window.JobPortal.Storage.set(this.storageKey, this.reviews);
+        this.emit('change');
+    }
+
+    getSeedReviews() {
+        const review = (companyId, rating, title, pros, cons, role, employment, createdAt) => ({
+            id: `rev_${companyId}_${createdAt.replace(/\D/g, '')}`,
+            companyId, rating, title, pros, cons, role, employment,
+            status: 'approved',
+            createdAt: `${createdAt}T09:00:00.000Z`,
+            moderatedAt: `${createdAt}T12:00:00.000Z`
+        });
+
+        return [
+            review('techcorp', 5, 'Great engineering culture', 'Strong engineers, real ownership of features and a generous learning budget.', 'Release weeks can be hectic.', 'Frontend Developer', 'current', '2024-01-18'),
+            review('techcorp', 4, 'Good place to grow', 'Mentoring is taken seriously and promotions are transparent.', 'Meetings across time zones mean some late calls.', 'QA Engineer', 'current', '2024-02-02'),
+            review('techcorp', 4, 'Solid remote setup', 'Remote-first for real, with a good home office budget.', 'Salary bands lag behind the market for senior roles.', 'Backend Engineer', 'former', '2023-11-27'),
+            review('dataworks', 4, 'Interesting data problems', 'Varied client projects and a team that shares what it learns.', 'Some clients have very tight deadlines.', 'Data Analyst', 'current', '2024-01-09'),
+            review('dataworks', 3, 'Good team, slow processes', 'Friendly colleagues and good benefits for families.', 'Approvals for new tools take weeks.', 'Data Engineer', 'former', '2023-12-14'),
+            review('creativestudio', 5, 'Creative freedom', 'Meaningful clients and time for personal projects.', 'Small team, so you wear many hats.', 'UI Designer', 'current', '2024-02-11'),
+            review('creativestudio', 4, 'Kind critiques, high standards', 'You get honest feedback and your work improves quickly.', 'Pay is modest compared to product companies.', 'Graphic Designer', 'current', '2024-01-25')
+        ];
+    }
+
+    // ====== COMPANIES ======
+    getCompany(companyId) {
+        const company = this.companies[companyId];
+        if (!company) throw new Error('Company not found');
+        return company;
+    }
+
+    getProfileUrl(companyId) {
+        return `company.html?id=${encodeURIComponent(companyId)}`;
+    }
+
+    // "DataWorks Inc." and "dataworks" are the same company
+    normalizeName(name) {
+        return String(name || '').toLowerCase()
+            .replace(/\b(inc|llc|ltd|plc|co|corp)\b\.?/g, '')
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    // The profile a job's company name belongs to, or null
+    findCompanyId(name) {
+        const normalized = this.normalizeName(name);
+        if (!normalized) return null;
+
+        return Object.keys(this.companies).find(companyId => {
+            const company = this.companies[companyId];
+            return [company.name, ...company.aliases].some(alias => this.normalizeName(alias) === normalized);
+        }) || null;
+    }
+
+    // ====== OPEN JOBS ======
+    // Live employer postings come and go, so this is called again when they change
+    async loadJobs() {
+        const response = await window.JobPortal.Api.getJobs();
+        this.jobs = response.data;
+        this.emit('jobs', this.jobs);
+        return this.jobs;
+    }
+
+    getOpenJobs(companyId) {
+        return (this.jobs || [])
+            .filter(job => this.findCompanyId(job.company) === companyId)
+            .sort((a, b) => new Date(b.postedAt || 0) - new Date(a.postedAt || 0));
+    }
+
+    // Reloads jobs when postings change here or in another tab, and
+    // periodically for scheduled postings going live or expiring
+    watchJobs() {
+        window.addEventListener('storage', e => {
+            if (e.key === 'jobPostings') this.loadJobs();
+            if (e.key === this.storageKey) {
+                this.load();
+                this.emit('change');
+            }
+        });
+
+        window.JobPortal.postings?.on('change', () => this.loadJobs());
+        this.timer = setInterval(() => this.loadJobs(), this.refreshInterval);
+
+        return this.loadJobs();
+    }
+
+    // ====== REVIEWS ======
+    getReviews(companyId, status = 'approved') {
+        return this.reviews
+            .filter(review => review.companyId === companyId && (!status || review.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    getReview(reviewId) {
+        const review = this.reviews.find(item => item.id === reviewId);
+        if (!review) throw new Error('Review not found');
+        return review;
+    }
+
+    // Average, count and per-star distribution of approved reviews
+    getRating(companyId) {
+        const reviews = this.getReviews(companyId);
+        const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        reviews.forEach(review => distribution[review.rating]++);
+
+        const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+        return {
+            average: reviews.length ? Math.round(total / reviews.length * 10) / 10 : 0,
+            count: reviews.length,
+            distribution
+        };
+    }
+
+    validateReview(review) {
+        const rating = Number(review.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) throw new Error('Please choose a rating from 1 to 5 stars');
+        if (!review.title?.trim()) throw new Error('Please give your review a title');
+        if ((review.pros?.trim() || '').length < 10) throw new Error('Please describe the pros in at least 10 characters');
+        if ((review.cons?.trim() || '').length < 10) throw new Error('Please describe the cons in at least 10 characters');
+        if (!['current', 'former'].includes(review.employment)) throw new Error('Please say whether you work there now');
+    }
+
+    // review: { rating, title, pros, cons, role, employment ('current' | 'former') }
+    submitReview(companyId, review) {
+        this.getCompany(companyId);
+        this.validateReview(review);
+
+        const submitted = {
+            id: `rev_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+            companyId,
+            rating: Number(review.rating),
+            title: review.title.trim().slice(0, 100),
+            pros: review.pros.trim().slice(0, 1000),
+            cons: review.cons.trim().slice(0, 1000),
+            role: (review.role || '').trim().slice(0, 80),
+            employment: review.employment,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+
+        this.reviews.push(submitted);
+        this.save();
+        return submitted;
+    }
+
+    moderate(reviewId, status, note = '') {
+        const review = this.getReview(reviewId);
+        if (!this.transitions[review.status].includes(status)) {
+            throw new Error(`A ${review.status} review cannot be ${status}`);
+        }
+
+        review.status = status;
+        review.moderatedAt = new Date().toISOString();
+        if (note) review.note = note.trim();
+
+        this.save();
+        return review;
+    }
+
+    approve(reviewId) {
+        return this.moderate(reviewId, 'approved');
+    }
+
+    reject(reviewId, note) {
+        return this.moderate(reviewId, 'rejected', note);
+    }
+
+    // Readers report approved reviews; they are hidden until a moderator looks again
+    report(reviewId, reason = 'Reported by a reader') {
+        return this.moderate(reviewId, 'flagged', reason);
+    }
+
+    getModerationQueue() {
+        return this.reviews
+            .filter(review => ['pending', 'flagged'].includes(review.status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // ====== RENDERING ======
+    renderStars(rating) {
+        const full = Math.round(rating);
+        return `<span class="review-stars" aria-label="${rating} out of 5 stars">${'★'.repeat(full)}${'☆'.repeat(5 - full)}</span>`;
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    renderRatingSummary(companyId) {
+        const rating = this.getRating(companyId);
+        return rating.count
+            ? `${this.renderStars(rating.average)} <strong>${rating.average.toFixed(1)}</strong> (${rating.count} review${rating.count === 1 ? '' : 's'})`
+            : 'No reviews yet';
+    }
+
+    // "Companies Trust JobPortal" cards on employers.html
+    renderGrid(container) {
+        const escape = window.JobPortal.escapeHtml;
+
+        container.innerHTML = Object.keys(this.companies).map(companyId => {
+            const company = this.companies[companyId];
+            const openJobs = this.getOpenJobs(companyId).length;
+
+            return `
+                <a class="company-card" href="${this.getProfileUrl(companyId)}" data-company-id="${companyId}">
+                    <div class="company-logo">${escape(company.initials)}</div>
+                    <h3 class="company-name">${escape(company.name)}</h3>
+                    <p class="company-industry">${escape(company.industry)} • ${escape(company.size)}</p>
+                    <p class="company-rating">${this.renderRatingSummary(companyId)}</p>
+                    <p>"${escape(company.quote)}"</p>
+                    <div class="open-positions">${this.jobs ? `${openJobs} Open Position${openJobs === 1 ? '' : 's'}` : 'View Profile'}</div>
+                </a>
+            `;
+        }).join('');
+    }
+
+    renderProfile(container, companyId) {
+        const escape = window.JobPortal.escapeHtml;
+        const company = this.getCompany(companyId);
+
+        container.innerHTML = `
+            <div class="profile-header">
+                <div class="company-logo">${escape(company.initials)}</div>
+                <div>
+                    <h1>${escape(company.name)}</h1>
+                    <p class="profile-meta">${escape(company.industry)} · ${escape(company.size)} · Founded ${company.founded} · ${escape(company.location)}</p>
+                    <p class="profile-rating">${this.renderRatingSummary(companyId)}</p>
+                    <a class="profile-website" href="${escape(company.website)}" target="_blank" rel="noopener">${escape(company.website.replace(/^https?:\/\//, ''))}</a>
+                </div>
+            </div>
+
+            <div class="profile-grid">
+                <div class="profile-main">
+                    <section class="profile-card">
+                        <h2>About</h2>
+                        <p>${escape(company.about)}</p>
+                    </section>
+                    <section class="profile-card">
+                        <h2>Open Positions</h2>
+                        <div class="company-jobs" aria-live="polite"></div>
+                    </section>
+                    <section class="profile-card" id="reviews">
+                        <h2>Employee Reviews</h2>
+                        <div class="company-reviews"></div>
+                    </section>
+                </div>
+                <aside class="profile-side">
+                    <section class="profile-card">
+                        <h2>Benefits</h2>
+                        <ul>${company.benefits.map(benefit => `<li>${escape(benefit)}</li>`).join('')}</ul>
+                    </section>
+                    <section class="profile-card">
+                        <h2>Culture</h2>
+                        <ul>${company.culture.map(value => `<li>${escape(value)}</li>`).join('')}</ul>
+                    </section>
+                    <section class="profile-card">
+                        <h2>Write a Review</h2>
+                        ${this.renderReviewForm()}
+                    </section>
+                </aside>
+            </div>
+        `;
+
+        this.renderJobs(container.querySelector('.company-jobs'), companyId);
+        this.renderReviews(container.querySelector('.company-reviews'), companyId);
+    }
+
+    renderJobs(container, companyId) {
+        const escape = window.JobPortal.escapeHtml;
+        const jobs = this.getOpenJobs(companyId);
+
+        if (!this.jobs) {
+            container.innerHTML = '<p class="profile-empty">Loading open positions…</p>';
+            return;
+        }
+
+        container.innerHTML = jobs.length ? jobs.map(job => `
+            <a class="company-job" href="jobs.html?q=${encodeURIComponent(job.title)}">
+                <strong>${escape(job.title)}</strong>
+                <span>${escape(job.location || '')}${job.type ? ` · ${escape(job.type)}` : ''}${job.salary ? ` · ${escape(job.salary)}` : ''}</span>
+            </a>
+        `).join('') : '<p class="profile-empty">No open positions right now. Check back soon.</p>';
+    }
+
+    renderReviews(container, companyId) {
+        const escape = window.JobPortal.escapeHtml;
+        const rating = this.getRating(companyId);
+        const reviews = this.getReviews(companyId);
+
+        const distribution = [5, 4, 3, 2, 1].map(stars => {
+            const share = rating.count ? Math.round(rating.distribution[stars] / rating.count * 100) : 0;
+            return `
+                <div class="rating-row">
+                    <span>${stars} ★</span>
+                    <div class="rating-bar"><div style="width: ${share}%"></div></div>
+                    <span>${rating.distribution[stars]}</span>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="rating-breakdown">${distribution}</div>
+            ${reviews.length ? reviews.map(review => `
+                <article class="review" data-review-id="${review.id}">
+                    <div class="review-header">
+                        ${this.renderStars(review.rating)}
+                        <strong>${escape(review.title)}</strong>
+                    </div>
+                    <p class="review-meta">${review.employment === 'current' ? 'Current' : 'Former'} employee${review.role ? ` · ${escape(review.role)}` : ''} · ${escape(this.formatDate(review.createdAt))}</p>
+                    <p><strong>Pros:</strong> ${escape(review.pros)}</p>
+                    <p><strong>Cons:</strong> ${escape(review.cons)}</p>
+                    <button type="button" class="review-report">Report</button>
+                </article>
+            `).join('') : '<p class="profile-empty">Be the first to review this company.</p>'}
+        `;
+    }
+
+    renderReviewForm() {
+        return `
+            <form class="review-form" data-managed>
+                <fieldset class="review-rating-input">
+                    <legend>Overall rating</legend>
+                    ${[5, 4, 3, 2, 1].map(stars => `
+                        <label><input type="radio" name="rating" value="${stars}"${stars === 5 ? ' required' : ''}> ${'★'.repeat(stars)}</label>
+                    `).join('')}
+                </fieldset>
+                <input type="text" name="title" placeholder="Review title" maxlength="100" required>
+                <textarea name="pros" rows="3" placeholder="Pros" maxlength="1000" required></textarea>
+                <textarea name="cons" rows="3" placeholder="Cons" maxlength="1000" required></textarea>
+                <input type="text" name="role" placeholder="Your job title (optional)" maxlength="80">
+                <select name="employment" required>
+                    <option value="current">Current employee</option>
+                    <option value="former">Former employee</option>
+                </select>
+                <button type="submit" class="verify-btn">Submit Review</button>
+                <p class="review-form-note">Reviews are anonymous and appear once a moderator has checked them.</p>
+            </form>
+        `;
+    }
+
+    renderModerationQueue(container) {
+        const escape = window.JobPortal.escapeHtml;
+        const queue = this.getModerationQueue();
+
+        container.innerHTML = queue.length ? queue.map(review => `
+            <article class="review moderation-item ${review.status}" data-review-id="${review.id}">
+                <div class="review-header">
+                    <span class="moderation-status">${review.status === 'flagged' ? 'Reported' : 'New'}</span>
+                    ${this.renderStars(review.rating)}
+                    <strong>${escape(review.title)}</strong>
+                </div>
+                <p class="review-meta">${escape(this.getCompany(review.companyId).name)} · ${review.employment === 'current' ? 'Current' : 'Former'} employee${review.role ? ` · ${escape(review.role)}` : ''} · ${escape(this.formatDate(review.createdAt))}${review.note ? ` · ${escape(review.note)}` : ''}</p>
+                <p><strong>Pros:</strong> ${escape(review.pros)}</p>
+                <p><strong>Cons:</strong> ${escape(review.cons)}</p>
+                <div class="moderation-actions">
+                    <input type="text" class="moderation-note" placeholder="Reason for rejecting (optional)">
+                    <button type="button" class="verify-btn moderation-approve">Approve</button>
+                    <button type="button" class="verify-btn moderation-reject">Reject</button>
+                </div>
+            </article>
+        `).join('') : '<p class="profile-empty">No reviews waiting for moderation.</p>';
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const grid = document.querySelector('.companies-grid');
+    const profile = document.querySelector('.company-profile');
+    const queue = document.querySelector('.moderation-queue');
+    if (!grid && !profile && !queue) return;
+
+    const escape = window.JobPortal.escapeHtml;
+    const notify = (message, type = 'success') => {
+        if (typeof Notifications !== 'undefined') Notifications[type](message);
+    };
+    const run = action => {
+        try {
+            action();
+        } catch (error) {
+            console.error(error);
+            notify(error.message, 'error');
+        }
+    };
+
+    const companies = new CompanyProfiles();
+    window.JobPortal.companies = companies;
+
+    // Moderation queue (review-moderation.html)
+    if (queue) {
+        companies.renderModerationQueue(queue);
+        companies.on('change', () => companies.renderModerationQueue(queue));
+
+        window.addEventListener('storage', e => {
+            if (e.key === companies.storageKey) companies.load().renderModerationQueue(queue);
+        });
+
+        queue.addEventListener('click', e => {
+            const item = e.target.closest('.moderation-item');
+            if (!item) return;
+
+            if (e.target.closest('.moderation-approve')) {
+                run(() => {
+                    companies.approve(item.dataset.reviewId);
+                    notify('Review approved and published');
+                });
+            } else if (e.target.closest('.moderation-reject')) {
+                run(() => {
+                    companies.reject(item.dataset.reviewId, item.querySelector('.moderation-note').value);
+                    notify('Review rejected');
+                });
+            }
+        });
+        return;
+    }
+
+    // "Companies Trust JobPortal" grid (employers.html)
+    if (grid) {
+        companies.renderGrid(grid);
+        companies.on('jobs', () => companies.renderGrid(grid));
+        companies.on('change', () => companies.renderGrid(grid));
+        companies.watchJobs();
+        return;
+    }
+
+    // Company profile (company.html?id=<company>)
+    const companyId = new URLSearchParams(window.location.search).get('id');
+    if (!companies.companies[companyId]) {
+        profile.innerHTML = `
+            <div class="profile-card">
+                <h1>Company not found</h1>
+                <p>We couldn't find that company. Browse the companies hiring on <a href="employers.html">JobPortal for Employers</a>.</p>
+            </div>
+        `;
+        return;
+    }
+
+    document.title = `JobPortal - ${companies.companies[companyId].name}`;
+    companies.renderProfile(profile, companyId);
+
+    const refreshReviews = () => {
+        companies.renderReviews(profile.querySelector('.company-reviews'), companyId);
+        profile.querySelector('.profile-rating').innerHTML = companies.renderRatingSummary(companyId);
+    };
+    companies.on('jobs', () => companies.renderJobs(profile.querySelector('.company-jobs'), companyId));
+    companies.on('change', refreshReviews);
+    companies.watchJobs();
+
+    profile.addEventListener('submit', e => {
+        if (!e.target.matches('.review-form')) return;
+        e.preventDefault();
+
+        const form = e.target;
+        run(() => {
+            companies.submitReview(companyId, {
+                rating: form.elements.rating.value,
+                title: form.elements.title.value,
+                pros: form.elements.pros.value,
+                cons: form.elements.cons.value,
+                role: form.elements.role.value,
+                employment: form.elements.employment.value
+            });
+            form.reset();
+            notify(`Thanks! Your review of ${escape(companies.companies[companyId].name)} will appear once a moderator has checked it.`);
+        });
+    });
+
+    profile.addEventListener('click', e => {
+        const button = e.target.closest('.review-report');
+        if (!button || !confirm('Report this review to the moderators?')) return;
+
+        run(() => {
+            companies.report(button.closest('.review').dataset.reviewId);
+            notify('Thanks – the review is hidden until a moderator has looked at it.');
+        });
+    });
+});
+
+window.JobPortal.CompanyProfiles = CompanyProfiles;
@@ -0,0 +1,892 @@
+// Course Learning for JobPortal Website
+// Learner side of courses.html: enrollment in courses and career learning
+// paths (free, or paid through PaymentManager.processPayment), modules and
+// lessons with per-lesson completion tracked per learner, path progress
+// across its courses, and a downloadable certificate with a verification
+// code once a course is finished. Certificates are checked on
+// certificate-verify.html. Featured courses also run weekly live sessions
+// that can be added to a calendar. Load after main.js, seeker-profile.js
+// and calendar-export.js.
+
+class CourseLearning {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'learning';
+        this.panel = options.panel || null;
+        this.openCourseId = null;
+        this.listeners = {};
+
+        // Mirrors the course and path cards on courses.html. Path courses
+        // can also be taken on their own. sessions are weekly live classes
+        // in East Africa Time.
+        this.courses = {
+            'full-stack-web-development': {
+                title: 'Full-Stack Web Development', price: 49.99, currency: 'USD', hours: 45,
+                sessions: { start: '2024-04-02T18:00:00+03:00', minutes: 90, weeks: 10 },
+                modules: [
+                    { title: 'Frontend Foundations', lessons: ['HTML & CSS Layouts', 'Modern JavaScript', 'React Components'] },
+                    { title: 'Backend & Deployment', lessons: ['Node.js & Express APIs', 'MongoDB Data Modelling', 'Deploying Your App'] }
+                ]
+            },
+            'data-science-machine-learning': {
+                title: 'Data Science & Machine Learning', price: 59.99, currency: 'USD', hours: 60,
+                sessions: { start: '2024-04-03T18:00:00+03:00', minutes: 90, weeks: 12 },
+                modules: [
+                    { title: 'Data Wrangling', lessons: ['Python for Data Work', 'Pandas & NumPy', 'Exploratory Analysis'] },
+                    { title: 'Machine Learning', lessons: ['Supervised Learning with Scikit-learn', 'Model Evaluation', 'Neural Networks with TensorFlow'] }
+                ]
+            },
+            'ux-ui-design-masterclass': {
+                title: 'UX/UI Design Masterclass', price: 44.99, currency: 'USD', hours: 40,
+                sessions: { start: '2024-04-04T18:00:00+03:00', minutes: 90, weeks: 8 },
+                modules: [
+                    { title: 'Research & Structure', lessons: ['Design Thinking', 'User Research', 'Information Architecture'] },
+                    { title: 'Interface Design', lessons: ['Wireframes in Figma', 'Visual Design Systems', 'Prototyping & Testing'] }
+                ]
+            },
+            'aws-solutions-architect': {
+                title: 'AWS Certified Solutions Architect', price: 54.99, currency: 'USD', hours: 35,
+                sessions: { start: '2024-04-06T10:00:00+03:00', minutes: 120, weeks: 6 },
+                modules: [
+                    { title: 'Core Services', lessons: ['IAM & Security', 'EC2 & Networking', 'S3 & Storage Classes'] },
+                    { title: 'Architecture', lessons: ['High Availability Design', 'Cost Optimization', 'Exam Preparation'] }
+                ]
+            },
+            'react-native-mobile': {
+                title: 'Mobile App Development with React Native', price: 49.99, currency: 'USD', hours: 50,
+                sessions: { start: '2024-04-01T18:00:00+03:00', minutes: 90, weeks: 10 },
+                modules: [
+                    { title: 'Getting Started', lessons: ['Expo & Tooling', 'Core Components', 'Navigation'] },
+                    { title: 'Shipping an App', lessons: ['State & Data Fetching', 'Native Device Features', 'Publishing to the Stores'] }
+                ]
+            },
+            'digital-marketing-fundamentals': {
+                title: 'Digital Marketing Fundamentals', price: 0, currency: 'USD', hours: 30,
+                sessions: { start: '2024-04-13T14:00:00+03:00', minutes: 60, weeks: 6 },
+                modules: [
+                    { title: 'Channels', lessons: ['Marketing Strategy Basics', 'SEO Essentials', 'Social Media Marketing'] },
+                    { title: 'Measurement', lessons: ['Email Campaigns', 'Google Analytics', 'Campaign Reporting'] }
+                ]
+            },
+            'html-css-fundamentals': {
+                title: 'HTML & CSS Fundamentals', price: 19.99, currency: 'USD', hours: 12,
+                modules: [
+                    { title: 'Markup & Styling', lessons: ['Semantic HTML', 'The Box Model', 'Flexbox & Grid', 'Responsive Design'] }
+                ]
+            },
+            'javascript-mastery': {
+                title: 'JavaScript Mastery', price: 19.99, currency: 'USD', hours: 18,
+                modules: [
+                    { title: 'The Language', lessons: ['Types & Scope', 'Functions & Closures', 'Async JavaScript', 'Working with the DOM'] }
+                ]
+            },
+            'react-development': {
+                title: 'React.js Development', price: 19.99, currency: 'USD', hours: 16,
+                modules: [
+                    { title: 'React in Practice', lessons: ['Components & Props', 'State & Hooks', 'Routing', 'Testing Components'] }
+                ]
+            },
+            'frontend-architecture': {
+                title: 'Advanced Frontend Architecture', price: 19.99, currency: 'USD', hours: 14,
+                modules: [
+                    { title: 'Scaling the Frontend', lessons: ['State Management Patterns', 'Performance Budgets', 'Design Systems', 'Micro-frontends'] }
+                ]
+            },
+            'excel-data-analysis': {
+                title: 'Excel for Data Analysis', price: 19.99, currency: 'USD', hours: 10,
+                modules: [
+                    { title: 'Spreadsheet Analysis', lessons: ['Formulas & Lookups', 'Pivot Tables', 'Charts', 'Power Query'] }
+                ]
+            },
+            'sql-fundamentals': {
+                title: 'SQL Fundamentals', price: 19.99, currency: 'USD', hours: 12,
+                modules: [
+                    { title: 'Querying Data', lessons: ['SELECT & Filtering', 'Joins', 'Aggregation', 'Window Functions'] }
+                ]
+            },
+            'python-data-science': {
+                title: 'Python for Data Science', price: 19.99, currency: 'USD', hours: 16,
+                modules: [
+                    { title: 'Python Analysis', lessons: ['Python Basics', 'Pandas DataFrames', 'Cleaning Data', 'Statistics with SciPy'] }
+                ]
+            },
+            'data-visualization': {
+                title: 'Data Visualization', price: 19.99, currency: 'USD', hours: 10,
+                modules: [
+                    { title: 'Telling Stories with Data', lessons: ['Choosing a Chart', 'Matplotlib & Seaborn', 'Dashboards', 'Presenting Insights'] }
+                ]
+            },
+            'product-strategy': {
+                title: 'Product Strategy', price: 19.99, currency: 'USD', hours: 8,
+                modules: [
+                    { title: 'Strategy', lessons: ['Vision & Goals', 'Market Analysis', 'Roadmapping', 'Prioritization'] }
+                ]
+            },
+            'user-research-methods': {
+                title: 'User Research Methods', price: 19.99, currency: 'USD', hours: 8,
+                modules: [
+                    { title: 'Research', lessons: ['Interviews', 'Surveys', 'Usability Testing', 'Synthesis'] }
+                ]
+            },
+            'agile-scrum': {
+                title: 'Agile & Scrum', price: 19.99, currency: 'USD', hours: 6,
+                modules: [
+                    { title: 'Delivery', lessons: ['Agile Principles', 'Scrum Roles & Events', 'Backlog Management', 'Kanban'] }
+                ]
+            },
+            'product-analytics': {
+                title: 'Product Analytics', price: 19.99, currency: 'USD', hours: 8,
+                modules: [
+                    { title: 'Measuring Products', lessons: ['Metrics that Matter', 'Funnels & Cohorts', 'A/B Testing', 'Analytics Tools'] }
+                ]
+            }
+        };
+
+        // Enrolling in a path enrolls in all of its courses
+        this.paths = {
+            'frontend-developer': {
+                title: 'Frontend Developer Path', price: 59.99, currency: 'USD',
+                courses: ['html-css-fundamentals', 'javascript-mastery', 'react-development', 'frontend-architecture']
+            },
+            'data-analyst': {
+                title: 'Data Analyst Path', price: 59.99, currency: 'USD',
+                courses: ['excel-data-analysis', 'sql-fundamentals', 'python-data-science', 'data-visualization']
+            },
+            'product-manager': {
+                title: 'Product Manager Path', price: 49.99, currency: 'USD',
+                courses: ['product-strategy', 'user-research-methods', 'agile-scrum', 'product-analytics']
+            }
+        };
+
+        // Crockford base32: no I, L, O or U to misread
+        this.codeAlphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+        this.load();
+    }
+
+    // ====== PERSISTENCE ======
+    load() {
+        const state = window.JobPortal.Storage.get(this.storageKey) || {};
+        this.learners = state.learners || {};
+        this.pending = state.pending || [];
+        return this;
+    }
+
+    save() {
+        window.JobPortal.Storage.set(this.storageKey, {
+            learners: this.learners,
+            pending: this.pending
+        });
+        this.emit('change');
+    }
+
+    // ====== LEARNER ======
+    // The seeker profile identifies the learner; progress is kept per email
+    getLearner() {
+        const profile = window.JobPortal.SeekerProfile.get();
+        const email = (profile.email || '').trim().toLowerCase();
+
+        return {
+            id: email || 'guest',
+            name: (profile.fullName || '').trim(),
+            email,
+            phone: profile.phone || ''
+        };
+    }
+
+    saveLearner(name, email) {
+        if (!name.trim()) throw new Error('Please enter your name as it should appear on certificates');
+        if (!window.JobPortal.Validation.patterns.email.test(email.trim())) throw new Error('Please enter a valid email address');
+
+        const previous = this.getLearner();
+        window.JobPortal.SeekerProfile.update({ fullName: name.trim(), email: email.trim() });
+
+        // Progress made before signing in moves to the learner's own record
+        const learner = this.getLearner();
+        if (previous.id === 'guest' && this.learners.guest && !this.learners[learner.id]) {
+            this.learners[learner.id] = this.learners.guest;
+            delete this.learners.guest;
+        }
+
+        this.save();
+        return learner;
+    }
+
+    getRecord(learnerId = this.getLearner().id) {
+        if (!this.learners[learnerId]) {
+            this.learners[learnerId] = { courses: {}, paths: {}, lessons: {}, certificates: {} };
+        }
+
+        return this.learners[learnerId];
+    }
+
+    // ====== CATALOG ======
+    getCourse(courseId) {
+        const course = this.courses[courseId];
+        if (!course) throw new Error(`Unknown course: ${courseId}`);
+        return { id: courseId, ...course };
+    }
+
+    getPath(pathId) {
+        const path = this.paths[pathId];
+        if (!path) throw new Error(`Unknown learning path: ${pathId}`);
+        return { id: pathId, ...path };
+    }
+
+    // Lesson ids are "module.lesson", e.g. "2.1"
+    getLessons(courseId) {
+        return this.getCourse(courseId).modules.flatMap((module, moduleIndex) =>
+            module.lessons.map((title, lessonIndex) => ({
+                id: `${moduleIndex + 1}.${lessonIndex + 1}`,
+                module: module.title,
+                title
+            })));
+    }
+
+    // ====== ENROLLMENT ======
+    isEnrolled(courseId) {
+        return Boolean(this.getRecord().courses[courseId]);
+    }
+
+    isPathEnrolled(pathId) {
+        return Boolean(this.getRecord().paths[pathId]);
+    }
+
+    getPendingPayment(type, id) {
+        const learnerId = this.getLearner().id;
+        return this.pending.find(item => item.learnerId === learnerId && item.type === type && item.id === id) || null;
+    }
+
+    // Free courses start right away; paid ones once the payment completes.
+    // Returns the payment initiation for paid courses, otherwise null.
+    async enroll(courseId) {
+        const course = this.getCourse(courseId);
+        if (this.isEnrolled(courseId)) return null;
+
+        if (!course.price) {
+            this.grant('course', courseId, { source: 'free' });
+            return null;
+        }
+
+        return this.requestPayment('course', course);
+    }
+
+    async enrollPath(pathId) {
+        const path = this.getPath(pathId);
+        if (this.isPathEnrolled(pathId)) return null;
+
+        if (!path.price) {
+            this.grant('path', pathId, { source: 'free' });
+            return null;
+        }
+
+        return this.requestPayment('path', path);
+    }
+
+    async requestPayment(type, item) {
+        const learner = this.getLearner();
+        if (!learner.email || !learner.name) throw new Error('Add your name and email in My Learning before enrolling');
+        if (!window.paymentManager) throw new Error('Payments are not available right now. Please try again later.');
+
+        const initiation = await window.paymentManager.processPayment(item.price, item.currency, {
+            name: learner.name,
+            email: learner.email,
+            phone: learner.phone
+        }, undefined, {
+            context: { product: type, itemId: item.id },
+            description: item.title
+        });
+
+        this.pending = this.pending.filter(entry => !(entry.learnerId === learner.id && entry.type === type && entry.id === item.id));
+        this.pending.push({
+            learnerId: learner.id,
+            type,
+            id: item.id,
+            paymentId: initiation.paymentId,
+            requestedAt: new Date().toISOString()
+        });
+        this.save();
+
+        return initiation;
+    }
+
+    // PaymentManager stores the completed payment as lastPayment before it
+    // redirects to the success page; match it to a pending enrollment
+    completePendingEnrollment(payment = window.JobPortal.Storage.get('lastPayment')) {
+        if (!payment || payment.status !== 'succeeded') return null;
+
+        const pending = this.pending.find(entry => entry.paymentId === payment.id);
+        if (!pending) return null;
+
+        this.pending = this.pending.filter(entry => entry !== pending);
+        this.grant(pending.type, pending.id, { source: 'payment', paymentId: payment.id }, pending.learnerId);
+
+        return pending.type === 'path' ? this.getPath(pending.id) : this.getCourse(pending.id);
+    }
+
+    grant(type, id, details, learnerId) {
+        const record = this.getRecord(learnerId);
+        const enrollment = { ...details, enrolledAt: new Date().toISOString() };
+
+        if (type === 'path') {
+            record.paths[id] = enrollment;
+            this.getPath(id).courses.forEach(courseId => {
+                if (!record.courses[courseId]) record.courses[courseId] = { ...enrollment, source: 'path', pathId: id };
+            });
+        } else {
+            record.courses[id] = enrollment;
+        }
+
+        this.save();
+    }
+
+    // ====== PROGRESS ======
+    // Completing the last lesson issues the course certificate
+    async completeLesson(courseId, lessonId, done = true) {
+        if (!this.isEnrolled(courseId)) throw new Error('Enroll in this course to track your progress');
+        if (!this.getLessons(courseId).some(lesson => lesson.id === lessonId)) {
+            throw new Error(`Unknown lesson: ${lessonId}`);
+        }
+
+        const record = this.getRecord();
+        const completed = record.lessons[courseId] || {};
+
+        if (done) {
+            completed[lessonId] = completed[lessonId] || new Date().toISOString();
+        } else {
+            delete completed[lessonId];
+        }
+
+        record.lessons[courseId] = completed;
+        this.save();
+
+        if (this.getProgress(courseId).complete && !record.certificates[courseId]) {
+            return this.issueCertificate(courseId);
+        }
+
+        return null;
+    }
+
+    getProgress(courseId, record = this.getRecord()) {
+        const lessons = this.getLessons(courseId);
+        const completed = record.lessons[courseId] || {};
+        const done = lessons.filter(lesson => completed[lesson.id]).length;
+
+        return {
+            completed: done,
+            total: lessons.length,
+            percent: Math.round((done / lessons.length) * 100),
+            complete: done === lessons.length,
+            nextLesson: lessons.find(lesson => !completed[lesson.id]) || null
+        };
+    }
+
+    // Weighted by lessons so a long course counts for more than a short one
+    getPathProgress(pathId) {
+        const record = this.getRecord();
+        const courses = this.getPath(pathId).courses.map(courseId => ({
+            course: this.getCourse(courseId),
+            progress: this.getProgress(courseId, record)
+        }));
+        const completed = courses.reduce((sum, { progress }) => sum + progress.completed, 0);
+        const total = courses.reduce((sum, { progress }) => sum + progress.total, 0);
+
+        return {
+            courses,
+            completedCourses: courses.filter(({ progress }) => progress.complete).length,
+            totalCourses: courses.length,
+            percent: Math.round((completed / total) * 100),
+            complete: completed === total
+        };
+    }
+
+    // ====== CERTIFICATES ======
+    // JP-XXXX-XXXX-XXXX-C where C is a check character that catches typos
+    generateCode() {
+        const values = Array.from({ length: 12 }, () => Math.floor(Math.random() * 32));
+        const body = values.map(value => this.codeAlphabet[value]).join('');
+
+        return `JP-${body.slice(0, 4)}-${body.slice(4, 8)}-${body.slice(8)}-${this.getCheckCharacter(body)}`;
+    }
+
+    getCheckCharacter(body) {
+        const sum = Array.from(body).reduce((total, char, index) => total + this.codeAlphabet.indexOf(char) * (index + 1), 0);
+        return this.codeAlphabet[sum % 31];
+    }
+
+    // Accepts lower case, spaces and the letters Crockford reads as digits
+    normalizeCode(input) {
+        const chars = String(input || '').toUpperCase()
+            .replace(/^JP/, '')
+            .replace(/[^0-9A-Z]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+
+        if (chars.length !== 13) return null;
+        return `JP-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}-${chars[12]}`;
+    }
+
+    isValidCode(code) {
+        const normalized = this.normalizeCode(code);
+        if (!normalized) return false;
+
+        const body = normalized.slice(3, 17).replace(/-/g, '');
+        return !/U/.test(normalized) && this.getCheckCharacter(body) === normalized.slice(-1);
+    }
+
+    async issueCertificate(courseId) {
+        const course = this.getCourse(courseId);
+        const learner = this.getLearner();
+        const record = this.getRecord();
+        if (!this.getProgress(courseId, record).complete) throw new Error('Complete every lesson to earn the certificate');
+        if (!learner.name) throw new Error('Add your name in My Learning to receive your certificate');
+
+        const certificate = {
+            code: this.generateCode(),
+            name: learner.name,
+            courseId,
+            courseTitle: course.title,
+            hours: course.hours,
+            issuedAt: new Date().toISOString()
+        };
+
+        const response = await window.JobPortal.Api.issueCertificate(certificate);
+        record.certificates[courseId] = response.data;
+        this.save();
+        this.emit('certificate', response.data);
+
+        return response.data;
+    }
+
+    getCertificate(courseId) {
+        return this.getRecord().certificates[courseId] || null;
+    }
+
+    getVerifyUrl(code) {
+        return new URL(`certificate-verify.html?code=${encodeURIComponent(code)}`, window.location.href).href;
+    }
+
+    // Returns { status: 'invalid' | 'not-found' | 'valid', certificate }
+    async verify(input) {
+        if (!this.isValidCode(input)) return { status: 'invalid', certificate: null };
+
+        const response = await window.JobPortal.Api.verifyCertificate(this.normalizeCode(input));
+        return response.data
+            ? { status: 'valid', certificate: response.data }
+            : { status: 'not-found', certificate: null };
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    renderCertificateSvg(certificate) {
+        const escape = window.JobPortal.escapeHtml;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="1100" height="780" viewBox="0 0 1100 780">
+    <rect width="1100" height="780" fill="#ffffff"/>
+    <rect x="30" y="30" width="1040" height="720" fill="none" stroke="#9b59b6" stroke-width="6"/>
+    <rect x="48" y="48" width="1004" height="684" fill="none" stroke="#3498db" stroke-width="2"/>
+    <g font-family="Segoe UI, Tahoma, Geneva, Verdana, sans-serif" text-anchor="middle" fill="#2c3e50">
+        <text x="550" y="150" font-size="30" fill="#9b59b6" font-weight="bold">JobPortal</text>
+        <text x="550" y="230" font-size="48" font-weight="bold">Certificate of Completion</text>
+        <text x="550" y="300" font-size="22" fill="#7f8c8d">This certifies that</text>
+        <text x="550" y="370" font-size="44" font-weight="bold">${escape(certificate.name)}</text>
+        <text x="550" y="430" font-size="22" fill="#7f8c8d">has successfully completed</text>
+        <text x="550" y="490" font-size="32" font-weight="bold" fill="#3498db">${escape(certificate.courseTitle)}</text>
+        <text x="550" y="540" font-size="20" fill="#7f8c8d">${escape(certificate.hours)} hours · Issued ${escape(this.formatDate(certificate.issuedAt))}</text>
+        <text x="550" y="640" font-size="18">Certificate ID: ${escape(certificate.code)}</text>
+        <text x="550" y="670" font-size="16" fill="#7f8c8d">Verify at ${escape(this.getVerifyUrl(certificate.code))}</text>
+    </g>
+</svg>`;
+    }
+
+    downloadCertificate(courseId) {
+        const certificate = this.getCertificate(courseId);
+        if (!certificate) throw new Error('Complete the course to download its certificate');
+
+        const blob = new Blob([this.renderCertificateSvg(certificate)], { type: 'image/svg+xml' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `certificate-${certificate.courseId}.svg`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // ====== LIVE SESSIONS ======
+    // All of a course's live classes as one weekly repeating entry
+    getSessionEntry(courseId) {
+        const calendar = window.JobPortal.CalendarExport;
+        const course = this.getCourse(courseId);
+        if (!course.sessions) throw new Error(`${course.title} has no live sessions`);
+
+        const start = new Date(course.sessions.start);
+        const url = new URL('courses.html#my-learning', window.location.href).href;
+
+        return {
+            uid: calendar.uid('course', `${courseId}-sessions`),
+            start,
+            end: new Date(start.getTime() + course.sessions.minutes * 60000),
+            weeks: course.sessions.weeks,
+            summary: `${course.title} – live session`,
+            description: `Weekly live class for ${course.title}. Lessons and progress: ${url}`,
+            location: 'Online live class',
+            url,
+            categories: ['Course'],
+            reminders: [30]
+        };
+    }
+
+    // "Tuesdays 6:00 PM EAT · 10 weeks from Apr 2"
+    describeSessions(courseId) {
+        const sessions = this.getCourse(courseId).sessions;
+        const format = options => new Date(sessions.start).toLocaleString('en-US', { timeZone: 'Africa/Addis_Ababa', ...options });
+
+        return `${format({ weekday: 'long' })}s ${format({ hour: 'numeric', minute: '2-digit' })} EAT · ` +
+            `${sessions.weeks} weeks from ${format({ month: 'short', day: 'numeric' })}`;
+    }
+
+    // One course, or every enrolled course with live sessions
+    downloadSessions(courseId = null) {
+        const calendar = window.JobPortal.CalendarExport;
+        const courseIds = courseId
+            ? [courseId]
+            : Object.keys(this.getRecord().courses).filter(id => this.courses[id]?.sessions);
+        if (!courseIds.length) throw new Error('None of your courses have live sessions');
+
+        const name = courseId ? this.getCourse(courseId).title : 'My Live Classes';
+        calendar.download(calendar.filename(name), calendar.calendar(courseIds.map(id => this.getSessionEntry(id)), { name }));
+    }
+
+    // ====== UI ======
+    renderProgressBar(percent) {
+        return `
+            <div class="learning-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                <div class="learning-progress-bar" style="width: ${percent}%"></div>
+            </div>
+        `;
+    }
+
+    // Enroll buttons and progress on the course and path cards
+    renderCards(root = document) {
+        root.querySelectorAll('.course-card[data-course-id]').forEach(card => {
+            const courseId = card.dataset.courseId;
+            const button = card.querySelector('.enroll-btn');
+            const status = card.querySelector('.learning-card-status') || this.createCardStatus(button);
+
+            if (this.isEnrolled(courseId)) {
+                const progress = this.getProgress(courseId);
+                button.textContent = progress.complete ? 'View Certificate' : progress.completed ? 'Continue Learning' : 'Start Course';
+                status.innerHTML = `${this.renderProgressBar(progress.percent)}<span>${progress.percent}% complete</span>`;
+            } else {
+                button.textContent = this.getPendingPayment('course', courseId) ? 'Complete Payment' : button.dataset.label || button.textContent;
+                status.innerHTML = '';
+            }
+        });
+
+        root.querySelectorAll('.path-card[data-path-id]').forEach(card => {
+            const pathId = card.dataset.pathId;
+            const button = card.querySelector('.enroll-btn');
+            const status = card.querySelector('.learning-card-status') || this.createCardStatus(button);
+
+            if (this.isPathEnrolled(pathId)) {
+                const progress = this.getPathProgress(pathId);
+                button.textContent = progress.complete ? 'Path Complete' : 'Continue Path';
+                status.innerHTML = `${this.renderProgressBar(progress.percent)}<span>${progress.completedCourses} of ${progress.totalCourses} courses · ${progress.percent}%</span>`;
+            } else {
+                button.textContent = this.getPendingPayment('path', pathId) ? 'Complete Payment' : button.dataset.label || button.textContent;
+                status.innerHTML = '';
+            }
+        });
+    }
+
+    createCardStatus(button) {
+        if (!button.dataset.label) button.dataset.label = button.textContent;
+
+        const status = document.createElement('div');
+        status.className = 'learning-card-status';
+        button.before(status);
+        return status;
+    }
+
+    render() {
+        this.renderCards();
+        if (!this.panel) return;
+
+        const escape = window.JobPortal.escapeHtml;
+        const learner = this.getLearner();
+        const record = this.getRecord();
+        const courseIds = Object.keys(record.courses);
+        const pathIds = Object.keys(record.paths);
+
+        this.panel.innerHTML = `
+            <form class="learning-learner" data-managed>
+                <p>${learner.name ? `Learning as <strong>${escape(learner.name)}</strong>` : 'Add your details to enroll and receive certificates.'}</p>
+                <input type="text" name="name" class="learning-input" placeholder="Full name (shown on certificates)" value="${escape(learner.name)}" required>
+                <input type="email" name="email" class="learning-input" placeholder="Email" value="${escape(learner.email)}" required>
+                <button type="submit" class="learning-btn">${learner.name ? 'Update' : 'Save'}</button>
+            </form>
+            ${pathIds.length ? `
+                <h3>My Learning Paths</h3>
+                <div class="learning-list">
+                    ${pathIds.map(pathId => this.renderPath(pathId, escape)).join('')}
+                </div>
+            ` : ''}
+            <h3>My Courses</h3>
+            ${courseIds.some(courseId => this.courses[courseId]?.sessions) ? `
+                <button type="button" class="learning-btn learning-calendar">Add All Live Sessions to Calendar</button>
+            ` : ''}
+            ${courseIds.length ? `
+                <div class="learning-list">
+                    ${courseIds.map(courseId => this.renderCourse(courseId, record, escape)).join('')}
+                </div>
+            ` : '<p class="learning-empty">You are not enrolled in any courses yet. Pick a course or learning path above to get started.</p>'}
+        `;
+    }
+
+    renderPath(pathId, escape) {
+        const path = this.getPath(pathId);
+        const progress = this.getPathProgress(pathId);
+
+        return `
+            <div class="learning-item">
+                <div class="learning-item-header">
+                    <strong>${escape(path.title)}</strong>
+                    <span>${progress.completedCourses}/${progress.totalCourses} courses</span>
+                </div>
+                ${this.renderProgressBar(progress.percent)}
+                <ul class="learning-path-courses">
+                    ${progress.courses.map(({ course, progress: courseProgress }) => `
+                        <li class="${courseProgress.complete ? 'done' : ''}">
+                            <button type="button" class="learning-open" data-course-id="${course.id}">${escape(course.title)}</button>
+                            <span>${courseProgress.percent}%</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderCourse(courseId, record, escape) {
+        const course = this.getCourse(courseId);
+        const progress = this.getProgress(courseId, record);
+        const certificate = record.certificates[courseId];
+        const open = this.openCourseId === courseId;
+        const completed = record.lessons[courseId] || {};
+
+        return `
+            <div class="learning-item ${open ? 'open' : ''}" data-course-id="${courseId}">
+                <div class="learning-item-header">
+                    <button type="button" class="learning-open" data-course-id="${courseId}">${escape(course.title)}</button>
+                    <span>${progress.completed}/${progress.total} lessons</span>
+                </div>
+                ${this.renderProgressBar(progress.percent)}
+                ${progress.nextLesson && !open ? `<p class="learning-next">Next: ${escape(progress.nextLesson.title)}</p>` : ''}
+                ${course.sessions ? `
+                    <p class="learning-sessions">
+                        Live sessions: ${escape(this.describeSessions(courseId))}
+                        <button type="button" class="learning-link learning-calendar" data-course-id="${courseId}">Add to calendar</button>
+                    </p>
+                ` : ''}
+                ${certificate ? `
+                    <div class="learning-certificate">
+                        <span>🎓 Certificate ${escape(certificate.code)}</span>
+                        <button type="button" class="learning-btn learning-download" data-course-id="${courseId}">Download</button>
+                        <a href="${escape(this.getVerifyUrl(certificate.code))}" target="_blank" rel="noopener">Verify</a>
+                    </div>
+                ` : progress.complete ? `
+                    <button type="button" class="learning-btn learning-claim" data-course-id="${courseId}">Get Certificate</button>
+                ` : ''}
+                ${open ? course.modules.map((module, moduleIndex) => `
+                    <div class="learning-module">
+                        <h4>${escape(module.title)}</h4>
+                        ${module.lessons.map((title, lessonIndex) => {
+                            const lessonId = `${moduleIndex + 1}.${lessonIndex + 1}`;
+                            return `
+                                <label class="learning-lesson">
+                                    <input type="checkbox" class="learning-lesson-toggle" data-course-id="${courseId}" data-lesson-id="${lessonId}" ${completed[lessonId] ? 'checked' : ''}>
+                                    ${lessonId} ${escape(title)}
+                                </label>
+                            `;
+                        }).join('')}
+                    </div>
+                `).join('') : ''}
+            </div>
+        `;
+    }
+
+    open(courseId) {
+        this.openCourseId = courseId;
+        this.render();
+        this.panel?.querySelector(`.learning-item[data-course-id="${courseId}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    bind(root = document) {
+        const run = async (action) => {
+            try {
+                await action();
+            } catch (error) {
+                console.error('Course learning action failed:', error);
+                if (typeof Notifications !== 'undefined') Notifications.error(error.message);
+            }
+        };
+
+        const notify = (message, type = 'success') => {
+            if (typeof Notifications !== 'undefined') Notifications[type](message);
+        };
+
+        root.querySelectorAll('.course-card[data-course-id] .enroll-btn').forEach(button => {
+            button.addEventListener('click', () => run(async () => {
+                const course = this.getCourse(button.closest('.course-card').dataset.courseId);
+
+                if (this.isEnrolled(course.id)) {
+                    this.open(course.id);
+                    return;
+                }
+
+                const initiation = await this.enroll(course.id);
+                if (!initiation) {
+                    notify(`You're enrolled in ${window.JobPortal.escapeHtml(course.title)}`);
+                    this.open(course.id);
+                }
+            }));
+        });
+
+        root.querySelectorAll('.path-card[data-path-id] .enroll-btn').forEach(button => {
+            button.addEventListener('click', () => run(async () => {
+                const path = this.getPath(button.closest('.path-card').dataset.pathId);
+
+                if (this.isPathEnrolled(path.id)) {
+                    this.open(this.getPathProgress(path.id).courses.find(({ progress }) => !progress.complete)?.course.id || path.courses[0]);
+                    return;
+                }
+
+                const initiation = await this.enrollPath(path.id);
+                if (!initiation) notify(`You're enrolled in the ${window.JobPortal.escapeHtml(path.title)}`);
+            }));
+        });
+
+        if (!this.panel) return;
+
+        this.panel.addEventListener('submit', e => {
+            if (!e.target.matches('.learning-learner')) return;
+            e.preventDefault();
+
+            run(() => {
+                const form = e.target;
+                this.saveLearner(form.elements.name.value, form.elements.email.value);
+                notify('Your learner details were saved');
+            });
+        });
+
+        this.panel.addEventListener('change', e => {
+            const target = e.target;
+            if (!target.matches('.learning-lesson-toggle')) return;
+
+            run(async () => {
+                const certificate = await this.completeLesson(target.dataset.courseId, target.dataset.lessonId, target.checked);
+                if (certificate) {
+                    notify(`🎓 You completed ${window.JobPortal.escapeHtml(certificate.courseTitle)}! Your certificate is ready.`);
+                }
+            });
+        });
+
+        this.panel.addEventListener('click', e => {
+            const target = e.target;
+
+            if (target.matches('.learning-open') && this.openCourseId === target.dataset.courseId) {
+                this.openCourseId = null;
+                this.render();
+            } else if (target.matches('.learning-open')) {
+                this.open(target.dataset.courseId);
+            } else if (target.matches('.learning-download')) {
+                run(() => this.downloadCertificate(target.dataset.courseId));
+            } else if (target.matches('.learning-claim')) {
+                run(() => this.issueCertificate(target.dataset.courseId));
+            } else if (target.matches('.learning-calendar')) {
+                run(() => this.downloadSessions(target.dataset.courseId || null));
+            }
+        });
+
+        this.on('change', () => this.render());
+    }
+
+    // Verification form on certificate-verify.html
+    bindVerification(form, result) {
+        const escape = window.JobPortal.escapeHtml;
+
+        const check = async (code) => {
+            result.innerHTML = '<p>Checking…</p>';
+            const { status, certificate } = await this.verify(code);
+
+            if (status === 'valid') {
+                result.innerHTML = `
+                    <div class="verify-result valid">
+                        <h3>✓ Valid certificate</h3>
+                        <p><strong>${escape(certificate.name)}</strong> completed <strong>${escape(certificate.courseTitle)}</strong> (${escape(certificate.hours)} hours).</p>
+                        <p>Issued ${escape(this.formatDate(certificate.issuedAt))} · ID ${escape(certificate.code)}</p>
+                    </div>
+                `;
+            } else {
+                result.innerHTML = `
+                    <div class="verify-result invalid">
+                        <h3>✗ ${status === 'invalid' ? 'Invalid certificate ID' : 'Certificate not found'}</h3>
+                        <p>${status === 'invalid'
+                            ? 'This is not a valid certificate ID. Check it for typos, e.g. JP-7K3M-Q9TX-2B8N-F.'
+                            : 'No certificate was issued with this ID.'}</p>
+                    </div>
+                `;
+            }
+        };
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            check(form.elements.code.value);
+        });
+
+        const code = new URLSearchParams(window.location.search).get('code');
+        if (code) {
+            form.elements.code.value = code;
+            check(code);
+        }
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const panel = document.querySelector('.learning-panel');
+    const verifyForm = document.querySelector('.certificate-verify-form');
+
+    if (verifyForm) {
+        new CourseLearning().bindVerification(verifyForm, document.querySelector('.certificate-verify-result'));
+        return;
+    }
+
+    if (!panel && !document.querySelector('.course-card[data-course-id]')) return;
+
+    const learning = new CourseLearning({ panel });
+    window.JobPortal.learning = learning;
+
+    const enrolled = learning.completePendingEnrollment();
+    if (enrolled && typeof Notifications !== 'undefined') {
+        Notifications.success(`Payment received – you're enrolled in ${window.JobPortal.escapeHtml(enrolled.title)}`);
+    }
+
+    learning.render();
+    learning.bind();
+});
+
+window.JobPortal.CourseLearning = CourseLearning;
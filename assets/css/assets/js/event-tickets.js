@@ -0,0 +1,1013 @@
+// Event Tickets for JobPortal Website
+// Registration for the events on events.html: free and paid ticket types,
+// capacity limits with a waitlist, and tickets carrying a QR code of a
+// signed ticket ID. Paid tickets are charged through the Ethiopian or
+// international payment system (window.JobPortal.paymentSystems, set up by
+// the page). EventCheckIn is the organizer side: it downloads an attendee
+// list once and then validates scanned tickets offline.
+// Load after main.js, qr-code.js and calendar-export.js.
+
+// Tickets are signed with ECDSA P-256 so a check-in device only needs the
+// public key from the attendee list to spot forged or altered codes
+const TICKET_SIGNATURE = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+const TICKET_CODE_PREFIX = 'ZJT1';
+const ATTENDEE_LIST_FORMAT = 'zewedjobs-attendees/1';
+
+function toBase64Url(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), char => char.charCodeAt(0));
+}
+
+function downloadFile(name, contents, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([contents], { type }));
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+class EventTickets {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'eventTickets';
+        this.keyStorageKey = options.keyStorageKey || 'eventSigningKey';
+        this.paymentSystems = options.paymentSystems || window.JobPortal.paymentSystems || {};
+        this.listeners = {};
+        this.keys = null;
+
+        // Unpaid seats are held while the buyer pays; waitlist offers stay open for a day
+        this.holdMinutes = 15;
+        this.offerHours = 24;
+
+        // Mirrors the event cards on events.html. Times are East Africa Time.
+        this.events = {
+            'tech-jobs-fair-2024': {
+                title: 'Tech Jobs Fair 2024', start: '2024-03-15T09:00:00+03:00', end: '2024-03-15T17:00:00+03:00',
+                location: 'Addis Ababa Exhibition Center', capacity: 2000,
+                tickets: { general: { label: 'General Admission', price: 0 } }
+            },
+            'cv-writing-workshop': {
+                title: 'Professional CV Writing Workshop', start: '2024-03-22T14:00:00+03:00', end: '2024-03-22T16:00:00+03:00',
+                location: 'Online (Zoom)', online: true, capacity: 100,
+                tickets: { general: { label: 'Participant', price: 0 } }
+            },
+            'women-in-tech-2024': {
+                title: 'Women in Tech Conference 2024', start: '2024-04-05T08:30:00+03:00', end: '2024-04-05T18:00:00+03:00',
+                location: 'Sheraton Addis', capacity: 1000,
+                tickets: {
+                    standard: { label: 'Standard', price: 500 },
+                    student: { label: 'Student', price: 250 }
+                }
+            },
+            'interview-skills-seminar': {
+                title: 'Mastering Job Interviews in Ethiopia', start: '2024-04-12T10:00:00+03:00', end: '2024-04-12T12:00:00+03:00',
+                location: 'Hilton Addis Ababa', capacity: 80,
+                tickets: { general: { label: 'Seminar Seat', price: 200 } }
+            },
+            'startup-networking-night': {
+                title: 'Startup & Entrepreneur Networking Night', start: '2024-04-18T18:00:00+03:00', end: '2024-04-18T21:00:00+03:00',
+                location: 'Sheger Innovation Hub', capacity: 150,
+                tickets: { general: { label: 'Entry', price: 300 } }
+            },
+            'healthcare-career-fair-2024': {
+                title: 'Healthcare Career Fair 2024', start: '2024-04-25T09:00:00+03:00', end: '2024-04-25T16:00:00+03:00',
+                location: 'Millennium Hall', capacity: 1500,
+                tickets: { general: { label: 'General Admission', price: 0 } }
+            },
+            'digital-marketing-workshop': {
+                title: 'Digital Marketing Mastery Workshop', start: '2024-05-03T09:00:00+03:00', end: '2024-05-03T13:00:00+03:00',
+                location: 'Online (Live)', online: true, capacity: 60,
+                tickets: { general: { label: 'Participant', price: 400 } }
+            }
+        };
+
+        this.currency = 'ETB';
+
+        this.load();
+    }
+
+    // ====== PERSISTENCE ======
+    load() {
+        const state = window.JobPortal.Storage.get(this.storageKey) || {};
+        this.tickets = state.tickets || [];
+        this.waitlist = state.waitlist || [];
+        return this;
+    }
+
+    save() {
+        window.JobPortal.Storage.set(this.storageKey, {
+            tickets: this.tickets,
+            waitlist: this.waitlist
+        });
+        this.emit('change');
+    }
+
+    // ====== CATALOG ======
+    getEvent(eventId) {
+        const event = this.events[eventId];
+        if (!event) throw new Error(`Unknown event: ${eventId}`);
+        return { id: eventId, ...event };
+    }
+
+    getTicketType(eventId, typeId) {
+        const type = this.getEvent(eventId).tickets[typeId];
+        if (!type) throw new Error(`Unknown ticket type: ${typeId}`);
+        return { id: typeId, currency: this.currency, ...type };
+    }
+
+    isFree(eventId) {
+        return Object.values(this.getEvent(eventId).tickets).every(type => !type.price);
+    }
+
+    // ====== CAPACITY ======
+    // Drops payment holds and waitlist offers that ran out, then fills freed seats
+    expire(now = Date.now()) {
+        const holdLimit = this.holdMinutes * 60000;
+        const freed = new Set();
+
+        this.tickets = this.tickets.filter(ticket => {
+            const stale = ticket.status === 'pending' && now - new Date(ticket.createdAt).getTime() > holdLimit;
+            if (stale) freed.add(ticket.eventId);
+            return !stale;
+        });
+
+        this.waitlist.forEach(entry => {
+            if (entry.status === 'offered' && new Date(entry.expiresAt).getTime() <= now) {
+                entry.status = 'expired';
+                freed.add(entry.eventId);
+            }
+        });
+
+        if (freed.size === 0) return;
+        freed.forEach(eventId => this.promoteWaitlist(eventId, false));
+        this.save();
+    }
+
+    // Seats taken by tickets, payment holds and open waitlist offers
+    getTaken(eventId) {
+        const tickets = this.tickets.filter(ticket => ticket.eventId === eventId && ['issued', 'pending'].includes(ticket.status));
+        const offers = this.waitlist.filter(entry => entry.eventId === eventId && entry.status === 'offered');
+        return tickets.length + offers.length;
+    }
+
+    getAvailable(eventId) {
+        return Math.max(0, this.getEvent(eventId).capacity - this.getTaken(eventId));
+    }
+
+    getWaitlist(eventId) {
+        return this.waitlist.filter(entry => entry.eventId === eventId && entry.status === 'waiting');
+    }
+
+    findActive(eventId, email) {
+        const key = email.trim().toLowerCase();
+        return this.tickets.find(ticket => ticket.eventId === eventId && ticket.email === key && ticket.status !== 'cancelled') ||
+            this.waitlist.find(entry => entry.eventId === eventId && entry.email === key && ['waiting', 'offered'].includes(entry.status)) ||
+            null;
+    }
+
+    // ====== REGISTRATION ======
+    validateAttendee(attendee) {
+        if (!attendee.name?.trim()) throw new Error('Please enter the attendee name');
+        if (!window.JobPortal.Validation.patterns.email.test(attendee.email?.trim() || '')) {
+            throw new Error('Please enter a valid email address');
+        }
+    }
+
+    // attendee: { name, email, phone }; payment: { method, phone, bankDetails } for paid tickets.
+    // Resolves with { status: 'issued', ticket } or { status: 'waitlisted', entry, position }.
+    async register(eventId, typeId, attendee, payment = {}) {
+        this.expire();
+        const event = this.getEvent(eventId);
+        const type = this.getTicketType(eventId, typeId);
+        this.validateAttendee(attendee);
+
+        const email = attendee.email.trim().toLowerCase();
+        const existing = this.findActive(eventId, email);
+        const offer = existing?.status === 'offered' ? existing : null;
+
+        if (existing && !offer) {
+            throw new Error(existing.status === 'waiting'
+                ? `${attendee.email} is already on the waitlist for ${event.title}`
+                : `${attendee.email} already has a ticket for ${event.title}`);
+        }
+
+        if (!offer && this.getAvailable(eventId) === 0) {
+            return this.joinWaitlist(eventId, typeId, attendee);
+        }
+
+        const ticket = {
+            id: this.generateTicketId(),
+            eventId,
+            type: typeId,
+            name: attendee.name.trim(),
+            email,
+            phone: (attendee.phone || '').trim(),
+            price: type.price,
+            currency: type.currency,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+
+        // The offer's seat passes to the ticket
+        if (offer) offer.status = 'claimed';
+        this.tickets.push(ticket);
+        this.save();
+
+        try {
+            if (type.price) {
+                ticket.payment = await this.pay(ticket, payment);
+            }
+            await this.issue(ticket);
+        } catch (error) {
+            this.tickets = this.tickets.filter(item => item !== ticket);
+            if (offer) offer.status = 'offered';
+            this.save();
+            throw error;
+        }
+
+        return { status: 'issued', ticket };
+    }
+
+    joinWaitlist(eventId, typeId, attendee) {
+        const entry = {
+            id: `wl_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+            eventId,
+            type: typeId,
+            name: attendee.name.trim(),
+            email: attendee.email.trim().toLowerCase(),
+            phone: (attendee.phone || '').trim(),
+            status: 'waiting',
+            joinedAt: new Date().toISOString()
+        };
+
+        this.waitlist.push(entry);
+        this.save();
+
+        return { status: 'waitlisted', entry, position: this.getWaitlist(eventId).length };
+    }
+
+    // Free seats go straight to the next person waiting; paid seats are
+    // offered and held for offerHours so they can pay
+    promoteWaitlist(eventId, persist = true) {
+        const promoted = [];
+
+        while (this.getAvailable(eventId) > 0 && this.getWaitlist(eventId).length > 0) {
+            const entry = this.getWaitlist(eventId)[0];
+            const type = this.getTicketType(eventId, entry.type);
+
+            entry.status = 'offered';
+            entry.offeredAt = new Date().toISOString();
+            entry.expiresAt = new Date(Date.now() + this.offerHours * 3600000).toISOString();
+            promoted.push(entry);
+
+            if (!type.price) {
+                this.register(eventId, entry.type, entry)
+                    .then(({ ticket }) => this.emit('issued', ticket))
+                    .catch(error => console.error('Failed to issue waitlist ticket:', error));
+            } else {
+                this.emit('offered', entry);
+            }
+        }
+
+        if (persist) this.save();
+        return promoted;
+    }
+
+    cancel(ticketId) {
+        const ticket = this.tickets.find(item => item.id === ticketId);
+        if (!ticket) throw new Error('Ticket not found');
+        if (ticket.status === 'cancelled') return ticket;
+
+        // A higher sequence lets calendar apps replace the booked entry
+        ticket.status = 'cancelled';
+        ticket.cancelledAt = new Date().toISOString();
+        ticket.sequence = (ticket.sequence || 0) + 1;
+        this.save();
+        this.emit('cancelled', ticket);
+
+        this.promoteWaitlist(ticket.eventId);
+        return ticket;
+    }
+
+    // ====== PAYMENT ======
+    getEthiopianMethods() {
+        const system = this.paymentSystems.ethiopian;
+        if (!system) return {};
+        return { ...system.bankOptions, ...system.mobileMoneyOptions };
+    }
+
+    // Local banks and mobile money charge ETB; anything else is a card
+    // payment in USD through the international system. payment.promoCode is
+    // applied by the payment system, which charges the discounted price.
+    async pay(ticket, payment) {
+        const ethiopian = payment.method in this.getEthiopianMethods();
+        const system = ethiopian ? this.paymentSystems.ethiopian : this.paymentSystems.international;
+        if (!system) throw new Error('Payments are not available right now. Please try again later.');
+
+        const currency = ethiopian ? ticket.currency : (payment.currency || 'USD');
+        // Converted prices are locked as a quote so the card is charged the
+        // amount worked out here even if rates refresh in between
+        const quote = currency === ticket.currency
+            ? null
+            : await system.lockQuote(ticket.price, ticket.currency, currency);
+        const amount = quote ? Number(quote.to.amount) : ticket.price;
+        const phoneNumber = (payment.phone || ticket.phone).replace(/[\s()-]/g, '');
+
+        const initiation = await system.initiatePayment({
+            amount,
+            currency,
+            method: payment.method,
+            customer: { name: ticket.name, email: ticket.email, phone: phoneNumber },
+            description: `${this.getEvent(ticket.eventId).title} – ${this.getTicketType(ticket.eventId, ticket.type).label}`,
+            metadata: { eventId: ticket.eventId, ticketId: ticket.id },
+            quoteId: quote?.id,
+            discounts: {
+                coupons: payment.promoCode ? [payment.promoCode] : [],
+                context: { product: 'event', itemId: ticket.eventId }
+            }
+        });
+        if (!initiation.success) throw new Error(initiation.error);
+
+        const charged = initiation.paymentIntent.amount;
+        const result = await system.processPayment({
+            ...payment,
+            amount: charged,
+            currency,
+            phoneNumber,
+            email: ticket.email,
+            cardholderName: ticket.name,
+            reference: initiation.paymentIntent.reference || initiation.paymentId,
+            clientSecret: initiation.paymentIntent.clientSecret
+        });
+        if (!result.success) throw new Error(result.error);
+
+        return {
+            id: initiation.paymentId,
+            transactionId: result.payment.transactionId,
+            method: payment.method,
+            amount: charged,
+            currency,
+            discount: initiation.paymentIntent.discount?.discount || null,
+            paidAt: result.payment.completedAt
+        };
+    }
+
+    // ====== SIGNED TICKETS ======
+    // Crockford base32 so IDs read back unambiguously at the door
+    generateTicketId() {
+        const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+        const values = crypto.getRandomValues(new Uint8Array(10));
+        return 'T' + Array.from(values, value => alphabet[value % 32]).join('');
+    }
+
+    // The site's signing key pair. Issuing would happen server-side in
+    // production; the public half travels with every attendee list.
+    async getKeys() {
+        if (this.keys) return this.keys;
+
+        const stored = window.JobPortal.Storage.get(this.keyStorageKey);
+        if (stored) {
+            this.keys = {
+                privateKey: await crypto.subtle.importKey('jwk', stored.privateKey, TICKET_SIGNATURE, false, ['sign']),
+                publicJwk: stored.publicKey
+            };
+            return this.keys;
+        }
+
+        const pair = await crypto.subtle.generateKey(TICKET_SIGNATURE, true, ['sign', 'verify']);
+        const privateKey = await crypto.subtle.exportKey('jwk', pair.privateKey);
+        const publicKey = await crypto.subtle.exportKey('jwk', pair.publicKey);
+        window.JobPortal.Storage.set(this.keyStorageKey, { privateKey, publicKey, createdAt: new Date().toISOString() });
+
+        this.keys = { privateKey: pair.privateKey, publicJwk: publicKey };
+        return this.keys;
+    }
+
+    async issue(ticket) {
+        const { privateKey } = await this.getKeys();
+        const message = new TextEncoder().encode(`${ticket.eventId}.${ticket.id}`);
+        const signature = await crypto.subtle.sign(TICKET_SIGNATURE, privateKey, message);
+
+        ticket.code = `${TICKET_CODE_PREFIX}.${ticket.id}.${toBase64Url(signature)}`;
+        ticket.status = 'issued';
+        ticket.issuedAt = new Date().toISOString();
+        this.save();
+        this.emit('issued', ticket);
+
+        return ticket;
+    }
+
+    // Everything a check-in device needs to work offline
+    async getAttendeeList(eventId) {
+        const event = this.getEvent(eventId);
+        const { publicJwk } = await this.getKeys();
+
+        return {
+            format: ATTENDEE_LIST_FORMAT,
+            eventId,
+            title: event.title,
+            start: event.start,
+            generatedAt: new Date().toISOString(),
+            publicKey: publicJwk,
+            attendees: this.tickets
+                .filter(ticket => ticket.eventId === eventId && ['issued', 'cancelled'].includes(ticket.status))
+                .map(ticket => ({
+                    ticketId: ticket.id,
+                    name: ticket.name,
+                    type: this.getTicketType(eventId, ticket.type).label,
+                    status: ticket.status
+                }))
+        };
+    }
+
+    // ====== CALENDAR ======
+    // The ticket's UID never changes, so a cancelled ticket replaces the
+    // entry its holder added earlier
+    getCalendarEntry(ticket) {
+        const calendar = window.JobPortal.CalendarExport;
+        const event = this.getEvent(ticket.eventId);
+        const type = this.getTicketType(ticket.eventId, ticket.type);
+
+        return {
+            uid: calendar.uid('ticket', ticket.id),
+            start: event.start,
+            end: event.end,
+            summary: event.title,
+            description: `${type.label} ticket ${ticket.id} for ${ticket.name}. Show the QR code from My Tickets at the entrance.`,
+            location: event.location,
+            url: new URL('events.html#my-tickets', window.location.href).href,
+            status: ticket.status === 'cancelled' ? 'cancelled' : 'confirmed',
+            sequence: ticket.sequence || 0,
+            updated: ticket.cancelledAt || ticket.issuedAt
+        };
+    }
+
+    downloadCalendar(ticketId) {
+        const calendar = window.JobPortal.CalendarExport;
+        const ticket = this.tickets.find(item => item.id === ticketId);
+        if (!ticket?.code) throw new Error('Ticket not found');
+
+        const ics = calendar.calendar([this.getCalendarEntry(ticket)], { name: this.getEvent(ticket.eventId).title });
+        calendar.download(`ticket-${ticket.id}.ics`, ics);
+    }
+
+    // Every ticket, cancelled ones included so an import also removes them
+    downloadAllCalendar() {
+        const calendar = window.JobPortal.CalendarExport;
+        const entries = this.tickets.filter(ticket => ticket.code).map(ticket => this.getCalendarEntry(ticket));
+        if (!entries.length) throw new Error('You have no tickets yet');
+
+        calendar.download('my-event-tickets.ics', calendar.calendar(entries, { name: 'My ZewedJobs Tickets' }));
+    }
+
+    downloadEventCalendar(eventId) {
+        const calendar = window.JobPortal.CalendarExport;
+        const event = this.getEvent(eventId);
+        const entry = calendar.eventListing(event, { baseUrl: window.location.href });
+
+        calendar.download(calendar.filename(event.title), calendar.calendar([entry], { name: event.title }));
+    }
+
+    // ====== UI ======
+    formatDate(date) {
+        return new Date(date).toLocaleString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', year: 'numeric',
+            hour: 'numeric', minute: '2-digit', timeZone: 'Africa/Addis_Ababa'
+        });
+    }
+
+    formatPrice(price, currency = this.currency) {
+        return price ? `${currency} ${price.toLocaleString()}` : 'FREE';
+    }
+
+    renderTicket(ticket) {
+        const escape = window.JobPortal.escapeHtml;
+        const event = this.getEvent(ticket.eventId);
+        const type = this.getTicketType(ticket.eventId, ticket.type);
+
+        return `
+            <div class="ticket-card ${ticket.status}" data-ticket-id="${ticket.id}">
+                <div class="ticket-qr">${window.JobPortal.QRCode.toSvg(ticket.code, { size: 180 })}</div>
+                <div class="ticket-details">
+                    <h3>${escape(event.title)}</h3>
+                    <p><i class="fas fa-calendar"></i> ${escape(this.formatDate(event.start))}</p>
+                    <p><i class="fas fa-map-marker-alt"></i> ${escape(event.location)}</p>
+                    <p><i class="fas fa-user"></i> ${escape(ticket.name)} · ${escape(type.label)} · ${this.formatPrice(ticket.price, ticket.currency)}</p>
+                    <p class="ticket-id">Ticket ${ticket.id}${ticket.status === 'cancelled' ? ' · Cancelled' : ''}</p>
+                    <div class="ticket-actions">
+                        <button type="button" class="btn btn-outline ticket-download">Download</button>
+                        <button type="button" class="btn btn-outline ticket-calendar">${ticket.status === 'cancelled' ? 'Remove from Calendar' : 'Add to Calendar'}</button>
+                        ${ticket.status === 'issued' ? '<button type="button" class="btn btn-outline ticket-cancel">Cancel Ticket</button>' : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    downloadTicket(ticketId) {
+        const escape = window.JobPortal.escapeHtml;
+        const ticket = this.tickets.find(item => item.id === ticketId);
+        if (!ticket?.code) throw new Error('Ticket not found');
+
+        const event = this.getEvent(ticket.eventId);
+        const type = this.getTicketType(ticket.eventId, ticket.type);
+        const qr = window.JobPortal.QRCode.toSvg(ticket.code).replace('<svg ', '<svg x="40" y="40" width="260" height="260" ');
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="900" height="340" viewBox="0 0 900 340">
+    <rect width="900" height="340" rx="16" fill="#ffffff" stroke="#2c3e50" stroke-width="2"/>
+    ${qr}
+    <g font-family="Inter, Segoe UI, sans-serif" fill="#2c3e50">
+        <text x="340" y="80" font-size="28" font-weight="bold">${escape(event.title)}</text>
+        <text x="340" y="125" font-size="18">${escape(this.formatDate(event.start))}</text>
+        <text x="340" y="160" font-size="18">${escape(event.location)}</text>
+        <text x="340" y="210" font-size="20" font-weight="bold">${escape(ticket.name)}</text>
+        <text x="340" y="245" font-size="18">${escape(type.label)} · ${escape(this.formatPrice(ticket.price, ticket.currency))}</text>
+        <text x="340" y="295" font-size="16" fill="#7f8c8d">Ticket ${ticket.id} · Show this code at the entrance</text>
+    </g>
+</svg>`;
+
+        downloadFile(`ticket-${ticket.id}.svg`, svg, 'image/svg+xml');
+    }
+
+    // Availability and button labels on the event cards
+    renderCards(root = document) {
+        root.querySelectorAll('.featured-event[data-event-id], .event-card-lg[data-event-id]').forEach(element => {
+            const eventId = element.dataset.eventId;
+            if (!this.events[eventId]) return;
+
+            const button = element.querySelector('.event-register-btn');
+            const available = this.getAvailable(eventId);
+            let status = element.querySelector('.ticket-availability');
+
+            if (!status) {
+                status = document.createElement('span');
+                status.className = 'ticket-availability';
+                button?.before(status);
+            }
+
+            status.textContent = available === 0
+                ? `Sold out · ${this.getWaitlist(eventId).length} on waitlist`
+                : available <= 20 ? `Only ${available} spots left` : '';
+
+            if (button) {
+                if (!button.dataset.label) button.dataset.label = button.innerHTML;
+                button.innerHTML = available === 0 ? '<i class="fas fa-hourglass-half"></i> Join Waitlist' : button.dataset.label;
+            }
+        });
+    }
+
+    renderForm(eventId) {
+        const escape = window.JobPortal.escapeHtml;
+        const event = this.getEvent(eventId);
+        const profile = window.JobPortal.SeekerProfile?.get() || {};
+        const available = this.getAvailable(eventId);
+        const types = Object.keys(event.tickets).map(typeId => this.getTicketType(eventId, typeId));
+        const methods = this.getEthiopianMethods();
+
+        return `
+            <form class="ticket-form" data-event-id="${eventId}" data-managed>
+                <h2>${escape(event.title)}</h2>
+                <p class="ticket-form-meta">${escape(this.formatDate(event.start))} · ${escape(event.location)}</p>
+                ${available === 0 ? `
+                    <p class="ticket-notice">This event is sold out. Join the waitlist and we'll offer you a seat if one frees up.</p>
+                ` : available <= 20 ? `<p class="ticket-notice">Only ${available} spots left.</p>` : ''}
+                <div class="form-group">
+                    <label for="ticketType">Ticket</label>
+                    <select id="ticketType" name="type">
+                        ${types.map(type => `<option value="${type.id}" data-price="${type.price}">${escape(type.label)} – ${this.formatPrice(type.price, type.currency)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="ticketName">Full name</label>
+                    <input type="text" id="ticketName" name="name" value="${escape(profile.fullName || '')}" required>
+                </div>
+                <div class="form-group">
+                    <label for="ticketEmail">Email</label>
+                    <input type="email" id="ticketEmail" name="email" value="${escape(profile.email || '')}" required>
+                </div>
+                <div class="form-group">
+                    <label for="ticketPhone">Phone</label>
+                    <input type="tel" id="ticketPhone" name="phone" value="${escape(profile.phone || '')}" placeholder="09XX XXX XXX">
+                </div>
+                <fieldset class="ticket-payment" ${available === 0 ? 'hidden' : ''}>
+                    <legend>Payment</legend>
+                    <div class="form-group">
+                        <label for="ticketMethod">Pay with</label>
+                        <select id="ticketMethod" name="method">
+                            ${Object.entries(methods).map(([id, method]) => `<option value="${id}">${escape(method.name)}</option>`).join('')}
+                            <option value="card">Card (international, charged in USD)</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="ticketPromo">Promo code</label>
+                        <input type="text" id="ticketPromo" name="promoCode" autocomplete="off" placeholder="Optional">
+                    </div>
+                    <div class="ticket-bank-fields" hidden>
+                        <div class="form-group">
+                            <label for="ticketAccount">Account number</label>
+                            <input type="text" id="ticketAccount" name="accountNumber" inputmode="numeric" placeholder="13 digits">
+                        </div>
+                        <div class="form-group">
+                            <label for="ticketAccountName">Account name</label>
+                            <input type="text" id="ticketAccountName" name="accountName">
+                        </div>
+                    </div>
+                </fieldset>
+                <button type="submit" class="btn btn-primary btn-lg">${available === 0 ? 'Join Waitlist' : 'Get Ticket'}</button>
+            </form>
+        `;
+    }
+
+    // Shows the payment fields only for paid tickets and bank fields only for banks
+    updateForm(form) {
+        const paid = Number(form.elements.type.selectedOptions[0].dataset.price) > 0;
+        const fieldset = form.querySelector('.ticket-payment');
+        const bank = paid && form.elements.method.value in (this.paymentSystems.ethiopian?.bankOptions || {});
+
+        fieldset.hidden = !paid || this.getAvailable(form.dataset.eventId) === 0;
+        form.querySelector('.ticket-bank-fields').hidden = !bank;
+    }
+
+    renderMyTickets(container) {
+        const tickets = this.tickets.filter(ticket => ticket.code).slice().reverse();
+        const waiting = this.waitlist.filter(entry => ['waiting', 'offered'].includes(entry.status));
+        const escape = window.JobPortal.escapeHtml;
+
+        container.innerHTML = tickets.length || waiting.length ? `
+            ${waiting.map(entry => `
+                <div class="ticket-waitlist ${entry.status}" data-event-id="${entry.eventId}">
+                    <strong>${escape(this.getEvent(entry.eventId).title)}</strong>
+                    ${entry.status === 'offered'
+                        ? `<span>A seat is available for you until ${escape(this.formatDate(entry.expiresAt))}</span>
+                           <button type="button" class="btn btn-primary event-register-btn">Claim Seat</button>`
+                        : `<span>On the waitlist (#${this.getWaitlist(entry.eventId).indexOf(entry) + 1})</span>`}
+                </div>
+            `).join('')}
+            ${tickets.map(ticket => this.renderTicket(ticket)).join('')}
+        ` : '<p class="tickets-empty">Your tickets will appear here after you register for an event.</p>';
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// ====== CHECK-IN ======
+class EventCheckIn {
+    constructor(options = {}) {
+        this.listKey = options.listKey || 'checkInLists';
+        this.storageKey = options.storageKey || 'eventCheckIns';
+        this.list = null;
+        this.publicKey = null;
+        this.stream = null;
+        this.scanTimer = null;
+    }
+
+    // list: the JSON from EventTickets.getAttendeeList, kept for offline use
+    async useList(list) {
+        if (!list || list.format !== ATTENDEE_LIST_FORMAT || !Array.isArray(list.attendees) || !list.publicKey) {
+            throw new Error('This is not a ZewedJobs attendee list');
+        }
+
+        this.publicKey = await crypto.subtle.importKey('jwk', list.publicKey, TICKET_SIGNATURE, false, ['verify']);
+        this.list = list;
+
+        const lists = window.JobPortal.Storage.get(this.listKey) || {};
+        lists[list.eventId] = list;
+        window.JobPortal.Storage.set(this.listKey, lists);
+
+        return list;
+    }
+
+    getSavedLists() {
+        return Object.values(window.JobPortal.Storage.get(this.listKey) || {});
+    }
+
+    getCheckIns(eventId = this.list?.eventId) {
+        return (window.JobPortal.Storage.get(this.storageKey) || {})[eventId] || {};
+    }
+
+    // Returns { status, message, attendee, checkedInAt }; status is one of
+    // ok, duplicate, cancelled, unknown, invalid, wrong-event
+    async check(code) {
+        if (!this.list) throw new Error('Load an attendee list first');
+
+        const parts = String(code || '').trim().split('.');
+        if (parts.length !== 3 || parts[0] !== TICKET_CODE_PREFIX || !/^T[0-9A-Z]{10}$/.test(parts[1])) {
+            return { status: 'invalid', message: 'Not a ZewedJobs ticket' };
+        }
+
+        const [, ticketId, signature] = parts;
+        let valid = false;
+        try {
+            const message = new TextEncoder().encode(`${this.list.eventId}.${ticketId}`);
+            valid = await crypto.subtle.verify(TICKET_SIGNATURE, this.publicKey, fromBase64Url(signature), message);
+        } catch (error) {
+            valid = false;
+        }
+
+        // A genuine ticket for another event fails the signature too, since
+        // the event ID is part of the signed message
+        if (!valid) return { status: 'invalid', message: 'Signature check failed – this ticket is forged or for another event' };
+
+        const attendee = this.list.attendees.find(item => item.ticketId === ticketId);
+        if (!attendee) {
+            return { status: 'unknown', message: 'Valid ticket, but not on this attendee list – it may have been issued after the list was downloaded' };
+        }
+        if (attendee.status === 'cancelled') return { status: 'cancelled', message: 'This ticket was cancelled', attendee };
+
+        const checkIns = window.JobPortal.Storage.get(this.storageKey) || {};
+        const eventCheckIns = checkIns[this.list.eventId] || {};
+
+        if (eventCheckIns[ticketId]) {
+            return { status: 'duplicate', message: 'Already checked in', attendee, checkedInAt: eventCheckIns[ticketId] };
+        }
+
+        eventCheckIns[ticketId] = new Date().toISOString();
+        checkIns[this.list.eventId] = eventCheckIns;
+        window.JobPortal.Storage.set(this.storageKey, checkIns);
+
+        return { status: 'ok', message: 'Welcome!', attendee, checkedInAt: eventCheckIns[ticketId] };
+    }
+
+    // Camera scanning where the browser has a barcode detector; the code can
+    // always be typed in instead
+    canScan() {
+        return typeof BarcodeDetector !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+    }
+
+    async startScanning(video, onCode) {
+        if (!this.canScan()) throw new Error('Camera scanning is not supported in this browser. Enter the ticket code instead.');
+
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        video.srcObject = this.stream;
+        await video.play();
+
+        let last = null;
+        this.scanTimer = setInterval(async () => {
+            const [found] = await detector.detect(video).catch(() => []);
+            // Ignore the same code while it stays in front of the camera
+            if (found && found.rawValue !== last) onCode(found.rawValue);
+            last = found ? found.rawValue : null;
+        }, 400);
+    }
+
+    stopScanning() {
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const escape = window.JobPortal.escapeHtml;
+    const notify = (message, type = 'success') => {
+        if (typeof Notifications !== 'undefined') Notifications[type](message);
+    };
+
+    // Organizer check-in screen (event-checkin.html)
+    const screen = document.querySelector('.checkin-screen');
+    if (screen) {
+        const checkIn = new EventCheckIn();
+        const tickets = new EventTickets();
+        const eventSelect = screen.querySelector('.checkin-event');
+        const result = screen.querySelector('.checkin-result');
+        const log = screen.querySelector('.checkin-log');
+        const video = screen.querySelector('.checkin-video');
+
+        const renderStatus = () => {
+            const list = checkIn.list;
+            const checkedIn = Object.keys(checkIn.getCheckIns()).length;
+            screen.querySelector('.checkin-status').innerHTML = list
+                ? `<strong>${escape(list.title)}</strong> · ${list.attendees.filter(a => a.status !== 'cancelled').length} attendees · ${checkedIn} checked in · list from ${escape(tickets.formatDate(list.generatedAt))}`
+                : 'Download or load an attendee list to start checking in.';
+            screen.querySelector('.checkin-scan').disabled = !list;
+        };
+
+        const showResult = outcome => {
+            const name = outcome.attendee ? `${escape(outcome.attendee.name)} · ${escape(outcome.attendee.type)}` : '';
+            const when = outcome.checkedInAt ? ` at ${escape(new Date(outcome.checkedInAt).toLocaleTimeString())}` : '';
+            result.className = `checkin-result ${outcome.status}`;
+            result.innerHTML = `<h3>${escape(outcome.message)}${outcome.status === 'duplicate' ? when : ''}</h3><p>${name}</p>`;
+            log.insertAdjacentHTML('afterbegin', `<li class="${outcome.status}">${escape(new Date().toLocaleTimeString())} – ${escape(outcome.message)}${name ? ` – ${name}` : ''}</li>`);
+            renderStatus();
+        };
+
+        const verify = async code => {
+            try {
+                showResult(await checkIn.check(code));
+            } catch (error) {
+                notify(error.message, 'error');
+            }
+        };
+
+        eventSelect.innerHTML = Object.keys(tickets.events)
+            .map(eventId => `<option value="${eventId}">${escape(tickets.events[eventId].title)}</option>`).join('');
+
+        const saved = checkIn.getSavedLists();
+        if (saved.length) {
+            eventSelect.value = saved[saved.length - 1].eventId;
+            checkIn.useList(saved[saved.length - 1]).then(renderStatus);
+        }
+        renderStatus();
+
+        eventSelect.addEventListener('change', () => {
+            const list = checkIn.getSavedLists().find(item => item.eventId === eventSelect.value);
+            checkIn.list = null;
+            (list ? checkIn.useList(list) : Promise.resolve()).then(renderStatus);
+        });
+
+        screen.querySelector('.checkin-download').addEventListener('click', async () => {
+            try {
+                // Registrations may have come in since the page opened
+                const list = await tickets.load().getAttendeeList(eventSelect.value);
+                await checkIn.useList(list);
+                downloadFile(`attendees-${list.eventId}.json`, JSON.stringify(list, null, 2), 'application/json');
+                notify(`Attendee list saved for offline check-in (${list.attendees.length} tickets)`);
+                renderStatus();
+            } catch (error) {
+                notify(error.message, 'error');
+            }
+        });
+
+        screen.querySelector('.checkin-file').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const list = await checkIn.useList(JSON.parse(await file.text()));
+                eventSelect.value = list.eventId;
+                notify(`Loaded ${list.attendees.length} tickets for ${escape(list.title)}`);
+                renderStatus();
+            } catch (error) {
+                notify(error instanceof SyntaxError ? 'This file is not a valid attendee list' : error.message, 'error');
+            }
+            e.target.value = '';
+        });
+
+        screen.querySelector('.checkin-manual').addEventListener('submit', e => {
+            e.preventDefault();
+            verify(e.target.elements.code.value);
+            e.target.reset();
+        });
+
+        screen.querySelector('.checkin-scan').addEventListener('click', async function() {
+            if (checkIn.stream) {
+                checkIn.stopScanning();
+                video.hidden = true;
+                this.textContent = 'Start Camera';
+                return;
+            }
+
+            try {
+                video.hidden = false;
+                await checkIn.startScanning(video, verify);
+                this.textContent = 'Stop Camera';
+            } catch (error) {
+                video.hidden = true;
+                notify(error.message, 'error');
+            }
+        });
+
+        window.JobPortal.checkIn = checkIn;
+        return;
+    }
+
+    // Registration on events.html
+    const modal = document.getElementById('eventModal');
+    const modalBody = document.getElementById('eventModalBody');
+    const myTickets = document.querySelector('.my-tickets');
+    if (!modal || !document.querySelector('.event-register-btn')) return;
+
+    const tickets = new EventTickets();
+    window.JobPortal.tickets = tickets;
+
+    const openModal = html => {
+        modalBody.innerHTML = html;
+        modal.classList.add('active');
+        modal.style.display = 'flex';
+    };
+    const closeModal = () => {
+        modal.classList.remove('active');
+        modal.style.display = 'none';
+    };
+
+    const render = () => {
+        tickets.renderCards();
+        if (myTickets) tickets.renderMyTickets(myTickets);
+    };
+
+    tickets.on('change', render);
+    tickets.on('offered', entry => {
+        notify(`A seat opened up at ${escape(tickets.getEvent(entry.eventId).title)} for ${escape(entry.name)}. Claim it from My Tickets.`, 'info');
+    });
+    tickets.expire();
+    render();
+
+    document.addEventListener('click', e => {
+        const button = e.target.closest('.event-register-btn');
+        if (button) {
+            const eventId = button.closest('[data-event-id]').dataset.eventId;
+            openModal(tickets.renderForm(eventId));
+            tickets.updateForm(modalBody.querySelector('.ticket-form'));
+            return;
+        }
+
+        if (e.target.closest('.close-modal') || e.target === modal) {
+            closeModal();
+            return;
+        }
+
+        const card = e.target.closest('.ticket-card');
+
+        try {
+            if (e.target.closest('.event-calendar-btn')) {
+                tickets.downloadEventCalendar(e.target.closest('[data-event-id]').dataset.eventId);
+            } else if (e.target.closest('.tickets-calendar')) {
+                tickets.downloadAllCalendar();
+            } else if (!card) {
+                return;
+            } else if (e.target.closest('.ticket-download')) {
+                tickets.downloadTicket(card.dataset.ticketId);
+            } else if (e.target.closest('.ticket-calendar')) {
+                tickets.downloadCalendar(card.dataset.ticketId);
+            } else if (e.target.closest('.ticket-cancel') && confirm('Cancel this ticket? Your seat will go to the next person on the waitlist.')) {
+                tickets.cancel(card.dataset.ticketId);
+                notify('Your ticket was cancelled. Use Remove from Calendar to take it off your calendar.', 'info');
+            }
+        } catch (error) {
+            notify(error.message, 'error');
+        }
+    });
+
+    modalBody.addEventListener('change', e => {
+        const form = e.target.closest('.ticket-form');
+        if (form) tickets.updateForm(form);
+    });
+
+    modalBody.addEventListener('submit', async e => {
+        const form = e.target.closest('.ticket-form');
+        if (!form) return;
+        e.preventDefault();
+
+        const submit = form.querySelector('[type="submit"]');
+        const elements = form.elements;
+        submit.disabled = true;
+        submit.textContent = 'Processing...';
+
+        try {
+            const outcome = await tickets.register(form.dataset.eventId, elements.type.value, {
+                name: elements.name.value,
+                email: elements.email.value,
+                phone: elements.phone.value
+            }, {
+                method: elements.method.value,
+                promoCode: elements.promoCode.value.trim(),
+                bankDetails: { accountNumber: elements.accountNumber.value.trim(), accountName: elements.accountName.value.trim() }
+            });
+
+            if (outcome.status === 'waitlisted') {
+                openModal(`
+                    <div class="ticket-confirmation">
+                        <h2>You're on the waitlist</h2>
+                        <p>You are number ${outcome.position} on the waitlist for ${escape(tickets.getEvent(outcome.entry.eventId).title)}. We'll offer you a seat as soon as one frees up.</p>
+                    </div>
+                `);
+            } else {
+                openModal(`
+                    <div class="ticket-confirmation">
+                        <h2>You're going!</h2>
+                        <p>Show this QR code at the entrance. A copy is saved under My Tickets.</p>
+                        ${tickets.renderTicket(outcome.ticket)}
+                    </div>
+                `);
+                notify(`Ticket confirmed for ${escape(tickets.getEvent(outcome.ticket.eventId).title)}`);
+            }
+        } catch (error) {
+            console.error('Event registration failed:', error);
+            notify(error.message, 'error');
+            submit.disabled = false;
+            submit.textContent = 'Try Again';
+        }
+    });
+});
+
+window.JobPortal.EventTickets = EventTickets;
+window.JobPortal.EventCheckIn = EventCheckIn;
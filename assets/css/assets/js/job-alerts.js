@@ -0,0 +1,459 @@
+// Job Alerts for JobPortal Website
+// Saved searches built from the current search and filter state. A background
+// check runs every saved search against new listings from JobPortal.Api and
+// delivers matches as in-app notifications, push notifications (through the
+// service worker's push handler) or daily / weekly digests. A job only ever
+// alerts once. Load after job-filters.js.
+
+class JobAlerts {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'jobAlerts';
+        this.panel = options.panel || null;
+        this.serviceWorkerUrl = options.serviceWorkerUrl || 'Payment Failed Page/service-worker.js';
+        this.checkInterval = options.checkInterval || 15 * 60 * 1000;
+        this.timer = null;
+        this.checking = null;
+
+        this.frequencies = {
+            instant: { label: 'Right away', days: 0 },
+            daily: { label: 'Daily digest', days: 1 },
+            weekly: { label: 'Weekly digest', days: 7 }
+        };
+
+        // Query fields a saved search keeps; 'posted' is left out because
+        // alerts only ever cover new listings
+        this.queryFields = ['keywords', 'location', 'type', 'city', 'workplace', 'salary', 'experience', 'category'];
+
+        this.maxDigestItems = 5;
+        this.maxHistory = 20;
+
+        // Alerted job IDs are forgotten after this long
+        this.alertedRetentionDays = 90;
+
+        this.load();
+    }
+
+    // ====== PERSISTENCE ======
+    load() {
+        const state = window.JobPortal.Storage.get(this.storageKey) || {};
+        this.searches = state.searches || [];
+        this.alerted = state.alerted || {};
+        this.history = state.history || [];
+        return this;
+    }
+
+    save() {
+        window.JobPortal.Storage.set(this.storageKey, {
+            searches: this.searches,
+            alerted: this.alerted,
+            history: this.history
+        });
+        this.render();
+    }
+
+    // ====== SAVED SEARCHES ======
+    cleanQuery(query) {
+        const cleaned = {};
+
+        this.queryFields.forEach(field => {
+            const value = String(query[field] || '').trim();
+            if (value) cleaned[field] = value;
+        });
+
+        return cleaned;
+    }
+
+    describe(query) {
+        const parts = [];
+        if (query.keywords) parts.push(`"${query.keywords}"`);
+        if (query.location) parts.push(query.location);
+        if (query.city) parts.push(query.city);
+        if (query.workplace) parts.push(query.workplace);
+        if (query.type) parts.push(query.type);
+        if (query.experience) parts.push(`${query.experience} level`);
+        if (query.category) parts.push(window.JobPortal.filters?.categoryLabels[query.category] || query.category);
+        if (query.salary) parts.push(`${query.salary}+`);
+
+        return parts.join(' · ') || 'All new jobs';
+    }
+
+    getSearchUrl(query) {
+        const queryString = window.JobPortal.filters
+            ? window.JobPortal.filters.serialize(query)
+            : `?${new URLSearchParams(query)}`;
+
+        return `jobs.html${queryString === '?' ? '' : queryString}`;
+    }
+
+    findSaved(query) {
+        const key = JSON.stringify(this.cleanQuery(query));
+        return this.searches.find(search => JSON.stringify(search.query) === key) || null;
+    }
+
+    // Jobs already listed when the search is saved never alert
+    async saveSearch(query, options = {}) {
+        const cleaned = this.cleanQuery(query);
+        const existing = this.findSaved(cleaned);
+        if (existing) return existing;
+
+        const jobs = await this.fetchJobs();
+        this.load();
+
+        const now = new Date().toISOString();
+        const search = {
+            id: `search_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+            name: options.name || this.describe(cleaned),
+            query: cleaned,
+            frequency: options.frequency || 'instant',
+            push: Boolean(options.push),
+            seen: this.runSearch(jobs, cleaned).map(job => String(job.id)),
+            pending: [],
+            createdAt: now,
+            lastDigestAt: now
+        };
+
+        this.searches.push(search);
+        this.save();
+        return search;
+    }
+
+    updateSearch(id, patch) {
+        const search = this.searches.find(s => s.id === id);
+        if (!search) throw new Error(`Saved search ${id} not found`);
+
+        if (patch.frequency && !this.frequencies[patch.frequency]) {
+            throw new Error(`Unknown alert frequency: ${patch.frequency}`);
+        }
+
+        // Switching to instant alerts sends whatever was waiting for the digest
+        if (patch.frequency === 'instant' && search.pending.length) {
+            this.deliver(search, search.pending);
+            search.pending = [];
+        }
+
+        Object.assign(search, patch);
+        this.save();
+        return search;
+    }
+
+    removeSearch(id) {
+        this.searches = this.searches.filter(search => search.id !== id);
+        this.save();
+    }
+
+    // ====== MATCHING ======
+    async fetchJobs() {
+        const response = await window.JobPortal.Api.getJobs();
+        return response.data;
+    }
+
+    runSearch(jobs, query) {
+        return new window.JobPortal.JobSearch()
+            .index(jobs)
+            .search(query)
+            .map(result => result.job);
+    }
+
+    // Runs every saved search against the current listings. Overlapping calls
+    // share one run.
+    check() {
+        if (!this.checking) {
+            this.checking = this.runCheck().finally(() => {
+                this.checking = null;
+            });
+        }
+
+        return this.checking;
+    }
+
+    async runCheck() {
+        if (this.searches.length === 0) return [];
+
+        const jobs = await this.fetchJobs();
+
+        // Another tab may have alerted in the meantime
+        this.load();
+        this.pruneAlerted();
+
+        const now = new Date();
+        const instant = [];
+
+        this.searches.forEach(search => {
+            this.runSearch(jobs, search.query)
+                .filter(job => !search.seen.includes(String(job.id)))
+                .forEach(job => {
+                    search.seen.push(String(job.id));
+
+                    // The same job never alerts twice, even for another search
+                    if (this.alerted[job.id]) return;
+                    this.alerted[job.id] = { searchId: search.id, date: now.toISOString() };
+
+                    const item = this.summarize(job);
+                    if (search.frequency === 'instant') {
+                        instant.push({ search, items: [item] });
+                    } else {
+                        search.pending.push(item);
+                    }
+                });
+        });
+
+        const deliveries = [...instant, ...this.collectDigests(now)];
+        deliveries.forEach(({ search, items }) => this.deliver(search, items));
+
+        this.save();
+        return deliveries;
+    }
+
+    // Digests that are due, emptying their queues
+    collectDigests(now) {
+        return this.searches
+            .filter(search => {
+                const days = this.frequencies[search.frequency]?.days;
+                return days && search.pending.length &&
+                    now - new Date(search.lastDigestAt) >= days * 86400000;
+            })
+            .map(search => {
+                const items = search.pending;
+                search.pending = [];
+                search.lastDigestAt = now.toISOString();
+                return { search, items };
+            });
+    }
+
+    pruneAlerted() {
+        const cutoff = Date.now() - this.alertedRetentionDays * 86400000;
+
+        Object.keys(this.alerted).forEach(jobId => {
+            if (new Date(this.alerted[jobId].date).getTime() < cutoff) delete this.alerted[jobId];
+        });
+    }
+
+    summarize(job) {
+        return {
+            id: job.id,
+            title: job.title,
+            company: job.company,
+            location: job.location || '',
+            salary: job.salary || ''
+        };
+    }
+
+    // ====== DELIVERY ======
+    deliver(search, items) {
+        const url = this.getSearchUrl(search.query);
+        const title = items.length === 1
+            ? `New job for ${search.name}`
+            : `${items.length} new jobs for ${search.name}`;
+        const lines = items.map(item => `${item.title} at ${item.company}`);
+
+        this.history.unshift({ searchId: search.id, title, items, url, date: new Date().toISOString() });
+        this.history = this.history.slice(0, this.maxHistory);
+
+        this.notifyInApp(title, lines, url);
+
+        if (search.push) {
+            this.sendPush({
+                title,
+                body: lines.slice(0, this.maxDigestItems).join('\n'),
+                url,
+                tag: items.length === 1 ? `job-alert-${items[0].id}` : `job-digest-${search.id}`
+            }).catch(error => {
+                console.error('Job alert push failed:', error);
+            });
+        }
+    }
+
+    notifyInApp(title, lines, url) {
+        if (typeof Notifications === 'undefined') return;
+
+        const escape = window.JobPortal.escapeHtml;
+        const shown = lines.slice(0, this.maxDigestItems);
+        const more = lines.length - shown.length;
+
+        Notifications.info(`
+            <strong>${escape(title)}</strong>
+            <ul class="job-alert-list">
+                ${shown.map(line => `<li>${escape(line)}</li>`).join('')}
+                ${more > 0 ? `<li>and ${more} more</li>` : ''}
+            </ul>
+            <a href="${escape(url)}">View jobs</a>
+        `, { duration: 10000 });
+    }
+
+    // Hands the alert to the service worker's push handler, which shows it
+    // exactly as it would a server-sent push
+    async sendPush(payload) {
+        if (!('serviceWorker' in navigator) || typeof Notification === 'undefined' ||
+            Notification.permission !== 'granted') {
+            return false;
+        }
+
+        const worker = await this.getWorker();
+        worker.postMessage({ type: 'job-alert', ...payload });
+        return true;
+    }
+
+    async getWorker() {
+        const registration = await navigator.serviceWorker.register(this.serviceWorkerUrl);
+        const worker = registration.active || registration.waiting || registration.installing;
+
+        if (worker.state === 'activated') return worker;
+
+        return new Promise((resolve, reject) => {
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'activated') resolve(worker);
+                if (worker.state === 'redundant') reject(new Error('Service worker failed to install'));
+            });
+        });
+    }
+
+    async enablePush(id) {
+        if (typeof Notification === 'undefined' || !('serviceWorker' in navigator)) {
+            throw new Error('Push notifications are not supported in this browser');
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Allow notifications for this site to get push alerts');
+        }
+
+        return this.updateSearch(id, { push: true });
+    }
+
+    // ====== BACKGROUND CHECKS ======
+    start() {
+        const run = () => this.check().catch(error => {
+            console.error('Job alert check failed:', error);
+        });
+
+        run();
+        this.timer = setInterval(run, this.checkInterval);
+
+        // New postings from the employer page in another tab
+        window.addEventListener('storage', e => {
+            if (e.key === 'jobPostings') run();
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') run();
+        });
+
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // ====== PANEL ======
+    formatDate(date) {
+        return date ? new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : '';
+    }
+
+    render() {
+        if (!this.panel) return;
+
+        const escape = window.JobPortal.escapeHtml;
+
+        this.panel.innerHTML = `
+            ${this.searches.length === 0 ? `
+                <p class="alerts-empty">No saved searches yet. Search or filter jobs, then choose "Save search".</p>
+            ` : `
+                <ul class="alerts-searches">
+                    ${this.searches.map(search => `
+                        <li class="alerts-search" data-search-id="${search.id}">
+                            <a href="${escape(this.getSearchUrl(search.query))}" class="alerts-name">${escape(search.name)}</a>
+                            <select class="alerts-frequency" aria-label="Alert frequency">
+                                ${Object.entries(this.frequencies).map(([id, frequency]) => `
+                                    <option value="${id}" ${id === search.frequency ? 'selected' : ''}>${frequency.label}</option>
+                                `).join('')}
+                            </select>
+                            <label class="alerts-push">
+                                <input type="checkbox" class="alerts-push-toggle" ${search.push ? 'checked' : ''}> Push
+                            </label>
+                            ${search.pending.length ? `<span class="alerts-pending">${search.pending.length} waiting for digest</span>` : ''}
+                            <button type="button" class="alerts-remove">Remove</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+            ${this.history.length ? `
+                <h3 class="alerts-history-title">Recent alerts</h3>
+                <ul class="alerts-history">
+                    ${this.history.map(entry => `
+                        <li>
+                            <time>${this.formatDate(entry.date)}</time>
+                            <a href="${escape(entry.url)}">${escape(entry.title)}</a>:
+                            ${escape(entry.items.map(item => item.title).join(', '))}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    bindPanel() {
+        if (!this.panel) return;
+
+        const getId = element => element.closest('.alerts-search').dataset.searchId;
+        const fail = error => {
+            console.error('Job alert update failed:', error);
+            if (typeof Notifications !== 'undefined') Notifications.warning(error.message);
+            this.render();
+        };
+
+        this.panel.addEventListener('change', e => {
+            if (e.target.matches('.alerts-frequency')) {
+                this.updateSearch(getId(e.target), { frequency: e.target.value });
+            } else if (e.target.matches('.alerts-push-toggle')) {
+                const id = getId(e.target);
+                if (e.target.checked) {
+                    this.enablePush(id).catch(fail);
+                } else {
+                    this.updateSearch(id, { push: false });
+                }
+            }
+        });
+
+        this.panel.addEventListener('click', e => {
+            if (e.target.matches('.alerts-remove')) {
+                this.removeSearch(getId(e.target));
+            }
+        });
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const search = window.JobPortal.search;
+    if (!search) return;
+
+    const alerts = new JobAlerts({ panel: document.querySelector('.alerts-panel') });
+    window.JobPortal.alerts = alerts;
+    alerts.render();
+    alerts.bindPanel();
+    alerts.start();
+
+    document.querySelector('.save-search-btn')?.addEventListener('click', async function() {
+        this.disabled = true;
+
+        try {
+            const existing = alerts.findSaved(search.lastQuery);
+            const saved = existing || await alerts.saveSearch(search.lastQuery);
+            const name = window.JobPortal.escapeHtml(saved.name);
+
+            if (typeof Notifications !== 'undefined') {
+                Notifications.success(existing
+                    ? `You already have alerts for ${name}`
+                    : `Saved. We'll tell you about new jobs for ${name}`);
+            }
+        } catch (error) {
+            console.error('Failed to save search:', error);
+        } finally {
+            this.disabled = false;
+        }
+    });
+});
+
+window.JobPortal.JobAlerts = JobAlerts;
@@ -0,0 +1,181 @@
+// Faceted Job Filters for JobPortal Website
+// Keeps the filter state in the query string so filtered lists can be shared,
+// restored with back/forward, and shows live counts for every facet option.
+// Load after job-search.js.
+
+class JobFilters {
+    constructor(search) {
+        this.search = search;
+        this.restoring = false;
+        this.initialized = false;
+
+        // Query-string parameter for each piece of state, in serialization order
+        this.params = {
+            keywords: 'q',
+            location: 'location',
+            type: 'type',
+            city: 'city',
+            workplace: 'workplace',
+            salary: 'salary',
+            experience: 'experience',
+            category: 'category',
+            posted: 'posted'
+        };
+
+        this.categoryLabels = {
+            engineering: 'Engineering',
+            data: 'Data & Analytics',
+            design: 'Design',
+            product: 'Product',
+            marketing: 'Marketing',
+            finance: 'Finance'
+        };
+    }
+
+    attach() {
+        // Restore state before the first search runs
+        this.search.lastQuery = this.parse(window.location.search);
+        this.applyToControls(this.search.lastQuery);
+
+        this.search.on('indexed', jobs => {
+            this.populateOptions(jobs);
+            this.applyToControls(this.search.lastQuery);
+        });
+
+        this.search.on('results', (results, query) => {
+            this.updateCounts(query);
+            this.syncUrl(query);
+        });
+
+        window.addEventListener('popstate', event => {
+            this.restore(event.state?.jobFilters || this.parse(window.location.search));
+        });
+
+        return this;
+    }
+
+    // ====== SERIALIZATION ======
+    serialize(query) {
+        const params = new URLSearchParams();
+
+        Object.entries(this.params).forEach(([key, param]) => {
+            const value = String(query[key] || '').trim();
+            if (value) params.set(param, value);
+        });
+
+        const queryString = params.toString();
+        return queryString ? `?${queryString}` : '';
+    }
+
+    parse(queryString) {
+        const params = new URLSearchParams(queryString);
+        const query = {};
+
+        Object.entries(this.params).forEach(([key, param]) => {
+            const value = params.get(param);
+            if (value) query[key] = value;
+        });
+
+        return query;
+    }
+
+    // ====== HISTORY ======
+    syncUrl(query) {
+        if (this.restoring) return;
+
+        const queryString = this.serialize(query);
+        const url = window.location.pathname + queryString + window.location.hash;
+        const state = { ...history.state, jobFilters: this.parse(queryString) };
+
+        // The first render only records state; later changes add history entries
+        if (!this.initialized || queryString === window.location.search) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+
+        this.initialized = true;
+    }
+
+    restore(query) {
+        this.restoring = true;
+
+        try {
+            this.applyToControls(query);
+            this.search.run({
+                keywords: query.keywords || '',
+                location: query.location || ''
+            }, { replace: true });
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    // ====== CONTROLS ======
+    applyToControls(query) {
+        const inputs = document.querySelectorAll('.search-container .search-input');
+        if (inputs[0]) inputs[0].value = query.keywords || '';
+        if (inputs[1]) inputs[1].value = query.location || '';
+
+        this.getSelects().forEach(select => {
+            select.value = query[select.dataset.filter] || '';
+        });
+    }
+
+    getSelects() {
+        return document.querySelectorAll('.filter-select[data-filter]');
+    }
+
+    // Location and category options come from the listings themselves
+    populateOptions(jobs) {
+        const derived = {
+            city: [...new Set(jobs.map(job => job.location).filter(Boolean))].sort()
+                .map(city => ({ value: city, label: city })),
+            category: [...new Set(jobs.map(job => job.category).filter(Boolean))].sort()
+                .map(category => ({ value: category, label: this.categoryLabels[category] || category }))
+        };
+
+        this.getSelects().forEach(select => {
+            const options = derived[select.dataset.filter];
+            if (!options) return;
+
+            const placeholder = select.options[0];
+            select.innerHTML = '';
+            select.appendChild(placeholder);
+
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    // Each option shows how many jobs it would leave given the other facets
+    updateCounts(query) {
+        this.getSelects().forEach(select => {
+            const facet = select.dataset.filter;
+
+            Array.from(select.options).forEach(option => {
+                if (!option.dataset.label) {
+                    option.dataset.label = option.textContent;
+                }
+
+                const count = this.search.search({ ...query, [facet]: option.value }).length;
+                option.textContent = `${option.dataset.label} (${count})`;
+                option.disabled = count === 0 && option.value !== '' && option.value !== select.value;
+            });
+        });
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const search = window.JobPortal.search;
+    if (!search) return;
+
+    window.JobPortal.filters = new JobFilters(search).attach();
+});
+
+window.JobPortal.JobFilters = JobFilters;
@@ -0,0 +1,326 @@
+// Job Matcher for JobPortal Website
+// Scores how well a candidate fits a job listing from skills, years of
+// experience, location and salary expectation, with an explanation of what
+// matched and what is missing. Used for the match percentage on job cards
+// and the fit score on applicant cards. Load after salary-parser.js.
+
+const JobMatcher = {
+    // Relative importance of each criterion; criteria without data are left
+    // out and the remaining weights are rescaled
+    weights: {
+        skills: 50,
+        experience: 20,
+        location: 15,
+        salary: 15
+    },
+
+    // Minimum years implied by the listing's experience level
+    levelYears: {
+        entry: 0,
+        mid: 2,
+        senior: 5
+    },
+
+    // Spellings of the same skill; the first entry is the display name.
+    // 'React.js' / 'ReactJS' / 'React' need no entry, see skillKey
+    synonyms: [
+        ['JavaScript', 'JS', 'ECMAScript', 'ES6'],
+        ['TypeScript', 'TS'],
+        ['Python', 'Py'],
+        ['PostgreSQL', 'Postgres', 'psql'],
+        ['MongoDB', 'Mongo'],
+        ['Kubernetes', 'K8s'],
+        ['AWS', 'Amazon Web Services'],
+        ['Google Cloud', 'GCP', 'Google Cloud Platform'],
+        ['C#', 'CSharp', 'C Sharp'],
+        ['.NET', 'dotnet'],
+        ['Go', 'Golang'],
+        ['HTML', 'HTML5'],
+        ['CSS', 'CSS3'],
+        ['Machine Learning', 'ML'],
+        ['Artificial Intelligence', 'AI'],
+        ['UI Design', 'UI', 'User Interface Design'],
+        ['UX Design', 'UX', 'User Experience'],
+        ['Excel', 'Microsoft Excel', 'MS Excel'],
+        ['SEO', 'Search Engine Optimization'],
+        ['Data Analysis', 'Data Analytics'],
+        ['Customer Service', 'Customer Support'],
+        ['CI/CD', 'Continuous Integration']
+    ],
+
+    // ====== SKILLS ======
+    // Comparison key: case, spacing, dots and a trailing 'js' are ignored,
+    // so 'React.js', 'ReactJS' and 'react' share a key
+    skillKey: function(skill) {
+        const key = this.rawKey(skill);
+        return this.getSynonymIndex()[key] || key;
+    },
+
+    getSynonymIndex: function() {
+        if (!this.synonymIndex) {
+            this.synonymIndex = {};
+            this.synonyms.forEach(group => {
+                const canonical = this.rawKey(group[0]);
+                group.forEach(name => { this.synonymIndex[this.rawKey(name)] = canonical; });
+            });
+        }
+
+        return this.synonymIndex;
+    },
+
+    rawKey: function(skill) {
+        const key = String(skill || '').toLowerCase().replace(/[\s._-]+/g, '');
+        return key.length > 2 ? key.replace(/js$/, '') : key;
+    },
+
+    // Skill names looked for in job descriptions and requirements
+    getVocabulary: function() {
+        const known = window.JobPortal.ResumeParser?.knownSkills || [];
+        return [...new Set([...this.synonyms.flat(), ...known])];
+    },
+
+    // Mentions of known skills in free text. Short aliases only count in
+    // capitals ('AI', 'UX'), so ordinary words like 'go' are not skills
+    findSkills: function(text) {
+        if (!text) return [];
+
+        return this.getVocabulary().filter(name => {
+            const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`(?<![\\w.#+])${escaped}(?![\\w#+])`, name.length <= 3 ? '' : 'i');
+            return (name.length > 3 || name === name.toUpperCase()) && pattern.test(text);
+        });
+    },
+
+    // Tags first, then skills mentioned in the description and requirements
+    getJobSkills: function(job) {
+        const text = [job.description, ...(job.requirements || [])].join('\n');
+        const skills = new Map();
+
+        [...(job.tags || []), ...this.findSkills(text)].forEach(skill => {
+            const key = this.skillKey(skill);
+            if (!skills.has(key)) skills.set(key, skill);
+        });
+
+        return skills;
+    },
+
+    // ====== EXPERIENCE ======
+    // '5+ years', '3-5 years of experience'; falls back to the listing level
+    getRequiredYears: function(job) {
+        const text = [job.description, ...(job.requirements || [])].join('\n');
+        const match = text.match(/(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?years?/i);
+
+        if (match) return Number(match[1]);
+        return this.levelYears[job.experience] ?? null;
+    },
+
+    // Sum of the year ranges in a work history ('2019 – Present', 'Jan 2020 - Mar 2022')
+    countYears: function(history) {
+        const text = Array.isArray(history)
+            ? history.map(job => `${job.start || ''} – ${job.end || ''}`).join('\n')
+            : String(history || '');
+        const pattern = /((?:19|20)\d{2})\s*(?:-|–|—|to)\s*(?:[a-z]+\.?\s+)?(?:\d{1,2}\/)?((?:19|20)\d{2}|present|current|now)/gi;
+        const currentYear = new Date().getFullYear();
+        let years = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const end = /^\d/.test(match[2]) ? Number(match[2]) : currentYear;
+            years += Math.max(0, end - Number(match[1]));
+        }
+
+        return years || null;
+    },
+
+    // ====== CANDIDATES ======
+    // { skills: [], experienceYears, city, salaryExpectation }
+    fromSeekerProfile: function(profile = window.JobPortal.SeekerProfile?.get() || {}) {
+        const years = Number(profile.experienceYears);
+
+        return {
+            skills: profile.skills || [],
+            experienceYears: profile.experienceYears !== undefined && profile.experienceYears !== '' && !isNaN(years)
+                ? years
+                : this.countYears(profile.experience),
+            city: profile.city || '',
+            salaryExpectation: profile.salaryExpectation || ''
+        };
+    },
+
+    // Submitted application payloads from ApplicationWizard
+    fromApplication: function(application) {
+        const answer = id => (application.answers || []).find(item => item.id === id)?.answer || '';
+        const years = answer('experienceYears');
+
+        return {
+            skills: String(application.resume?.skills || '').split(/[,;\n]/).map(skill => skill.trim()).filter(Boolean),
+            experienceYears: years !== '' && !isNaN(Number(years))
+                ? Number(years)
+                : this.countYears(application.resume?.experience),
+            city: application.applicant?.city || '',
+            salaryExpectation: answer('expectedSalary')
+        };
+    },
+
+    // ====== SCORING ======
+    // Returns { score, criteria, matched, missing }; score is 0-100, or null
+    // when there is nothing to compare (empty profile, or no criteria apply)
+    match: function(candidate, job) {
+        const empty = !candidate.skills.length && candidate.experienceYears === null &&
+            !candidate.city && !candidate.salaryExpectation;
+        const criteria = [
+            this.scoreSkills(candidate, job),
+            this.scoreExperience(candidate, job),
+            this.scoreLocation(candidate, job),
+            this.scoreSalary(candidate, job)
+        ];
+
+        const applicable = criteria.filter(criterion => criterion.applicable);
+        const totalWeight = applicable.reduce((sum, criterion) => sum + criterion.weight, 0);
+        const score = totalWeight && !empty
+            ? Math.round(applicable.reduce((sum, criterion) => sum + criterion.weight * criterion.score, 0) / totalWeight * 100)
+            : null;
+
+        return {
+            score,
+            criteria,
+            matched: applicable.flatMap(criterion => criterion.matched),
+            missing: criteria.flatMap(criterion => criterion.missing)
+        };
+    },
+
+    criterion: function(id, label, values) {
+        return { id, label, weight: this.weights[id], applicable: true, score: 0, matched: [], missing: [], detail: '', ...values };
+    },
+
+    scoreSkills: function(candidate, job) {
+        const required = this.getJobSkills(job);
+        if (required.size === 0 || candidate.skills.length === 0) {
+            return this.criterion('skills', 'Skills', {
+                applicable: false,
+                detail: candidate.skills.length ? 'No specific skills listed' : 'Add your skills to your profile'
+            });
+        }
+
+        const own = new Set(candidate.skills.map(skill => this.skillKey(skill)));
+        const matched = [];
+        const missing = [];
+        required.forEach((name, key) => (own.has(key) ? matched : missing).push(name));
+
+        return this.criterion('skills', 'Skills', {
+            score: matched.length / required.size,
+            matched,
+            missing,
+            detail: `${matched.length} of ${required.size} skills`
+        });
+    },
+
+    scoreExperience: function(candidate, job) {
+        const required = this.getRequiredYears(job);
+        const years = candidate.experienceYears;
+
+        if (required === null || years === null || years === undefined) {
+            return this.criterion('experience', 'Experience', {
+                applicable: false,
+                detail: required === null ? 'No experience requirement' : 'Add your years of experience'
+            });
+        }
+
+        const enough = years >= required;
+        const label = `${required}+ years experience`;
+
+        return this.criterion('experience', 'Experience', {
+            score: enough ? 1 : years / required,
+            matched: enough && required ? [label] : [],
+            missing: enough ? [] : [label],
+            detail: `${years} ${years === 1 ? 'year' : 'years'} of ${required}+ asked`
+        });
+    },
+
+    scoreLocation: function(candidate, job) {
+        if (job.workplace === 'remote') {
+            return this.criterion('location', 'Location', { score: 1, matched: ['Remote'], detail: 'Remote role' });
+        }
+
+        const location = String(job.location || '').toLowerCase();
+        const city = candidate.city.toLowerCase().split(',')[0].trim();
+        if (!location || !city) {
+            return this.criterion('location', 'Location', { applicable: false, detail: 'Add your city to your profile' });
+        }
+
+        const jobCity = location.split(',')[0].trim();
+        const local = location.includes(city) || city.includes(jobCity);
+
+        return this.criterion('location', 'Location', {
+            score: local ? 1 : 0,
+            matched: local ? [job.location] : [],
+            missing: local ? [] : [job.location],
+            detail: local ? `Based in ${job.location}` : `Role is based in ${job.location}`
+        });
+    },
+
+    scoreSalary: function(candidate, job) {
+        const parser = window.JobPortal.SalaryParser;
+        const expected = parser.normalize(parser.parse(candidate.salaryExpectation));
+        const offered = parser.normalize(parser.parse(job.salary));
+        const expectedAmount = expected && (expected.min ?? expected.max);
+        const offeredAmount = offered && (offered.max ?? offered.min);
+
+        if (!expectedAmount || !offeredAmount) {
+            return this.criterion('salary', 'Salary', {
+                applicable: false,
+                detail: !candidate.salaryExpectation ? 'Add your salary expectation'
+                    : !expectedAmount ? 'Salary expectation not understood'
+                    : parser.parse(job.salary) ? 'Salary could not be compared' : 'Salary not listed'
+            });
+        }
+
+        const fits = offeredAmount >= expectedAmount;
+        const currency = parser.comparisonCurrency;
+
+        return this.criterion('salary', 'Salary', {
+            score: fits ? 1 : offeredAmount / expectedAmount,
+            matched: fits ? ['Salary expectation'] : [],
+            missing: fits ? [] : ['Salary expectation'],
+            detail: `Pays up to ${parser.formatAmount(offeredAmount, currency)}/yr, you asked ${parser.formatAmount(expectedAmount, currency)}/yr`
+        });
+    },
+
+    // Jobs from JobPortal.Api ranked by match for the given candidate
+    matchJobs: async function(candidate = this.fromSeekerProfile(), filters = {}) {
+        const response = await window.JobPortal.Api.getJobs(filters);
+
+        return response.data
+            .map(job => ({ job, match: this.match(candidate, job) }))
+            .sort((a, b) => (b.match.score ?? -1) - (a.match.score ?? -1));
+    },
+
+    // ====== DISPLAY ======
+    getLevel: function(score) {
+        return score >= 75 ? 'high' : score >= 50 ? 'medium' : 'low';
+    },
+
+    // Collapsible badge with the per-criterion explanation
+    renderScore: function(result, label = 'match') {
+        if (!result || result.score === null) return '';
+
+        const escape = window.JobPortal.escapeHtml;
+
+        return `
+            <details class="match-score match-${this.getLevel(result.score)}">
+                <summary>${result.score}% ${escape(label)}</summary>
+                <ul class="match-explanation">
+                    ${result.criteria.map(criterion => `
+                        <li class="${!criterion.applicable ? 'unknown' : criterion.score >= 1 ? 'matched' : 'missing'}">
+                            <strong>${criterion.label}:</strong> ${escape(criterion.detail)}
+                            ${criterion.matched.length && criterion.id === 'skills' ? `<br>Has ${escape(criterion.matched.join(', '))}` : ''}
+                            ${criterion.missing.length && criterion.id === 'skills' ? `<br>Missing ${escape(criterion.missing.join(', '))}` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+};
+
+window.JobPortal.JobMatcher = JobMatcher;
@@ -0,0 +1,985 @@
+// Job Postings for JobPortal Website
+// Employer side of the job board: a multi-step posting wizard with a live
+// .job-card preview, per-plan quotas for active and featured posts, and plan
+// upgrades. Plans are monthly subscriptions when the page sets up
+// JobPortal.subscriptions (subscriptions.js); otherwise they are bought
+// through PaymentManager.processPayment. Published postings are picked up by
+// JobPortal.Api.getJobs. Load after main.js, salary-parser.js and
+// job-search.js.
+
+class JobPostings {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'jobPostings';
+        this.planKey = options.planKey || 'employerPlan';
+        this.accountKey = options.accountKey || 'employerAccount';
+        this.listeners = {};
+
+        // Mirrors the pricing cards on employers.html and index.html. null
+        // means unlimited.
+        this.plans = {
+            starter: {
+                id: 'starter', name: 'Starter', price: 299, currency: 'USD',
+                activePosts: 1, featuredSlots: 0, listingDays: 30, screeningQuestions: 0
+            },
+            professional: {
+                id: 'professional', name: 'Professional', price: 699, currency: 'USD',
+                activePosts: 5, featuredSlots: 1, listingDays: 60, screeningQuestions: 10
+            },
+            business: {
+                id: 'business', name: 'Business', price: 2499, currency: 'ETB',
+                activePosts: 20, featuredSlots: 3, listingDays: 60, screeningQuestions: 10
+            },
+            enterprise: {
+                id: 'enterprise', name: 'Enterprise', price: null, currency: 'USD',
+                activePosts: null, featuredSlots: 5, listingDays: 90, screeningQuestions: null
+            }
+        };
+    }
+
+    // ====== ACCOUNT & PLAN ======
+    getAccount() {
+        return window.JobPortal.Storage.get(this.accountKey);
+    }
+
+    saveAccount(account) {
+        window.JobPortal.Storage.set(this.accountKey, { ...account, createdAt: new Date().toISOString() });
+        this.emit('change');
+    }
+
+    getBilling() {
+        return window.JobPortal.subscriptions || null;
+    }
+
+    // { planId, pendingUpgrade, subscription }. A subscription keeps its plan
+    // while trialing, active or in its grace period; plans bought before
+    // subscriptions are kept in planKey.
+    getSubscription() {
+        const billing = this.getBilling();
+        const account = this.getAccount();
+        const subscription = billing && account ? billing.getCurrent(account.email, 'employer') : null;
+
+        if (subscription) {
+            return {
+                planId: billing.hasAccess(subscription) ? subscription.planId : null,
+                pendingUpgrade: subscription.pendingChange ||
+                    (subscription.status === 'incomplete' ? { planId: subscription.planId } : null),
+                subscription
+            };
+        }
+        return window.JobPortal.Storage.get(this.planKey) || { planId: null, pendingUpgrade: null };
+    }
+
+    getPlan() {
+        return this.plans[this.getSubscription().planId] || null;
+    }
+
+    activatePlan(planId) {
+        if (!this.plans[planId]) throw new Error(`Unknown plan: ${planId}`);
+
+        window.JobPortal.Storage.set(this.planKey, {
+            planId,
+            activatedAt: new Date().toISOString(),
+            pendingUpgrade: null
+        });
+        this.emit('change');
+        return this.plans[planId];
+    }
+
+    // Starts the plan payment; the plan switches once the payment completes.
+    // With subscriptions, a first plan starts with a free trial and a change
+    // of plan is prorated.
+    async requestUpgrade(planId) {
+        const plan = this.plans[planId];
+        if (!plan) throw new Error(`Unknown plan: ${planId}`);
+        if (plan.price === null) throw new Error(`${plan.name} is arranged with our sales team`);
+
+        const account = this.getAccount();
+        if (!account) throw new Error('Create your employer account before choosing a plan');
+
+        const billing = this.getBilling();
+        if (billing) {
+            const current = billing.getCurrent(account.email, 'employer');
+            const result = current
+                ? await billing.changePlan(current.id, { planId })
+                : billing.subscribe({ planId, customer: this.getCustomer(account) });
+
+            this.emit('change');
+            if (result.invoice?.status === 'open') {
+                await this.payInvoice(result.invoice);
+            }
+            return result;
+        }
+
+        if (!window.paymentManager) throw new Error('Payments are not available right now. Please try again later.');
+
+        const initiation = await window.paymentManager.processPayment(plan.price, plan.currency, this.getCustomer(account), undefined, {
+            context: { product: 'job-posting', planId },
+            description: `${plan.name} job posting plan`
+        });
+
+        window.JobPortal.Storage.set(this.planKey, {
+            ...this.getSubscription(),
+            pendingUpgrade: {
+                planId,
+                paymentId: initiation.paymentId,
+                requestedAt: new Date().toISOString()
+            }
+        });
+        this.emit('change');
+
+        return initiation;
+    }
+
+    getCustomer(account) {
+        return {
+            name: account.contactName,
+            email: account.email,
+            phone: account.phone,
+            company: account.company
+        };
+    }
+
+    // ETB invoices are paid on the payment page by transfer or mobile money;
+    // card invoices in PaymentManager's payment form
+    async payInvoice(invoice) {
+        if (invoice.currency === 'ETB') {
+            window.location.href = `payment.html?invoice=${encodeURIComponent(invoice.id)}`;
+            return null;
+        }
+        if (!window.paymentManager) throw new Error('Payments are not available right now. Please try again later.');
+
+        const initiation = await this.getBilling().payInvoice(invoice.id, { method: 'card' });
+        if (!initiation.success) throw new Error(initiation.error);
+
+        window.paymentManager.showPaymentInterface(initiation.paymentIntent);
+        return initiation;
+    }
+
+    // PaymentManager stores the completed payment as lastPayment before it
+    // redirects to the success page; match it to the pending upgrade
+    completePendingUpgrade(payment = window.JobPortal.Storage.get('lastPayment')) {
+        const pending = this.getSubscription().pendingUpgrade;
+        if (!pending || !payment || payment.id !== pending.paymentId || payment.status !== 'succeeded') {
+            return null;
+        }
+
+        return this.activatePlan(pending.planId);
+    }
+
+    // ====== POSTINGS ======
+    getPostings() {
+        return window.JobPortal.Storage.get(this.storageKey) || [];
+    }
+
+    get(id) {
+        return this.getPostings().find(posting => posting.id === id) || null;
+    }
+
+    savePostings(postings) {
+        window.JobPortal.Storage.set(this.storageKey, postings);
+        this.emit('change');
+    }
+
+    getStatus(posting, now = Date.now()) {
+        if (posting.status !== 'published') return posting.status;
+        if (new Date(posting.expiresAt).getTime() <= now) return 'expired';
+        if (new Date(posting.publishAt).getTime() > now) return 'scheduled';
+        return 'live';
+    }
+
+    // Scheduled and live postings both hold a slot
+    getUsage(excludeId = null) {
+        const holding = this.getPostings().filter(posting =>
+            posting.id !== excludeId && ['scheduled', 'live'].includes(this.getStatus(posting)));
+
+        return {
+            active: holding.length,
+            featured: holding.filter(posting => posting.featured).length
+        };
+    }
+
+    // Returns { allowed, reason, upgrade } where upgrade is the cheapest plan that fits
+    checkQuota(posting) {
+        const plan = this.getPlan();
+        const usage = this.getUsage(posting.id);
+        const fits = candidate =>
+            (candidate.activePosts === null || usage.active < candidate.activePosts) &&
+            (!posting.featured || usage.featured < candidate.featuredSlots) &&
+            (candidate.screeningQuestions === null ||
+                (posting.screeningQuestions || []).length <= candidate.screeningQuestions) &&
+            this.getListingDays(posting) <= candidate.listingDays;
+        // Prices are only comparable in the same currency
+        const upgrade = Object.values(this.plans).find(candidate =>
+            fits(candidate) && (!plan || candidate.price === null ||
+                (candidate.currency === plan.currency && candidate.price > (plan.price || 0)))) || null;
+
+        if (!plan) {
+            return { allowed: false, reason: 'Choose a plan to publish job postings.', upgrade };
+        }
+
+        if (plan.activePosts !== null && usage.active >= plan.activePosts) {
+            return {
+                allowed: false,
+                reason: `Your ${plan.name} plan allows ${plan.activePosts} active ${plan.activePosts === 1 ? 'posting' : 'postings'}. Close one or upgrade.`,
+                upgrade
+            };
+        }
+
+        if (posting.featured && usage.featured >= plan.featuredSlots) {
+            return {
+                allowed: false,
+                reason: plan.featuredSlots === 0
+                    ? `Featured postings are not included in the ${plan.name} plan.`
+                    : plan.featuredSlots === 1
+                        ? 'Your featured slot is already in use.'
+                        : `All ${plan.featuredSlots} featured slots are in use.`,
+                upgrade
+            };
+        }
+
+        if (plan.screeningQuestions !== null && (posting.screeningQuestions || []).length > plan.screeningQuestions) {
+            return {
+                allowed: false,
+                reason: plan.screeningQuestions === 0
+                    ? `Screening questions are not included in the ${plan.name} plan.`
+                    : `Your ${plan.name} plan allows up to ${plan.screeningQuestions} screening questions.`,
+                upgrade
+            };
+        }
+
+        if (this.getListingDays(posting) > plan.listingDays) {
+            return {
+                allowed: false,
+                reason: `Listings on the ${plan.name} plan can run for up to ${plan.listingDays} days.`,
+                upgrade
+            };
+        }
+
+        return { allowed: true, reason: '', upgrade: null };
+    }
+
+    getListingDays(posting) {
+        return Math.ceil((new Date(posting.expiresAt) - new Date(posting.publishAt)) / 86400000);
+    }
+
+    publish(posting) {
+        const quota = this.checkQuota(posting);
+        if (!quota.allowed) throw new Error(quota.reason);
+
+        const now = new Date().toISOString();
+        const published = {
+            ...posting,
+            id: posting.id || `post_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+            status: 'published',
+            postedAt: posting.publishAt,
+            createdAt: posting.createdAt || now,
+            updatedAt: now
+        };
+
+        const postings = this.getPostings().filter(existing => existing.id !== published.id);
+        postings.unshift(published);
+        this.savePostings(postings);
+
+        this.emit('published', published);
+        return published;
+    }
+
+    close(id) {
+        const postings = this.getPostings();
+        const posting = postings.find(existing => existing.id === id);
+        if (!posting) throw new Error(`Posting ${id} not found`);
+
+        posting.status = 'closed';
+        posting.closedAt = new Date().toISOString();
+        this.savePostings(postings);
+        return posting;
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+class JobPostingWizard {
+    constructor(postings, options = {}) {
+        this.postings = postings;
+        this.container = options.container || null;
+        this.dashboard = options.dashboard || null;
+        this.draftKey = options.draftKey || 'jobPostingDraft';
+        this.renderer = new window.JobPortal.JobSearch();
+        this.stepIndex = 0;
+        this.draft = null;
+
+        this.steps = [
+            { id: 'details', title: 'Job Details' },
+            { id: 'requirements', title: 'Requirements' },
+            { id: 'salary', title: 'Salary' },
+            { id: 'screening', title: 'Screening Questions' },
+            { id: 'publish', title: 'Publish' }
+        ];
+
+        this.options = {
+            workplace: { 'on-site': 'On-site', hybrid: 'Hybrid', remote: 'Remote' },
+            type: { 'full-time': 'Full-time', 'part-time': 'Part-time', contract: 'Contract' },
+            experience: { entry: 'Entry Level', mid: 'Mid Level', senior: 'Senior Level' },
+            category: {
+                engineering: 'Engineering', data: 'Data & Analytics', design: 'Design',
+                product: 'Product', marketing: 'Marketing', finance: 'Finance'
+            },
+            currency: { ETB: 'ETB', USD: 'USD' },
+            period: { month: 'per month', year: 'per year', hour: 'per hour' },
+            questionType: { yesno: 'Yes / No', text: 'Short answer', number: 'Number' }
+        };
+
+        this.saveDraft = window.JobPortal.debounce(() => this.persistDraft(), 500);
+    }
+
+    // ====== DRAFT ======
+    loadDraft() {
+        const today = new Date().toISOString().slice(0, 10);
+
+        this.draft = window.JobPortal.Storage.get(this.draftKey) || {
+            step: 0,
+            fields: {
+                company: this.postings.getAccount()?.company || '',
+                workplace: 'on-site',
+                type: 'full-time',
+                experience: 'mid',
+                currency: 'ETB',
+                period: 'month',
+                publishAt: today,
+                expiresAt: this.addDays(today, this.postings.getPlan()?.listingDays || 30)
+            },
+            questions: []
+        };
+        this.stepIndex = this.draft.step || 0;
+        return this.draft;
+    }
+
+    persistDraft() {
+        this.collectFields();
+        this.draft.step = this.stepIndex;
+        window.JobPortal.Storage.set(this.draftKey, this.draft);
+    }
+
+    discardDraft() {
+        window.JobPortal.Storage.remove(this.draftKey);
+        this.draft = null;
+    }
+
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00`);
+        result.setDate(result.getDate() + days);
+        return result.toISOString().slice(0, 10);
+    }
+
+    // ====== POSTING MODEL ======
+    // Builds the posting in the same shape as the listings on jobs.html
+    toPosting() {
+        const fields = this.draft.fields;
+
+        return {
+            id: this.draft.id || null,
+            title: fields.title || '',
+            company: fields.company || '',
+            location: fields.city || '',
+            workplace: fields.workplace,
+            type: fields.type,
+            experience: fields.experience,
+            category: fields.category || '',
+            tags: (fields.skills || '').split(',').map(tag => tag.trim()).filter(Boolean),
+            requirements: (fields.requirements || '').split('\n').map(line => line.trim()).filter(Boolean),
+            salary: this.formatSalary(fields),
+            description: fields.description || '',
+            screeningQuestions: this.draft.questions
+                .filter(question => question.label.trim())
+                .map((question, index) => ({ ...question, id: question.id || `q${index + 1}` })),
+            featured: Boolean(fields.featured),
+            publishAt: new Date(`${fields.publishAt}T00:00:00`).toISOString(),
+            expiresAt: new Date(`${fields.expiresAt}T23:59:59`).toISOString()
+        };
+    }
+
+    // Same wording as existing listings so SalaryParser reads it back:
+    // '$80,000 - $100,000', 'ETB 25,000 - 35,000 per month', 'Negotiable'
+    formatSalary(fields) {
+        const min = Number(fields.salaryMin) || 0;
+        const max = Number(fields.salaryMax) || 0;
+        if (!min && !max) return fields.negotiable ? 'Negotiable' : '';
+
+        const amount = value => value.toLocaleString('en-US');
+        const figure = value => fields.currency === 'USD' ? `$${amount(value)}` : amount(value);
+        const range = min && max && min !== max
+            ? `${figure(min)} - ${figure(max)}`
+            : min && !max ? `From ${figure(min)}` : figure(max || min);
+        const prefix = fields.currency === 'USD' ? '' : `${fields.currency} `;
+        const period = fields.currency === 'USD' && fields.period === 'year' ? '' : ` ${this.options.period[fields.period]}`;
+        const negotiable = fields.negotiable ? ' (negotiable)' : '';
+
+        return `${prefix}${range}${period}${negotiable}`;
+    }
+
+    // ====== RENDERING ======
+    render() {
+        if (!this.container) return;
+        if (!this.draft) this.loadDraft();
+
+        const step = this.steps[this.stepIndex];
+        const isLast = this.stepIndex === this.steps.length - 1;
+
+        this.container.innerHTML = `
+            <div class="posting-layout">
+                <form class="posting-form" novalidate>
+                    <ol class="posting-progress">
+                        ${this.steps.map((s, index) => `
+                            <li class="${index === this.stepIndex ? 'active' : ''} ${index < this.stepIndex ? 'done' : ''}">${s.title}</li>
+                        `).join('')}
+                    </ol>
+                    <fieldset class="posting-step" data-step="${step.id}">
+                        <legend>${step.title}</legend>
+                        ${this.renderStep(step.id)}
+                    </fieldset>
+                    <div class="posting-actions">
+                        ${this.stepIndex > 0 ? '<button type="button" class="posting-back">Back</button>' : ''}
+                        <button type="submit" class="posting-next">${isLast ? this.getPublishLabel() : 'Next'}</button>
+                    </div>
+                </form>
+                <aside class="posting-preview-panel">
+                    <h3>Live Preview</h3>
+                    <p class="posting-preview-note">This is how candidates will see your job on the Jobs page.</p>
+                    <div class="posting-preview"></div>
+                </aside>
+            </div>
+        `;
+
+        this.restoreFields();
+        this.updatePreview();
+    }
+
+    renderStep(stepId) {
+        switch (stepId) {
+            case 'details':
+                return `
+                    ${this.renderField('title', 'Job title', '<input type="text" name="title" required minlength="3" maxlength="100">')}
+                    ${this.renderField('company', 'Company', '<input type="text" name="company" required>')}
+                    ${this.renderField('city', 'City', '<input type="text" name="city" required placeholder="e.g. Addis Ababa, Ethiopia">')}
+                    <div class="posting-row">
+                        ${this.renderField('workplace', 'Workplace', this.renderSelect('workplace'))}
+                        ${this.renderField('type', 'Job type', this.renderSelect('type'))}
+                    </div>
+                    <div class="posting-row">
+                        ${this.renderField('experience', 'Experience', this.renderSelect('experience'))}
+                        ${this.renderField('category', 'Category', this.renderSelect('category', 'Select category'))}
+                    </div>
+                    ${this.renderField('description', 'Description', '<textarea name="description" rows="6" required minlength="50"></textarea>')}
+                `;
+
+            case 'requirements':
+                return `
+                    ${this.renderField('skills', 'Key skills (comma separated)', '<input type="text" name="skills" required placeholder="React, TypeScript, Git">')}
+                    ${this.renderField('requirements', 'Requirements (one per line)', '<textarea name="requirements" rows="6"></textarea>')}
+                `;
+
+            case 'salary':
+                return `
+                    <div class="posting-row">
+                        ${this.renderField('currency', 'Currency', this.renderSelect('currency'))}
+                        ${this.renderField('period', 'Paid', this.renderSelect('period'))}
+                    </div>
+                    <div class="posting-row">
+                        ${this.renderField('salaryMin', 'Minimum', '<input type="number" name="salaryMin" min="0" step="100">')}
+                        ${this.renderField('salaryMax', 'Maximum', '<input type="number" name="salaryMax" min="0" step="100">')}
+                    </div>
+                    <label class="posting-check"><input type="checkbox" name="negotiable"> Salary is negotiable</label>
+                `;
+
+            case 'screening':
+                return this.renderQuestions();
+
+            case 'publish':
+                return this.renderPublish();
+
+            default:
+                return '';
+        }
+    }
+
+    renderField(name, label, control) {
+        return `
+            <div class="posting-field">
+                <label>${label}</label>
+                ${control}
+            </div>
+        `;
+    }
+
+    renderSelect(name, placeholder) {
+        const options = Object.entries(this.options[name])
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        return `<select name="${name}" ${placeholder ? '' : 'required'}>
+            ${placeholder ? `<option value="">${placeholder}</option>` : ''}
+            ${options}
+        </select>`;
+    }
+
+    renderQuestions() {
+        const escape = window.JobPortal.escapeHtml;
+        const plan = this.postings.getPlan();
+        const limit = plan ? plan.screeningQuestions : null;
+        const hint = limit === 0
+            ? `Screening questions are included from the Professional plan.`
+            : limit ? `Your ${plan.name} plan allows up to ${limit} questions.` : '';
+
+        return `
+            <p class="posting-hint">Candidates answer these when they apply. ${hint}</p>
+            <div class="posting-questions">
+                ${this.draft.questions.map((question, index) => `
+                    <div class="posting-question" data-index="${index}">
+                        <input type="text" class="question-label" value="${escape(question.label)}" placeholder="Question" required>
+                        <select class="question-type">
+                            ${Object.entries(this.options.questionType).map(([value, label]) => `
+                                <option value="${value}" ${value === question.type ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <label class="posting-check">
+                            <input type="checkbox" class="question-required" ${question.required ? 'checked' : ''}> Required
+                        </label>
+                        <button type="button" class="question-remove" aria-label="Remove question">&times;</button>
+                    </div>
+                `).join('')}
+            </div>
+            <button type="button" class="question-add">+ Add question</button>
+        `;
+    }
+
+    renderPublish() {
+        const plan = this.postings.getPlan();
+        const usage = this.postings.getUsage(this.draft.id);
+        const quota = this.postings.checkQuota(this.toPosting());
+        const limit = value => value === null ? 'unlimited' : value;
+
+        return `
+            <div class="posting-row">
+                ${this.renderField('publishAt', 'Publish on', '<input type="date" name="publishAt" required>')}
+                ${this.renderField('expiresAt', 'Expires on', '<input type="date" name="expiresAt" required>')}
+            </div>
+            <label class="posting-check"><input type="checkbox" name="featured"> Feature this job at the top of search results</label>
+            <div class="posting-quota">
+                ${plan ? `
+                    <p><strong>${plan.name} plan</strong> · up to ${plan.listingDays}-day listings</p>
+                    <p>Active postings: ${usage.active} of ${limit(plan.activePosts)} · Featured: ${usage.featured} of ${plan.featuredSlots}</p>
+                ` : '<p>You don\'t have a plan yet.</p>'}
+                ${quota.allowed ? '' : `
+                    <p class="posting-quota-error">${quota.reason}</p>
+                    ${this.renderUpgrade(quota.upgrade)}
+                `}
+            </div>
+        `;
+    }
+
+    renderUpgrade(plan) {
+        if (!plan) return '';
+        if (plan.price === null) {
+            return `<a href="#get-started" class="posting-upgrade-link">Contact sales about ${plan.name}</a>`;
+        }
+
+        return `
+            <button type="button" class="posting-upgrade" data-plan="${plan.id}">
+                ${this.postings.getPlan() ? 'Upgrade' : 'Choose'} ${plan.name} — ${this.formatAmount(plan.price, plan.currency)}/month
+            </button>
+        `;
+    }
+
+    formatAmount(amount, currency) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: Number.isInteger(amount) ? 0 : 2
+        }).format(amount);
+    }
+
+    getPublishLabel() {
+        const publishAt = this.draft.fields.publishAt;
+        return publishAt && publishAt > new Date().toISOString().slice(0, 10) ? 'Schedule Job' : 'Publish Job';
+    }
+
+    updatePreview() {
+        const preview = this.container?.querySelector('.posting-preview');
+        if (!preview) return;
+
+        const posting = this.toPosting();
+        preview.innerHTML = this.renderer.renderJobCard({
+            ...posting,
+            id: posting.id || 'preview',
+            title: posting.title || 'Job title',
+            company: posting.company || 'Company name',
+            description: posting.description || 'Your job description will appear here.'
+        });
+    }
+
+    // ====== FIELD STATE ======
+    collectFields() {
+        if (!this.container) return;
+
+        this.container.querySelectorAll('.posting-step [name]').forEach(field => {
+            this.draft.fields[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+        });
+
+        this.container.querySelectorAll('.posting-question').forEach(row => {
+            const question = this.draft.questions[row.dataset.index];
+            question.label = row.querySelector('.question-label').value;
+            question.type = row.querySelector('.question-type').value;
+            question.required = row.querySelector('.question-required').checked;
+        });
+    }
+
+    restoreFields() {
+        this.container.querySelectorAll('.posting-step [name]').forEach(field => {
+            const value = this.draft.fields[field.name];
+            if (value === undefined) return;
+
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(value);
+            } else {
+                field.value = value;
+            }
+        });
+    }
+
+    // ====== NAVIGATION ======
+    validateStep() {
+        const { Validation } = window.JobPortal;
+        const step = this.container.querySelector('.posting-step');
+        let isValid = Validation.validateForm(step);
+
+        if (step.dataset.step === 'salary') {
+            const min = step.querySelector('[name="salaryMin"]');
+            const max = step.querySelector('[name="salaryMax"]');
+            const negotiable = step.querySelector('[name="negotiable"]').checked;
+
+            if (!min.value && !max.value && !negotiable) {
+                Validation.showResult(min, 'Enter a salary or mark it as negotiable');
+                isValid = false;
+            } else if (min.value && max.value && Number(max.value) < Number(min.value)) {
+                Validation.showResult(max, 'Maximum must be at least the minimum');
+                isValid = false;
+            }
+        }
+
+        if (step.dataset.step === 'publish') {
+            const publishAt = step.querySelector('[name="publishAt"]');
+            const expiresAt = step.querySelector('[name="expiresAt"]');
+
+            if (publishAt.value < new Date().toISOString().slice(0, 10)) {
+                Validation.showResult(publishAt, 'Publish date cannot be in the past');
+                isValid = false;
+            }
+
+            if (expiresAt.value <= publishAt.value) {
+                Validation.showResult(expiresAt, 'Expiry must be after the publish date');
+                isValid = false;
+            }
+        }
+
+        return isValid;
+    }
+
+    goTo(index) {
+        this.collectFields();
+        this.stepIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+        this.persistDraft();
+        this.render();
+    }
+
+    next() {
+        this.collectFields();
+        if (!this.validateStep()) return;
+
+        if (this.stepIndex < this.steps.length - 1) {
+            this.goTo(this.stepIndex + 1);
+            return;
+        }
+
+        this.publish();
+    }
+
+    publish() {
+        try {
+            const published = this.postings.publish(this.toPosting());
+            this.discardDraft();
+            this.stepIndex = 0;
+            this.render();
+
+            if (typeof Notifications !== 'undefined') {
+                Notifications.success(this.postings.getStatus(published) === 'scheduled'
+                    ? `${published.title} is scheduled for ${new Date(published.publishAt).toLocaleDateString()}`
+                    : `${published.title} is now live on the Jobs page`);
+            }
+
+            return published;
+
+        } catch (error) {
+            this.render();
+            if (typeof Notifications !== 'undefined') {
+                Notifications.error(error.message);
+            }
+        }
+    }
+
+    async upgrade(planId) {
+        try {
+            this.persistDraft();
+            await this.postings.requestUpgrade(planId);
+        } catch (error) {
+            console.error('Plan upgrade failed:', error);
+            if (typeof Notifications !== 'undefined') {
+                Notifications.error(error.message);
+            }
+        }
+    }
+
+    bind() {
+        if (!this.container) return;
+
+        this.container.addEventListener('submit', e => {
+            e.preventDefault();
+            this.next();
+        });
+
+        this.container.addEventListener('click', e => {
+            if (e.target.matches('.posting-back')) {
+                this.goTo(this.stepIndex - 1);
+            } else if (e.target.matches('.question-add')) {
+                this.collectFields();
+                this.draft.questions.push({ label: '', type: 'yesno', required: true });
+                this.render();
+            } else if (e.target.matches('.question-remove')) {
+                this.collectFields();
+                this.draft.questions.splice(e.target.closest('.posting-question').dataset.index, 1);
+                this.render();
+            } else if (e.target.closest('.posting-upgrade')) {
+                this.upgrade(e.target.closest('.posting-upgrade').dataset.plan);
+            } else if (e.target.closest('.posting-preview')) {
+                // Preview buttons are for show only
+                e.preventDefault();
+            }
+        });
+
+        const refresh = () => {
+            this.collectFields();
+            this.updatePreview();
+            this.saveDraft();
+        };
+
+        this.container.addEventListener('input', refresh);
+        this.container.addEventListener('change', e => {
+            refresh();
+
+            // Quota and schedule depend on the publish fields
+            if (e.target.closest('.posting-step[data-step="publish"]')) {
+                this.render();
+            }
+        });
+    }
+
+    // ====== DASHBOARD ======
+    renderDashboard() {
+        if (!this.dashboard) return;
+
+        const escape = window.JobPortal.escapeHtml;
+        const plan = this.postings.getPlan();
+        const usage = this.postings.getUsage();
+        const { pendingUpgrade: pending, subscription } = this.postings.getSubscription();
+        const postings = this.postings.getPostings();
+        const statusLabels = {
+            scheduled: 'Scheduled', live: 'Live', expired: 'Expired', closed: 'Closed'
+        };
+
+        this.dashboard.innerHTML = `
+            <div class="posting-plan-bar">
+                <span>${plan ? `<strong>${plan.name}</strong> plan` : 'No plan yet'}</span>
+                ${plan ? `<span>Active: ${usage.active} / ${plan.activePosts === null ? '∞' : plan.activePosts}</span>
+                    <span>Featured: ${usage.featured} / ${plan.featuredSlots}</span>` : ''}
+                ${pending ? `<span class="posting-pending">Waiting for payment: ${this.postings.plans[pending.planId].name}</span>` : ''}
+                ${this.renderBilling(subscription)}
+            </div>
+            ${postings.length ? `
+                <table class="posting-table">
+                    <thead>
+                        <tr><th>Job</th><th>Status</th><th>Publishes</th><th>Expires</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${postings.map(posting => {
+                            const status = this.postings.getStatus(posting);
+                            return `
+                                <tr data-posting-id="${escape(posting.id)}">
+                                    <td>${escape(posting.title)}${posting.featured ? ' <span class="badge featured">Featured</span>' : ''}</td>
+                                    <td><span class="posting-status ${status}">${statusLabels[status] || status}</span></td>
+                                    <td>${new Date(posting.publishAt).toLocaleDateString()}</td>
+                                    <td>${new Date(posting.expiresAt).toLocaleDateString()}</td>
+                                    <td>${['scheduled', 'live'].includes(status) ? '<button type="button" class="posting-close">Close</button>' : ''}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="posting-empty">You haven\'t posted any jobs yet.</p>'}
+        `;
+    }
+
+    // Trial, renewal or overdue state of the subscription, with its open invoice
+    renderBilling(subscription) {
+        if (!subscription) return '';
+
+        const escape = window.JobPortal.escapeHtml;
+        const date = value => new Date(value).toLocaleDateString();
+        const invoice = this.postings.getBilling().getOpenInvoice(subscription.id);
+        const status = {
+            trialing: `Free trial until ${date(subscription.trialEndsAt)}`,
+            active: `${subscription.cancelAtPeriodEnd ? 'Ends' : 'Renews'} ${date(subscription.currentPeriodEnd)}`,
+            past_due: `Renewal unpaid · plan stays on until ${date(subscription.graceEndsAt)}`
+        }[subscription.status];
+
+        return `
+            ${status ? `<span class="posting-billing ${subscription.status}">${status}</span>` : ''}
+            ${invoice ? `
+                <button type="button" class="posting-pay-invoice" data-invoice-id="${escape(invoice.id)}">
+                    Pay ${this.formatAmount(invoice.amount, invoice.currency)}
+                </button>
+            ` : ''}
+        `;
+    }
+
+    bindDashboard() {
+        if (!this.dashboard) return;
+
+        this.dashboard.addEventListener('click', async e => {
+            if (e.target.matches('.posting-pay-invoice')) {
+                try {
+                    await this.postings.payInvoice(this.postings.getBilling().getInvoice(e.target.dataset.invoiceId));
+                } catch (error) {
+                    console.error('Invoice payment failed:', error);
+                    if (typeof Notifications !== 'undefined') {
+                        Notifications.error(error.message);
+                    }
+                }
+                return;
+            }
+            if (!e.target.matches('.posting-close')) return;
+
+            const id = e.target.closest('[data-posting-id]').dataset.postingId;
+            this.postings.close(id);
+            if (typeof Notifications !== 'undefined') {
+                Notifications.info('Job posting closed');
+            }
+        });
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const container = document.querySelector('.posting-wizard');
+    if (!container) return;
+
+    const postings = new JobPostings();
+    const wizard = new JobPostingWizard(postings, {
+        container,
+        dashboard: document.querySelector('.posting-dashboard')
+    });
+
+    window.JobPortal.postings = postings;
+    window.JobPortal.postingWizard = wizard;
+
+    postings.on('change', () => {
+        wizard.renderDashboard();
+        if (wizard.stepIndex === wizard.steps.length - 1) {
+            wizard.collectFields();
+            wizard.render();
+        }
+    });
+
+    const upgraded = postings.completePendingUpgrade();
+    if (upgraded && typeof Notifications !== 'undefined') {
+        Notifications.success(`Your ${upgraded.name} plan is active`);
+    }
+
+    // Renewals, payments confirmed elsewhere and plan changes
+    postings.getBilling()?.on('change', () => postings.emit('change'));
+
+    wizard.render();
+    wizard.bind();
+    wizard.renderDashboard();
+    wizard.bindDashboard();
+
+    // Pricing cards start the plan payment
+    document.querySelectorAll('.pricing-card').forEach(card => {
+        const button = card.querySelector('.pricing-btn');
+        const planId = card.querySelector('.pricing-plan').textContent.trim().toLowerCase();
+        if (!button || !postings.plans[planId]) return;
+
+        button.addEventListener('click', function() {
+            if (postings.plans[planId].price === null || !postings.getAccount()) {
+                document.getElementById('get-started').scrollIntoView({ behavior: 'smooth' });
+                return;
+            }
+            wizard.upgrade(planId);
+        });
+    });
+
+    // Plan links from the home page pricing (employers.html?plan=business)
+    const requestedPlan = new URLSearchParams(window.location.search).get('plan');
+    const selfServe = postings.plans[requestedPlan]?.price != null;
+    if (postings.plans[requestedPlan] && postings.getSubscription().planId !== requestedPlan) {
+        if (selfServe && postings.getAccount()) {
+            wizard.upgrade(requestedPlan);
+        } else {
+            document.getElementById('get-started')?.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    // "Start Hiring Today" creates the employer account used for postings and billing
+    const form = document.getElementById('employerForm');
+    form?.addEventListener('submit', function(e) {
+        e.preventDefault();
+        if (!window.JobPortal.Validation.validateForm(this)) return;
+
+        const value = name => this.querySelector(`[name="${name}"]`)?.value.trim() || '';
+        postings.saveAccount({
+            company: value('company'),
+            industry: value('industry'),
+            size: value('size'),
+            contactName: value('contactName'),
+            email: value('email'),
+            phone: value('phone'),
+            positions: value('positions'),
+            notes: value('notes')
+        });
+
+        if (!wizard.draft.fields.company) {
+            wizard.draft.fields.company = value('company');
+            wizard.render();
+        }
+
+        if (typeof Notifications !== 'undefined') {
+            Notifications.success(`Welcome, ${value('company')}! You can now choose a plan and post jobs.`);
+        }
+        document.getElementById('post-job').scrollIntoView({ behavior: 'smooth' });
+
+        if (selfServe && !postings.getPlan()) {
+            wizard.upgrade(requestedPlan);
+        }
+    });
+});
+
+window.JobPortal.JobPostings = JobPostings;
+window.JobPortal.JobPostingWizard = JobPostingWizard;
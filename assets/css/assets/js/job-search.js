@@ -0,0 +1,363 @@
+// Job Search Engine for JobPortal Website
+// Indexes job listings, ranks them against free-text queries and applies
+// the .filter-select dropdowns. Load after main.js and salary-parser.js.
+
+class JobSearch {
+    constructor(options = {}) {
+        this.grid = options.grid || null;
+        this.countElement = options.countElement || null;
+        this.jobs = [];
+        this.postings = new Map();
+        this.documentFrequency = new Map();
+        this.lastQuery = {};
+        this.listeners = {};
+
+        // Relative weight of a term hit in each indexed field
+        this.fieldWeights = {
+            title: 5,
+            tags: 3,
+            company: 2,
+            location: 2,
+            salary: 1,
+            description: 1,
+            ...options.fieldWeights
+        };
+
+        this.stopWords = new Set([
+            'a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with'
+        ]);
+    }
+
+    // ====== INDEXING ======
+    index(jobs) {
+        this.jobs = jobs;
+        this.postings.clear();
+        this.documentFrequency.clear();
+
+        jobs.forEach(job => {
+            const seen = new Set();
+
+            Object.keys(this.fieldWeights).forEach(field => {
+                this.tokenize(this.getFieldText(job, field)).forEach(token => {
+                    if (!this.postings.has(token)) {
+                        this.postings.set(token, new Map());
+                    }
+
+                    const jobHits = this.postings.get(token);
+                    jobHits.set(job.id, (jobHits.get(job.id) || 0) + this.fieldWeights[field]);
+                    seen.add(token);
+                });
+            });
+
+            seen.forEach(token => {
+                this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+            });
+        });
+
+        this.emit('indexed', jobs);
+        return this;
+    }
+
+    getFieldText(job, field) {
+        const value = job[field];
+        return Array.isArray(value) ? value.join(' ') : String(value || '');
+    }
+
+    tokenize(text) {
+        return String(text)
+            .toLowerCase()
+            .split(/[^a-z0-9+#.]+/)
+            .map(token => token.replace(/^\.+|\.+$/g, ''))
+            .filter(token => token && !this.stopWords.has(token));
+    }
+
+    // ====== QUERYING ======
+    // query: { keywords, location, type, city, workplace, salary, experience, category, posted }
+    search(query = {}) {
+        const tokens = this.tokenize(query.keywords || '');
+        let results;
+
+        if (tokens.length === 0) {
+            results = this.jobs.map(job => ({ job, score: 0 }));
+        } else {
+            results = this.jobs
+                .map(job => ({ job, score: this.scoreJob(job, tokens) }))
+                .filter(result => result.score > 0);
+        }
+
+        return results
+            .filter(result => this.matchesFilters(result.job, query))
+            .sort((a, b) => b.score - a.score ||
+                Boolean(b.job.featured) - Boolean(a.job.featured) ||
+                new Date(b.job.postedAt || 0) - new Date(a.job.postedAt || 0));
+    }
+
+    // Every query token must hit the job; exact hits outrank prefix hits
+    scoreJob(job, tokens) {
+        let score = 0;
+
+        for (const token of tokens) {
+            const tokenScore = this.scoreToken(job.id, token);
+            if (tokenScore === 0) return 0;
+            score += tokenScore;
+        }
+
+        return score;
+    }
+
+    scoreToken(jobId, token) {
+        let best = this.weightedHit(jobId, token, 1);
+
+        if (best === 0 && token.length >= 2) {
+            this.postings.forEach((jobHits, indexedToken) => {
+                if (indexedToken.startsWith(token)) {
+                    best = Math.max(best, this.weightedHit(jobId, indexedToken, 0.5));
+                }
+            });
+        }
+
+        return best;
+    }
+
+    weightedHit(jobId, token, factor) {
+        const hits = this.postings.get(token)?.get(jobId);
+        if (!hits) return 0;
+
+        const idf = Math.log(1 + this.jobs.length / this.documentFrequency.get(token));
+        return hits * idf * factor;
+    }
+
+    // ====== FILTERS ======
+    matchesFilters(job, query) {
+        if (query.location && !this.matchesLocation(job, query.location)) {
+            return false;
+        }
+
+        if (query.type && job.type !== query.type) {
+            return false;
+        }
+
+        if (query.city && job.location !== query.city) {
+            return false;
+        }
+
+        if (query.workplace && job.workplace !== query.workplace) {
+            return false;
+        }
+
+        if (query.experience && job.experience !== query.experience) {
+            return false;
+        }
+
+        if (query.category && job.category !== query.category) {
+            return false;
+        }
+
+        if (query.salary && this.getSalaryCeiling(job) < this.parseSalaryBand(query.salary)) {
+            return false;
+        }
+
+        if (query.posted && !this.isPostedWithin(job, query.posted)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    matchesLocation(job, location) {
+        const wanted = this.tokenize(location);
+        const available = this.tokenize(`${job.location || ''} ${job.workplace || ''}`);
+
+        return wanted.every(token => available.some(candidate => candidate.startsWith(token)));
+    }
+
+    // '80k' -> 80000
+    parseSalaryBand(band) {
+        const match = String(band).toLowerCase().match(/(\d+(?:\.\d+)?)\s*(k)?/);
+        if (!match) return 0;
+        return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+    }
+
+    // Annual salary ceiling in the comparison currency
+    getSalaryCeiling(job) {
+        return window.JobPortal.SalaryParser.getCeiling(job.salary);
+    }
+
+    isPostedWithin(job, posted) {
+        const windows = {
+            '24h': 1,
+            'week': 7,
+            'month': 30
+        };
+
+        const days = windows[posted];
+        if (!days || !job.postedAt) return true;
+
+        return Date.now() - new Date(job.postedAt).getTime() <= days * 86400000;
+    }
+
+    // ====== RENDERING ======
+    async load() {
+        const response = await window.JobPortal.Api.getJobs();
+        this.index(response.data);
+        this.run(this.lastQuery);
+        return this;
+    }
+
+    // options.replace discards the previous query instead of merging into it
+    run(query = {}, options = {}) {
+        const base = options.replace ? {} : this.lastQuery;
+        this.lastQuery = { ...base, ...this.readFilters(), ...query };
+
+        const results = this.search(this.lastQuery);
+        this.render(results);
+        this.emit('results', results, this.lastQuery);
+        return results;
+    }
+
+    // Reads the .filter-select dropdowns keyed by their data-filter attribute
+    readFilters() {
+        const filters = {};
+
+        document.querySelectorAll('.filter-select[data-filter]').forEach(select => {
+            filters[select.dataset.filter] = select.value;
+        });
+
+        return filters;
+    }
+
+    render(results) {
+        if (!this.grid) return;
+
+        this.renderCount(results.length);
+
+        if (results.length === 0) {
+            this.grid.innerHTML = `
+                <div class="no-results">
+                    <h3>No jobs match your search</h3>
+                    <p>Try different keywords or clear some filters.</p>
+                    <button type="button" class="apply-btn clear-filters-btn">Clear Filters</button>
+                </div>
+            `;
+            return;
+        }
+
+        this.grid.innerHTML = results.map(result => this.renderJobCard(result.job)).join('');
+    }
+
+    renderCount(total) {
+        if (!this.countElement) {
+            this.countElement = document.createElement('p');
+            this.countElement.className = 'results-count';
+            this.grid.parentNode.insertBefore(this.countElement, this.grid);
+        }
+
+        this.countElement.textContent = total === 1
+            ? 'Showing 1 job'
+            : `Showing ${total.toLocaleString()} jobs`;
+    }
+
+    renderJobCard(job) {
+        const escape = window.JobPortal.escapeHtml;
+        const workplaceLabels = {
+            'remote': 'Remote',
+            'hybrid': 'Hybrid',
+            'on-site': 'On-site'
+        };
+        const typeLabel = String(job.type || '')
+            .split('-')
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('-');
+
+        return `
+            <div class="job-card" data-job-id="${escape(job.id)}">
+                <div class="job-header">
+                    <div>
+                        <h3 class="job-title">${escape(job.title)}</h3>
+                        <p class="company">${escape(job.company)}</p>
+                    </div>
+                    <span class="badge ${job.workplace === 'remote' ? 'remote' : ''}">${escape(workplaceLabels[job.workplace] || job.location)}</span>
+                </div>
+                <div class="job-meta">
+                    ${job.featured ? '<span class="badge featured">Featured</span>' : ''}
+                    <span class="badge ${escape(job.type)}">${escape(typeLabel)}</span>
+                    ${(job.tags || []).map(tag => `<span class="badge">${escape(tag)}</span>`).join('')}
+                </div>
+                <p class="salary">${escape(job.salary)} <span class="salary-normalized">${escape(window.JobPortal.SalaryParser.describe(job.salary))}</span></p>
+                <p class="job-description">${escape(job.description)}</p>
+                ${this.renderMatch(job)}
+                ${this.renderSaveButton(job)}
+                <button class="apply-btn">Apply Now</button>
+            </div>
+        `;
+    }
+
+    // Match percentage against the seeker's profile, on pages that load both
+    renderMatch(job) {
+        const { JobMatcher, SeekerProfile } = window.JobPortal;
+        if (!JobMatcher || !SeekerProfile) return '';
+
+        return JobMatcher.renderScore(JobMatcher.match(JobMatcher.fromSeekerProfile(), job));
+    }
+
+    renderSaveButton(job) {
+        const saved = Boolean(window.JobPortal.tracker?.isTracked(job.id));
+        return `<button type="button" class="save-job-btn ${saved ? 'saved' : ''}">${saved ? '★ Saved' : '☆ Save'}</button>`;
+    }
+
+    clearFilters() {
+        document.querySelectorAll('.filter-select[data-filter]').forEach(select => {
+            select.value = '';
+        });
+        document.querySelectorAll('.search-container .search-input').forEach(input => {
+            input.value = '';
+        });
+
+        return this.run({}, { replace: true });
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const grid = document.querySelector('.job-grid');
+    if (!grid) return;
+
+    const search = new JobSearch({ grid });
+    window.JobPortal.search = search;
+
+    document.querySelectorAll('.filter-select[data-filter]').forEach(select => {
+        select.addEventListener('change', () => search.run());
+    });
+
+    document.querySelectorAll('.search-container .search-input').forEach(input => {
+        input.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                this.closest('.search-container').querySelector('.search-btn')?.click();
+            }
+        });
+    });
+
+    grid.addEventListener('click', function(e) {
+        if (e.target.closest('.clear-filters-btn')) {
+            search.clearFilters();
+        }
+    });
+
+    search.load().catch(error => {
+        console.error('Failed to load job listings:', error);
+    });
+});
+
+window.JobPortal.JobSearch = JobSearch;
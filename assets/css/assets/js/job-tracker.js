@@ -0,0 +1,343 @@
+// Application Tracker for JobPortal Website
+// Lets job seekers bookmark job cards and follow each application through
+// saved → applied → interviewing → offer / rejected, with notes and dates.
+// Everything persists through JobPortal.Storage. Load after job-search.js.
+
+class JobTracker {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'jobTracker';
+        this.board = options.board || null;
+        this.entries = {};
+
+        this.stages = [
+            { id: 'saved', label: 'Saved' },
+            { id: 'applied', label: 'Applied' },
+            { id: 'interviewing', label: 'Interviewing' },
+            { id: 'offer', label: 'Offer' },
+            { id: 'rejected', label: 'Rejected' }
+        ];
+
+        this.load();
+    }
+
+    // ====== PERSISTENCE ======
+    load() {
+        this.entries = window.JobPortal.Storage.get(this.storageKey) || {};
+        return this;
+    }
+
+    save() {
+        window.JobPortal.Storage.set(this.storageKey, this.entries);
+        this.render();
+    }
+
+    // ====== TRACKING ======
+    isTracked(jobId) {
+        return Boolean(this.entries[jobId]);
+    }
+
+    get(jobId) {
+        return this.entries[jobId] || null;
+    }
+
+    track(job, stage = 'saved') {
+        const now = new Date().toISOString();
+        const existing = this.entries[job.id];
+
+        if (existing) {
+            return this.moveTo(job.id, stage);
+        }
+
+        this.entries[job.id] = {
+            jobId: job.id,
+            title: job.title,
+            company: job.company,
+            location: job.location || '',
+            salary: job.salary || '',
+            stage: stage,
+            createdAt: now,
+            updatedAt: now,
+            history: [{ stage, date: now }],
+            notes: []
+        };
+
+        this.save();
+        return this.entries[job.id];
+    }
+
+    // Bookmark toggle used by the ☆ button on job cards. Only a bookmark is
+    // removed; an application past saved keeps its history and notes and
+    // stays tracked.
+    toggleSaved(job) {
+        const entry = this.get(job.id);
+        if (entry) {
+            if (entry.stage !== 'saved') return true;
+
+            this.remove(job.id);
+            return false;
+        }
+
+        this.track(job, 'saved');
+        return true;
+    }
+
+    moveTo(jobId, stage) {
+        const entry = this.entries[jobId];
+        if (!entry) throw new Error(`Job ${jobId} is not being tracked`);
+        if (!this.stages.some(s => s.id === stage)) throw new Error(`Unknown stage: ${stage}`);
+        if (entry.stage === stage) return entry;
+
+        const now = new Date().toISOString();
+        entry.stage = stage;
+        entry.updatedAt = now;
+        entry.history.push({ stage, date: now });
+
+        this.save();
+        return entry;
+    }
+
+    addNote(jobId, text) {
+        const entry = this.entries[jobId];
+        if (!entry || !text.trim()) return null;
+
+        const note = { text: text.trim(), date: new Date().toISOString() };
+        entry.notes.push(note);
+        entry.updatedAt = note.date;
+
+        this.save();
+        return note;
+    }
+
+    remove(jobId) {
+        delete this.entries[jobId];
+        this.save();
+    }
+
+    getByStage(stage) {
+        return Object.values(this.entries)
+            .filter(entry => entry.stage === stage)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    // First date the application reached a stage
+    getStageDate(entry, stage) {
+        return entry.history.find(step => step.stage === stage)?.date || null;
+    }
+
+    // ====== EXPORT ======
+    exportJSON() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            applications: Object.values(this.entries)
+        }, null, 2);
+    }
+
+    exportCSV() {
+        const header = ['Job ID', 'Title', 'Company', 'Location', 'Salary', 'Stage',
+            'Added', 'Applied', 'Last Updated', 'Notes'];
+
+        const rows = Object.values(this.entries).map(entry => [
+            entry.jobId,
+            entry.title,
+            entry.company,
+            entry.location,
+            entry.salary,
+            this.getStageLabel(entry.stage),
+            entry.createdAt,
+            this.getStageDate(entry, 'applied') || '',
+            entry.updatedAt,
+            entry.notes.map(note => `${note.date.slice(0, 10)}: ${note.text}`).join(' | ')
+        ]);
+
+        return [header, ...rows]
+            .map(row => row.map(value => this.escapeCsv(value)).join(','))
+            .join('\r\n');
+    }
+
+    escapeCsv(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    download(format) {
+        const content = format === 'csv' ? this.exportCSV() : this.exportJSON();
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `my-applications-${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // ====== KANBAN VIEW ======
+    getStageLabel(stage) {
+        return this.stages.find(s => s.id === stage)?.label || stage;
+    }
+
+    formatDate(date) {
+        return date ? new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : '';
+    }
+
+    render() {
+        if (!this.board) return;
+
+        const escape = window.JobPortal.escapeHtml;
+        const total = Object.keys(this.entries).length;
+
+        this.board.innerHTML = `
+            <div class="tracker-toolbar">
+                <span class="tracker-total">${total} tracked ${total === 1 ? 'job' : 'jobs'}</span>
+                <button type="button" class="tracker-export" data-format="csv" ${total ? '' : 'disabled'}>Export CSV</button>
+                <button type="button" class="tracker-export" data-format="json" ${total ? '' : 'disabled'}>Export JSON</button>
+            </div>
+            <div class="tracker-columns">
+                ${this.stages.map(stage => {
+                    const entries = this.getByStage(stage.id);
+                    return `
+                        <div class="tracker-column" data-stage="${stage.id}">
+                            <h3 class="tracker-column-title">${stage.label} <span>${entries.length}</span></h3>
+                            ${entries.map(entry => this.renderEntry(entry, escape)).join('')}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderEntry(entry, escape) {
+        const applied = this.getStageDate(entry, 'applied');
+
+        return `
+            <div class="tracker-card" draggable="true" data-job-id="${escape(entry.jobId)}">
+                <h4>${escape(entry.title)}</h4>
+                <p class="company">${escape(entry.company)}</p>
+                <p class="tracker-dates">
+                    Added ${this.formatDate(entry.createdAt)}${applied ? ` · Applied ${this.formatDate(applied)}` : ''}
+                </p>
+                <select class="tracker-stage" aria-label="Stage">
+                    ${this.stages.map(stage => `
+                        <option value="${stage.id}" ${stage.id === entry.stage ? 'selected' : ''}>${stage.label}</option>
+                    `).join('')}
+                </select>
+                <ul class="tracker-notes">
+                    ${entry.notes.map(note => `
+                        <li><time>${this.formatDate(note.date)}</time> ${escape(note.text)}</li>
+                    `).join('')}
+                </ul>
+                <form class="tracker-note-form">
+                    <input type="text" class="tracker-note-input" placeholder="Add a note">
+                </form>
+                <button type="button" class="tracker-remove">Remove</button>
+            </div>
+        `;
+    }
+
+    bindBoard() {
+        if (!this.board) return;
+
+        this.board.addEventListener('change', e => {
+            if (e.target.matches('.tracker-stage')) {
+                this.moveTo(this.getCardJobId(e.target), e.target.value);
+            }
+        });
+
+        this.board.addEventListener('submit', e => {
+            if (!e.target.matches('.tracker-note-form')) return;
+            e.preventDefault();
+
+            const input = e.target.querySelector('.tracker-note-input');
+            this.addNote(this.getCardJobId(e.target), input.value);
+        });
+
+        this.board.addEventListener('click', e => {
+            if (e.target.matches('.tracker-remove')) {
+                this.remove(this.getCardJobId(e.target));
+            } else if (e.target.matches('.tracker-export')) {
+                this.download(e.target.dataset.format);
+            }
+        });
+
+        // Drag cards between columns
+        this.board.addEventListener('dragstart', e => {
+            const card = e.target.closest('.tracker-card');
+            if (card) e.dataTransfer.setData('text/plain', card.dataset.jobId);
+        });
+
+        this.board.addEventListener('dragover', e => {
+            if (e.target.closest('.tracker-column')) e.preventDefault();
+        });
+
+        this.board.addEventListener('drop', e => {
+            const column = e.target.closest('.tracker-column');
+            const jobId = e.dataTransfer.getData('text/plain');
+            if (!column || !jobId) return;
+
+            e.preventDefault();
+            this.moveTo(jobId, column.dataset.stage);
+        });
+    }
+
+    getCardJobId(element) {
+        return element.closest('.tracker-card').dataset.jobId;
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const board = document.querySelector('.tracker-board');
+    const grid = document.querySelector('.job-grid');
+
+    const tracker = new JobTracker({ board });
+    window.JobPortal.tracker = tracker;
+    tracker.render();
+    tracker.bindBoard();
+
+    if (!grid) return;
+
+    const findJob = card => {
+        const id = card.dataset.jobId;
+        const listed = window.JobPortal.search?.jobs.find(job => String(job.id) === id);
+
+        return listed || {
+            id: id,
+            title: card.querySelector('.job-title')?.textContent || 'Untitled job',
+            company: card.querySelector('.company')?.textContent || '',
+            salary: card.querySelector('.salary')?.firstChild?.textContent.trim() || ''
+        };
+    };
+
+    grid.addEventListener('click', function(e) {
+        const button = e.target.closest('.save-job-btn');
+        if (!button) return;
+
+        const saved = tracker.toggleSaved(findJob(button.closest('.job-card')));
+        button.classList.toggle('saved', saved);
+        button.textContent = saved ? '★ Saved' : '☆ Save';
+    });
+
+    // Submitted applications move onto the Applied column
+    document.addEventListener('applicationSubmitted', function(e) {
+        const { job } = e.detail;
+
+        // Never move an application that is already further along back to applied
+        const entry = tracker.get(job.id);
+        if (!entry || entry.stage === 'saved') {
+            tracker.track(job, 'applied');
+        }
+
+        const card = Array.from(grid.querySelectorAll('.job-card'))
+            .find(jobCard => jobCard.dataset.jobId === String(job.id));
+        const saveButton = card?.querySelector('.save-job-btn');
+        if (saveButton) {
+            saveButton.classList.add('saved');
+            saveButton.textContent = '★ Saved';
+        }
+    });
+});
+
+window.JobPortal.JobTracker = JobTracker;
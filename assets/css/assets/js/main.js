@@ -35,7 +35,8 @@ document.addEventListener('DOMContentLoaded', function() {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const counter = entry.target;
-                    const target = parseInt(counter.textContent);
+                    const target = parseInt(counter.textContent.replace(/,/g, ''));
+                    const suffix = counter.textContent.match(/[^\d,]+$/)?.[0] || '';
                     const duration = 2000; // 2 seconds
                     const step = target / (duration / 16);
                     let current = 0;
@@ -43,9 +44,7 @@ document.addEventListener('DOMContentLoaded', function() {
                     const timer = setInterval(function() {
                         current += step;
                         if (current >= target) {
-                            counter.textContent = target.toLocaleString() + 
-                                (counter.textContent.includes('+') ? '+' : '') +
-                                (counter.textContent.includes('K') ? 'K' : '');
+                            counter.textContent = target.toLocaleString() + suffix;
                             clearInterval(timer);
                         } else {
                             counter.textContent = Math.floor(current).toLocaleString();
@@ -61,36 +60,14 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     // ====== FORM VALIDATION ======
-    const forms = document.querySelectorAll('form');
+    // Forms with their own submit handling opt out with data-managed
+    const forms = document.querySelectorAll('form:not([data-managed])');
     
     forms.forEach(form => {
         form.addEventListener('submit', function(e) {
             e.preventDefault();
             
-            const requiredFields = this.querySelectorAll('[required]');
-            let isValid = true;
-            
-            requiredFields.forEach(field => {
-                if (!field.value.trim()) {
-                    field.style.borderColor = '#e74c3c';
-                    isValid = false;
-                    
-                    // Add error message
-                    if (!field.nextElementSibling?.classList.contains('error-message')) {
-                        const errorMsg = document.createElement('div');
-                        errorMsg.className = 'error-message';
-                        errorMsg.style.color = '#e74c3c';
-                        errorMsg.style.fontSize = '0.85rem';
-                        errorMsg.style.marginTop = '0.3rem';
-                        errorMsg.textContent = 'This field is required';
-                        field.parentNode.appendChild(errorMsg);
-                    }
-                } else {
-                    field.style.borderColor = '#27ae60';
-                    const errorMsg = field.parentNode.querySelector('.error-message');
-                    if (errorMsg) errorMsg.remove();
-                }
-            });
+            const isValid = Validation.validateForm(this);
             
             if (isValid) {
                 // Show loading state
@@ -126,6 +103,15 @@ document.addEventListener('DOMContentLoaded', function() {
                     }
                 });
                 
+                // Job listing pages filter the grid in place
+                if (window.JobPortal.search) {
+                    window.JobPortal.search.run({
+                        keywords: searchInputs[0]?.value || '',
+                        location: searchInputs[1]?.value || ''
+                    });
+                    return;
+                }
+                
                 if (searchTerms.length > 0) {
                     alert(`Searching for: ${searchTerms.join(', ')}\n\nThis would filter results in a real application.`);
                 } else {
@@ -162,6 +148,14 @@ document.addEventListener('DOMContentLoaded', function() {
                 const title = cardTitle ? cardTitle.textContent : 'Item';
                 
                 if (this.classList.contains('apply-btn')) {
+                    if (window.JobPortal.applications) {
+                        window.JobPortal.applications.open({
+                            id: card.dataset.jobId || title,
+                            title: title,
+                            company: card.querySelector('.company, .company-name')?.textContent || ''
+                        });
+                        return;
+                    }
                     alert(`Applying for: ${title}\n\nYou will be redirected to the application form.`);
                 } else if (this.classList.contains('enroll-btn')) {
                     const price = card.querySelector('.course-price')?.textContent || '$49.99';
@@ -356,6 +350,146 @@ function throttle(func, limit) {
     };
 }
 
+// ====== HTML ESCAPING ======
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ====== FIELD VALIDATION ======
+const Validation = {
+    patterns: {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        // Ethio Telecom (09) and Safaricom (07) mobile numbers, local or +251
+        etPhone: /^(?:\+251|251|0)?[79]\d{8}$/,
+        url: /^https?:\/\/[^\s/$.?#].[^\s]*$/i
+    },
+    
+    // Returns the first failing rule's message, or '' when the field is valid
+    validateField: function(field) {
+        const value = (field.value || '').trim();
+        const rules = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+        
+        if (field.type === 'email') rules.push('email');
+        if (field.type === 'tel') rules.push('et-phone');
+        if (field.type === 'url') rules.push('url');
+        
+        if (field.type === 'checkbox' && field.required && !field.checked) {
+            return 'Please confirm to continue';
+        }
+        
+        if (field.type === 'file') {
+            return field.required && field.files.length === 0 && !field.dataset.restored
+                ? 'Please attach a file'
+                : '';
+        }
+        
+        if (!value) {
+            return field.required ? 'This field is required' : '';
+        }
+        
+        if (rules.includes('email') && !this.patterns.email.test(value)) {
+            return 'Enter a valid email address';
+        }
+        
+        if (rules.includes('et-phone') && !this.patterns.etPhone.test(value.replace(/[\s()-]/g, ''))) {
+            return 'Enter a valid Ethiopian mobile number, e.g. 0911 234 567 or +251 911 234 567';
+        }
+        
+        if (rules.includes('url') && !this.patterns.url.test(value)) {
+            return 'Enter a full link starting with http:// or https://';
+        }
+        
+        if (field.minLength > 0 && value.length < field.minLength) {
+            return `Enter at least ${field.minLength} characters`;
+        }
+        
+        if (field.type === 'number') {
+            const number = Number(value);
+            if (field.min !== '' && number < Number(field.min)) return `Enter ${field.min} or more`;
+            if (field.max !== '' && number > Number(field.max)) return `Enter ${field.max} or less`;
+        }
+        
+        return '';
+    },
+    
+    // Checks a File against an accept list ('.pdf,.docx') and a byte limit
+    validateFile: function(file, accept = [], maxSize = 0) {
+        const extension = '.' + file.name.split('.').pop().toLowerCase();
+        
+        if (accept.length > 0 && !accept.includes(extension)) {
+            return `Unsupported file type. Allowed: ${accept.join(', ')}`;
+        }
+        
+        if (maxSize > 0 && file.size > maxSize) {
+            return `File is too large. Maximum size is ${(maxSize / 1048576).toFixed(0)} MB`;
+        }
+        
+        return '';
+    },
+    
+    validateForm: function(form) {
+        let isValid = true;
+        
+        form.querySelectorAll('input, select, textarea').forEach(field => {
+            if (field.disabled || field.type === 'hidden' || field.type === 'submit') return;
+            
+            const message = this.validateField(field);
+            this.showResult(field, message);
+            if (message) isValid = false;
+        });
+        
+        return isValid;
+    },
+    
+    showResult: function(field, message) {
+        const existing = field.parentNode.querySelector('.error-message');
+        
+        if (!message) {
+            if (field.value || field.checked) field.style.borderColor = '#27ae60';
+            if (existing) existing.remove();
+            return;
+        }
+        
+        field.style.borderColor = '#e74c3c';
+        
+        const errorMsg = existing || document.createElement('div');
+        errorMsg.className = 'error-message';
+        errorMsg.style.color = '#e74c3c';
+        errorMsg.style.fontSize = '0.85rem';
+        errorMsg.style.marginTop = '0.3rem';
+        errorMsg.textContent = message;
+        
+        if (!existing) field.parentNode.appendChild(errorMsg);
+    }
+};
+
+// ====== SITE SETTINGS ======
+// Reads config/settings.json once; callers pass a fallback for offline use
+const Settings = {
+    url: '/config/settings.json',
+    request: null,
+    
+    load: function() {
+        if (!this.request) {
+            this.request = fetch(this.url)
+                .then(response => response.ok ? response.json() : {})
+                .catch(() => ({}));
+        }
+        return this.request;
+    },
+    
+    get: async function(path, fallback) {
+        const settings = await this.load();
+        const value = path.split('.').reduce((node, key) => node?.[key], settings);
+        return value === undefined ? fallback : value;
+    }
+};
+
 // ====== LOCAL STORAGE UTILITIES ======
 const Storage = {
     set: function(key, value) {
@@ -402,22 +536,191 @@ const Api = {
         });
     },
     
+    // Submit a job application (simulated); kept locally so employers can review it
+    submitApplication: function(application) {
+        const submitted = {
+            ...application,
+            id: `app_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+            status: 'submitted',
+            submittedAt: new Date().toISOString()
+        };
+        
+        const applications = Storage.get('applications') || [];
+        applications.push(submitted);
+        Storage.set('applications', applications);
+        
+        return this.simulateRequest(submitted);
+    },
+    
     // Get jobs (simulated)
+    // Filters: keywords, location, type, city, workplace, salary, experience, category, posted
     getJobs: function(filters = {}) {
-        const mockJobs = [
-            { id: 1, title: 'Frontend Developer', company: 'TechCorp', salary: '$80k-$100k' },
-            { id: 2, title: 'Data Scientist', company: 'DataWorks', salary: '$90k-$120k' },
-            { id: 3, title: 'UX Designer', company: 'CreativeStudio', salary: '$70k-$90k' }
-        ];
+        let jobs = [...publishedPostings(), ...mockJobs()];
+        
+        if (Object.keys(filters).length > 0 && window.JobPortal.JobSearch) {
+            jobs = new window.JobPortal.JobSearch()
+                .index(jobs)
+                .search(filters)
+                .map(result => result.job);
+        }
         
-        return this.simulateRequest(mockJobs);
+        return this.simulateRequest(jobs);
+    },
+
+    // Issue a course certificate (simulated); kept locally so the verification page can find it
+    issueCertificate: function(certificate) {
+        const certificates = Storage.get('certificates') || {};
+        certificates[certificate.code] = certificate;
+        Storage.set('certificates', certificates);
+
+        return this.simulateRequest(certificate);
+    },
+
+    // Look up a certificate by its verification code; resolves with null data when unknown
+    verifyCertificate: function(code) {
+        const certificates = Storage.get('certificates') || {};
+        return this.simulateRequest(certificates[code] || null);
     }
 };
 
+// ====== EMPLOYER POSTINGS ======
+// Live postings created with the employer posting wizard (job-postings.js)
+function publishedPostings() {
+    const now = Date.now();
+    
+    return (Storage.get('jobPostings') || []).filter(posting =>
+        posting.status === 'published' &&
+        new Date(posting.publishAt).getTime() <= now &&
+        new Date(posting.expiresAt).getTime() > now);
+}
+
+// ====== MOCK JOB LISTINGS ======
+function mockJobs() {
+    const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+    
+    return [
+        {
+            id: 1,
+            title: 'Senior Frontend Developer',
+            company: 'TechCorp Solutions',
+            location: 'San Francisco, CA',
+            workplace: 'remote',
+            type: 'full-time',
+            experience: 'senior',
+            category: 'engineering',
+            tags: ['React', 'JavaScript'],
+            salary: '$110,000 - $140,000',
+            description: "We're looking for a Senior Frontend Developer with 5+ years of experience in React, TypeScript, and modern frontend architectures...",
+            postedAt: daysAgo(0.5)
+        },
+        {
+            id: 2,
+            title: 'Data Scientist',
+            company: 'DataWorks Inc.',
+            location: 'New York, NY',
+            workplace: 'hybrid',
+            type: 'full-time',
+            experience: 'mid',
+            category: 'data',
+            tags: ['Python', 'Machine Learning'],
+            salary: '$120,000 - $150,000',
+            description: 'Join our data science team to work on cutting-edge AI projects. Experience with TensorFlow, PyTorch, and big data required...',
+            postedAt: daysAgo(3)
+        },
+        {
+            id: 3,
+            title: 'UX/UI Designer',
+            company: 'CreativeStudio',
+            location: 'Addis Ababa, Ethiopia',
+            workplace: 'remote',
+            type: 'full-time',
+            experience: 'mid',
+            category: 'design',
+            tags: ['Figma', 'Design Systems'],
+            salary: '$85,000 - $110,000',
+            description: 'Design beautiful and intuitive user interfaces for web and mobile applications. Portfolio showcasing design thinking required...',
+            postedAt: daysAgo(10)
+        },
+        {
+            id: 4,
+            title: 'DevOps Engineer',
+            company: 'CloudSystems',
+            location: 'Seattle, WA',
+            workplace: 'on-site',
+            type: 'full-time',
+            experience: 'senior',
+            category: 'engineering',
+            tags: ['AWS', 'Kubernetes'],
+            salary: '$130,000 - $160,000',
+            description: 'Manage and scale our cloud infrastructure. Experience with AWS, Docker, Kubernetes, and CI/CD pipelines required...',
+            postedAt: daysAgo(20)
+        },
+        {
+            id: 5,
+            title: 'Product Manager',
+            company: 'GrowthLabs',
+            location: 'Austin, TX',
+            workplace: 'hybrid',
+            type: 'full-time',
+            experience: 'senior',
+            category: 'product',
+            tags: ['Agile', 'Strategy'],
+            salary: '$140,000 - $180,000',
+            description: 'Lead product strategy and development for our flagship SaaS platform. Experience in B2B software products required...',
+            postedAt: daysAgo(45)
+        },
+        {
+            id: 6,
+            title: 'Backend Developer',
+            company: 'API Masters',
+            location: 'Addis Ababa, Ethiopia',
+            workplace: 'remote',
+            type: 'full-time',
+            experience: 'mid',
+            category: 'engineering',
+            tags: ['Node.js', 'Microservices'],
+            salary: '$100,000 - $130,000',
+            description: 'Build scalable backend services and APIs. Experience with Node.js, PostgreSQL, and cloud deployment required...',
+            postedAt: daysAgo(5)
+        },
+        {
+            id: 7,
+            title: 'Junior Accountant',
+            company: 'Zewed Finance',
+            location: 'Addis Ababa, Ethiopia',
+            workplace: 'on-site',
+            type: 'full-time',
+            experience: 'entry',
+            category: 'finance',
+            tags: ['IFRS', 'Peachtree'],
+            salary: 'ETB 25,000 - 35,000 per month',
+            description: 'Support month-end closing, reconciliations and tax filings. BA in Accounting and familiarity with IFRS required...',
+            postedAt: daysAgo(2)
+        },
+        {
+            id: 8,
+            title: 'Digital Marketing Officer',
+            company: 'Habesha Media',
+            location: 'Bahir Dar, Ethiopia',
+            workplace: 'hybrid',
+            type: 'contract',
+            experience: 'entry',
+            category: 'marketing',
+            tags: ['SEO', 'Social Media'],
+            salary: 'Negotiable',
+            description: 'Plan and run social media campaigns for regional brands. Amharic and English copywriting skills required...',
+            postedAt: daysAgo(8)
+        }
+    ];
+}
+
 // Export utilities for use in other scripts
 window.JobPortal = {
     Storage,
     Api,
     debounce,
-    throttle
+    throttle,
+    escapeHtml,
+    Validation,
+    Settings
 };
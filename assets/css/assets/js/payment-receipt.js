@@ -0,0 +1,268 @@
+// Payment Receipt for JobPortal Website
+// Fills in payment-success.html from the payment that was just completed
+// (lastPayment, or payment-success.html?payment=ID): issues its numbered tax
+// invoice and receipt, shows them in the invoice summary, and prints them or
+// downloads them as PDF, and shows the payer's referral link. The documents
+// come from invoicing.js (window.JobPortal.invoicing) and referrals from
+// discounts.js (window.JobPortal.discounts), both set up by the page. Load
+// after main.js.
+
+class PaymentReceipt {
+    constructor(options = {}) {
+        this.invoicing = options.invoicing || window.JobPortal.invoicing;
+        this.discounts = options.discounts || window.JobPortal.discounts || null;
+        this.paymentId = options.paymentId || null;
+        this.documents = null;
+        this.listeners = {};
+    }
+
+    // PaymentManager stores the completed payment as lastPayment before it
+    // redirects here; the ledger's copy of it is used when there is one
+    getPayment() {
+        const lastPayment = window.JobPortal.Storage.get('lastPayment');
+        const paymentId = this.paymentId || new URLSearchParams(window.location.search).get('payment') || lastPayment?.id;
+        if (!paymentId) return null;
+
+        return lastPayment?.id === paymentId ? lastPayment : paymentId;
+    }
+
+    // Issuing again for the same payment returns the same numbers
+    issue() {
+        const payment = this.getPayment();
+        if (!payment) return null;
+
+        this.documents = this.invoicing.issueForPayment(payment);
+        this.emit('issue', this.documents);
+        return this.documents;
+    }
+
+    getDocument(type) {
+        const entry = this.documents?.[type];
+        if (!entry) throw new Error('No invoice has been issued for this payment');
+        return entry;
+    }
+
+    async downloadPdf(type = 'invoice') {
+        const entry = this.getDocument(type);
+        const blob = await this.invoicing.renderPdf(entry);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${entry.number}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // Prints the standalone document from a hidden frame, so the page's own
+    // layout and navigation stay out of the printout
+    print(type = 'invoice') {
+        const entry = this.getDocument(type);
+        const frame = document.createElement('iframe');
+        frame.className = 'invoice-print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+        frame.addEventListener('load', () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            setTimeout(() => frame.remove(), 60000);
+        });
+        frame.srcdoc = this.invoicing.renderHtml(entry);
+        document.body.appendChild(frame);
+    }
+
+    // ====== UI ======
+    // "March 15, 2024 - 14:30 EAT"
+    formatDateTime(date) {
+        const timeZone = 'Africa/Addis_Ababa';
+        const day = new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone });
+        const time = new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone });
+        return `${day} - ${time} EAT`;
+    }
+
+    // The hero, account details, invoice summary and receipt modal of
+    // payment-success.html
+    render(root = document) {
+        const escape = window.JobPortal.escapeHtml;
+        const { invoice, receipt } = this.documents;
+        const format = (amount, currency = invoice.currency) => this.invoicing.formatAmount(amount, currency);
+        const foreign = invoice.currency !== 'ETB';
+        const payment = invoice.payment || {};
+        const date = this.invoicing.formatDate(invoice.issuedAt);
+
+        const setValue = (label, value) => {
+            const item = [...root.querySelectorAll('.success-details .detail-item')]
+                .find(element => element.querySelector('.label')?.textContent.trim() === label);
+            if (item) item.querySelector('.value').textContent = value;
+        };
+        setValue('Payment ID', payment.transactionId || invoice.paymentId);
+        setValue('Date & Time', this.formatDateTime(payment.paidAt || invoice.issuedAt));
+        setValue('Amount Paid', format(payment.amount));
+
+        const buyer = invoice.buyer;
+        root.querySelectorAll('.account-info .info-item').forEach(element => {
+            const value = {
+                'Account Name': buyer.name,
+                'Email': buyer.email,
+                'Company': buyer.company
+            }[element.querySelector('.label')?.textContent.trim()];
+            if (value) element.querySelector('.value').textContent = value;
+        });
+
+        const details = root.querySelector('.invoice-card .invoice-details');
+        if (details) {
+            const row = (label, value) => value ? `
+                <div class="invoice-row">
+                    <span>${label}:</span>
+                    <span>${escape(value)}</span>
+                </div>
+            ` : '';
+            details.innerHTML = `
+                ${row('Invoice Number', invoice.number)}
+                ${row('Receipt Number', receipt.number)}
+                ${row('Billing Date', `${date.en} (${date.am})`)}
+                ${row('Payment Method', payment.method)}
+                ${row('Transaction ID', payment.transactionId)}
+                ${row('Reference', payment.reference)}
+            `;
+        }
+
+        const items = root.querySelector('.invoice-card .invoice-items');
+        if (items) {
+            const item = (label, amount, birr) => `
+                <div class="invoice-item">
+                    <span>${label}</span>
+                    <span>${escape(amount)}${foreign && birr ? `<small class="invoice-birr">${escape(birr)}</small>` : ''}</span>
+                </div>
+            `;
+            const { totals, totalsBirr } = invoice;
+
+            items.innerHTML = `
+                ${invoice.lines.map(line => item(
+                    `${escape(line.description)}${line.quantity > 1 ? ` × ${line.quantity}` : ''}${line.descriptionAm ? `<small lang="am">${escape(line.descriptionAm)}</small>` : ''}`,
+                    format(line.net),
+                    format(line.birr.net, 'ETB')
+                )).join('')}
+                ${item('Subtotal', format(totals.net), format(totalsBirr.net, 'ETB'))}
+                ${item(`VAT (${escape(invoice.vatRate)}%)`, format(totals.vat), format(totalsBirr.vat, 'ETB'))}
+                <div class="invoice-total">
+                    <span>Total Paid</span>
+                    <span class="total-amount">${escape(format(totals.gross))}</span>
+                </div>
+                ${invoice.withholdingRate ? `
+                    ${item(`Withholding tax (${escape(invoice.withholdingRate)}%)`, `−${format(totals.withholding)}`, `−${format(totalsBirr.withholding, 'ETB')}`)}
+                    ${item('Net payable', format(totals.payable), format(totalsBirr.payable, 'ETB'))}
+                ` : ''}
+                ${foreign ? item('Total in birr', format(totalsBirr.gross, 'ETB')) : ''}
+            `;
+        }
+
+        const footer = root.querySelector('.invoice-card .invoice-footer');
+        if (footer) {
+            footer.innerHTML = `<p><i class="fas fa-info-circle"></i> Prices include ${escape(invoice.vatRate)}% VAT as per Ethiopian tax regulations.${foreign ? ` ${escape(this.invoicing.formatRate(invoice.exchange, invoice.currency).en)}.` : ''}</p>`;
+        }
+
+        root.querySelectorAll('.receipt-number').forEach(element => {
+            element.textContent = receipt.number;
+        });
+        root.querySelectorAll('.invoice-actions button').forEach(button => {
+            button.disabled = false;
+        });
+    }
+
+    // Paying may have earned whoever referred this customer their credit, so
+    // referrals are settled before the payer's own link and credit are shown
+    renderReferral(root = document) {
+        const section = root.getElementById('referralInvite');
+        const email = this.documents.invoice.buyer.email;
+        if (!section || !this.discounts || !email) return;
+
+        const summary = this.discounts.getReferralSummary(email);
+        const currency = this.documents.invoice.currency;
+        const reward = this.discounts.referral.reward;
+        const rewardCurrency = reward[currency] ? currency : 'ETB';
+        const link = new URL('index.html', window.location.href);
+        link.searchParams.set('ref', summary.code);
+
+        section.querySelector('.referral-discount').textContent = `${this.discounts.referral.newCustomerPercent}%`;
+        section.querySelector('.referral-reward').textContent = this.invoicing.formatAmount(reward[rewardCurrency], rewardCurrency);
+        section.querySelector('.referral-link').value = link.href;
+        section.querySelector('.referral-credit').textContent = summary.referred
+            ? `${summary.rewarded} of ${summary.referred} friends have paid. Your credit: ${summary.credit.map(credit => this.invoicing.formatAmount(credit.amount, credit.currency)).join(', ') || 'none yet'}.`
+            : '';
+        section.hidden = false;
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const card = document.querySelector('.invoice-card');
+    if (!card || !window.JobPortal.invoicing) return;
+
+    const modal = document.getElementById('receiptModal');
+    const notify = (message, type = 'success') => {
+        if (typeof Notifications !== 'undefined') Notifications[type](message);
+    };
+    const run = async action => {
+        try {
+            await action();
+        } catch (error) {
+            console.error(error);
+            notify(error.message, 'error');
+        }
+    };
+
+    const receipt = new PaymentReceipt();
+    try {
+        if (!receipt.issue()) return;
+    } catch (error) {
+        console.error(error);
+        notify(`Your payment went through, but its invoice could not be issued: ${error.message}`, 'error');
+        return;
+    }
+
+    receipt.render();
+    try {
+        receipt.renderReferral();
+    } catch (error) {
+        console.error('Failed to show referral link:', error);
+    }
+    if (modal) {
+        setTimeout(() => {
+            modal.style.display = 'flex';
+        }, 2000);
+    }
+
+    document.addEventListener('click', e => {
+        const pdf = e.target.closest('.invoice-pdf');
+        const print = e.target.closest('.invoice-print');
+
+        if (e.target.closest('.referral-copy')) {
+            run(async () => {
+                await navigator.clipboard.writeText(document.querySelector('.referral-link').value);
+                notify('Referral link copied');
+            });
+        } else if (pdf) {
+            run(() => receipt.downloadPdf(pdf.dataset.document));
+        } else if (print) {
+            run(() => receipt.print(print.dataset.document));
+        } else if (modal && (e.target === modal || e.target.closest('.close-modal, .modal-continue'))) {
+            modal.style.display = 'none';
+        }
+    });
+});
+
+window.JobPortal.PaymentReceipt = PaymentReceipt;
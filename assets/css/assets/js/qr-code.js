@@ -0,0 +1,343 @@
+// QR Code for JobPortal Website
+// Minimal QR code encoder (ISO/IEC 18004): byte mode, error correction
+// level M, versions 1-10 (up to 213 bytes). Used for event tickets; renders
+// to SVG so codes stay sharp when printed.
+
+const QRCode = {
+    // Per version at level M: EC codewords per block and data codewords per block
+    blocks: {
+        1: { ec: 10, data: [16] },
+        2: { ec: 16, data: [28] },
+        3: { ec: 26, data: [44] },
+        4: { ec: 18, data: [32, 32] },
+        5: { ec: 24, data: [43, 43] },
+        6: { ec: 16, data: [27, 27, 27, 27] },
+        7: { ec: 18, data: [31, 31, 31, 31] },
+        8: { ec: 22, data: [38, 38, 39, 39] },
+        9: { ec: 22, data: [36, 36, 36, 37, 37] },
+        10: { ec: 26, data: [43, 43, 43, 43, 44] }
+    },
+
+    alignmentPositions: {
+        1: [], 2: [6, 18], 3: [6, 22], 4: [6, 26], 5: [6, 30],
+        6: [6, 34], 7: [6, 22, 38], 8: [6, 24, 42], 9: [6, 26, 46], 10: [6, 28, 50]
+    },
+
+    // Returns { version, size, modules } where modules[row][col] is true for dark
+    encode: function(text) {
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        const version = this.chooseVersion(bytes.length);
+        const codewords = this.addErrorCorrection(this.encodeData(bytes, version), version);
+        const size = version * 4 + 17;
+
+        const grid = {
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+
+        this.drawFunctionPatterns(grid, version);
+        this.drawCodewords(grid, codewords);
+
+        // Keep the mask with the lowest penalty score
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const candidate = {
+                size,
+                modules: grid.modules.map(row => row.slice()),
+                reserved: grid.reserved
+            };
+            this.applyMask(candidate, mask);
+            this.drawFormatBits(candidate, mask);
+
+            const penalty = this.getPenalty(candidate.modules);
+            if (!best || penalty < best.penalty) best = { penalty, modules: candidate.modules };
+        }
+
+        return { version, size, modules: best.modules };
+    },
+
+    chooseVersion: function(length) {
+        for (let version = 1; version <= 10; version++) {
+            const capacity = this.blocks[version].data.reduce((sum, count) => sum + count, 0);
+            const headerBits = 4 + (version < 10 ? 8 : 16);
+            if (headerBits + length * 8 <= capacity * 8) return version;
+        }
+        throw new Error('Text is too long for a QR code');
+    },
+
+    // ====== DATA ======
+    encodeData: function(bytes, version) {
+        const capacity = this.blocks[version].data.reduce((sum, count) => sum + count, 0) * 8;
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4);
+        push(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => push(byte, 8));
+
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; data.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            data.push(pad);
+        }
+
+        return data;
+    },
+
+    addErrorCorrection: function(data, version) {
+        const { ec, data: sizes } = this.blocks[version];
+        const divisor = this.getDivisor(ec);
+        const dataBlocks = [];
+        const ecBlocks = [];
+
+        let offset = 0;
+        sizes.forEach(size => {
+            const block = data.slice(offset, offset + size);
+            offset += size;
+            dataBlocks.push(block);
+            ecBlocks.push(this.getRemainder(block, divisor));
+        });
+
+        const result = [];
+        for (let i = 0; i < Math.max(...sizes); i++) {
+            dataBlocks.forEach(block => {
+                if (i < block.length) result.push(block[i]);
+            });
+        }
+        for (let i = 0; i < ec; i++) {
+            ecBlocks.forEach(block => result.push(block[i]));
+        }
+
+        return result;
+    },
+
+    // Reed-Solomon over GF(2^8) with the QR polynomial 0x11D
+    multiply: function(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    getDivisor: function(degree) {
+        const result = new Array(degree - 1).fill(0).concat([1]);
+        let root = 1;
+
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+
+        return result;
+    },
+
+    getRemainder: function(data, divisor) {
+        const result = divisor.map(() => 0);
+
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+
+        return result;
+    },
+
+    // ====== LAYOUT ======
+    setFunction: function(grid, row, col, dark) {
+        grid.modules[row][col] = dark;
+        grid.reserved[row][col] = true;
+    },
+
+    drawFunctionPatterns: function(grid, version) {
+        const size = grid.size;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(grid, 6, i, i % 2 === 0);
+            this.setFunction(grid, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [3, size - 4], [size - 4, 3]].forEach(([row, col]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const r = row + dy;
+                    const c = col + dx;
+                    if (r < 0 || r >= size || c < 0 || c >= size) continue;
+
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(grid, r, c, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = this.alignmentPositions[version];
+        const last = positions.length - 1;
+        positions.forEach((row, i) => {
+            positions.forEach((col, j) => {
+                // Skip the three that would overlap finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(grid, row + dy, col + dx, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas; the bits are drawn once the mask is known
+        this.drawFormatBits(grid, 0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunction(grid, b, a, dark);
+                this.setFunction(grid, a, b, dark);
+            }
+        }
+    },
+
+    // Level M has format bits 00
+    drawFormatBits: function(grid, mask) {
+        const size = grid.size;
+        const data = mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(grid, i, 8, bit(i));
+        this.setFunction(grid, 7, 8, bit(6));
+        this.setFunction(grid, 8, 8, bit(7));
+        this.setFunction(grid, 8, 7, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(grid, 8, 14 - i, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(grid, 8, size - 1 - i, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(grid, size - 15 + i, 8, bit(i));
+        this.setFunction(grid, size - 8, 8, true);
+    },
+
+    // Zigzag from the bottom-right corner in two-module columns
+    drawCodewords: function(grid, codewords) {
+        const size = grid.size;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const col = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const row = upward ? size - 1 - vertical : vertical;
+
+                    if (!grid.reserved[row][col] && index < codewords.length * 8) {
+                        grid.modules[row][col] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+    },
+
+    applyMask: function(grid, mask) {
+        const conditions = [
+            (r, c) => (r + c) % 2 === 0,
+            (r) => r % 2 === 0,
+            (r, c) => c % 3 === 0,
+            (r, c) => (r + c) % 3 === 0,
+            (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+            (r, c) => (r * c) % 2 + (r * c) % 3 === 0,
+            (r, c) => ((r * c) % 2 + (r * c) % 3) % 2 === 0,
+            (r, c) => ((r + c) % 2 + (r * c) % 3) % 2 === 0
+        ];
+
+        for (let r = 0; r < grid.size; r++) {
+            for (let c = 0; c < grid.size; c++) {
+                if (!grid.reserved[r][c] && conditions[mask](r, c)) grid.modules[r][c] = !grid.modules[r][c];
+            }
+        }
+    },
+
+    // Penalty rules from the spec: runs, 2x2 blocks, finder look-alikes, balance
+    getPenalty: function(modules) {
+        const size = modules.length;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+            penalty += 40 * ((pattern.match(/(?=10111010000|00001011101)/g) || []).length);
+        });
+
+        let dark = 0;
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (modules[r][c]) dark++;
+                if (r < size - 1 && c < size - 1) {
+                    const color = modules[r][c];
+                    if (color === modules[r][c + 1] && color === modules[r + 1][c] && color === modules[r + 1][c + 1]) penalty += 3;
+                }
+            }
+        }
+
+        return penalty + 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+    },
+
+    // ====== OUTPUT ======
+    toSvg: function(text, options = {}) {
+        const { size, modules } = this.encode(text);
+        const margin = options.margin ?? 4;
+        const total = size + margin * 2;
+        const path = [];
+
+        modules.forEach((row, r) => {
+            row.forEach((dark, c) => {
+                if (dark) path.push(`M${c + margin},${r + margin}h1v1h-1z`);
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}"` +
+            `${options.size ? ` width="${options.size}" height="${options.size}"` : ''} shape-rendering="crispEdges">` +
+            `<rect width="${total}" height="${total}" fill="#ffffff"/>` +
+            `<path d="${path.join('')}" fill="#000000"/></svg>`;
+    }
+};
+
+window.JobPortal = window.JobPortal || {};
+window.JobPortal.QRCode = QRCode;
@@ -0,0 +1,226 @@
+// Receipt Review for JobPortal Website
+// The admin side of manual Telebirr, HelloCash, Amole and bank transfer
+// payments on payment-reconciliation.html: each uploaded receipt is shown
+// next to the amount and reference the payment expects, and approving or
+// rejecting it settles the payment. Bank statement CSVs can be imported to
+// match credits to payments by reference and amount. The receipts and
+// payments live in bank-reconciliation.js (window.JobPortal.receipts, set
+// up by the page). Load after main.js.
+
+class ReceiptReview {
+    constructor(options = {}) {
+        this.receipts = options.receipts || window.JobPortal.receipts;
+        this.reviewer = options.reviewer || null;
+        this.lastImport = null;
+        this.previewUrls = [];
+        this.listeners = {};
+    }
+
+    approve(receiptId) {
+        const receipt = this.receipts.approve(receiptId, { reviewer: this.reviewer });
+        this.emit('change');
+        return receipt;
+    }
+
+    reject(receiptId, reason) {
+        const receipt = this.receipts.reject(receiptId, { reviewer: this.reviewer, reason });
+        this.emit('change');
+        return receipt;
+    }
+
+    async importStatement(file) {
+        if (!file) {
+            throw new Error('Choose a bank statement CSV to import');
+        }
+
+        this.lastImport = {
+            fileName: file.name,
+            ...this.receipts.importStatement(await file.text(), { source: file.name, reviewer: this.reviewer })
+        };
+        this.emit('change');
+        return this.lastImport;
+    }
+
+    // ====== UI ======
+    formatDate(date) {
+        return new Date(date).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric',
+            hour: 'numeric', minute: '2-digit', timeZone: 'Africa/Addis_Ababa'
+        });
+    }
+
+    formatAmount(amount, currency) {
+        return `${currency} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    renderPreview(file, url) {
+        const escape = window.JobPortal.escapeHtml;
+
+        if (!url) {
+            return `<p class="profile-empty">No preview for ${escape(file.name)} (${(file.size / 1024 / 1024).toFixed(2)} MB)</p>`;
+        }
+        return file.type === 'application/pdf'
+            ? `<object data="${escape(url)}" type="application/pdf" class="receipt-file">
+                    <a href="${escape(url)}" download="${escape(file.name)}">Download ${escape(file.name)}</a>
+               </object>`
+            : `<a href="${escape(url)}" target="_blank" rel="noopener"><img src="${escape(url)}" alt="Receipt ${escape(file.name)}" class="receipt-file"></a>`;
+    }
+
+    // Receipt files are read from their own store once the queue is drawn
+    async loadPreviews(container) {
+        this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.previewUrls = [];
+
+        await Promise.all([...container.querySelectorAll('.receipt-item')].map(async item => {
+            const receipt = this.receipts.get(item.dataset.receiptId);
+            if (!receipt) return;
+
+            let url = null;
+            try {
+                url = await this.receipts.getFileUrl(receipt.id);
+            } catch (error) {
+                console.error('Failed to load receipt file:', error);
+            }
+            if (url?.startsWith('blob:')) this.previewUrls.push(url);
+            item.querySelector('.receipt-preview').innerHTML = this.renderPreview(receipt.file, url);
+        }));
+    }
+
+    renderQueue(container) {
+        const escape = window.JobPortal.escapeHtml;
+        const queue = this.receipts.getQueue();
+
+        container.innerHTML = queue.length ? queue.map(({ receipt, payment }) => {
+            const match = receipt.statementMatch;
+            const customer = payment?.customer || {};
+
+            return `
+                <article class="review moderation-item receipt-item" data-receipt-id="${escape(receipt.id)}">
+                    <div class="receipt-preview"><p class="profile-empty">Loading ${escape(receipt.file.name)}…</p></div>
+                    <div class="receipt-details">
+                        <div class="review-header">
+                            <span class="moderation-status">${escape(receipt.method || 'transfer')}</span>
+                            <strong>${escape(this.formatAmount(receipt.expected.amount, receipt.expected.currency))}</strong>
+                        </div>
+                        <dl class="receipt-expected">
+                            <dt>Reference</dt><dd><code>${escape(receipt.reference)}</code></dd>
+                            <dt>Transaction ID</dt><dd>${escape(receipt.transactionId || '—')}</dd>
+                            <dt>Sender</dt><dd>${escape(receipt.senderName || customer.name || '—')}</dd>
+                            <dt>Customer</dt><dd>${escape([customer.email, customer.phone].filter(Boolean).join(' · ') || '—')}</dd>
+                        </dl>
+                        <p class="review-meta">Submitted ${escape(this.formatDate(receipt.submittedAt))}${receipt.note ? ` · ${escape(receipt.note)}` : ''}</p>
+                        ${match ? `<p class="receipt-warning">Statement line ${escape(match.line)} credited ${escape(this.formatAmount(match.amount, receipt.expected.currency))}${match.date ? ` on ${escape(match.date)}` : ''}, which does not match the amount due.</p>` : ''}
+                        <div class="moderation-actions">
+                            <input type="text" class="moderation-note" placeholder="Reason for rejecting">
+                            <button type="button" class="verify-btn moderation-approve">Approve</button>
+                            <button type="button" class="verify-btn moderation-reject">Reject</button>
+                        </div>
+                    </div>
+                </article>
+            `;
+        }).join('') : '<p class="profile-empty">No receipts waiting for review.</p>';
+        this.loadPreviews(container);
+    }
+
+    renderImport(container) {
+        const escape = window.JobPortal.escapeHtml;
+        const result = this.lastImport;
+        if (!result) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const line = (item, text) => `<li>Line ${escape(item.row.line)}: ${escape(this.formatAmount(item.row.amount, 'ETB'))} · ${text}</li>`;
+        const group = (title, items, render) => items.length ? `
+            <h3>${title} (${items.length})</h3>
+            <ul>${items.map(render).join('')}</ul>
+        ` : '';
+
+        container.innerHTML = `
+            <p>${escape(result.fileName)}: ${result.matched.length} matched, ${result.mismatched.length} to check, ${result.duplicates.length} already paid, ${result.unmatched.length} without a reference.</p>
+            ${group('Matched and confirmed', result.matched, item => line(item, `<code>${escape(item.payment.reference)}</code>`))}
+            ${group('Needs checking', result.mismatched, item => line(item, `<code>${escape(item.payment.reference)}</code> · ${escape(item.reason)}`))}
+            ${group('Already paid', result.duplicates, item => line(item, `<code>${escape(item.payment.reference)}</code>`))}
+            ${group('No reference found', result.unmatched, item => line(item, escape(item.row.text)))}
+        `;
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// ====== PAGE BINDING ======
+document.addEventListener('DOMContentLoaded', function() {
+    const queue = document.querySelector('.receipt-queue');
+    if (!queue || !window.JobPortal.receipts) return;
+
+    const importForm = document.querySelector('.statement-import');
+    const importResult = document.querySelector('.statement-result');
+    const notify = (message, type = 'success') => {
+        if (typeof Notifications !== 'undefined') Notifications[type](message);
+    };
+    const run = action => {
+        try {
+            action();
+        } catch (error) {
+            console.error(error);
+            notify(error.message, 'error');
+        }
+    };
+
+    const review = new ReceiptReview();
+    const render = () => {
+        review.renderQueue(queue);
+        if (importResult) review.renderImport(importResult);
+    };
+    render();
+    review.on('change', render);
+
+    // Receipts submitted from the payment page in another tab
+    window.addEventListener('storage', e => {
+        if (e.key === review.receipts.storageKey) render();
+    });
+
+    queue.addEventListener('click', e => {
+        const item = e.target.closest('.receipt-item');
+        if (!item) return;
+
+        if (e.target.closest('.moderation-approve')) {
+            run(() => {
+                review.approve(item.dataset.receiptId);
+                notify('Receipt approved and payment confirmed');
+            });
+        } else if (e.target.closest('.moderation-reject')) {
+            run(() => {
+                review.reject(item.dataset.receiptId, item.querySelector('.moderation-note').value);
+                notify('Receipt rejected');
+            });
+        }
+    });
+
+    if (importForm) {
+        importForm.addEventListener('submit', async e => {
+            e.preventDefault();
+
+            try {
+                const result = await review.importStatement(importForm.elements.statement.files[0]);
+                notify(`${result.matched.length} payment${result.matched.length === 1 ? '' : 's'} matched from the statement`);
+                importForm.reset();
+            } catch (error) {
+                console.error(error);
+                notify(error.message, 'error');
+            }
+        });
+    }
+});
+
+window.JobPortal.ReceiptReview = ReceiptReview;
@@ -0,0 +1,582 @@
+// Resume Parser for JobPortal Website
+// Reads plain-text, DOCX and text-layer PDF resumes entirely in the browser
+// (nothing is uploaded) and extracts contact details, skills, work history and
+// education. Every extracted value carries a 0-1 confidence score so the
+// application form can ask the seeker to confirm or correct it.
+// Load after main.js and seeker-profile.js.
+
+const ResumeParser = {
+    supportedTypes: ['.txt', '.docx', '.pdf'],
+
+    // Below this many characters a PDF is assumed to be a scanned image
+    minTextLength: 40,
+
+    sectionHeadings: {
+        experience: ['experience', 'work experience', 'work history', 'employment', 'employment history',
+            'professional experience', 'career history', 'relevant experience'],
+        education: ['education', 'academic background', 'education and training', 'education & training',
+            'qualifications', 'academic qualifications'],
+        skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies',
+            'competencies', 'expertise', 'skills & abilities', 'skills and abilities'],
+        other: ['summary', 'profile', 'professional summary', 'objective', 'career objective', 'about me',
+            'references', 'certifications', 'certificates', 'languages', 'projects', 'awards',
+            'interests', 'hobbies', 'contact', 'personal details', 'personal information']
+    },
+
+    cities: ['Addis Ababa', 'Adama', 'Bahir Dar', 'Hawassa', 'Mekelle', 'Gondar', 'Dire Dawa',
+        'Jimma', 'Dessie', 'Harar', 'Bishoftu', 'Arba Minch', 'Nairobi', 'Remote'],
+
+    // Matched anywhere in the text when the resume has no skills section
+    knownSkills: ['JavaScript', 'TypeScript', 'React', 'Vue', 'Angular', 'Node.js', 'Python', 'Java', 'C#',
+        'PHP', 'Laravel', 'SQL', 'PostgreSQL', 'MySQL', 'MongoDB', 'AWS', 'Docker', 'Git', 'HTML', 'CSS',
+        'Figma', 'Excel', 'Power BI', 'Tableau', 'Machine Learning', 'Data Analysis', 'Accounting',
+        'Peachtree', 'QuickBooks', 'SEO', 'Digital Marketing', 'Project Management', 'Customer Service'],
+
+    degreePattern: /\b(ph\.?\s?d|doctorate|m\.?\s?sc|m\.?\s?a|mba|master'?s?|b\.?\s?sc|b\.?\s?a|b\.?\s?ed|bachelor'?s?|diploma|certificate|degree|llb|md)\b/i,
+
+    institutionPattern: /\b(university|college|institute|school|academy|polytechnic)\b/i,
+
+    monthPattern: '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+',
+
+    // ====== FILE READING ======
+    parseFile: async function(file) {
+        const text = await this.readText(file);
+        return { ...this.extract(text), fileName: file.name };
+    },
+
+    readText: async function(file) {
+        const extension = '.' + file.name.split('.').pop().toLowerCase();
+
+        if (extension === '.txt') {
+            return file.text();
+        }
+
+        if (extension === '.docx') {
+            return this.readDocx(new Uint8Array(await file.arrayBuffer()));
+        }
+
+        if (extension === '.pdf') {
+            const text = await this.readPdf(new Uint8Array(await file.arrayBuffer()));
+            if (text.replace(/\s/g, '').length < this.minTextLength) {
+                throw new Error('This PDF has no readable text (it may be a scan). Please fill in the form yourself.');
+            }
+            return text;
+        }
+
+        throw new Error(`${extension} resumes can't be read automatically. Upload a PDF, DOCX or TXT file to pre-fill the form.`);
+    },
+
+    inflate: async function(bytes, format) {
+        const stream = new Response(bytes).body.pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    // ====== DOCX ======
+    // A DOCX file is a ZIP archive; the text lives in word/document.xml
+    readDocx: async function(bytes) {
+        const xml = await this.readZipEntry(bytes, 'word/document.xml');
+        if (!xml) throw new Error('This DOCX file could not be read.');
+
+        return (xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [])
+            .map(paragraph => paragraph
+                .replace(/<w:tab\/>/g, '\t')
+                .replace(/<w:br\/>/g, '\n')
+                .replace(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>|<[^>]+>/g, (match, text) => text || ''))
+            .map(paragraph => this.decodeXmlEntities(paragraph))
+            .join('\n');
+    },
+
+    readZipEntry: async function(bytes, name) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // End of central directory record, searched backwards past any archive comment
+        let end = bytes.length - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+        if (end < 0) return null;
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) return null;
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const entryName = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            if (entryName === name) {
+                const dataStart = localOffset + 30 +
+                    view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = bytes.subarray(dataStart, dataStart + compressedSize);
+                return decoder.decode(method === 8 ? await this.inflate(data, 'deflate-raw') : data);
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return null;
+    },
+
+    decodeXmlEntities: function(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10));
+            }
+            return entities[entity] ?? match;
+        });
+    },
+
+    // ====== PDF ======
+    // Reads text-showing operators from the page content streams. Fonts with a
+    // ToUnicode CMap are decoded through one merged code map, which covers the
+    // one- or two-font layouts that CV builders and word processors produce.
+    readPdf: async function(bytes) {
+        const latin1 = new TextDecoder('latin1');
+        const source = latin1.decode(bytes);
+        const streams = [];
+        const streamPattern = /\bstream\r?\n/g;
+        let match;
+
+        while ((match = streamPattern.exec(source)) !== null) {
+            const dictionaryStart = source.lastIndexOf('obj', match.index);
+            const dictionary = source.slice(dictionaryStart, match.index);
+            const start = match.index + match[0].length;
+            const declaredLength = dictionary.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+            const end = declaredLength
+                ? start + parseInt(declaredLength[1], 10)
+                : source.indexOf('endstream', start);
+            if (end < start) break;
+
+            streamPattern.lastIndex = end;
+            if (/\/Subtype\s*\/Image|\/FontFile|\/Length1/.test(dictionary)) continue;
+
+            let data = bytes.subarray(start, end);
+            if (/\/FlateDecode/.test(dictionary)) {
+                try {
+                    data = await this.inflate(data, 'deflate');
+                } catch (error) {
+                    continue;
+                }
+            } else if (/\/Filter/.test(dictionary)) {
+                continue;
+            }
+
+            streams.push(latin1.decode(data));
+        }
+
+        const cmap = this.readCMaps(streams.filter(stream => stream.includes('begincmap')));
+
+        return streams
+            .filter(stream => /\bBT\b/.test(stream) && !stream.includes('begincmap'))
+            .map(stream => this.readContentStream(stream, cmap))
+            .join('\n');
+    },
+
+    readCMaps: function(streams) {
+        const map = new Map();
+        let codeLength = 1;
+        const hexToString = hex => String.fromCharCode(...(hex.match(/.{1,4}/g) || [])
+            .map(unit => parseInt(unit.padEnd(4, '0'), 16)));
+
+        streams.forEach(stream => {
+            (stream.match(/beginbfchar([\s\S]*?)endbfchar/g) || []).forEach(block => {
+                for (const [, code, unicode] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+                    codeLength = code.length / 2;
+                    map.set(parseInt(code, 16), hexToString(unicode));
+                }
+            });
+
+            (stream.match(/beginbfrange([\s\S]*?)endbfrange/g) || []).forEach(block => {
+                for (const [, low, high, target] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]+>|\[[^\]]*\])/gi)) {
+                    codeLength = low.length / 2;
+                    const first = parseInt(low, 16);
+                    const last = parseInt(high, 16);
+                    const targets = target.startsWith('[') ? target.match(/<[0-9a-f]+>/gi) : null;
+                    const base = targets ? 0 : parseInt(target.slice(1, -1), 16);
+
+                    for (let code = first; code <= last; code++) {
+                        map.set(code, targets
+                            ? hexToString((targets[code - first] || '<>').slice(1, -1))
+                            : String.fromCharCode(base + code - first));
+                    }
+                }
+            });
+        });
+
+        return map.size ? { map, codeLength } : null;
+    },
+
+    readContentStream: function(content, cmap) {
+        const tokenPattern = /\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[0-9a-fA-F\s]*>|\[|\]|\/[^\s/[\]()<>{}%]+|[-+]?(?:\d+\.?\d*|\.\d+)|[A-Za-z'"*]+/g;
+        const operands = [];
+        let text = '';
+        let lastY = null;
+        let inArray = null;
+
+        const newLine = () => {
+            if (text && !text.endsWith('\n')) text += '\n';
+        };
+        const show = string => {
+            text += this.decodePdfString(string, cmap);
+        };
+
+        for (const [token] of content.matchAll(tokenPattern)) {
+            if (token === '[') {
+                inArray = [];
+            } else if (token === ']') {
+                operands.push(inArray);
+                inArray = null;
+            } else if (inArray) {
+                inArray.push(token);
+            } else if (/^[(<\/\d.+-]/.test(token)) {
+                operands.push(token);
+            } else {
+                switch (token) {
+                    case 'Tj':
+                        show(operands[operands.length - 1]);
+                        break;
+                    case "'":
+                    case '"':
+                        newLine();
+                        show(operands[operands.length - 1]);
+                        break;
+                    case 'TJ':
+                        (operands[operands.length - 1] || []).forEach(item => {
+                            // Large negative kerning separates words
+                            if (/^[-+\d.]/.test(item)) {
+                                if (parseFloat(item) < -200 && !/\s$/.test(text)) text += ' ';
+                            } else {
+                                show(item);
+                            }
+                        });
+                        break;
+                    case 'Td':
+                    case 'TD': {
+                        const y = parseFloat(operands[operands.length - 1]);
+                        if (y !== 0) newLine();
+                        else if (text && !/\s$/.test(text)) text += ' ';
+                        break;
+                    }
+                    case 'T*':
+                        newLine();
+                        break;
+                    case 'Tm': {
+                        const y = parseFloat(operands[operands.length - 1]);
+                        if (lastY !== null && y !== lastY) newLine();
+                        else if (text && !/\s$/.test(text)) text += ' ';
+                        lastY = y;
+                        break;
+                    }
+                    case 'BT':
+                        if (text && !/\s$/.test(text)) text += ' ';
+                        break;
+                }
+                operands.length = 0;
+            }
+        }
+
+        return text;
+    },
+
+    decodePdfString: function(token, cmap) {
+        if (!token || Array.isArray(token)) return '';
+        let raw;
+
+        if (token.startsWith('<')) {
+            const hex = token.slice(1, -1).replace(/\s/g, '');
+            raw = (hex.match(/.{1,2}/g) || []).map(pair => String.fromCharCode(parseInt(pair.padEnd(2, '0'), 16))).join('');
+        } else {
+            const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+            raw = token.slice(1, -1).replace(/\\(\r?\n|[0-7]{1,3}|[\s\S])/g, (match, escaped) => {
+                if (/^\r?\n$/.test(escaped)) return '';
+                if (/^[0-7]+$/.test(escaped)) return String.fromCharCode(parseInt(escaped, 8));
+                return escapes[escaped] ?? escaped;
+            });
+        }
+
+        if (raw.startsWith('\xfe\xff')) {
+            let decoded = '';
+            for (let i = 2; i + 1 < raw.length; i += 2) {
+                decoded += String.fromCharCode((raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1));
+            }
+            return decoded;
+        }
+
+        if (!cmap) return raw;
+
+        let decoded = '';
+        for (let i = 0; i < raw.length; i += cmap.codeLength) {
+            let code = 0;
+            for (let j = 0; j < cmap.codeLength; j++) {
+                code = (code << 8) | (raw.charCodeAt(i + j) || 0);
+            }
+            decoded += cmap.map.get(code) ?? (cmap.codeLength === 1 ? raw[i] : '');
+        }
+        return decoded;
+    },
+
+    // ====== FIELD EXTRACTION ======
+    // Returns { text, fields: { name: { value, confidence } } }
+    extract: function(text) {
+        const lines = String(text)
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .map(line => line.replace(/^[\s•●▪◦■*·–-]+/, '').replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+        const sections = this.splitSections(lines);
+
+        const fields = {
+            fullName: this.extractName(lines),
+            email: this.extractEmail(text),
+            phone: this.extractPhone(text),
+            city: this.extractCity(lines),
+            linkedin: this.extractLinkedIn(text),
+            portfolio: this.extractPortfolio(text),
+            skills: this.extractSkills(sections.skills, text),
+            experience: this.extractExperience(sections.experience),
+            education: this.extractEducation(sections.education)
+        };
+
+        Object.keys(fields).forEach(field => {
+            if (!fields[field]) delete fields[field];
+        });
+
+        return { text, fields };
+    },
+
+    getHeading: function(line) {
+        const normalized = line.toLowerCase().replace(/[:\s]+$/, '');
+        if (normalized.split(' ').length > 4) return null;
+
+        return Object.keys(this.sectionHeadings)
+            .find(section => this.sectionHeadings[section].includes(normalized)) || null;
+    },
+
+    splitSections: function(lines) {
+        const sections = { header: [], experience: [], education: [], skills: [], other: [] };
+        let current = 'header';
+
+        lines.forEach(line => {
+            const heading = this.getHeading(line);
+            if (heading) {
+                current = heading;
+            } else {
+                sections[current].push(line);
+            }
+        });
+
+        return sections;
+    },
+
+    extractName: function(lines) {
+        const labelled = lines.map(line => line.match(/^(?:full\s+)?name\s*[:\-]\s*(.+)$/i)).find(Boolean);
+        if (labelled) return { value: labelled[1].trim(), confidence: 0.95 };
+
+        const index = lines.slice(0, 5).findIndex(line =>
+            !this.getHeading(line) &&
+            !/[@\d/]/.test(line) &&
+            /^[\p{L}.'-]+(?: [\p{L}.'-]+){1,3}$/u.test(line));
+        if (index === -1) return null;
+
+        const value = lines[index] === lines[index].toUpperCase()
+            ? lines[index].toLowerCase().replace(/(^|[\s'-])\p{L}/gu, letter => letter.toUpperCase())
+            : lines[index];
+        const capitalized = value.split(' ').every(word => /^\p{Lu}/u.test(word));
+
+        return { value, confidence: index === 0 && capitalized ? 0.75 : 0.5 };
+    },
+
+    extractEmail: function(text) {
+        const match = text.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+        return match ? { value: match[0].toLowerCase(), confidence: 0.95 } : null;
+    },
+
+    extractPhone: function(text) {
+        const ethiopian = text.match(/(?:\+?251|\b0)[\s-]?\(?[79]\d{2}\)?(?:[\s-]?\d){6}\b/);
+        if (ethiopian) return { value: ethiopian[0].trim(), confidence: 0.9 };
+
+        const other = text.match(/\+?\d[\d\s().-]{7,}\d/);
+        return other ? { value: other[0].trim(), confidence: 0.4 } : null;
+    },
+
+    extractCity: function(lines) {
+        const labelled = lines.map(line => line.match(/^(?:address|location|city)\s*[:\-]\s*(.+)$/i)).find(Boolean);
+        if (labelled) return { value: labelled[1].trim(), confidence: 0.8 };
+
+        const head = lines.slice(0, 8).join(' ');
+        const city = this.cities.find(name => new RegExp(`\\b${name}\\b`, 'i').test(head));
+        return city ? { value: city, confidence: 0.6 } : null;
+    },
+
+    extractLinkedIn: function(text) {
+        const match = text.match(/(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[\w%-]+\/?/i);
+        if (!match) return null;
+
+        const value = /^https?:/i.test(match[0]) ? match[0] : `https://${match[0]}`;
+        return { value, confidence: 0.95 };
+    },
+
+    extractPortfolio: function(text) {
+        const match = (text.match(/(?:https?:\/\/|www\.)[^\s,;()<>]+|\bgithub\.com\/[\w-]+/gi) || [])
+            .find(url => !/linkedin\.com/i.test(url));
+        if (!match) return null;
+
+        const value = /^https?:/i.test(match) ? match : `https://${match}`;
+        return { value: value.replace(/[.]+$/, ''), confidence: 0.6 };
+    },
+
+    extractSkills: function(sectionLines, text) {
+        if (sectionLines.length > 0) {
+            const skills = sectionLines
+                .join(',')
+                .replace(/^[^:,]{1,30}:/gm, '')
+                .split(/\s*(?:[,;|•·]|\band\b)\s*/)
+                .map(skill => skill.replace(/\.$/, '').trim())
+                .filter(skill => skill.length > 1 && skill.length <= 40);
+
+            if (skills.length > 0) {
+                return { value: [...new Set(skills)], confidence: 0.85 };
+            }
+        }
+
+        const known = this.getKnownSkills().filter(skill =>
+            new RegExp(`(^|[^\\w.])${skill.replace(/[.+#]/g, '\\$&')}(?![\\w])`, 'i').test(text));
+
+        return known.length ? { value: known, confidence: 0.5 } : null;
+    },
+
+    // Built-in vocabulary plus the tags used by the current job listings
+    getKnownSkills: function() {
+        const tags = (window.JobPortal.search?.jobs || []).flatMap(job => job.tags || []);
+        return [...new Set([...this.knownSkills, ...tags])];
+    },
+
+    getDateRange: function(line) {
+        const month = this.monthPattern;
+        const pattern = new RegExp(
+            `((?:${month})?(?:\\d{1,2}/)?(?:19|20)\\d{2})\\s*(?:-|–|—|to)\\s*((?:${month})?(?:\\d{1,2}/)?(?:19|20)\\d{2}|present|current|now|to date)`,
+            'i');
+        const match = line.match(pattern);
+        if (!match) return null;
+
+        return {
+            text: match[0],
+            start: match[1],
+            end: /present|current|now|to date/i.test(match[2]) ? 'Present' : match[2]
+        };
+    },
+
+    extractExperience: function(lines) {
+        const jobs = [];
+        let current = null;
+
+        lines.forEach((line, index) => {
+            const range = this.getDateRange(line);
+
+            if (!range) {
+                if (current) current.details.push(line);
+                return;
+            }
+
+            let header = line.replace(range.text, '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '');
+
+            // Dates on their own line belong to the role on the line above
+            if (!header && index > 0 && !this.getDateRange(lines[index - 1])) {
+                header = lines[index - 1];
+                if (current && current.details[current.details.length - 1] === header) {
+                    current.details.pop();
+                }
+            }
+
+            const [title, company] = header.split(/\s+at\s+|\s*[|@]\s*|\s*,\s*|\s+[–—-]\s+/);
+            current = { title: title || '', company: company || '', start: range.start, end: range.end, details: [] };
+            jobs.push(current);
+        });
+
+        if (jobs.length === 0) return null;
+
+        const complete = jobs.filter(job => job.title && job.company).length;
+        return {
+            value: jobs.map(job => ({ ...job, details: job.details.join(' ') })),
+            confidence: complete === jobs.length ? 0.75 : 0.5
+        };
+    },
+
+    extractEducation: function(lines) {
+        const schools = [];
+
+        lines.forEach(line => {
+            const hasDegree = this.degreePattern.test(line);
+            const hasInstitution = this.institutionPattern.test(line);
+            const year = (line.match(/\b(?:19|20)\d{2}\b/g) || []).pop() || '';
+            const last = schools[schools.length - 1];
+
+            if (hasDegree && !(last && !last.degree && last.institution)) {
+                const [degree, institution] = hasInstitution
+                    ? line.replace(/\(?\b(?:19|20)\d{2}\b.*$/, '').split(/\s*(?:,|\||\s[–—-]\s|\bat\b|\bfrom\b)\s*/)
+                    : [line.replace(/\(?\b(?:19|20)\d{2}\b.*$/, '').trim(), ''];
+                schools.push({ degree: degree.trim(), institution: (institution || '').trim(), year });
+            } else if (hasInstitution && last && !last.institution) {
+                last.institution = line.replace(/\(?\b(?:19|20)\d{2}\b.*$/, '').replace(/[\s,–—-]+$/, '').trim();
+                last.year = last.year || year;
+            } else if (hasInstitution || hasDegree) {
+                schools.push({ degree: '', institution: line.replace(/\(?\b(?:19|20)\d{2}\b.*$/, '').trim(), year });
+            } else if (last && !last.year && year) {
+                last.year = year;
+            }
+        });
+
+        if (schools.length === 0) return null;
+
+        const complete = schools.filter(school => school.degree && school.institution).length;
+        return { value: schools, confidence: complete === schools.length ? 0.75 : 0.5 };
+    },
+
+    getConfidenceLevel: function(confidence) {
+        if (confidence >= 0.8) return 'high';
+        if (confidence >= 0.5) return 'medium';
+        return 'low';
+    }
+};
+
+// ====== PAGE BINDING ======
+// A resume attached in the application wizard fills the seeker profile and
+// the empty or still-unconfirmed fields of the form
+document.addEventListener('applicationFileSelected', async function(e) {
+    const { field, file } = e.detail;
+    if (field !== 'resume') return;
+
+    const extension = '.' + file.name.split('.').pop().toLowerCase();
+    if (!ResumeParser.supportedTypes.includes(extension)) return;
+
+    try {
+        const result = await ResumeParser.parseFile(file);
+        const found = Object.keys(result.fields).length;
+        if (found === 0) return;
+
+        window.JobPortal.SeekerProfile.importFields(result.fields, {
+            fileName: result.fileName,
+            importedAt: new Date().toISOString()
+        });
+        window.JobPortal.applications?.prefillFromProfile();
+
+        if (typeof Notifications !== 'undefined') {
+            Notifications.info(`We filled in ${found} details from your resume. Please check the highlighted fields.`);
+        }
+    } catch (error) {
+        console.error('Resume parsing failed:', error);
+        if (typeof Notifications !== 'undefined') {
+            Notifications.warning(error.message);
+        }
+    }
+});
+
+window.JobPortal.ResumeParser = ResumeParser;
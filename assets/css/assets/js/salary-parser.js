@@ -0,0 +1,187 @@
+// Salary Parser for JobPortal Website
+// Turns free-text salaries ('$80k-$100k', 'ETB 25,000 - 35,000 per month',
+// 'Negotiable') into { min, max, currency, period } and normalizes them to a
+// single currency and period so listings can be compared.
+
+const SalaryParser = {
+    // Basis used for comparison values and the salary filter
+    comparisonCurrency: 'USD',
+    comparisonPeriod: 'year',
+
+    // Working units per year for each pay period
+    periodsPerYear: {
+        hour: 2080,
+        day: 260,
+        week: 52,
+        month: 12,
+        year: 1
+    },
+
+    currencyPatterns: [
+        { currency: 'ETB', pattern: /\betb\b|birr|ብር|\bbr\b\.?/i },
+        { currency: 'EUR', pattern: /€|\beur\b|euros?/i },
+        { currency: 'GBP', pattern: /£|\bgbp\b|pounds?/i },
+        { currency: 'USD', pattern: /\$|\busd\b|dollars?/i }
+    ],
+
+    periodPatterns: [
+        { period: 'hour', pattern: /\/\s*h(ou)?r\b|per\s+hour|hourly|an?\s+hour/i },
+        { period: 'day', pattern: /\/\s*day\b|per\s+day|daily|a\s+day/i },
+        { period: 'week', pattern: /\/\s*w(ee)?k\b|per\s+week|weekly|a\s+week/i },
+        { period: 'month', pattern: /\/\s*mo(nth)?\b|per\s+month|monthly|a\s+month|\bp\.?m\.?$/i },
+        { period: 'year', pattern: /\/\s*y(ea)?r\b|per\s+(year|annum)|annual(ly)?|yearly|a\s+year|\bp\.?a\.?\b/i }
+    ],
+
+    multipliers: {
+        k: 1e3,
+        thousand: 1e3,
+        m: 1e6,
+        mil: 1e6,
+        million: 1e6
+    },
+
+    // Falls back to same-currency only until a converter is registered
+    convert: function(amount, fromCurrency, toCurrency) {
+        return fromCurrency === toCurrency ? amount : null;
+    },
+
+    setConverter: function(converter) {
+        this.convert = converter;
+    },
+
+    // ====== PARSING ======
+    parse: function(text) {
+        const source = String(text || '').trim();
+        if (!source) return null;
+
+        const negotiable = /negotiable|competitive|\bdoe\b|depending on experience/i.test(source);
+        const figures = this.extractFigures(source);
+
+        if (figures.length === 0) {
+            return negotiable
+                ? { min: null, max: null, currency: this.detectCurrency(source), period: null, negotiable: true, text: source }
+                : null;
+        }
+
+        const currency = this.detectCurrency(source) || this.comparisonCurrency;
+        const period = this.detectPeriod(source) || this.defaultPeriod(currency);
+        let min = figures[0];
+        let max = figures.length > 1 ? figures[1] : figures[0];
+
+        if (/\bup\s+to\b|\bmax(imum)?\b/i.test(source) && figures.length === 1) {
+            min = null;
+        } else if (/\+\s*$|\bfrom\b|\bmin(imum)?\b|\bstarting\b/i.test(source) && figures.length === 1) {
+            max = null;
+        }
+
+        if (min !== null && max !== null && min > max) {
+            [min, max] = [max, min];
+        }
+
+        return { min, max, currency, period, negotiable, text: source };
+    },
+
+    // '$80-100k' applies the trailing suffix to both ends of the range
+    extractFigures: function(text) {
+        const pattern = /(\d+(?:,\d{3})*(?:\.\d+)?)\s*(k|thousand|million|mil|m)?\b/gi;
+        const figures = [];
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            figures.push({
+                value: parseFloat(match[1].replace(/,/g, '')),
+                suffix: match[2] ? match[2].toLowerCase() : null
+            });
+        }
+
+        const trailingSuffix = figures.length === 2 && !figures[0].suffix ? figures[1].suffix : null;
+        if (trailingSuffix && figures[0].value <= figures[1].value) {
+            figures[0].suffix = trailingSuffix;
+        }
+
+        return figures
+            .slice(0, 2)
+            .map(figure => figure.value * (this.multipliers[figure.suffix] || 1));
+    },
+
+    detectCurrency: function(text) {
+        const found = this.currencyPatterns.find(({ pattern }) => pattern.test(text));
+        return found ? found.currency : null;
+    },
+
+    detectPeriod: function(text) {
+        const found = this.periodPatterns.find(({ pattern }) => pattern.test(text));
+        return found ? found.period : null;
+    },
+
+    // Ethiopian listings quote monthly pay; everything else defaults to annual
+    defaultPeriod: function(currency) {
+        return currency === 'ETB' ? 'month' : 'year';
+    },
+
+    // ====== NORMALIZATION ======
+    normalize: function(salary, currency = this.comparisonCurrency, period = this.comparisonPeriod) {
+        if (!salary || (salary.min === null && salary.max === null)) return null;
+
+        const factor = this.periodsPerYear[salary.period] / this.periodsPerYear[period];
+        // A converter that cannot convert (e.g. stale_rates or
+        // rate_unavailable) leaves this salary unconverted, not the whole grid
+        const convertValue = value => {
+            if (value === null) return null;
+            try {
+                const converted = this.convert(value * factor, salary.currency, currency);
+                return converted === null || isNaN(converted) ? undefined : converted;
+            } catch (error) {
+                return undefined;
+            }
+        };
+
+        const min = convertValue(salary.min);
+        const max = convertValue(salary.max);
+        if (min === undefined || max === undefined) return null;
+
+        return { min, max, currency, period, negotiable: salary.negotiable };
+    },
+
+    // Annual comparison-currency ceiling, used by the salary filter
+    getCeiling: function(text) {
+        const normalized = this.normalize(this.parse(text));
+        if (!normalized) return 0;
+        return normalized.max ?? normalized.min ?? 0;
+    },
+
+    // ====== FORMATTING ======
+    formatAmount: function(amount, currency) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: currency,
+            notation: 'compact',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 1
+        }).format(amount);
+    },
+
+    // Comparison text shown next to the original salary, or '' when it
+    // would only repeat it
+    describe: function(text) {
+        const salary = this.parse(text);
+        if (!salary || (salary.currency === this.comparisonCurrency && salary.period === this.comparisonPeriod)) {
+            return '';
+        }
+
+        const normalized = this.normalize(salary);
+        if (!normalized) return '';
+
+        const periodLabels = { hour: 'hr', day: 'day', week: 'wk', month: 'mo', year: 'yr' };
+        const parts = [normalized.min, normalized.max]
+            .filter((value, index, values) => value !== null && values.indexOf(value) === index)
+            .map(value => this.formatAmount(value, normalized.currency));
+        const range = normalized.min === null ? `up to ${parts[0]}`
+            : normalized.max === null ? `${parts[0]}+`
+            : parts.join('–');
+
+        return `≈ ${range}/${periodLabels[normalized.period]}`;
+    }
+};
+
+window.JobPortal.SalaryParser = SalaryParser;
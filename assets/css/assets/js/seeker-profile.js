@@ -0,0 +1,90 @@
+// Seeker Profile for JobPortal Website
+// The job seeker's own details (contact info, skills, work history,
+// education, years of experience and salary expectation), kept in
+// JobPortal.Storage, reused to pre-fill applications and for job matching.
+// Values imported from a resume carry a confidence score until the seeker
+// confirms or corrects them. Load after main.js.
+
+const SeekerProfile = {
+    storageKey: 'seekerProfile',
+
+    contactFields: ['fullName', 'email', 'phone', 'city', 'linkedin', 'portfolio'],
+
+    get: function() {
+        return window.JobPortal.Storage.get(this.storageKey) || {
+            confidence: {},
+            source: null,
+            updatedAt: null
+        };
+    },
+
+    save: function(profile) {
+        profile.updatedAt = new Date().toISOString();
+        window.JobPortal.Storage.set(this.storageKey, profile);
+        return profile;
+    },
+
+    // Values the seeker typed themselves are treated as confirmed
+    update: function(patch) {
+        const profile = this.get();
+
+        Object.entries(patch).forEach(([field, value]) => {
+            profile[field] = value;
+            delete profile.confidence[field];
+        });
+
+        return this.save(profile);
+    },
+
+    confirm: function(field, value) {
+        const profile = this.get();
+        if (value !== undefined) profile[field] = value;
+        delete profile.confidence[field];
+        return this.save(profile);
+    },
+
+    // fields: { name: { value, confidence } } as produced by ResumeParser.
+    // Confirmed values are never overwritten by a later import.
+    importFields: function(fields, source) {
+        const profile = this.get();
+
+        Object.entries(fields).forEach(([field, { value, confidence }]) => {
+            const confirmed = profile[field] && profile.confidence[field] === undefined;
+            if (confirmed || !value || (Array.isArray(value) && value.length === 0)) return;
+
+            profile[field] = value;
+            profile.confidence[field] = confidence;
+        });
+
+        profile.source = source;
+        return this.save(profile);
+    },
+
+    // Imported fields still waiting for the seeker to check them
+    getPending: function() {
+        return Object.keys(this.get().confidence);
+    },
+
+    // Flattens the profile into form values: { name: { value, confidence } }
+    toFormFields: function(profile = this.get()) {
+        const fields = {};
+        const add = (field, value) => {
+            if (value) fields[field] = { value, confidence: profile.confidence[field] };
+        };
+
+        this.contactFields.forEach(field => add(field, profile[field]));
+        add('skills', (profile.skills || []).join(', '));
+        add('experience', (profile.experience || []).map(job => {
+            const role = [job.title, job.company].filter(Boolean).join(' at ');
+            return job.start ? `${role} (${job.start} – ${job.end || 'Present'})` : role;
+        }).join('\n'));
+        add('education', (profile.education || []).map(school => {
+            const degree = [school.degree, school.institution].filter(Boolean).join(', ');
+            return school.year ? `${degree} (${school.year})` : degree;
+        }).join('\n'));
+
+        return fields;
+    }
+};
+
+window.JobPortal.SeekerProfile = SeekerProfile;
@@ -0,0 +1,576 @@
+// Structured Data for JobPortal Website
+// Builds schema.org JSON-LD (JobPosting, Course, Event), an XML sitemap and
+// RSS / Atom feeds of new jobs and news from the listing data. Runs in the
+// page, where it injects JSON-LD for the listings on screen, and from
+// scripts/export-structured-data.js as a static export step, so nothing here
+// may assume a browser. Load after job-search.js on jobs.html; courses.html
+// and events.html load it on its own.
+
+const StructuredData = {
+    siteName: 'JobPortal',
+
+    // Listing dates and times on the site are East Africa Time (no DST)
+    timezoneOffset: '+03:00',
+    defaultCountry: 'ET',
+
+    // Top-level pages for the sitemap, with how often they change
+    pages: [
+        { path: 'index.html', changefreq: 'daily', priority: 1.0 },
+        { path: 'jobs.html', changefreq: 'hourly', priority: 0.9 },
+        { path: 'employers.html', changefreq: 'weekly', priority: 0.7 },
+        { path: 'courses.html', changefreq: 'weekly', priority: 0.7 },
+        { path: 'events.html', changefreq: 'daily', priority: 0.7 },
+        { path: '- News Pagenews.html', changefreq: 'daily', priority: 0.6 },
+        { path: 'about.html', changefreq: 'monthly', priority: 0.4 },
+        { path: 'certificate-verify.html', changefreq: 'monthly', priority: 0.3 }
+    ],
+
+    employmentTypes: {
+        'full-time': 'FULL_TIME',
+        'part-time': 'PART_TIME',
+        'contract': 'CONTRACTOR',
+        'temporary': 'TEMPORARY',
+        'internship': 'INTERN'
+    },
+
+    salaryUnits: {
+        hour: 'HOUR',
+        day: 'DAY',
+        week: 'WEEK',
+        month: 'MONTH',
+        year: 'YEAR'
+    },
+
+    maxFeedItems: 50,
+
+    // ====== SCHEMA.ORG ======
+    // job: a listing as returned by JobPortal.Api.getJobs
+    jobPosting: function(job, options = {}) {
+        const data = {
+            '@type': 'JobPosting',
+            title: job.title,
+            description: job.description || job.title,
+            datePosted: this.toDate(job.postedAt || job.publishAt || options.now),
+            hiringOrganization: { '@type': 'Organization', name: job.company }
+        };
+
+        if (job.id !== undefined && job.id !== null) {
+            data.identifier = { '@type': 'PropertyValue', name: job.company, value: String(job.id) };
+        }
+        if (job.expiresAt) data.validThrough = job.expiresAt;
+        if (this.employmentTypes[job.type]) data.employmentType = this.employmentTypes[job.type];
+        if (job.tags?.length) data.skills = job.tags.join(', ');
+        if (options.baseUrl) data.url = this.jobUrl(job, options.baseUrl);
+
+        const address = this.toAddress(job.location);
+        if (address) {
+            data.jobLocation = { '@type': 'Place', address };
+        }
+
+        if (job.workplace === 'remote') {
+            data.jobLocationType = 'TELECOMMUTE';
+            if (address) {
+                data.applicantLocationRequirements = { '@type': 'Country', name: address.addressCountry };
+            }
+        }
+
+        const salary = this.toSalary(job.salary, options.parseSalary);
+        if (salary) data.baseSalary = salary;
+
+        return data;
+    },
+
+    // course: { title, description, provider, instructor, level, hours, price, currency, rating }
+    course: function(course, options = {}) {
+        const data = {
+            '@type': 'Course',
+            name: course.title,
+            description: course.description || course.title,
+            provider: { '@type': 'Organization', name: course.provider || this.siteName }
+        };
+
+        if (options.baseUrl) data.url = `${options.baseUrl}courses.html#${this.slugify(course.title)}`;
+        if (course.level) data.educationalLevel = course.level;
+
+        if (course.instructor || course.hours) {
+            data.hasCourseInstance = {
+                '@type': 'CourseInstance',
+                courseMode: 'online'
+            };
+            if (course.instructor) data.hasCourseInstance.instructor = { '@type': 'Person', name: course.instructor };
+            if (course.hours) data.hasCourseInstance.courseWorkload = `PT${course.hours}H`;
+        }
+
+        if (course.price !== null && course.price !== undefined) {
+            data.offers = {
+                '@type': 'Offer',
+                category: course.price === 0 ? 'Free' : 'Paid',
+                price: course.price,
+                priceCurrency: course.currency || 'USD'
+            };
+        }
+
+        if (course.rating) {
+            data.aggregateRating = { '@type': 'AggregateRating', ratingValue: course.rating, bestRating: 5 };
+        }
+
+        return data;
+    },
+
+    // event: { title, type, url, description, start, end, location, online, price, currency }
+    event: function(event, options = {}) {
+        const data = {
+            '@type': 'Event',
+            name: event.title,
+            description: event.description || event.title,
+            startDate: event.start,
+            eventStatus: 'https://schema.org/EventScheduled',
+            organizer: { '@type': 'Organization', name: this.siteName }
+        };
+
+        if (event.end) data.endDate = event.end;
+        if (event.url && options.baseUrl) data.url = new URL(event.url, options.baseUrl).href;
+
+        if (event.online) {
+            data.eventAttendanceMode = 'https://schema.org/OnlineEventAttendanceMode';
+            data.location = { '@type': 'VirtualLocation', url: data.url || options.baseUrl || '', name: event.location };
+        } else {
+            data.eventAttendanceMode = 'https://schema.org/OfflineEventAttendanceMode';
+            data.location = {
+                '@type': 'Place',
+                name: event.location,
+                address: { '@type': 'PostalAddress', streetAddress: event.location, addressCountry: this.defaultCountry }
+            };
+        }
+
+        if (event.price !== null && event.price !== undefined) {
+            data.offers = {
+                '@type': 'Offer',
+                price: event.price,
+                priceCurrency: event.currency || 'ETB',
+                availability: 'https://schema.org/InStock'
+            };
+            if (data.url) data.offers.url = data.url;
+        }
+
+        return data;
+    },
+
+    graph: function(items) {
+        return { '@context': 'https://schema.org', '@graph': items };
+    },
+
+    // Safe to place inside a <script> element
+    toJson: function(data) {
+        return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    },
+
+    toHtml: function(data) {
+        return `<script type="application/ld+json" data-structured-data>\n${this.toJson(data)}\n</script>`;
+    },
+
+    // ====== FIELD HELPERS ======
+    toDate: function(value) {
+        const date = value ? new Date(value) : new Date();
+        return isNaN(date) ? new Date().toISOString().slice(0, 10) : date.toISOString().slice(0, 10);
+    },
+
+    // 'San Francisco, CA' / 'Addis Ababa, Ethiopia' / 'Remote'
+    toAddress: function(location) {
+        const parts = String(location || '').split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0 || /^remote$/i.test(parts[0])) return null;
+
+        const address = { '@type': 'PostalAddress', addressLocality: parts[0] };
+        const last = parts.length > 1 ? parts[parts.length - 1] : null;
+
+        if (last && /^[A-Z]{2}$/.test(last)) {
+            address.addressRegion = last;
+            address.addressCountry = 'US';
+        } else {
+            address.addressCountry = last || this.defaultCountry;
+        }
+
+        return address;
+    },
+
+    // parseSalary defaults to JobPortal.SalaryParser.parse
+    toSalary: function(text, parseSalary) {
+        const parse = parseSalary || window.JobPortal.SalaryParser?.parse.bind(window.JobPortal.SalaryParser);
+        const salary = parse ? parse(text) : null;
+        if (!salary || (salary.min === null && salary.max === null)) return null;
+
+        const value = { '@type': 'QuantitativeValue', unitText: this.salaryUnits[salary.period] || 'YEAR' };
+        if (salary.min !== null && salary.max !== null && salary.min !== salary.max) {
+            value.minValue = salary.min;
+            value.maxValue = salary.max;
+        } else {
+            value.value = salary.min ?? salary.max;
+        }
+
+        return { '@type': 'MonetaryAmount', currency: salary.currency, value };
+    },
+
+    // 'FREE' → 0, 'ETB 500' → 500 ETB, '$49.99' → 49.99 USD
+    toPrice: function(text) {
+        const source = String(text || '').trim();
+        if (!source) return { price: null, currency: null };
+        if (/^free$/i.test(source)) return { price: 0, currency: null };
+
+        const amount = parseFloat(source.replace(/[^\d.]/g, ''));
+        const currency = /etb|birr/i.test(source) ? 'ETB' : /€/.test(source) ? 'EUR' : /£/.test(source) ? 'GBP' : 'USD';
+        return { price: isNaN(amount) ? null : amount, currency };
+    },
+
+    // '22 MAR 2024' + '2:00 PM' → '2024-03-22T14:00:00+03:00'
+    toDateTime: function(day, month, year, time) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const monthIndex = months.indexOf(String(month).trim().slice(0, 3).toLowerCase());
+        if (monthIndex === -1 || !year || !day) return null;
+
+        const date = `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).trim().padStart(2, '0')}`;
+        const match = String(time || '').match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+        if (!match) return date;
+
+        const meridiem = (match[3] || '').toLowerCase();
+        let hours = Number(match[1]);
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+
+        return `${date}T${String(hours).padStart(2, '0')}:${match[2] || '00'}:00${this.timezoneOffset}`;
+    },
+
+    slugify: function(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    },
+
+    jobUrl: function(job, baseUrl) {
+        return `${baseUrl}jobs.html?q=${encodeURIComponent(job.title)}`;
+    },
+
+    pageUrl: function(path, baseUrl) {
+        return new URL(encodeURI(path), baseUrl).href;
+    },
+
+    // ====== LISTING READERS ======
+    // Read the listing cards on the page. Only querySelector(All),
+    // textContent and getAttribute are used so the static export can pass
+    // its own parsed HTML.
+    text: function(root, selector) {
+        return (root.querySelector(selector)?.textContent || '').replace(/\s+/g, ' ').trim();
+    },
+
+    readJobCards: function(root) {
+        return Array.from(root.querySelectorAll('.job-card')).map((card, index) => {
+            const badges = Array.from(card.querySelectorAll('.job-meta .badge')).map(badge => badge.textContent.trim());
+            const place = this.text(card, '.job-header .badge');
+
+            return {
+                id: card.getAttribute('data-job-id') || this.slugify(this.text(card, '.job-title')) || String(index + 1),
+                title: this.text(card, '.job-title'),
+                company: this.text(card, '.company'),
+                workplace: /remote/i.test(place) ? 'remote' : /hybrid/i.test(place) ? 'hybrid' : 'on-site',
+                location: /remote|hybrid|on-site/i.test(place) ? '' : place,
+                type: (badges[0] || '').toLowerCase(),
+                tags: badges.slice(1),
+                salary: this.text(card, '.salary'),
+                description: this.text(card, '.job-description')
+            };
+        });
+    },
+
+    readCourses: function(root) {
+        return Array.from(root.querySelectorAll('.course-card')).map(card => {
+            const instructor = this.text(card, '.course-instructor').replace(/^by\s+/i, '').split('•')[0].trim();
+            const hours = this.text(card, '.course-meta').match(/(\d+)\s*hours?/i);
+            const rating = this.text(card, '.course-rating').match(/(\d+(?:\.\d+)?)\)?\s*$/);
+            const { price, currency } = this.toPrice(this.text(card, '.course-price'));
+
+            return {
+                title: this.text(card, '.course-title'),
+                description: this.text(card, '.course-description'),
+                level: this.text(card, '.course-level'),
+                instructor,
+                hours: hours ? Number(hours[1]) : null,
+                rating: rating ? Number(rating[1]) : null,
+                price,
+                currency
+            };
+        });
+    },
+
+    // The event cards plus the featured event, which writes its date out
+    // as 'March 15, 2024 | 9:00 AM - 5:00 PM'
+    readEvents: function(root) {
+        return Array.from(root.querySelectorAll('.featured-event, .event-card-lg')).map(card => {
+            const meta = Array.from(card.querySelectorAll('.event-meta span')).map(span => span.textContent.replace(/\s+/g, ' ').trim());
+            const featured = Boolean(card.querySelector('.featured-event-content'));
+            const when = featured ? (meta[0] || '').match(/([A-Za-z]+) (\d{1,2}), (\d{4})\s*\|\s*(.*)/) || [] : [];
+            const day = featured ? when[2] : this.text(card, '.date-day');
+            const month = featured ? when[1] : this.text(card, '.date-month');
+            const year = featured ? when[3] : this.text(card, '.date-year');
+            const [startTime, endTime] = ((featured ? when[4] : meta[0]) || '').split(/\s*[-–]\s*/);
+            const description = this.text(card, featured ? '.featured-event-content p' : '.event-content p');
+            const { price, currency } = featured
+                ? { price: /free/i.test(description) ? 0 : null, currency: null }
+                : this.toPrice(this.text(card, '.event-price'));
+            const location = meta[1] || '';
+
+            return {
+                id: card.getAttribute('data-event-id') || this.slugify(this.text(card, featured ? 'h2' : 'h3')),
+                title: this.text(card, featured ? 'h2' : 'h3'),
+                type: featured ? this.text(card, '.event-badge') : this.text(card, '.event-type'),
+                url: card.querySelector('h3 a')?.getAttribute('href') || '',
+                description,
+                start: this.toDateTime(day, month, year, startTime),
+                end: endTime ? this.toDateTime(day, month, year, endTime) : null,
+                location,
+                online: /online|zoom|virtual|live\)/i.test(location),
+                price,
+                currency
+            };
+        });
+    },
+
+    readNews: function(root) {
+        const datePattern = /([A-Z][a-z]+\.? \d{1,2}, \d{4})/;
+
+        return Array.from(root.querySelectorAll('.featured-article, .news-article')).map(article => {
+            const date = Array.from(article.querySelectorAll('.article-meta span'))
+                .map(span => span.textContent.match(datePattern)?.[1])
+                .find(Boolean);
+
+            return {
+                title: this.text(article, 'h2') || this.text(article, 'h3'),
+                url: article.querySelector('h3 a')?.getAttribute('href') || article.querySelector('a')?.getAttribute('href') || '',
+                summary: this.text(article, '.featured-article-content p') || this.text(article, '.article-content p'),
+                category: this.text(article, '.article-category'),
+                date: date ? new Date(`${date} 00:00:00 GMT${this.timezoneOffset.replace(':', '')}`).toISOString() : null
+            };
+        });
+    },
+
+    // ====== SITEMAP & FEEDS ======
+    escapeXml: function(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    },
+
+    sitemap: function(baseUrl, lastmod = new Date()) {
+        const date = this.toDate(lastmod);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...this.pages.map(page => [
+                '  <url>',
+                `    <loc>${this.escapeXml(this.pageUrl(page.path, baseUrl))}</loc>`,
+                `    <lastmod>${date}</lastmod>`,
+                `    <changefreq>${page.changefreq}</changefreq>`,
+                `    <priority>${page.priority.toFixed(1)}</priority>`,
+                '  </url>'
+            ].join('\n')),
+            '</urlset>',
+            ''
+        ].join('\n');
+    },
+
+    // feed: { title, link, description, selfUrl, items: [{ id, title, link, summary, date, category }] }
+    rss: function(feed) {
+        const items = feed.items.slice(0, this.maxFeedItems);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+            '  <channel>',
+            `    <title>${this.escapeXml(feed.title)}</title>`,
+            `    <link>${this.escapeXml(feed.link)}</link>`,
+            `    <description>${this.escapeXml(feed.description)}</description>`,
+            `    <atom:link href="${this.escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+            `    <lastBuildDate>${new Date(feed.updated || Date.now()).toUTCString()}</lastBuildDate>`,
+            ...items.map(item => [
+                '    <item>',
+                `      <title>${this.escapeXml(item.title)}</title>`,
+                `      <link>${this.escapeXml(item.link)}</link>`,
+                `      <guid isPermaLink="false">${this.escapeXml(item.id)}</guid>`,
+                `      <pubDate>${new Date(item.date).toUTCString()}</pubDate>`,
+                item.category ? `      <category>${this.escapeXml(item.category)}</category>` : null,
+                `      <description>${this.escapeXml(item.summary)}</description>`,
+                '    </item>'
+            ].filter(Boolean).join('\n')),
+            '  </channel>',
+            '</rss>',
+            ''
+        ].join('\n');
+    },
+
+    atom: function(feed) {
+        const items = feed.items.slice(0, this.maxFeedItems);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <title>${this.escapeXml(feed.title)}</title>`,
+            `  <subtitle>${this.escapeXml(feed.description)}</subtitle>`,
+            `  <link href="${this.escapeXml(feed.link)}"/>`,
+            `  <link href="${this.escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>`,
+            `  <id>${this.escapeXml(feed.selfUrl)}</id>`,
+            `  <updated>${new Date(feed.updated || Date.now()).toISOString()}</updated>`,
+            `  <author><name>${this.escapeXml(this.siteName)}</name></author>`,
+            ...items.map(item => [
+                '  <entry>',
+                `    <title>${this.escapeXml(item.title)}</title>`,
+                `    <link href="${this.escapeXml(item.link)}"/>`,
+                `    <id>${this.escapeXml(item.id)}</id>`,
+                `    <updated>${new Date(item.date).toISOString()}</updated>`,
+                item.category ? `    <category term="${this.escapeXml(item.category)}"/>` : null,
+                `    <summary>${this.escapeXml(item.summary)}</summary>`,
+                '  </entry>'
+            ].filter(Boolean).join('\n')),
+            '</feed>',
+            ''
+        ].join('\n');
+    },
+
+    // Newest first
+    jobFeedItems: function(jobs, baseUrl, now) {
+        return jobs
+            .map(job => ({
+                id: `urn:jobportal:job:${job.id}`,
+                title: `${job.title} at ${job.company}`,
+                link: this.jobUrl(job, baseUrl),
+                summary: [job.location, job.salary, job.description].filter(Boolean).join(' · '),
+                date: job.postedAt || job.publishAt || now,
+                category: job.category || ''
+            }))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    },
+
+    newsFeedItems: function(articles, baseUrl, newsPath, now) {
+        const pageUrl = this.pageUrl(newsPath, baseUrl);
+
+        return articles
+            .map(article => ({
+                id: article.url ? new URL(article.url, pageUrl).href : `urn:jobportal:news:${this.slugify(article.title)}`,
+                title: article.title,
+                link: article.url ? new URL(article.url, pageUrl).href : pageUrl,
+                summary: article.summary,
+                date: article.date || now,
+                category: article.category
+            }))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    },
+
+    // ====== EXPORT ======
+    // sources: { jobs, courses, events, news } listing data.
+    // Returns { files: { path: contents }, jsonLd: { page: graph } }
+    build: function(sources, options) {
+        const baseUrl = options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`;
+        const now = (options.now || new Date()).toISOString();
+        const newsPath = this.pages.find(page => /news/i.test(page.path)).path;
+        const itemOptions = { ...options, baseUrl, now };
+
+        const jobItems = this.jobFeedItems(sources.jobs || [], baseUrl, now);
+        const newsItems = this.newsFeedItems(sources.news || [], baseUrl, newsPath, now);
+        const feed = (name, title, description, link, items, format) => this[format]({
+            title: `${this.siteName} – ${title}`,
+            description,
+            link,
+            selfUrl: `${baseUrl}feeds/${name}`,
+            updated: items[0]?.date || now,
+            items
+        });
+
+        return {
+            files: {
+                'sitemap.xml': this.sitemap(baseUrl, options.now),
+                'feeds/jobs.rss': feed('jobs.rss', 'New jobs', 'The latest job listings', `${baseUrl}jobs.html`, jobItems, 'rss'),
+                'feeds/jobs.atom': feed('jobs.atom', 'New jobs', 'The latest job listings', `${baseUrl}jobs.html`, jobItems, 'atom'),
+                'feeds/news.rss': feed('news.rss', 'News', 'Job market news and career advice', this.pageUrl(newsPath, baseUrl), newsItems, 'rss'),
+                'feeds/news.atom': feed('news.atom', 'News', 'Job market news and career advice', this.pageUrl(newsPath, baseUrl), newsItems, 'atom')
+            },
+            jsonLd: {
+                'jobs.html': this.graph((sources.jobs || []).map(job => this.jobPosting(job, itemOptions))),
+                'courses.html': this.graph((sources.courses || []).map(course => this.course(course, itemOptions))),
+                'events.html': this.graph((sources.events || []).map(event => this.event(event, itemOptions)))
+            }
+        };
+    },
+
+    // ====== RUNTIME ======
+    // Adds or replaces the page's JSON-LD block (including one written by the
+    // static export)
+    inject: function(data, doc = document) {
+        let script = doc.querySelector('script[type="application/ld+json"][data-structured-data]');
+
+        if (!script) {
+            script = doc.createElement('script');
+            script.type = 'application/ld+json';
+            script.setAttribute('data-structured-data', '');
+            doc.head.appendChild(script);
+        }
+
+        script.textContent = this.toJson(data);
+        return script;
+    },
+
+    // Everything the static export writes, built in the browser from the live
+    // listings (employer postings included) and the other pages' markup
+    exportSite: async function(options = {}) {
+        const baseUrl = options.baseUrl || new URL('.', window.location.href).href;
+        const loadPage = async path => {
+            const response = await fetch(encodeURI(path));
+            if (!response.ok) throw new Error(`Failed to load ${path}: ${response.status}`);
+            return new DOMParser().parseFromString(await response.text(), 'text/html');
+        };
+        const newsPath = this.pages.find(page => /news/i.test(page.path)).path;
+
+        const [jobs, coursesPage, eventsPage, newsPage] = await Promise.all([
+            window.JobPortal.Api
+                ? window.JobPortal.Api.getJobs().then(response => response.data)
+                : loadPage('jobs.html').then(page => this.readJobCards(page)),
+            loadPage('courses.html'),
+            loadPage('events.html'),
+            loadPage(newsPath)
+        ]);
+
+        return this.build({
+            jobs,
+            courses: this.readCourses(coursesPage),
+            events: this.readEvents(eventsPage),
+            news: this.readNews(newsPage)
+        }, { ...options, baseUrl });
+    }
+};
+
+// ====== PAGE BINDING ======
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const baseUrl = new URL('.', window.location.href).href;
+        const search = window.JobPortal.search;
+
+        // Jobs come from JobPortal.Api so employer postings are included
+        if (search) {
+            search.on('indexed', jobs => {
+                StructuredData.inject(StructuredData.graph(jobs.map(job => StructuredData.jobPosting(job, { baseUrl }))));
+            });
+            return;
+        }
+
+        const courses = StructuredData.readCourses(document);
+        const events = StructuredData.readEvents(document);
+        const items = [
+            ...courses.map(course => StructuredData.course(course, { baseUrl })),
+            ...events.map(event => StructuredData.event(event, { baseUrl }))
+        ];
+
+        if (items.length) StructuredData.inject(StructuredData.graph(items));
+    });
+}
+
+// courses.html and events.html do not load main.js
+window.JobPortal = window.JobPortal || {};
+window.JobPortal.StructuredData = StructuredData;
@@ -0,0 +1,506 @@
+/**
+ * Bank Receipt Reconciliation
+ * Responsibilities:
+ * - Store uploaded transfer receipts against the payment they pay for
+ * - Queue receipts for review next to the expected amount and reference
+ * - Approve or reject receipts, which settles the payment in the ledger
+ * - Import bank statement CSVs and match credits by reference and amount
+ *
+ * Receipts: submitted → approved / rejected. Submitting a receipt moves the
+ * payment to pending; approving it succeeds the payment and rejecting it
+ * fails the payment with the reason given.
+ *
+ * Receipt files are kept in IndexedDB rather than next to the receipts in
+ * localStorage, whose few MB are shared with the ledger; a receipt holds
+ * the file's key, and the file is deleted once the receipt is reviewed.
+ */
+
+import ledger from './payment-ledger.js';
+import Money, { ROUNDING } from './money.js';
+
+const RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'];
+const MAX_RECEIPT_SIZE = 5 * 1024 * 1024;
+const FILE_DB = 'paymentReceiptFiles';
+const FILE_STORE = 'files';
+
+// Column headings banks use in statement exports, lower-cased. Payment
+// references are looked for in every reference-like column (banks use one
+// for their FT number and another for the customer's narration), then in
+// the whole row.
+const STATEMENT_COLUMNS = {
+    date: ['date', 'transaction date', 'txn date', 'value date', 'posting date'],
+    credit: ['credit', 'credit amount', 'deposit', 'cr', 'amount'],
+    debit: ['debit', 'debit amount', 'withdrawal', 'dr'],
+    transactionId: ['transaction id', 'txn id', 'transaction ref', 'ft number', 'ft no', 'cheque no'],
+    reference: ['reference', 'ref', 'ref no', 'payment reference', 'narration', 'description', 'details', 'remarks', 'particulars'],
+    payer: ['payer', 'sender', 'from', 'account name', 'name']
+};
+
+// Quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// "ETB 4,599.00" / "(1,200.50)" → "4599.00" / "-1200.50"; null when empty
+function parseAmount(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    const negative = /^\(.*\)$/.test(value) || value.includes('-');
+    const digits = value.replace(/[^\d.]/g, '');
+    if (!digits || Number.isNaN(Number(digits))) return null;
+    return negative ? `-${digits}` : digits;
+}
+
+// References are compared without spaces, dashes or case
+function compact(text) {
+    return String(text || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Every word of each text, and runs of up to three words joined, compacted:
+// "ref et 2610190003" gives "ET2610190003" but "ET26101900031" never
+// gives "ET2610190003"
+function referenceTokens(texts) {
+    const tokens = new Set();
+    texts.forEach(text => {
+        const words = String(text || '').split(/[^A-Za-z0-9-]+/).filter(Boolean);
+        words.forEach((word, i) => {
+            for (let length = 1; length <= 3 && i + length <= words.length; length++) {
+                tokens.add(compact(words.slice(i, i + length).join('')));
+            }
+        });
+    });
+    return tokens;
+}
+
+// What a customer may quote for a payment: its own reference or, for a
+// subscription invoice, the invoice's, which every attempt shares
+function paymentReferences(payment) {
+    return [payment.reference, payment.metadata?.invoiceReference].filter(Boolean).map(compact);
+}
+
+class ReceiptReconciliation {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'paymentReceipts';
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.ledger = config.ledger || ledger;
+        this.currency = config.currency || 'ETB';
+        this.indexedDB = config.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.memory = null;
+        this.memoryFiles = new Map();
+        this.fileDb = null;
+    }
+
+    load() {
+        try {
+            const stored = this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : this.memory;
+            return stored || { receipts: {}, imports: [] };
+        } catch (error) {
+            console.error('Failed to read payment receipts:', error);
+            return { receipts: {}, imports: [] };
+        }
+    }
+
+    save(state) {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(state));
+        } else {
+            this.memory = state;
+        }
+    }
+
+    get(receiptId) {
+        return this.load().receipts[receiptId] || null;
+    }
+
+    getForPayment(paymentId) {
+        return Object.values(this.load().receipts)
+            .filter(receipt => receipt.paymentId === paymentId)
+            .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+    }
+
+    // ====== FILES ======
+    openFiles() {
+        if (!this.fileDb) {
+            this.fileDb = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(FILE_DB, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(FILE_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.fileDb;
+    }
+
+    // Resolves with the result of the request action(store) makes
+    async fileRequest(mode, action) {
+        const db = await this.openFiles();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(FILE_STORE, mode).objectStore(FILE_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // file: a File, or a data URL
+    async putFile(key, file) {
+        if (!this.indexedDB) {
+            this.memoryFiles.set(key, file);
+            return;
+        }
+        await this.fileRequest('readwrite', store => store.put(file, key));
+    }
+
+    async getFile(key) {
+        if (!this.indexedDB) {
+            return this.memoryFiles.get(key) || null;
+        }
+        return (await this.fileRequest('readonly', store => store.get(key))) || null;
+    }
+
+    async deleteFile(key) {
+        if (!this.indexedDB) {
+            this.memoryFiles.delete(key);
+            return;
+        }
+        await this.fileRequest('readwrite', store => store.delete(key));
+    }
+
+    // A URL to show the receipt's file from, or null once it is reviewed.
+    // Object URLs are the caller's to revoke.
+    async getFileUrl(receiptId) {
+        const receipt = this.get(receiptId);
+        const file = receipt?.file.key ? await this.getFile(receipt.file.key) : null;
+        if (!file) {
+            // Receipts from before files moved out of localStorage
+            return receipt?.file.dataUrl || null;
+        }
+        return typeof file === 'string' ? file : URL.createObjectURL(file);
+    }
+
+    // What a reviewed receipt keeps of its file: the name, type and size
+    discardFile(receipt) {
+        const { name, type, size, key } = receipt.file;
+        if (key) {
+            this.deleteFile(key).catch(error => console.error('Failed to delete receipt file:', error));
+        }
+        return { name, type, size };
+    }
+
+    // ====== SUBMISSION ======
+    validateFile(file) {
+        if (!file || !RECEIPT_TYPES.includes(file.type)) {
+            throw new Error('Please upload only JPG, PNG, or PDF files');
+        }
+        if (file.size > MAX_RECEIPT_SIZE) {
+            throw new Error('File size should be less than 5MB');
+        }
+    }
+
+    // details: { file, method, transactionId, senderName, note }. file is a
+    // File (or { name, type, size, dataUrl }) of the transfer confirmation or
+    // slip; method is how the customer paid, if it changed since checkout.
+    async submitReceipt(paymentId, details = {}) {
+        const payment = this.ledger.get(paymentId);
+        if (!payment) {
+            throw new Error('Payment not found');
+        }
+        if (!this.ledger.isOpen(payment)) {
+            throw new Error(`This payment is already ${payment.status}`);
+        }
+        if (this.getForPayment(paymentId).some(receipt => receipt.status === 'submitted')) {
+            throw new Error('A receipt for this payment is already waiting for review');
+        }
+
+        this.validateFile(details.file);
+
+        const now = new Date().toISOString();
+        const method = details.method || payment.method;
+        const id = `rcpt_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+        await this.putFile(id, details.file.dataUrl || details.file);
+
+        const receipt = {
+            id,
+            paymentId,
+            reference: payment.metadata?.invoiceReference || payment.reference,
+            method,
+            expected: { amount: payment.amount, currency: payment.currency },
+            transactionId: (details.transactionId || '').trim() || null,
+            senderName: (details.senderName || '').trim() || null,
+            note: (details.note || '').trim() || null,
+            file: {
+                name: details.file.name,
+                type: details.file.type,
+                size: details.file.size,
+                key: id
+            },
+            status: 'submitted',
+            submittedAt: now
+        };
+
+        const state = this.load();
+        state.receipts[receipt.id] = receipt;
+        this.save(state);
+
+        if (payment.status === 'created') {
+            this.ledger.transition(paymentId, 'pending', { paymentMethod: method, receiptId: receipt.id });
+        } else {
+            this.ledger.update(paymentId, { paymentMethod: method, receiptId: receipt.id });
+        }
+
+        return receipt;
+    }
+
+    // ====== REVIEW ======
+    // Submitted receipts with their payment, oldest first
+    getQueue() {
+        return Object.values(this.load().receipts)
+            .filter(receipt => receipt.status === 'submitted')
+            .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt))
+            .map(receipt => ({ receipt, payment: this.ledger.get(receipt.paymentId) }));
+    }
+
+    updateReceipt(receiptId, changes) {
+        const state = this.load();
+        const receipt = state.receipts[receiptId];
+        if (!receipt) throw new Error('Receipt not found');
+
+        Object.assign(receipt, changes);
+        this.save(state);
+        return receipt;
+    }
+
+    assertSubmitted(receiptId) {
+        const receipt = this.get(receiptId);
+        if (!receipt) {
+            throw new Error('Receipt not found');
+        }
+        if (receipt.status !== 'submitted') {
+            throw new Error(`This receipt was already ${receipt.status}`);
+        }
+        return receipt;
+    }
+
+    // review: { reviewer, transactionId (the bank's, if it differs), match }
+    approve(receiptId, review = {}) {
+        const receipt = this.assertSubmitted(receiptId);
+        const payment = this.ledger.get(receipt.paymentId);
+        const reviewedAt = new Date().toISOString();
+        const transactionId = review.transactionId || receipt.transactionId || receipt.reference;
+
+        this.settle(payment, transactionId, { receiptId, verifiedBy: review.reviewer || null });
+        return this.updateReceipt(receiptId, {
+            file: this.discardFile(receipt),
+            status: 'approved',
+            reviewedAt,
+            reviewedBy: review.reviewer || null,
+            match: review.match || null
+        });
+    }
+
+    // review: { reviewer, reason }
+    reject(receiptId, review = {}) {
+        const receipt = this.assertSubmitted(receiptId);
+        const reason = (review.reason || '').trim();
+        if (!reason) {
+            throw new Error('Please give a reason so the customer knows what to fix');
+        }
+
+        this.ledger.transition(receipt.paymentId, 'failed', { error: `Receipt rejected: ${reason}` });
+        return this.updateReceipt(receiptId, {
+            file: this.discardFile(receipt),
+            status: 'rejected',
+            reason,
+            reviewedAt: new Date().toISOString(),
+            reviewedBy: review.reviewer || null
+        });
+    }
+
+    // Succeeds an open payment; a created one passes through pending first
+    settle(payment, transactionId, details = {}) {
+        const method = payment.paymentMethod || payment.method;
+        if (payment.status === 'created') {
+            this.ledger.transition(payment.id, 'pending', { paymentMethod: method });
+        }
+
+        return this.ledger.transition(payment.id, 'succeeded', {
+            completedAt: new Date().toISOString(),
+            transactionId,
+            receipt: {
+                method,
+                amount: payment.amount,
+                currency: payment.currency,
+                transactionId,
+                timestamp: new Date().toISOString(),
+                reference: payment.reference,
+                ...details
+            }
+        });
+    }
+
+    // ====== STATEMENT IMPORT ======
+    // Rows of the statement as { line, date, text, references, amount,
+    // transactionId, payer }; only credits are kept
+    parseStatement(csvText) {
+        const [header, ...rows] = parseCsv(csvText);
+        if (!header) throw new Error('The statement is empty');
+
+        const headings = header.map(cell => cell.trim().toLowerCase());
+        const column = name => headings.findIndex(heading => STATEMENT_COLUMNS[name].includes(heading));
+        const columns = Object.fromEntries(Object.keys(STATEMENT_COLUMNS).map(name => [name, column(name)]));
+        const referenceColumns = headings
+            .map((heading, index) => STATEMENT_COLUMNS.reference.includes(heading) ? index : -1)
+            .filter(index => index > -1);
+        if (columns.credit === -1) {
+            throw new Error('The statement needs a Credit or Amount column');
+        }
+
+        return rows.map((cells, index) => ({
+            line: index + 2,
+            date: columns.date > -1 ? cells[columns.date]?.trim() : null,
+            text: cells.join(' '),
+            references: referenceColumns.map(index => cells[index]?.trim()).filter(Boolean),
+            amount: parseAmount(cells[columns.credit]),
+            debit: columns.debit > -1 ? parseAmount(cells[columns.debit]) : null,
+            transactionId: columns.transactionId > -1 ? cells[columns.transactionId]?.trim() || null : null,
+            payer: columns.payer > -1 ? cells[columns.payer]?.trim() || null : null
+        })).filter(row => row.amount && Number(row.amount) > 0 && !(Number(row.debit) > 0));
+    }
+
+    // Payments in the statement's currency whose reference is one of the
+    // words of texts, newest first
+    findStatementPayments(texts) {
+        const tokens = referenceTokens(texts);
+        return this.ledger.list()
+            .filter(entry => entry.currency === this.currency && paymentReferences(entry).some(reference => tokens.has(reference)));
+    }
+
+    // Matches each credit to the payment whose reference appears in it as a
+    // whole word, preferring the one still awaiting settlement (earlier
+    // attempts with the same reference may have failed). Equal amounts settle
+    // the payment (approving its receipt); other amounts are left for review
+    // with the statement line attached to the receipt. Lines naming more than
+    // one open payment are left for review rather than guessed at, and
+    // credits for payments already paid come back as duplicates.
+    importStatement(csvText, options = {}) {
+        const rows = this.parseStatement(csvText);
+        const result = { matched: [], mismatched: [], duplicates: [], unmatched: [] };
+
+        rows.forEach(row => {
+            const inColumns = this.findStatementPayments(row.references);
+            const candidates = inColumns.length ? inColumns : this.findStatementPayments([row.text]);
+            const open = candidates.filter(entry => this.ledger.isOpen(entry));
+            const payment = open[0] || candidates[0];
+
+            if (!payment) {
+                result.unmatched.push({ row });
+                return;
+            }
+            if (open.length > 1) {
+                result.mismatched.push({
+                    row,
+                    payment,
+                    payments: open,
+                    reason: `Matches ${open.length} open payments: ${[...new Set(open.map(entry => entry.reference))].join(', ')}`
+                });
+                return;
+            }
+            if (['succeeded', 'partially_refunded', 'refunded'].includes(payment.status)) {
+                result.duplicates.push({ row, payment });
+                return;
+            }
+            // Money for a failed or cancelled payment has to be sorted out by hand
+            if (!this.ledger.isOpen(payment)) {
+                result.mismatched.push({ row, payment, reason: `Payment ${payment.status}` });
+                return;
+            }
+
+            const credited = Money.of(row.amount, this.currency, ROUNDING.HALF_UP);
+            const expected = Money.of(payment.amount, payment.currency);
+            const match = {
+                source: options.source || 'statement',
+                line: row.line,
+                date: row.date,
+                amount: credited.toString(),
+                transactionId: row.transactionId,
+                payer: row.payer
+            };
+            const receipt = this.getForPayment(payment.id).find(item => item.status === 'submitted');
+
+            if (!credited.equals(expected)) {
+                if (receipt) this.updateReceipt(receipt.id, { statementMatch: { ...match, amountMismatch: true } });
+                result.mismatched.push({ row, payment, reason: `Expected ${expected.toString()} ${expected.currency}` });
+                return;
+            }
+
+            const review = { reviewer: options.reviewer || 'statement import', transactionId: row.transactionId, match };
+            if (receipt) {
+                this.approve(receipt.id, review);
+            } else {
+                this.settle(payment, row.transactionId || payment.reference, { verifiedBy: review.reviewer, match });
+            }
+            result.matched.push({ row, payment: this.ledger.get(payment.id) });
+        });
+
+        const state = this.load();
+        state.imports = [{
+            importedAt: new Date().toISOString(),
+            source: options.source || 'statement',
+            credits: rows.length,
+            matched: result.matched.length,
+            mismatched: result.mismatched.length,
+            duplicates: result.duplicates.length,
+            unmatched: result.unmatched.length
+        }, ...state.imports].slice(0, 20);
+        this.save(state);
+
+        return result;
+    }
+
+    getImports() {
+        return this.load().imports;
+    }
+}
+
+// Shared by the payment page and the reconciliation queue
+const reconciliation = new ReceiptReconciliation();
+
+export { ReceiptReconciliation, parseCsv, RECEIPT_TYPES, MAX_RECEIPT_SIZE };
+export default reconciliation;
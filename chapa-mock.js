@@ -0,0 +1,179 @@
+/**
+ * Chapa Mock Server
+ * Responsibilities:
+ * - Answer initialize, verify and cancel requests in place of api.chapa.co
+ * - Play out the hosted checkout as success, failed, cancelled or abandoned
+ * - Send webhooks signed with the webhook secret, like Chapa does
+ *
+ *     const chapa = new ChapaMockServer({ scenario: 'failed' });
+ *     new EthiopianPayment({ gateway: chapa.connect() });
+ */
+
+import ChapaGateway from './chapa.js';
+import { hmacSha256Hex } from './payment-gateway.js';
+
+const SCENARIOS = ['success', 'failed', 'cancelled', 'abandoned'];
+
+const CREDENTIALS = {
+    secretKey: 'CHASECK_TEST-mock',
+    webhookSecret: 'chapa-mock-webhook-secret'
+};
+
+class ChapaMockServer {
+    constructor(options = {}) {
+        this.delay = options.delay ?? 1500;
+        this.onWebhook = options.onWebhook || null;
+        this.transactions = {};
+        this.setScenario(options.scenario || 'success');
+    }
+
+    setScenario(scenario) {
+        if (!SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown Chapa scenario: ${scenario}. Use one of ${SCENARIOS.join(', ')}`);
+        }
+        this.scenario = scenario;
+    }
+
+    connect(options = {}) {
+        return new ChapaGateway({
+            ...CREDENTIALS,
+            baseUrl: 'mock://chapa/v1',
+            pollInterval: 500,
+            ...options,
+            transport: (method, path, body, headers) => this.handle(method, path, body, headers),
+            launcher: intent => this.checkout(intent)
+        });
+    }
+
+    // ====== API ======
+    async handle(method, path, body, headers = {}) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        if (headers.Authorization !== `Bearer ${CREDENTIALS.secretKey}`) {
+            return { message: 'Invalid API Key or User doesn\'t exist', status: 'failed', data: null };
+        }
+
+        const [, action, txRef] = path.match(/^\/transaction\/(\w+)\/?(.*)$/) || [];
+        const route = `${method} ${action}`;
+
+        switch (route) {
+            case 'POST initialize':
+                return this.initialize(body);
+            case 'GET verify':
+                return this.verify(decodeURIComponent(txRef));
+            case 'PUT cancel':
+                return this.cancel(decodeURIComponent(txRef));
+            default:
+                return { message: `No route for ${method} ${path}`, status: 'failed', data: null };
+        }
+    }
+
+    initialize(body) {
+        const errors = {};
+        if (!(Number(body.amount) > 0)) errors.amount = ['The amount must be greater than 0.'];
+        if (!['ETB', 'USD'].includes(body.currency)) errors.currency = ['The selected currency is invalid.'];
+        if (!body.tx_ref) errors.tx_ref = ['The tx ref field is required.'];
+        if (body.customization?.title?.length > 16) errors.title = ['The title must not be greater than 16 characters.'];
+        if (this.transactions[body.tx_ref]) errors.tx_ref = ['Transaction reference has been used before'];
+
+        if (Object.keys(errors).length) {
+            return { message: errors, status: 'failed', data: null };
+        }
+
+        this.transactions[body.tx_ref] = {
+            ...body,
+            status: 'pending',
+            reference: `AP${Math.random().toString(36).substr(2, 10).toUpperCase()}`,
+            created_at: new Date().toISOString()
+        };
+
+        return {
+            message: 'Hosted Link',
+            status: 'success',
+            data: { checkout_url: `https://checkout.chapa.co/checkout/payment/mock-${encodeURIComponent(body.tx_ref)}` }
+        };
+    }
+
+    // Chapa only knows a transaction once the customer has tried to pay
+    verify(txRef) {
+        const transaction = this.transactions[txRef];
+        if (!transaction || !transaction.opened) {
+            return { message: 'Invalid transaction or Transaction not found', status: 'failed', data: null };
+        }
+
+        return {
+            message: 'Payment details',
+            status: 'success',
+            data: this.describe(transaction)
+        };
+    }
+
+    cancel(txRef) {
+        const transaction = this.transactions[txRef];
+        if (!transaction || transaction.status !== 'pending') {
+            return { message: 'Transaction cannot be cancelled', status: 'failed', data: null };
+        }
+
+        transaction.status = 'cancelled';
+        return { message: 'Transaction cancelled', status: 'success', data: null };
+    }
+
+    describe(transaction) {
+        return {
+            first_name: transaction.first_name,
+            last_name: transaction.last_name,
+            email: transaction.email,
+            currency: transaction.currency,
+            amount: transaction.amount,
+            charge: '0.00',
+            mode: 'test',
+            method: transaction.method || null,
+            type: 'API',
+            status: transaction.status,
+            reference: transaction.reference,
+            tx_ref: transaction.tx_ref,
+            created_at: transaction.created_at,
+            updated_at: transaction.updated_at || transaction.created_at
+        };
+    }
+
+    // ====== CHECKOUT ======
+    // Stands in for the customer on the hosted checkout page
+    async checkout(intent) {
+        const transaction = this.transactions[intent.reference];
+        if (!transaction) {
+            throw new Error('Chapa checkout link is invalid');
+        }
+
+        transaction.opened = true;
+        const scenario = this.scenario;
+        setTimeout(() => this.settle(transaction, scenario), this.delay);
+    }
+
+    async settle(transaction, scenario) {
+        if (transaction.status !== 'pending' || scenario === 'abandoned') return;
+
+        Object.assign(transaction, {
+            status: { success: 'success', failed: 'failed', cancelled: 'cancelled' }[scenario],
+            method: 'telebirr',
+            updated_at: new Date().toISOString()
+        });
+
+        if (!this.onWebhook) return;
+
+        const body = JSON.stringify({
+            event: transaction.status === 'success' ? 'charge.success' : `charge.${transaction.status}`,
+            ...this.describe(transaction)
+        });
+        const signature = await hmacSha256Hex(CREDENTIALS.webhookSecret, body);
+
+        try {
+            await this.onWebhook(body, { 'chapa-signature': signature, 'x-chapa-signature': signature });
+        } catch (error) {
+            console.error('Chapa webhook failed:', error);
+        }
+    }
+}
+
+export { ChapaMockServer, SCENARIOS, CREDENTIALS };
+export default ChapaMockServer;
@@ -0,0 +1,133 @@
+/**
+ * Chapa Gateway
+ * Responsibilities:
+ * - Initialize a hosted checkout for a tx_ref
+ * - Verify a transaction by tx_ref
+ * - Check the Chapa-Signature on webhooks
+ * - Cancel a checkout that has not been paid
+ *
+ * Chapa takes ETB and USD. The payment reference is used as tx_ref, so
+ * every attempt has its own.
+ */
+
+import PaymentGateway, { gatewayError } from './payment-gateway.js';
+import Money from './money.js';
+
+// Chapa transaction status → status used by the payment systems
+const CHAPA_STATUS = {
+    success: 'succeeded',
+    failed: 'failed',
+    cancelled: 'cancelled',
+    expired: 'expired',
+    pending: 'pending'
+};
+
+class ChapaGateway extends PaymentGateway {
+    constructor(config = {}) {
+        super({
+            name: 'chapa',
+            displayName: 'Chapa',
+            baseUrl: 'https://api.chapa.co/v1',
+            ...config
+        });
+
+        this.secretKey = config.secretKey || null;
+        this.webhookSecret = config.webhookSecret || null;
+        this.supportedCurrencies = ['ETB', 'USD'];
+    }
+
+    getHeaders() {
+        return this.secretKey ? { Authorization: `Bearer ${this.secretKey}` } : {};
+    }
+
+    async createPaymentIntent(paymentData) {
+        if (!this.supportedCurrencies.includes(paymentData.currency)) {
+            throw new Error(`Chapa does not accept ${paymentData.currency}`);
+        }
+
+        const customer = paymentData.customer || {};
+        const [firstName, ...lastName] = (customer.name || '').trim().split(/\s+/);
+        const response = await this.request('POST', '/transaction/initialize', {
+            amount: Money.of(paymentData.amount, paymentData.currency).toString(),
+            currency: paymentData.currency,
+            email: customer.email,
+            first_name: firstName || undefined,
+            last_name: lastName.join(' ') || undefined,
+            phone_number: customer.phone ? customer.phone.replace(/^\+?251/, '0') : undefined,
+            tx_ref: paymentData.reference,
+            callback_url: this.callbackUrl || undefined,
+            return_url: this.returnUrl,
+            customization: {
+                // Chapa allows at most 16 characters here
+                title: 'ZewedJobs',
+                description: paymentData.description
+            },
+            meta: { hide_receipt: true }
+        });
+
+        if (response.status !== 'success' || !response.data?.checkout_url) {
+            throw gatewayError(this.getMessage(response) || 'Chapa could not start the checkout', 'payment_failed');
+        }
+
+        return {
+            paymentIntentId: `chapa_${paymentData.reference}`,
+            gateway: this.name,
+            reference: paymentData.reference,
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            checkoutUrl: response.data.checkout_url,
+            paymentInstructions: 'Complete the payment on the Chapa checkout page.',
+            expiresAt: new Date(Date.now() + this.checkoutTimeout * 60000).toISOString()
+        };
+    }
+
+    // Chapa sends validation errors as { message: { field: [...] } }
+    getMessage(response) {
+        const message = response?.message;
+        return message && typeof message === 'object'
+            ? Object.values(message).flat().join(', ')
+            : message;
+    }
+
+    // intent: a payment intent, or anything with the tx_ref as reference
+    async verifyTransaction(intent) {
+        const response = await this.request('GET', `/transaction/verify/${encodeURIComponent(intent.reference)}`);
+
+        // Not found yet: the customer has not finished the checkout
+        if (response.status !== 'success' || !response.data) {
+            return { reference: intent.reference, status: 'pending' };
+        }
+
+        const data = response.data;
+        return {
+            reference: data.tx_ref,
+            status: CHAPA_STATUS[data.status] || 'pending',
+            transactionId: data.reference || null,
+            amount: data.amount,
+            currency: data.currency,
+            method: data.method || null,
+            errorMessage: null,
+            completedAt: data.updated_at || data.created_at || null
+        };
+    }
+
+    // body: the raw request body (string) as received, so the signature is
+    // checked against exactly what Chapa signed. The outcome is confirmed
+    // with verifyTransaction rather than taken from the body.
+    async verifyWebhook(body, headers = {}) {
+        const signature = headers['chapa-signature'] || headers['Chapa-Signature'] || headers['x-chapa-signature'];
+        const event = await this.checkSignature(body, signature, this.webhookSecret);
+        return this.verifyTransaction({ reference: event.tx_ref || event.trx_ref });
+    }
+
+    async executeCancellation(payment) {
+        const response = await this.request('PUT', `/transaction/cancel/${encodeURIComponent(payment.reference)}`);
+        if (response.status !== 'success') {
+            throw new Error(this.getMessage(response) || 'Chapa could not cancel the checkout');
+        }
+        return response;
+    }
+}
+
+export { ChapaGateway, CHAPA_STATUS };
+export default ChapaGateway;
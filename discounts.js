@@ -0,0 +1,541 @@
+/**
+ * Discounts
+ * Responsibilities:
+ * - Hold percentage and fixed-amount coupons for marketing campaigns, with
+ *   usage caps, per-customer limits, expiry windows and product, plan or
+ *   item restrictions
+ * - Price a payment: apply the coupons by the stacking rules, a referred
+ *   customer's welcome discount and the customer's referral credit
+ * - Give every customer a referral code, and credit the referrer once a
+ *   customer who signed up with it pays
+ *
+ * A coupon use or credit spent is reserved against the payment that carries
+ * it and counted from the payment's status in the ledger: it holds while
+ * the payment is open, is spent once it succeeds and is released if it
+ * fails, is cancelled or is abandoned before it is submitted.
+ *
+ * Stacking: a coupon that is not stackable cannot be combined with another
+ * coupon. Percentages apply first, each to what is left after the one
+ * before, then fixed amounts, then referral credit. Nothing takes the total
+ * below the smallest amount the payment providers accept.
+ */
+
+import ledger from './payment-ledger.js';
+import Money, { ROUNDING } from './money.js';
+import exchangeRates from './exchange-rates.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// products: course, path, event, job-posting. Fixed values and minAmount
+// are in the coupon's currency and converted for payments in another one.
+const CAMPAIGNS = {
+    JOBFAIR: {
+        code: 'JOBFAIR', type: 'percent', value: '20', maxDiscount: '500', currency: 'ETB',
+        products: ['event'], usageLimit: 500, perUserLimit: 1, stackable: false,
+        description: 'Job fair tickets 20% off'
+    },
+    LAUNCH100: {
+        code: 'LAUNCH100', type: 'fixed', value: '100', currency: 'ETB', minAmount: '300',
+        products: ['course', 'path'], usageLimit: 1000, perUserLimit: 1, stackable: true,
+        description: 'ETB 100 off new courses'
+    }
+};
+
+// reward is credited to the referrer in the currency the referred customer
+// paid in; newCustomerPercent comes off the referred customer's first payment
+const REFERRAL = {
+    reward: { ETB: '200', USD: '5' },
+    newCustomerPercent: '10'
+};
+
+// The payment systems refuse charges below these (ETB 10 for local banks
+// and mobile money, about USD 1 for cards)
+const MINIMUM_CHARGE = {
+    ETB: '10',
+    USD: '1',
+    EUR: '1',
+    GBP: '1'
+};
+
+// Statuses of a payment that was taken
+const PAID = ['succeeded', 'partially_refunded', 'refunded'];
+
+function discountError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+class DiscountEngine {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'discounts';
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.campaigns = config.campaigns || CAMPAIGNS;
+        this.referral = { ...REFERRAL, ...config.referral };
+        this.minimumCharge = { ...MINIMUM_CHARGE, ...config.minimumCharge };
+        this.maxCoupons = config.maxCoupons ?? 3;
+        // An abandoned payment that was never submitted stops holding its
+        // coupon after this long
+        this.reservationTtl = config.reservationTtl ?? HOUR / 2;
+        this.ledger = config.ledger || ledger;
+        this.exchangeRates = config.exchangeRates || exchangeRates;
+        this.memory = null;
+        this.listeners = {};
+    }
+
+    // State is re-read on every call so uses in other tabs count too
+    load() {
+        try {
+            const stored = this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : this.memory;
+            return { coupons: {}, redemptions: {}, codes: {}, referrals: {}, credits: {}, ...stored };
+        } catch (error) {
+            console.error('Failed to read discounts:', error);
+            return { coupons: {}, redemptions: {}, codes: {}, referrals: {}, credits: {} };
+        }
+    }
+
+    save(state) {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(state));
+        } else {
+            this.memory = state;
+        }
+    }
+
+    // ====== COUPONS ======
+    // Coupons created here override campaign coupons with the same code
+    createCoupon(details) {
+        const code = normalizeCode(details.code);
+        if (!/^[A-Z0-9-]{3,32}$/.test(code)) {
+            throw discountError('Coupon codes are 3 to 32 letters, digits or dashes', 'invalid_code');
+        }
+        if (!['percent', 'fixed'].includes(details.type)) {
+            throw discountError('A coupon is either percent or fixed', 'invalid_type');
+        }
+
+        const value = String(details.value);
+        const currency = Money.normalizeCurrency(details.currency || 'ETB');
+        if (details.type === 'percent' ? !(Number(value) > 0 && Number(value) <= 100) : !Money.of(value, currency).isPositive()) {
+            throw discountError(details.type === 'percent' ? 'Percentages run from above 0 to 100' : 'A fixed discount must be above zero', 'invalid_value');
+        }
+        if (details.startsAt && details.endsAt && new Date(details.endsAt) <= new Date(details.startsAt)) {
+            throw discountError('A coupon must end after it starts', 'invalid_window');
+        }
+
+        const coupon = {
+            code,
+            type: details.type,
+            value,
+            currency,
+            maxDiscount: details.maxDiscount != null ? String(details.maxDiscount) : null,
+            minAmount: details.minAmount != null ? String(details.minAmount) : null,
+            products: details.products || [],
+            plans: details.plans || [],
+            items: details.items || [],
+            usageLimit: details.usageLimit ?? null,
+            perUserLimit: details.perUserLimit ?? 1,
+            startsAt: details.startsAt ? new Date(details.startsAt).toISOString() : null,
+            endsAt: details.endsAt ? new Date(details.endsAt).toISOString() : null,
+            stackable: Boolean(details.stackable),
+            description: details.description || '',
+            active: details.active !== false,
+            createdAt: new Date().toISOString()
+        };
+
+        const state = this.load();
+        state.coupons[code] = coupon;
+        this.save(state);
+        this.emit('change', coupon);
+        return coupon;
+    }
+
+    getCoupon(code) {
+        const key = normalizeCode(code);
+        const coupon = this.load().coupons[key] || this.campaigns[key];
+        return coupon ? { currency: 'ETB', products: [], plans: [], items: [], perUserLimit: 1, active: true, ...coupon } : null;
+    }
+
+    listCoupons() {
+        const stored = this.load().coupons;
+        return [...new Set([...Object.keys(this.campaigns), ...Object.keys(stored)])]
+            .map(code => ({ ...this.getCoupon(code), usage: this.getUsage(code).total }));
+    }
+
+    setActive(code, active) {
+        const coupon = this.getCoupon(code);
+        if (!coupon) {
+            throw discountError(`${normalizeCode(code)} is not a valid code`, 'unknown_code');
+        }
+
+        const state = this.load();
+        state.coupons[coupon.code] = { ...coupon, active: Boolean(active) };
+        this.save(state);
+        this.emit('change', state.coupons[coupon.code]);
+        return state.coupons[coupon.code];
+    }
+
+    // ====== REDEMPTIONS ======
+    // A use holds while its payment is open, counts once it is paid, and is
+    // released when the payment fails, is cancelled or is left unsubmitted
+    isHeld(redemption, now = new Date()) {
+        const payment = this.ledger.get(redemption.paymentId);
+        if (!payment) return false;
+        if (PAID.includes(payment.status) || payment.status === 'pending') return true;
+
+        return payment.status === 'created' &&
+            now - new Date(payment.createdAt) < this.reservationTtl;
+    }
+
+    getRedemptions(filters = {}) {
+        const email = filters.email && normalizeEmail(filters.email);
+        return Object.values(this.load().redemptions)
+            .filter(item => (!filters.kind || item.kind === filters.kind) &&
+                (!filters.code || item.code === normalizeCode(filters.code)) &&
+                (!email || item.email === email) &&
+                (!filters.currency || item.currency === filters.currency) &&
+                this.isHeld(item));
+    }
+
+    // { total, byUser } uses of a coupon that count against its limits
+    getUsage(code, email) {
+        const uses = this.getRedemptions({ kind: 'coupon', code });
+        return {
+            total: uses.length,
+            byUser: email ? uses.filter(item => item.email === normalizeEmail(email)).length : 0
+        };
+    }
+
+    // Throws with a code (unknown_code, inactive, not_started, expired,
+    // not_applicable, currency, min_amount, usage_limit, user_limit) when
+    // the coupon cannot be used for this payment
+    validateCoupon(code, { amount, currency, customer = {}, context = {}, at = new Date() }) {
+        const coupon = this.getCoupon(code);
+        const name = normalizeCode(code);
+        if (!coupon) {
+            throw discountError(`${name} is not a valid code`, 'unknown_code');
+        }
+        if (!coupon.active) {
+            throw discountError(`${name} is no longer available`, 'inactive');
+        }
+        if (coupon.startsAt && new Date(at) < new Date(coupon.startsAt)) {
+            throw discountError(`${name} can be used from ${new Date(coupon.startsAt).toDateString()}`, 'not_started');
+        }
+        if (coupon.endsAt && new Date(at) >= new Date(coupon.endsAt)) {
+            throw discountError(`${name} has expired`, 'expired');
+        }
+
+        const outside = (list, value) => list.length && !list.includes(value);
+        if (outside(coupon.products, context.product) || outside(coupon.plans, context.planId) || outside(coupon.items, context.itemId)) {
+            throw discountError(`${name} cannot be used for this purchase`, 'not_applicable');
+        }
+
+        if (coupon.minAmount) {
+            const minimum = this.toCurrency(Money.of(coupon.minAmount, coupon.currency), currency, ROUNDING.UP);
+            if (Money.of(amount, currency).lessThan(minimum)) {
+                throw discountError(`${name} needs a purchase of at least ${minimum.format()}`, 'min_amount');
+            }
+        }
+
+        const usage = this.getUsage(coupon.code, customer.email);
+        if (coupon.usageLimit != null && usage.total >= coupon.usageLimit) {
+            throw discountError(`${name} has been fully redeemed`, 'usage_limit');
+        }
+        if (coupon.perUserLimit != null && customer.email && usage.byUser >= coupon.perUserLimit) {
+            throw discountError(`You have already used ${name}`, 'user_limit');
+        }
+        return coupon;
+    }
+
+    // Fixed coupons and caps in another currency are converted at the
+    // current rate, rounded in the customer's favour by the caller
+    toCurrency(money, currency, rounding) {
+        return money.currency === currency
+            ? money
+            : this.exchangeRates.convert(money, currency, rounding);
+    }
+
+    // ====== PRICING ======
+    // request: { amount, currency, customer, coupons, optionalCoupons,
+    // context: { product, planId, itemId }, referralCode, useCredit }.
+    // coupons the customer typed in must all apply; optionalCoupons (e.g.
+    // from a campaign link) are skipped with a reason when they do not.
+    price(request) {
+        const currency = Money.normalizeCurrency(request.currency);
+        const subtotal = Money.of(request.amount, currency, ROUNDING.HALF_UP);
+        const customer = request.customer || {};
+        const email = normalizeEmail(customer.email);
+        const at = request.at || new Date();
+        const rejected = [];
+
+        this.syncReferrals();
+
+        // Typed codes first so they win a stacking conflict
+        const requested = [
+            ...(request.coupons || []).map(code => ({ code: normalizeCode(code), optional: false })),
+            ...(request.optionalCoupons || []).map(code => ({ code: normalizeCode(code), optional: true }))
+        ].filter((item, index, list) => item.code && list.findIndex(other => other.code === item.code) === index);
+
+        const coupons = [];
+        requested.forEach(({ code, optional }) => {
+            try {
+                const coupon = this.validateCoupon(code, { amount: subtotal.toString(), currency, customer, context: request.context, at });
+                const exclusive = coupons.find(item => !item.stackable) || (!coupon.stackable && coupons[0]);
+                if (exclusive) {
+                    throw discountError(`${code} cannot be combined with ${exclusive.code}`, 'not_stackable');
+                }
+                if (coupons.length >= this.maxCoupons) {
+                    throw discountError(`At most ${this.maxCoupons} codes can be used together`, 'too_many');
+                }
+                coupons.push(coupon);
+            } catch (error) {
+                if (!optional || !error.code) throw error;
+                rejected.push({ code, reason: error.message });
+            }
+        });
+
+        const referral = this.checkReferral(request.referralCode, email);
+        if (request.referralCode && !referral) {
+            rejected.push({ code: normalizeCode(request.referralCode), reason: 'Referral codes are for new customers only' });
+        }
+
+        // Percentages, then fixed amounts, then credit
+        const adjustments = [];
+        let remaining = subtotal;
+        const take = (adjustment, amount) => {
+            const value = amount.greaterThan(remaining) ? remaining : amount;
+            if (!value.isPositive()) return;
+            remaining = remaining.subtract(value);
+            adjustments.push({ ...adjustment, amount: value });
+        };
+
+        const percent = [
+            ...coupons.filter(coupon => coupon.type === 'percent'),
+            ...(referral ? [{ code: referral.code, type: 'percent', value: this.referral.newCustomerPercent, kind: 'referral' }] : [])
+        ];
+        percent.forEach(coupon => {
+            let amount = remaining.multiply(Number(coupon.value) / 100, ROUNDING.HALF_UP);
+            if (coupon.maxDiscount) {
+                const cap = this.toCurrency(Money.of(coupon.maxDiscount, coupon.currency), currency, ROUNDING.DOWN);
+                if (amount.greaterThan(cap)) amount = cap;
+            }
+            take({
+                kind: coupon.kind || 'coupon',
+                code: coupon.code,
+                label: coupon.kind === 'referral'
+                    ? `Referral welcome discount (${coupon.value}% off)`
+                    : `${coupon.code} (${coupon.value}% off)`,
+                labelAm: coupon.kind === 'referral'
+                    ? `የሪፈራል የእንኳን ደህና መጡ ቅናሽ (${coupon.value}%)`
+                    : `ቅናሽ ${coupon.code} (${coupon.value}%)`
+            }, amount);
+        });
+
+        coupons.filter(coupon => coupon.type === 'fixed').forEach(coupon => {
+            take({
+                kind: 'coupon',
+                code: coupon.code,
+                label: `${coupon.code} (${coupon.currency} ${coupon.value} off)`,
+                labelAm: `ቅናሽ ${coupon.code}`
+            }, this.toCurrency(Money.of(coupon.value, coupon.currency), currency, ROUNDING.DOWN));
+        });
+
+        if (request.useCredit !== false && email) {
+            take({ kind: 'credit', code: null, label: 'Referral credit', labelAm: 'የሪፈራል ክሬዲት' }, this.getCredit(email, currency));
+        }
+
+        // Give back from the last adjustment until the minimum charge is met
+        const minimum = Money.of(this.minimumCharge[currency] || Money.ofMinor(1, currency).toString(), currency);
+        let shortfall = minimum.greaterThan(remaining) ? minimum.subtract(remaining) : Money.zero(currency);
+        for (let index = adjustments.length - 1; index >= 0 && shortfall.isPositive(); index--) {
+            const back = adjustments[index].amount.greaterThan(shortfall) ? shortfall : adjustments[index].amount;
+            adjustments[index].amount = adjustments[index].amount.subtract(back);
+            remaining = remaining.add(back);
+            shortfall = shortfall.subtract(back);
+        }
+
+        const kept = adjustments.filter(adjustment => adjustment.amount.isPositive());
+        const discount = Money.sum(kept.map(adjustment => adjustment.amount), currency);
+
+        return {
+            currency,
+            subtotal: subtotal.toString(),
+            adjustments: kept.map(adjustment => ({ ...adjustment, amount: adjustment.amount.toString() })),
+            discount: discount.toString(),
+            total: subtotal.subtract(discount).toString(),
+            email: email || null,
+            context: request.context || {},
+            referralCode: referral ? referral.code : null,
+            rejected
+        };
+    }
+
+    // Reserves the coupon uses and credit of a priced payment, and records
+    // the referral its customer signed up with
+    reserve(paymentId, pricing) {
+        const state = this.load();
+        const now = new Date().toISOString();
+
+        pricing.adjustments.filter(adjustment => adjustment.kind !== 'referral').forEach((adjustment, index) => {
+            const id = `${paymentId}_${index}`;
+            state.redemptions[id] = {
+                id,
+                paymentId,
+                kind: adjustment.kind,
+                code: adjustment.code,
+                email: pricing.email,
+                amount: adjustment.amount,
+                currency: pricing.currency,
+                createdAt: now
+            };
+        });
+
+        if (pricing.referralCode && pricing.email && !state.referrals[pricing.email]) {
+            state.referrals[pricing.email] = {
+                email: pricing.email,
+                code: pricing.referralCode,
+                referrer: state.codes[pricing.referralCode],
+                status: 'pending',
+                paymentId,
+                registeredAt: now
+            };
+        }
+
+        this.save(state);
+        this.emit('reserve', { paymentId, pricing });
+    }
+
+    // ====== REFERRALS ======
+    // The customer's own code, made on first use: ZJ- and six characters
+    getReferralCode(email) {
+        const key = normalizeEmail(email);
+        if (!key) throw discountError('An email is needed for a referral code', 'email_required');
+
+        const state = this.load();
+        const existing = Object.keys(state.codes).find(code => state.codes[code] === key);
+        if (existing) return existing;
+
+        const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+        let code;
+        do {
+            code = 'ZJ-' + Array.from(crypto.getRandomValues(new Uint8Array(6)), value => alphabet[value % 32]).join('');
+        } while (state.codes[code]);
+
+        state.codes[code] = key;
+        this.save(state);
+        return code;
+    }
+
+    // A paid order by this email means it is not a new customer
+    isNewCustomer(email) {
+        const key = normalizeEmail(email);
+        return !this.ledger.list().some(payment => PAID.includes(payment.status) &&
+            normalizeEmail(payment.customer?.email) === key);
+    }
+
+    // { code, referrer } when code can give email the welcome discount
+    checkReferral(code, email) {
+        const key = normalizeCode(code);
+        if (!key || !email) return null;
+
+        const state = this.load();
+        const referrer = state.codes[key];
+        const existing = state.referrals[email];
+        if (!referrer || referrer === email) return null;
+        if (existing && (existing.code !== key || existing.status !== 'pending')) return null;
+        if (!existing && !this.isNewCustomer(email)) return null;
+
+        return { code: key, referrer };
+    }
+
+    // Credits referrers whose referred customers have paid. Run before
+    // pricing and whenever credit is shown; safe to run any number of times.
+    syncReferrals() {
+        const state = this.load();
+        const rewarded = [];
+
+        Object.values(state.referrals).filter(referral => referral.status === 'pending').forEach(referral => {
+            const payment = this.ledger.list().reverse().find(entry => PAID.includes(entry.status) &&
+                normalizeEmail(entry.customer?.email) === referral.email &&
+                new Date(entry.createdAt) >= new Date(referral.registeredAt) - 1000);
+            if (!payment) return;
+
+            const currency = this.referral.reward[payment.currency] ? payment.currency : 'ETB';
+            const credit = {
+                id: `cr_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`,
+                email: referral.referrer,
+                amount: Money.of(this.referral.reward[currency], currency).toString(),
+                currency,
+                referredEmail: referral.email,
+                paymentId: payment.id,
+                issuedAt: new Date().toISOString()
+            };
+            state.credits[credit.id] = credit;
+            Object.assign(referral, { status: 'rewarded', rewardedAt: credit.issuedAt, paymentId: payment.id, creditId: credit.id });
+            rewarded.push(credit);
+        });
+
+        if (rewarded.length) {
+            this.save(state);
+            rewarded.forEach(credit => this.emit('credit', credit));
+        }
+        return rewarded;
+    }
+
+    // Credit issued to email in currency, less what held payments spend
+    getCredit(email, currency) {
+        const key = normalizeEmail(email);
+        const code = Money.normalizeCurrency(currency);
+        const issued = Object.values(this.load().credits)
+            .filter(credit => credit.email === key && credit.currency === code)
+            .map(credit => Money.of(credit.amount, code));
+        const spent = this.getRedemptions({ kind: 'credit', email: key, currency: code })
+            .map(redemption => Money.of(redemption.amount, code));
+
+        return Money.sum(issued, code).subtract(Money.sum(spent, code));
+    }
+
+    // What a customer's referral page shows
+    getReferralSummary(email) {
+        this.syncReferrals();
+
+        const key = normalizeEmail(email);
+        const state = this.load();
+        const code = this.getReferralCode(key);
+        const referrals = Object.values(state.referrals).filter(referral => referral.referrer === key);
+        const currencies = [...new Set(Object.values(state.credits)
+            .filter(credit => credit.email === key)
+            .map(credit => credit.currency))];
+
+        return {
+            code,
+            referred: referrals.length,
+            rewarded: referrals.filter(referral => referral.status === 'rewarded').length,
+            credit: currencies.map(currency => this.getCredit(key, currency).toJSON())
+        };
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+const discounts = new DiscountEngine();
+
+export { DiscountEngine, CAMPAIGNS, REFERRAL, MINIMUM_CHARGE };
+export default discounts;
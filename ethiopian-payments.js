@@ -7,9 +7,16 @@
  * - Telebirr
  * - HelloCash
  * - Amole
+ *
+ * Refunds are manual bank / wallet reversals confirmed by finance staff.
+ * Telebirr goes through its own checkout when a TelebirrAdapter (or the
+ * simulator's) is passed as config.telebirr. With an aggregator gateway
+ * (ChapaGateway, ArifPayGateway or their mock servers' adapters) passed as
+ * config.gateway, the other methods use the gateway's hosted checkout.
  */
 
 import PaymentSystem from './payment.js';
+import Money, { ROUNDING } from './money.js';
 
 class EthiopianPayment extends PaymentSystem {
     constructor(config = {}) {
@@ -66,15 +73,31 @@ class EthiopianPayment extends PaymentSystem {
             ...Object.values(this.bankOptions),
             ...Object.values(this.mobileMoneyOptions)
         ];
+
+        this.telebirr = config.telebirr || null;
+        this.gateway = config.gateway || null;
+    }
+
+    usesGateway(method) {
+        return Boolean(this.gateway) && !(method === 'telebirr' && this.telebirr);
+    }
+
+    getProviderName(paymentData) {
+        return this.usesGateway(paymentData.method) ? this.gateway.name : paymentData.method;
     }
 
     async createPaymentIntent(paymentData) {
         try {
-            // Generate payment reference
-            const reference = this.generateReferenceNumber();
+            // Generate payment reference, unless the customer was already
+            // given one to quote on a transfer
+            const reference = paymentData.reference || this.generateReferenceNumber();
             
             // For Ethiopian payments, we need additional validation
             await this.validateEthiopianRequirements(paymentData);
+
+            if (this.usesGateway(paymentData.method)) {
+                return await this.gateway.createPaymentIntent({ ...paymentData, reference });
+            }
             
             return {
                 paymentIntentId: `et_intent_${reference}`,
@@ -96,7 +119,14 @@ class EthiopianPayment extends PaymentSystem {
         
         try {
             // Route to appropriate payment method
-            if (this.bankOptions[method]) {
+            if (this.usesGateway(method) && this.currentPayment?.paymentIntent?.gateway) {
+                const outcome = await this.gateway.executePayment(this.currentPayment, paymentMethodData);
+                const mismatch = outcome.success && this.checkSettledAmount(this.currentPayment, outcome.result);
+                if (mismatch) {
+                    throw mismatch;
+                }
+                return outcome;
+            } else if (this.bankOptions[method]) {
                 return await this.processBankPayment(paymentMethodData);
             } else if (this.mobileMoneyOptions[method]) {
                 return await this.processMobileMoneyPayment(paymentMethodData);
@@ -112,6 +142,9 @@ class EthiopianPayment extends PaymentSystem {
 
     async processBankPayment(paymentData) {
         const bank = this.bankOptions[paymentData.method];
+        // Always the ledger's amount (after any quote or discount), never
+        // what the caller passed in
+        const payment = this.ledger.get(paymentData.paymentId || this.currentPayment.id);
         
         try {
             // Validate bank account details
@@ -121,20 +154,26 @@ class EthiopianPayment extends PaymentSystem {
             const response = await this.callBankAPI({
                 bank: bank.code,
                 accountNumber: paymentData.bankDetails.accountNumber,
-                amount: paymentData.amount,
-                currency: paymentData.currency,
-                reference: paymentData.reference
+                amount: payment.amount,
+                currency: payment.currency,
+                reference: paymentData.reference,
+                idempotencyKey: payment.idempotencyKey
             });
 
             if (response.success) {
+                const mismatch = this.checkSettledAmount(payment, { status: 'succeeded', ...response });
+                if (mismatch) {
+                    throw mismatch;
+                }
+
                 return {
                     success: true,
                     transactionId: response.transactionId,
                     receipt: {
                         bank: bank.name,
                         accountNumber: this.maskAccountNumber(paymentData.bankDetails.accountNumber),
-                        amount: paymentData.amount,
-                        currency: paymentData.currency,
+                        amount: payment.amount,
+                        currency: payment.currency,
                         transactionId: response.transactionId,
                         timestamp: new Date().toISOString(),
                         reference: paymentData.reference
@@ -151,6 +190,12 @@ class EthiopianPayment extends PaymentSystem {
 
     async processMobileMoneyPayment(paymentData) {
         const mobileMoney = this.mobileMoneyOptions[paymentData.method];
+
+        if (paymentData.method === 'telebirr' && this.telebirr) {
+            return this.processTelebirrPayment(paymentData);
+        }
+
+        const payment = this.ledger.get(paymentData.paymentId || this.currentPayment.id);
         
         try {
             // Validate phone number
@@ -160,20 +205,27 @@ class EthiopianPayment extends PaymentSystem {
             const response = await this.callMobileMoneyAPI({
                 provider: mobileMoney.provider,
                 phoneNumber: paymentData.phoneNumber,
-                amount: paymentData.amount,
+                amount: payment.amount,
+                currency: payment.currency,
                 pin: paymentData.pin, // In real app, never handle PIN directly
-                reference: paymentData.reference
+                reference: paymentData.reference,
+                idempotencyKey: payment.idempotencyKey
             });
 
             if (response.success) {
+                const mismatch = this.checkSettledAmount(payment, { status: 'succeeded', ...response });
+                if (mismatch) {
+                    throw mismatch;
+                }
+
                 return {
                     success: true,
                     transactionId: response.transactionId,
                     receipt: {
                         provider: mobileMoney.name,
                         phoneNumber: this.maskPhoneNumber(paymentData.phoneNumber),
-                        amount: paymentData.amount,
-                        currency: 'ETB',
+                        amount: payment.amount,
+                        currency: payment.currency,
                         transactionId: response.transactionId,
                         timestamp: new Date().toISOString(),
                         reference: paymentData.reference
@@ -188,7 +240,197 @@ class EthiopianPayment extends PaymentSystem {
         }
     }
 
+    // ====== TELEBIRR ======
+    // Creates the signed order, opens the checkout and waits for the outcome.
+    // The notify callback may settle the payment first (see
+    // handleTelebirrNotification); polling covers a missed or late callback.
+    async processTelebirrPayment(paymentData) {
+        const payment = this.currentPayment;
+        if (paymentData.phoneNumber) {
+            this.validatePhoneNumber(paymentData.phoneNumber);
+        }
+
+        // Always the ledger's amount (after any quote or discount), never
+        // what the caller passed in
+        const checkout = await this.telebirr.createOrder({
+            merchOrderId: paymentData.reference || payment.reference,
+            amount: payment.amount,
+            title: paymentData.description || payment.metadata?.description,
+            tradeType: paymentData.tradeType
+        });
+        this.currentPayment = this.ledger.update(payment.id, {
+            telebirr: { merchOrderId: checkout.merchOrderId, prepayId: checkout.prepayId }
+        });
+
+        await this.telebirr.launch(checkout);
+        const result = await this.telebirr.waitForPayment(checkout.merchOrderId);
+
+        // The customer may still confirm; syncTelebirrPayment or the notify
+        // callback settles it later
+        if (result.status === 'timeout') {
+            return {
+                success: false,
+                pending: true,
+                message: 'Telebirr has not confirmed the payment yet. It will be updated as soon as it does.'
+            };
+        }
+
+        if (result.status !== 'succeeded') {
+            throw this.getTelebirrError(result);
+        }
+
+        const mismatch = this.checkSettledAmount(payment, result);
+        if (mismatch) {
+            throw mismatch;
+        }
+
+        return {
+            success: true,
+            transactionId: result.transactionId,
+            receipt: this.buildTelebirrReceipt(payment, result, paymentData.phoneNumber)
+        };
+    }
+
+    buildTelebirrReceipt(payment, result, phoneNumber) {
+        return {
+            provider: this.mobileMoneyOptions.telebirr.name,
+            phoneNumber: phoneNumber ? this.maskPhoneNumber(phoneNumber) : null,
+            amount: Number(result.amount ?? payment.amount),
+            currency: 'ETB',
+            transactionId: result.transactionId,
+            timestamp: result.completedAt || new Date().toISOString(),
+            reference: result.merchOrderId
+        };
+    }
+
+    getTelebirrError(result) {
+        const errors = {
+            failed: ['Telebirr payment failed', result.errorCode === 'insufficient_balance' ? 'insufficient_funds' : 'payment_failed'],
+            cancelled: ['Telebirr payment was cancelled', 'user_cancelled'],
+            expired: ['Telebirr payment expired before it was confirmed', 'timeout']
+        };
+        const [message, code] = errors[result.status] || errors.failed;
+
+        const error = new Error(result.errorMessage || message);
+        error.code = code;
+        return error;
+    }
+
+    // payload: the body Telebirr posted to notify_url. Settles a pending
+    // payment nobody is waiting on here (e.g. the page was reloaded during
+    // checkout); one still being polled settles through processPayment.
+    async handleTelebirrNotification(payload) {
+        const result = await this.telebirr.verifyNotification(payload);
+        return this.settleTelebirrPayment(result);
+    }
+
+    // Asks Telebirr for the outcome of a payment left pending, e.g. when the
+    // customer comes back through redirect_url
+    async syncTelebirrPayment(paymentId) {
+        const payment = this.ledger.get(paymentId);
+        if (!payment?.telebirr) {
+            throw new Error('Not a Telebirr payment');
+        }
+
+        return this.settleTelebirrPayment(await this.telebirr.queryOrder(payment.telebirr.merchOrderId));
+    }
+
+    settleTelebirrPayment(result) {
+        const payment = this.ledger.list({ system: this.name })
+            .find(entry => entry.telebirr?.merchOrderId === result.merchOrderId);
+        if (!payment) {
+            throw new Error(`No payment for Telebirr order ${result.merchOrderId}`);
+        }
+
+        return this.settlePayment(payment, result, this.buildTelebirrReceipt(payment, result), this.getTelebirrError(result));
+    }
+
+    // ====== GATEWAYS ======
+    // body and headers: the webhook request as received
+    async handleGatewayWebhook(body, headers = {}) {
+        return this.settleGatewayPayment(await this.gateway.verifyWebhook(body, headers));
+    }
+
+    // Verifies a payment left pending by reference, e.g. when the customer
+    // comes back through the gateway's return URL
+    async syncGatewayPayment(paymentId) {
+        const payment = this.ledger.get(paymentId);
+        if (payment?.paymentIntent?.gateway !== this.gateway?.name) {
+            throw new Error('Not a payment through this gateway');
+        }
+
+        return this.settleGatewayPayment(await this.gateway.verifyTransaction(payment.paymentIntent));
+    }
+
+    // Found by reference, then settled only if the verified amount and
+    // currency match the ledger (see settlePayment)
+    settleGatewayPayment(result) {
+        const payment = this.ledger.list({ system: this.name })
+            .find(entry => entry.paymentIntent?.gateway === this.gateway.name && entry.reference === result.reference);
+        if (!payment) {
+            throw new Error(`No payment for ${this.gateway.displayName} reference ${result.reference}`);
+        }
+
+        return this.settlePayment(payment, result, this.gateway.buildReceipt(payment, result), this.gateway.toError(result));
+    }
+
+    // A provider's success only settles the payment for the amount and
+    // currency in the ledger; returns the error to fail it with otherwise
+    checkSettledAmount(payment, result) {
+        if (result.status !== 'succeeded') return null;
+
+        let matches;
+        try {
+            matches = String(result.currency || '').toUpperCase() === payment.currency &&
+                Money.of(result.amount, payment.currency).equals(Money.of(payment.amount, payment.currency));
+        } catch (error) {
+            matches = false;
+        }
+        if (matches) return null;
+
+        const error = new Error(`The provider reported ${result.currency || 'an unknown currency'} ${result.amount ?? 'with no amount'} (transaction ${result.transactionId || 'unknown'}) for a payment of ${this.formatCurrency(payment.amount, payment.currency)}; it needs review before it can be accepted`);
+        error.code = 'amount_mismatch';
+        return error;
+    }
+
+    // Applies a provider's outcome to a pending payment nobody here is still
+    // waiting on; one being processed settles through processPayment. A
+    // success for another amount or currency fails the payment, keeping what
+    // was reported for finance staff to review.
+    settlePayment(payment, result, receipt, error) {
+        if (payment.status !== 'pending' || this.inFlight[payment.id] || result.status === 'pending') {
+            return payment;
+        }
+
+        const mismatch = this.checkSettledAmount(payment, result);
+        if (mismatch) {
+            console.error('Payment not settled:', mismatch);
+            return this.ledger.transition(payment.id, 'failed', {
+                error: mismatch.message,
+                mismatch: {
+                    amount: result.amount ?? null,
+                    currency: result.currency || null,
+                    transactionId: result.transactionId || null
+                }
+            });
+        }
+
+        if (result.status === 'succeeded') {
+            return this.ledger.transition(payment.id, 'succeeded', {
+                completedAt: new Date().toISOString(),
+                transactionId: result.transactionId,
+                receipt
+            });
+        }
+        return this.ledger.transition(payment.id, 'failed', { error: error.message });
+    }
+
     async executeCancellation(paymentId) {
+        const payment = this.ledger.get(paymentId);
+        if (payment?.paymentIntent?.gateway && payment.paymentIntent.gateway === this.gateway?.name) {
+            return this.gateway.executeCancellation(payment);
+        }
+
         // Call Ethiopian payment gateway cancellation endpoint
         const response = await API.post('/payments/ethiopian/cancel', {
             paymentId: paymentId
@@ -197,6 +439,51 @@ class EthiopianPayment extends PaymentSystem {
         return response;
     }
 
+    // Banks and wallets here have no refund API: a refund becomes a reversal
+    // request that finance staff carry out, then confirm or reject
+    async executeRefund(payment, refund) {
+        const bank = this.bankOptions[payment.method];
+        const mobileMoney = this.mobileMoneyOptions[payment.method];
+        if (!bank && !mobileMoney) {
+            throw new Error(`Unsupported payment method: ${payment.method}`);
+        }
+
+        return {
+            status: 'pending',
+            reversal: {
+                type: bank ? 'bank' : 'mobile_money',
+                channel: bank ? bank.name : mobileMoney.name,
+                account: payment.receipt?.accountNumber || payment.receipt?.phoneNumber || null,
+                originalReference: payment.reference,
+                originalTransactionId: payment.transactionId,
+                reference: this.generateReferenceNumber(),
+                instructions: this.getReversalInstructions(payment.method)
+            }
+        };
+    }
+
+    // bankReference: the reference of the reversal on the bank or wallet side
+    confirmReversal(paymentId, refundId, bankReference) {
+        if (!bankReference) {
+            throw new Error('The bank reference of the reversal is required');
+        }
+
+        return this.completeRefund(paymentId, refundId, {
+            bankReference,
+            reversedAt: new Date().toISOString()
+        });
+    }
+
+    rejectReversal(paymentId, refundId, reason) {
+        return this.failRefund(paymentId, refundId, reason || 'Reversal rejected by the bank');
+    }
+
+    getPendingReversals() {
+        return this.getPaymentHistory().flatMap(payment => (payment.refunds || [])
+            .filter(refund => refund.status === 'pending' && refund.reversal)
+            .map(refund => ({ payment, refund })));
+    }
+
     // Ethiopian-specific validation methods
     async validateEthiopianRequirements(paymentData) {
         const errors = [];
@@ -205,14 +492,30 @@ class EthiopianPayment extends PaymentSystem {
         if (paymentData.currency !== 'ETB' && paymentData.method in this.bankOptions) {
             errors.push('Bank payments must be in ETB');
         }
+
+        // Wallets, Telebirr included, only take birr: a USD amount would be
+        // charged as the same number of birr
+        if (paymentData.currency !== 'ETB' && paymentData.method in this.mobileMoneyOptions) {
+            errors.push('Mobile money payments must be in ETB');
+        }
         
+        // Limits are in ETB; USD amounts are converted first
+        if (paymentData.currency !== 'ETB') {
+            await this.exchangeRates.ready();
+        }
+        const amount = this.convertMoney(
+            Money.of(paymentData.amount, paymentData.currency, ROUNDING.HALF_UP),
+            'ETB',
+            ROUNDING.HALF_UP
+        );
+
         // Check minimum amount
-        if (paymentData.amount < 10) { // 10 ETB minimum
-            errors.push('Minimum payment amount is 10 ETB');
+        if (amount.lessThan(Money.of(10, 'ETB'))) { // 10 ETB minimum
+            errors.push(`Minimum payment amount is ${Money.of(10, 'ETB').format()}`);
         }
         
         // Check maximum amount (may vary by bank)
-        if (paymentData.amount > 100000) { // 100,000 ETB maximum
+        if (amount.greaterThan(Money.of(100000, 'ETB'))) { // 100,000 ETB maximum
             errors.push('Maximum payment amount exceeded');
         }
         
@@ -280,15 +583,30 @@ class EthiopianPayment extends PaymentSystem {
         return instructions[method] || 'Please complete the payment using your preferred method.';
     }
 
+    getReversalInstructions(method) {
+        const instructions = {
+            cbe: 'Reverse the transfer from the CBE merchant account to the customer account, quoting both references.',
+            dashen: 'Submit a reversal request in Dashen iBank corporate, quoting both references.',
+            awash: 'Submit a reversal form at the Awash Bank relationship desk, quoting both references.',
+            telebirr: 'Send the amount back from the Telebirr merchant portal (Refund), quoting the original transaction ID.',
+            hellocash: 'Request a reversal from HelloCash merchant support with the original transaction ID.',
+            amole: 'Request a reversal from Amole merchant support with the original transaction ID.'
+        };
+
+        return instructions[method] || 'Return the amount to the customer and record the bank reference.';
+    }
+
     // Mock API calls (replace with real API calls)
     async callBankAPI(data) {
         // Simulate API call delay
         await new Promise(resolve => setTimeout(resolve, 1000));
         
-        // Mock successful response
+        // Mock successful response, echoing what was charged as a bank does
         return {
             success: true,
             transactionId: `ETB_TX_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            amount: data.amount,
+            currency: data.currency,
             message: 'Payment processed successfully'
         };
     }
@@ -297,10 +615,12 @@ class EthiopianPayment extends PaymentSystem {
         // Simulate API call delay
         await new Promise(resolve => setTimeout(resolve, 1500));
         
-        // Mock successful response
+        // Mock successful response, echoing what was charged
         return {
             success: true,
             transactionId: `MM_TX_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            amount: data.amount,
+            currency: data.currency,
             message: 'Mobile money payment successful'
         };
     }
@@ -0,0 +1,369 @@
+/**
+ * Exchange Rate Service
+ * Responsibilities:
+ * - Read rates from pluggable sources (static JSON, a REST endpoint, the
+ *   National Bank of Ethiopia reference rate entered by finance staff)
+ * - Cache a timestamped snapshot per source
+ * - Refuse to convert with rates older than the allowed staleness
+ * - Lock quotes for a short window so the amount shown at checkout is the
+ *   amount charged
+ *
+ * Sources are tried in order for each currency pair; the first one with a
+ * fresh snapshot covering both currencies wins. A snapshot is
+ * { source, base, rates, asOf, fetchedAt } where rates[X] is the number of
+ * X per one unit of base, kept as decimal strings. Sources whose rates come
+ * from different dates return { pairs: [...snapshots], asOf } instead.
+ */
+
+import Money, { ROUNDING } from './money.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Used until the REST endpoint or the NBE rate says otherwise. Dated when
+// they were taken over from the old hard-coded table, so they age out like
+// any other rate instead of pricing payments once the live sources fail.
+const DEFAULT_RATES = {
+    base: 'USD',
+    rates: {
+        USD: '1',
+        ETB: '54.5',
+        EUR: '0.85',
+        GBP: '0.73'
+    },
+    asOf: '2026-10-19T00:00:00.000Z'
+};
+
+function rateError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// { base, rates, asOf } with every rate a positive decimal string
+function normalizeRates(data, source) {
+    if (!data || !data.rates) {
+        throw new Error(`${source} returned no rates`);
+    }
+
+    const base = Money.normalizeCurrency(data.base || 'USD');
+    const rates = { [base]: '1' };
+    Object.entries(data.rates).forEach(([currency, rate]) => {
+        if (!(Number(rate) > 0)) {
+            throw new Error(`${source} returned an invalid ${currency} rate: ${rate}`);
+        }
+        rates[Money.normalizeCurrency(currency)] = String(rate);
+    });
+
+    // Unix timestamps in seconds are common in rate APIs
+    const asOf = data.asOf || data.timestamp || data.date || null;
+    return {
+        base,
+        rates,
+        asOf: typeof asOf === 'number' ? new Date(asOf < 1e12 ? asOf * 1000 : asOf).toISOString() : asOf
+    };
+}
+
+// ====== SOURCES ======
+// A source has a name, a maxAge (ms) and fetchRates() resolving to
+// { base, rates, asOf }. Sources that can answer without a request also
+// have read(), which lets conversions work before the first refresh.
+
+// Rates from inline JSON, or from a JSON file at url
+class StaticRateSource {
+    constructor(options = {}) {
+        this.name = options.name || 'static';
+        this.url = options.url || null;
+        this.data = options.rates ? options : null;
+        this.maxAge = options.maxAge ?? Infinity;
+    }
+
+    read() {
+        if (!this.data) return null;
+        return normalizeRates(this.data, this.name);
+    }
+
+    async fetchRates() {
+        if (!this.url) return this.read();
+
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Could not load ${this.url} (${response.status})`);
+        }
+        this.data = await response.json();
+        return this.read();
+    }
+}
+
+// Rates from the site's API, e.g. { base: 'USD', rates: {...}, timestamp }
+class RestRateSource {
+    constructor(options = {}) {
+        this.name = options.name || 'rest';
+        this.endpoint = options.endpoint || '/exchange-rates';
+        this.maxAge = options.maxAge ?? HOUR;
+    }
+
+    async fetchRates() {
+        const response = await API.get(this.endpoint);
+        return normalizeRates(response, this.name);
+    }
+}
+
+// The NBE daily reference rate, entered by finance staff as birr per one
+// unit of a foreign currency (e.g. 54.50 ETB per USD)
+class NbeRateSource {
+    constructor(options = {}) {
+        this.name = options.name || 'nbe';
+        this.storageKey = options.storageKey || 'nbeReferenceRates';
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.maxAge = options.maxAge ?? 24 * HOUR;
+        this.memory = {};
+    }
+
+    getEntries() {
+        try {
+            return (this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : this.memory) || {};
+        } catch (error) {
+            console.error('Failed to read NBE reference rates:', error);
+            return {};
+        }
+    }
+
+    // date is the NBE publication date; staleness is counted from it
+    setRate(currency, rate, details = {}) {
+        const code = Money.normalizeCurrency(currency);
+        if (code === 'ETB' || !(Number(rate) > 0)) {
+            throw new Error('Enter the birr rate for one unit of a foreign currency');
+        }
+
+        const entries = this.getEntries();
+        entries[code] = {
+            rate: String(rate),
+            date: details.date || new Date().toISOString(),
+            enteredBy: details.enteredBy || null,
+            enteredAt: new Date().toISOString()
+        };
+
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(entries));
+        } else {
+            this.memory = entries;
+        }
+        return entries[code];
+    }
+
+    // Each currency was published on its own date, so each is kept as a
+    // separate pair and checked for staleness on its own
+    read() {
+        const pairs = Object.entries(this.getEntries()).map(([currency, entry]) => ({
+            base: currency,
+            rates: { [currency]: '1', ETB: entry.rate },
+            asOf: entry.date
+        }));
+        if (!pairs.length) return null;
+
+        const latest = pairs.reduce((a, b) => (new Date(b.asOf) > new Date(a.asOf) ? b : a));
+        return { pairs, asOf: latest.asOf };
+    }
+
+    async fetchRates() {
+        return this.read();
+    }
+}
+
+// ====== SERVICE ======
+class ExchangeRateService {
+    constructor(config = {}) {
+        this.sources = config.sources || [
+            new NbeRateSource(),
+            new RestRateSource(),
+            new StaticRateSource(DEFAULT_RATES)
+        ];
+        this.maxAge = config.maxAge ?? 24 * HOUR;
+        this.quoteTtl = config.quoteTtl ?? 15 * 60 * 1000;
+        this.storageKey = config.storageKey || 'exchangeRates';
+        this.quoteKey = config.quoteKey || 'exchangeQuotes';
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.memory = {};
+    }
+
+    // Snapshots are stored by source name, quotes by id
+    readStore(key) {
+        try {
+            return (this.storage ? JSON.parse(this.storage.getItem(key)) : this.memory[key]) || {};
+        } catch (error) {
+            console.error(`Failed to read ${key}:`, error);
+            return {};
+        }
+    }
+
+    writeStore(key, value) {
+        if (this.storage) {
+            this.storage.setItem(key, JSON.stringify(value));
+        } else {
+            this.memory[key] = value;
+        }
+    }
+
+    addSource(source, index = this.sources.length) {
+        this.sources.splice(index, 0, source);
+        return source;
+    }
+
+    getSource(name) {
+        return this.sources.find(source => source.name === name) || null;
+    }
+
+    // ====== SNAPSHOTS ======
+    toSnapshot(source, data) {
+        const fetchedAt = new Date().toISOString();
+        return { source: source.name, ...data, asOf: data.asOf || fetchedAt, fetchedAt };
+    }
+
+    cacheSnapshot(source, data) {
+        const snapshot = this.toSnapshot(source, data);
+        const snapshots = this.readStore(this.storageKey);
+        snapshots[source.name] = snapshot;
+        this.writeStore(this.storageKey, snapshots);
+        return snapshot;
+    }
+
+    getSnapshot(sourceName) {
+        return this.readStore(this.storageKey)[sourceName] || null;
+    }
+
+    // Age is counted from the rate's own date, not from when it was fetched
+    isStale(snapshot, source) {
+        const maxAge = Math.min(source?.maxAge ?? Infinity, this.maxAge);
+        return !snapshot || Date.now() - new Date(snapshot.asOf).getTime() > maxAge;
+    }
+
+    // Sources that need no request are read every time, so a rate entered
+    // in another tab is picked up at once; the rest come from the cache
+    currentSnapshot(source) {
+        const data = source.read ? source.read() : null;
+        return data ? this.toSnapshot(source, data) : this.getSnapshot(source.name);
+    }
+
+    // Fetches every source (or only the stale ones); a failing source keeps
+    // its old snapshot and the others are still used
+    async refresh(options = {}) {
+        const sources = options.force
+            ? this.sources
+            : this.sources.filter(source => this.isStale(this.currentSnapshot(source), source));
+
+        const results = await Promise.allSettled(sources.map(async source => {
+            const data = await source.fetchRates();
+            return data ? this.cacheSnapshot(source, data) : null;
+        }));
+
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.error(`Failed to refresh ${sources[index].name} exchange rates:`, result.reason);
+            }
+        });
+
+        return this.sources.map(source => this.getSnapshot(source.name)).filter(Boolean);
+    }
+
+    // Called before conversions that decide whether a payment goes ahead
+    async ready() {
+        await this.refresh();
+        return this;
+    }
+
+    // ====== RATES ======
+    // { rate, per, source, asOf }: `per` units of from buy `rate` units of to
+    getRate(fromCurrency, toCurrency) {
+        const from = Money.normalizeCurrency(fromCurrency);
+        const to = Money.normalizeCurrency(toCurrency);
+        if (from === to) {
+            return { rate: '1', per: '1', source: null, asOf: null };
+        }
+
+        let found = false;
+        for (const source of this.sources) {
+            const snapshot = this.currentSnapshot(source);
+            const candidates = snapshot?.pairs || [snapshot];
+
+            for (const candidate of candidates) {
+                if (!candidate?.rates[from] || !candidate.rates[to]) continue;
+                found = true;
+                if (this.isStale(candidate, source)) continue;
+
+                return {
+                    rate: candidate.rates[to],
+                    per: candidate.rates[from],
+                    source: source.name,
+                    asOf: candidate.asOf
+                };
+            }
+        }
+
+        throw found
+            ? rateError(`Exchange rates for ${from} to ${to} are out of date`, 'stale_rates')
+            : rateError(`No exchange rate for ${from} to ${to}`, 'rate_unavailable');
+    }
+
+    convert(money, toCurrency, rounding = ROUNDING.HALF_UP) {
+        if (money.currency === Money.normalizeCurrency(toCurrency)) return money;
+
+        const { rate, per } = this.getRate(money.currency, toCurrency);
+        return money.convert(toCurrency, rate, rounding, per);
+    }
+
+    // ====== QUOTES ======
+    // Fixes the converted amount until expiresAt; show quote.to at checkout
+    // and pass quote.id with the payment
+    lockQuote(money, toCurrency, rounding = ROUNDING.HALF_UP) {
+        const { rate, per, source, asOf } = this.getRate(money.currency, toCurrency);
+        const converted = money.convert(toCurrency, rate, rounding, per);
+        const lockedAt = new Date();
+
+        const quote = {
+            id: `qt_${lockedAt.getTime().toString(36)}_${Math.random().toString(36).substr(2, 9)}`,
+            from: money.toJSON(),
+            to: converted.toJSON(),
+            rate,
+            per,
+            source,
+            asOf,
+            lockedAt: lockedAt.toISOString(),
+            expiresAt: new Date(lockedAt.getTime() + this.quoteTtl).toISOString()
+        };
+
+        // Expired quotes are dropped whenever a new one is saved
+        const quotes = Object.fromEntries(Object.entries(this.readStore(this.quoteKey))
+            .filter(([, item]) => new Date(item.expiresAt) > lockedAt));
+        quotes[quote.id] = quote;
+        this.writeStore(this.quoteKey, quotes);
+
+        return quote;
+    }
+
+    getQuote(quoteId) {
+        return this.readStore(this.quoteKey)[quoteId] || null;
+    }
+
+    // The quote, if it is still locked and matches the amount being charged
+    assertQuote(quoteId, amount, currency) {
+        const quote = this.getQuote(quoteId);
+        if (!quote) {
+            throw rateError('Price quote not found', 'quote_expired');
+        }
+        if (new Date(quote.expiresAt) <= new Date()) {
+            throw rateError('The quoted price has expired', 'quote_expired');
+        }
+
+        const quoted = Money.of(quote.to.amount, quote.to.currency);
+        if (!quoted.equals(Money.of(amount, currency, ROUNDING.HALF_UP))) {
+            throw rateError(`Amount does not match the quoted ${quoted.format()}`, 'quote_mismatch');
+        }
+        return quote;
+    }
+}
+
+// Shared by every payment system on the page
+const exchangeRates = new ExchangeRateService();
+
+export { ExchangeRateService, StaticRateSource, RestRateSource, NbeRateSource, DEFAULT_RATES };
+export default exchangeRates;
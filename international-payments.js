@@ -9,6 +9,7 @@
  */
 
 import PaymentSystem from './payment.js';
+import Money, { ROUNDING } from './money.js';
 
 class InternationalPayment extends PaymentSystem {
     constructor(config = {}) {
@@ -93,11 +94,13 @@ class InternationalPayment extends PaymentSystem {
         });
     }
 
+    // paymentData.provider picks a provider other than the active one, e.g.
+    // the one a saved card belongs to
     async createPaymentIntent(paymentData) {
-        const provider = this.providers[this.activeProvider];
+        const providerName = this.getProviderName(paymentData);
         
         try {
-            switch (this.activeProvider) {
+            switch (providerName) {
                 case 'stripe':
                     return await this.createStripePaymentIntent(paymentData);
                 case 'paypal':
@@ -105,7 +108,7 @@ class InternationalPayment extends PaymentSystem {
                 case 'square':
                     return await this.createSquarePaymentIntent(paymentData);
                 default:
-                    throw new Error(`Unsupported provider: ${this.activeProvider}`);
+                    throw new Error(`Unsupported provider: ${providerName}`);
             }
         } catch (error) {
             console.error('Failed to create payment intent:', error);
@@ -114,10 +117,10 @@ class InternationalPayment extends PaymentSystem {
     }
 
     async executePayment(paymentMethodData) {
-        const provider = this.providers[this.activeProvider];
+        const providerName = this.getProviderName(paymentMethodData);
         
         try {
-            switch (this.activeProvider) {
+            switch (providerName) {
                 case 'stripe':
                     return await this.confirmStripePayment(paymentMethodData);
                 case 'paypal':
@@ -125,7 +128,7 @@ class InternationalPayment extends PaymentSystem {
                 case 'square':
                     return await this.confirmSquarePayment(paymentMethodData);
                 default:
-                    throw new Error(`Unsupported provider: ${this.activeProvider}`);
+                    throw new Error(`Unsupported provider: ${providerName}`);
             }
         } catch (error) {
             console.error('Payment execution failed:', error);
@@ -142,23 +145,43 @@ class InternationalPayment extends PaymentSystem {
         return response;
     }
 
+    // Refunds go back through the provider that took the payment, whichever
+    // one is active now
+    async executeRefund(payment, refund) {
+        switch (payment.provider) {
+            case 'stripe':
+                return await this.refundStripePayment(payment, refund);
+            case 'paypal':
+                return await this.refundPayPalCapture(payment, refund);
+            case 'square':
+                return await this.refundSquarePayment(payment, refund);
+            default:
+                throw new Error(`Refunds are not supported for ${payment.provider}`);
+        }
+    }
+
     // Stripe integration
     async createStripePaymentIntent(paymentData) {
         try {
             // Create payment intent on your server
             const response = await API.post('/payments/stripe/create-intent', {
-                amount: Math.round(paymentData.amount * 100), // Convert to cents
+                amount: this.toMinorUnits(paymentData.amount, paymentData.currency), // Cents, or yen for JPY
                 currency: paymentData.currency,
                 description: paymentData.description || 'Payment',
                 metadata: {
                     customer_email: paymentData.customer.email,
                     ...paymentData.metadata
-                }
-            });
+                },
+                // Keeps the card on a Stripe customer for renewals, or charges
+                // the card kept earlier
+                ...(paymentData.setupFutureUsage ? { setup_future_usage: paymentData.setupFutureUsage } : {}),
+                ...(paymentData.savedMethod ? { customer: paymentData.savedMethod.customerId } : {})
+            }, this.getIdempotencyOptions(paymentData));
 
             return {
                 paymentIntentId: response.clientSecret,
                 clientSecret: response.clientSecret,
+                customerId: response.customer || null,
                 publishableKey: this.providers.stripe.publishableKey,
                 amount: paymentData.amount,
                 currency: paymentData.currency
@@ -170,6 +193,10 @@ class InternationalPayment extends PaymentSystem {
     }
 
     async confirmStripePayment(paymentMethodData) {
+        if (paymentMethodData.savedMethod) {
+            return this.chargeSavedStripeCard(paymentMethodData);
+        }
+
         try {
             const { paymentIntent, error } = await this.stripe.confirmCardPayment(
                 paymentMethodData.clientSecret,
@@ -194,11 +221,14 @@ class InternationalPayment extends PaymentSystem {
                     transactionId: paymentIntent.id,
                     receipt: {
                         provider: 'Stripe',
-                        amount: paymentIntent.amount / 100,
+                        amount: Money.ofMinor(paymentIntent.amount, paymentIntent.currency).toNumber(),
                         currency: paymentIntent.currency,
                         transactionId: paymentIntent.id,
                         status: paymentIntent.status,
-                        timestamp: new Date(paymentIntent.created * 1000).toISOString()
+                        timestamp: new Date(paymentIntent.created * 1000).toISOString(),
+                        paymentMethod: paymentIntent.setup_future_usage
+                            ? { id: paymentIntent.payment_method, customerId: this.currentPayment?.paymentIntent?.customerId }
+                            : null
                     }
                 };
             } else {
@@ -210,6 +240,67 @@ class InternationalPayment extends PaymentSystem {
         }
     }
 
+    // Off-session: confirmed on the server, as there is no customer to
+    // complete 3D Secure
+    async chargeSavedStripeCard(paymentMethodData) {
+        const paymentIntent = await API.post('/payments/stripe/confirm', {
+            client_secret: paymentMethodData.clientSecret,
+            payment_method: paymentMethodData.savedMethod.id,
+            customer: paymentMethodData.savedMethod.customerId,
+            off_session: true
+        }, { headers: { 'Idempotency-Key': `${this.currentPayment?.idempotencyKey || paymentMethodData.paymentId}_confirm` } });
+
+        if (paymentIntent.status !== 'succeeded') {
+            const error = new Error(paymentIntent.status === 'requires_action'
+                ? 'Your bank needs you to confirm this payment'
+                : paymentIntent.last_payment_error?.message || `Payment status: ${paymentIntent.status}`);
+            error.code = paymentIntent.last_payment_error?.decline_code || paymentIntent.last_payment_error?.code || 'card_declined';
+            throw error;
+        }
+
+        return {
+            success: true,
+            transactionId: paymentIntent.id,
+            receipt: {
+                provider: 'Stripe',
+                amount: Money.ofMinor(paymentIntent.amount, paymentIntent.currency).toNumber(),
+                currency: paymentIntent.currency,
+                transactionId: paymentIntent.id,
+                status: paymentIntent.status,
+                timestamp: new Date(paymentIntent.created * 1000).toISOString(),
+                paymentMethod: paymentMethodData.savedMethod
+            }
+        };
+    }
+
+    async refundStripePayment(payment, refund) {
+        try {
+            // Stripe only knows three reasons; ours travel in the metadata
+            const stripeReasons = ['duplicate', 'fraudulent', 'requested_by_customer'];
+            const response = await API.post('/payments/stripe/refunds', {
+                payment_intent: payment.transactionId,
+                amount: this.toMinorUnits(refund.amount, refund.currency),
+                ...(stripeReasons.includes(refund.reason) ? { reason: refund.reason } : {}),
+                metadata: {
+                    payment_id: payment.id,
+                    refund_id: refund.id,
+                    reason: refund.reason
+                }
+            }, { headers: { 'Idempotency-Key': refund.idempotencyKey || refund.id } });
+
+            // succeeded, pending, requires_action, failed or canceled
+            const statuses = { succeeded: 'succeeded', failed: 'failed', canceled: 'failed' };
+            return {
+                status: statuses[response.status] || 'pending',
+                providerRefundId: response.id,
+                ...(response.failure_reason ? { error: response.failure_reason } : {})
+            };
+
+        } catch (error) {
+            throw new Error(`Stripe refund failed: ${error.message}`);
+        }
+    }
+
     // PayPal integration
     async createPayPalOrder(paymentData) {
         try {
@@ -219,7 +310,7 @@ class InternationalPayment extends PaymentSystem {
                 currency: paymentData.currency,
                 items: paymentData.items || [],
                 shipping: paymentData.shipping || null
-            });
+            }, this.getIdempotencyOptions(paymentData));
 
             return {
                 orderId: response.id,
@@ -246,6 +337,8 @@ class InternationalPayment extends PaymentSystem {
                     transactionId: response.id,
                     receipt: {
                         provider: 'PayPal',
+                        // Refunds are made against the capture, not the order
+                        captureId: response.purchase_units?.[0]?.payments?.captures?.[0]?.id || response.id,
                         amount: response.amount.value,
                         currency: response.amount.currency_code,
                         transactionId: response.id,
@@ -262,15 +355,43 @@ class InternationalPayment extends PaymentSystem {
         }
     }
 
+    async refundPayPalCapture(payment, refund) {
+        try {
+            const captureId = payment.receipt?.captureId || payment.transactionId;
+            const response = await API.post(`/payments/paypal/captures/${captureId}/refund`, {
+                amount: {
+                    value: Money.of(refund.amount, refund.currency).toString(),
+                    currency_code: refund.currency
+                },
+                invoice_id: refund.id,
+                note_to_payer: this.refundReasons[refund.reason]
+            }, { headers: { 'PayPal-Request-Id': refund.idempotencyKey || refund.id } });
+
+            // COMPLETED, PENDING, FAILED or CANCELLED
+            const statuses = { COMPLETED: 'succeeded', FAILED: 'failed', CANCELLED: 'failed' };
+            return {
+                status: statuses[response.status] || 'pending',
+                providerRefundId: response.id,
+                ...(response.status_details?.reason ? { error: response.status_details.reason } : {})
+            };
+
+        } catch (error) {
+            throw new Error(`PayPal refund failed: ${error.message}`);
+        }
+    }
+
     // Square integration
     async createSquarePaymentIntent(paymentData) {
         try {
             // Create payment intent on your server
             const response = await API.post('/payments/square/create-intent', {
-                amount: Math.round(paymentData.amount * 100),
+                amount: this.toMinorUnits(paymentData.amount, paymentData.currency),
                 currency: paymentData.currency,
-                locationId: this.providers.square.locationId
-            });
+                locationId: this.providers.square.locationId,
+                // Stores the card on file for renewals
+                storeCard: Boolean(paymentData.setupFutureUsage),
+                customerEmail: paymentData.customer.email
+            }, this.getIdempotencyOptions(paymentData));
 
             return {
                 paymentIntentId: response.id,
@@ -287,22 +408,21 @@ class InternationalPayment extends PaymentSystem {
 
     async confirmSquarePayment(paymentMethodData) {
         try {
-            // Initialize Square payment form
-            const payments = window.Square.payments(
-                this.providers.square.applicationId,
-                this.providers.square.locationId
-            );
-
-            const card = await payments.card();
-            await card.attach('#card-container');
-
-            const result = await card.tokenize();
+            // The ledger holds the amount to charge, after any discounts
+            const payment = this.ledger.get(paymentMethodData.paymentId || this.currentPayment.id);
+
+            // A card on file is charged as it is; otherwise the customer
+            // enters one in the Square payment form
+            const result = paymentMethodData.savedMethod
+                ? { status: 'OK', token: paymentMethodData.savedMethod.id }
+                : await this.tokenizeSquareCard();
             if (result.status === 'OK') {
                 // Process payment on your server
                 const response = await API.post('/payments/square/process-payment', {
                     sourceId: result.token,
-                    amount: paymentMethodData.amount * 100,
-                    idempotencyKey: paymentMethodData.paymentId
+                    customerId: paymentMethodData.savedMethod?.customerId,
+                    amount: this.toMinorUnits(payment.amount, payment.currency),
+                    idempotencyKey: this.currentPayment?.idempotencyKey || paymentMethodData.paymentId
                 });
 
                 if (response.status === 'COMPLETED') {
@@ -311,11 +431,14 @@ class InternationalPayment extends PaymentSystem {
                         transactionId: response.id,
                         receipt: {
                             provider: 'Square',
-                            amount: paymentMethodData.amount,
-                            currency: paymentMethodData.currency,
+                            amount: payment.amount,
+                            currency: payment.currency,
                             transactionId: response.id,
                             status: response.status,
-                            timestamp: response.created_at
+                            timestamp: response.created_at,
+                            paymentMethod: response.card_id
+                                ? { id: response.card_id, customerId: response.customer_id }
+                                : paymentMethodData.savedMethod || null
                         }
                     };
                 } else {
@@ -330,6 +453,83 @@ class InternationalPayment extends PaymentSystem {
         }
     }
 
+    async tokenizeSquareCard() {
+        // Initialize Square payment form
+        const payments = window.Square.payments(
+            this.providers.square.applicationId,
+            this.providers.square.locationId
+        );
+
+        const card = await payments.card();
+        await card.attach('#card-container');
+
+        return card.tokenize();
+    }
+
+    // Charges a card saved with Stripe or Square without the customer
+    // present, e.g. a subscription renewal. paymentData.savedMethod is the
+    // receipt.paymentMethod of an earlier payment plus its provider.
+    async chargeSavedMethod(paymentData) {
+        const savedMethod = paymentData.savedMethod;
+        if (!savedMethod || !['stripe', 'square'].includes(savedMethod.provider)) {
+            return { success: false, error: 'There is no saved card to charge' };
+        }
+
+        const initiation = await this.initiatePayment({ ...paymentData, provider: savedMethod.provider });
+        if (!initiation.success) {
+            return initiation;
+        }
+
+        // Charged what the ledger recorded, after any coupons and credit
+        const payment = this.ledger.get(initiation.paymentId);
+        return this.processPayment({
+            paymentId: initiation.paymentId,
+            method: paymentData.method || 'card',
+            provider: savedMethod.provider,
+            savedMethod,
+            clientSecret: initiation.paymentIntent.clientSecret,
+            amount: payment.amount,
+            currency: payment.currency
+        });
+    }
+
+    // Stripe and Square take integer minor units: cents, or whole yen for JPY
+    toMinorUnits(amount, currency) {
+        return Money.of(amount, currency, ROUNDING.HALF_UP).minor;
+    }
+
+    // The ledger's idempotency key goes to the provider too, so a retried
+    // request never creates a second charge on their side
+    getIdempotencyOptions(paymentData) {
+        return paymentData.idempotencyKey
+            ? { headers: { 'Idempotency-Key': paymentData.idempotencyKey } }
+            : {};
+    }
+
+    async refundSquarePayment(payment, refund) {
+        try {
+            const response = await API.post('/payments/square/refunds', {
+                idempotency_key: refund.idempotencyKey || refund.id,
+                payment_id: payment.transactionId,
+                amount_money: {
+                    amount: this.toMinorUnits(refund.amount, refund.currency),
+                    currency: refund.currency
+                },
+                reason: this.refundReasons[refund.reason]
+            });
+
+            // PENDING, COMPLETED, REJECTED or FAILED
+            const statuses = { COMPLETED: 'succeeded', REJECTED: 'failed', FAILED: 'failed' };
+            return {
+                status: statuses[response.refund.status] || 'pending',
+                providerRefundId: response.refund.id
+            };
+
+        } catch (error) {
+            throw new Error(`Square refund failed: ${error.message}`);
+        }
+    }
+
     // Provider management
     setActiveProvider(providerName) {
         if (this.providers[providerName]) {
@@ -342,6 +542,10 @@ class InternationalPayment extends PaymentSystem {
         return false;
     }
 
+    getProviderName(paymentData) {
+        return paymentData?.provider || this.activeProvider;
+    }
+
     getActiveProvider() {
         return {
             name: this.providers[this.activeProvider].name,
@@ -354,21 +558,25 @@ class InternationalPayment extends PaymentSystem {
     async validateInternationalPayment(paymentData) {
         const errors = [];
         
+        const minimum = Money.of(1, 'USD');
+        
         // Check if amount meets minimum for international transactions
-        if (paymentData.amount < 1) { // $1 minimum
-            errors.push('Minimum payment amount is $1.00');
+        if (paymentData.currency === 'USD' && Money.of(paymentData.amount, 'USD', ROUNDING.HALF_UP).lessThan(minimum)) { // $1 minimum
+            errors.push(`Minimum payment amount is ${minimum.format()}`);
         }
         
-        // Check for currency conversion
+        // Check for currency conversion; rounded down so an amount just under
+        // the minimum is never rounded up past it
         if (paymentData.currency !== 'USD') {
-            const convertedAmount = this.convertCurrency(
-                paymentData.amount,
-                paymentData.currency,
-                'USD'
+            await this.exchangeRates.ready();
+            const convertedAmount = this.convertMoney(
+                Money.of(paymentData.amount, paymentData.currency, ROUNDING.HALF_UP),
+                'USD',
+                ROUNDING.DOWN
             );
             
-            if (convertedAmount < 1) {
-                errors.push('Converted amount must be at least $1.00');
+            if (convertedAmount.lessThan(minimum)) {
+                errors.push(`Converted amount must be at least ${minimum.format()}`);
             }
         }
         
@@ -0,0 +1,932 @@
+/**
+ * Invoicing
+ * Responsibilities:
+ * - Issue a numbered tax invoice and receipt for every completed payment
+ * - Number each series without gaps within an Ethiopian fiscal year
+ * - Take the 15% VAT out of VAT-inclusive prices and work out withholding
+ *   tax for buyers who withhold it
+ * - Show every amount in the paid currency and in birr
+ * - Render the documents in English and Amharic as printable HTML and PDF
+ *
+ * Numbers look like INV-2017-000042: series prefix, fiscal year and
+ * sequence. The fiscal year runs from Hamle 1 to Sene 30 (8 July to 7 July)
+ * and is named by the Ethiopian year it ends in. A number is only taken in
+ * the same save that stores its document, after everything that can fail
+ * has been worked out, so a failed issue never leaves a hole. Documents are
+ * never deleted; a cancelled one is voided and keeps its number.
+ */
+
+import ledger from './payment-ledger.js';
+import Money, { ROUNDING } from './money.js';
+import exchangeRates from './exchange-rates.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const SERIES = {
+    invoice: { prefix: 'INV', title: { en: 'Tax Invoice', am: 'የታክስ ደረሰኝ' } },
+    receipt: { prefix: 'RCT', title: { en: 'Payment Receipt', am: 'የክፍያ ደረሰኝ' } }
+};
+
+// Printed on every document. The TIN and VAT number are left empty until the
+// registered ones are filled in here or passed as config.seller; no invoice
+// is issued (and no number taken) before then.
+const SELLER = {
+    name: 'ZewedJobs PLC',
+    nameAm: 'ዘውድ ጆብስ ኃ.የተ.የግ.ማ.',
+    tin: '',
+    vatNumber: '',
+    address: 'Addis Ababa, Ethiopia',
+    addressAm: 'አዲስ አበባ፣ ኢትዮጵያ',
+    phone: '+251 92 485 8244',
+    email: 'support@zewedjobs.com'
+};
+
+// Percentages as decimal strings. Withholding applies to buyers who are
+// withholding agents, from withholdingThreshold birr before VAT.
+const TAX = {
+    vatRate: '15',
+    withholdingRate: '2',
+    withholdingThreshold: '3000'
+};
+
+const LABELS = {
+    number: { en: 'No.', am: 'ቁጥር' },
+    date: { en: 'Date', am: 'ቀን' },
+    fiscalYear: { en: 'Fiscal year', am: 'በጀት ዓመት' },
+    invoice: { en: 'Invoice No.', am: 'የደረሰኝ ቁጥር' },
+    seller: { en: 'Seller', am: 'ሻጭ' },
+    buyer: { en: 'Buyer', am: 'ገዢ' },
+    name: { en: 'Name', am: 'ስም' },
+    company: { en: 'Company', am: 'ድርጅት' },
+    tin: { en: 'TIN', am: 'የግብር ከፋይ መለያ ቁጥር' },
+    vatNumber: { en: 'VAT Reg. No.', am: 'የተ.እ.ታ. ምዝገባ ቁጥር' },
+    address: { en: 'Address', am: 'አድራሻ' },
+    phone: { en: 'Phone', am: 'ስልክ' },
+    email: { en: 'Email', am: 'ኢሜይል' },
+    description: { en: 'Description', am: 'መግለጫ' },
+    quantity: { en: 'Qty', am: 'ብዛት' },
+    amount: { en: 'Amount excl. VAT', am: 'ዋጋ ያለ ተ.እ.ታ.' },
+    subtotal: { en: 'Subtotal', am: 'ንዑስ ድምር' },
+    vat: { en: 'VAT', am: 'ተ.እ.ታ.' },
+    total: { en: 'Total', am: 'ጠቅላላ ድምር' },
+    withholding: { en: 'Withholding tax', am: 'ተቀናሽ ግብር' },
+    payable: { en: 'Net payable', am: 'የተጣራ ክፍያ' },
+    received: { en: 'Amount received', am: 'የተቀበልነው መጠን' },
+    method: { en: 'Payment method', am: 'የክፍያ ዘዴ' },
+    transaction: { en: 'Transaction ID', am: 'የግብይት መለያ' },
+    reference: { en: 'Reference', am: 'ማጣቀሻ' },
+    paidAt: { en: 'Paid on', am: 'የተከፈለበት ቀን' },
+    void: { en: 'VOID', am: 'ተሰርዟል' }
+};
+
+// Statuses of a payment that was taken
+const PAID = ['succeeded', 'partially_refunded', 'refunded'];
+
+function invoiceError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+class InvoiceRegister {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'invoiceRegister';
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.seller = { ...SELLER, ...config.seller };
+        this.tax = { ...TAX, ...config.tax };
+        this.fiscalYearStart = config.fiscalYearStart || { month: 7, day: 8 };
+        this.utcOffset = config.utcOffset ?? 3;
+        this.ledger = config.ledger || ledger;
+        this.exchangeRates = config.exchangeRates || exchangeRates;
+        this.subscriptions = config.subscriptions || null;
+        this.memory = null;
+        this.listeners = {};
+    }
+
+    // State is re-read on every call so a number taken in another tab is
+    // never handed out twice
+    load() {
+        try {
+            const stored = this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : this.memory;
+            return stored || { documents: {}, counters: {}, payments: {} };
+        } catch (error) {
+            console.error('Failed to read invoice register:', error);
+            return { documents: {}, counters: {}, payments: {} };
+        }
+    }
+
+    save(state) {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(state));
+        } else {
+            this.memory = state;
+        }
+    }
+
+    // Subscription payments take their line items from the invoice they paid
+    connect({ subscriptions } = {}) {
+        this.subscriptions = subscriptions || this.subscriptions;
+        return this;
+    }
+
+    // ====== NUMBERING ======
+    // { year, start, end } of the fiscal year date falls in, counted in
+    // Addis Ababa time. Hamle 1 is 8 July in every year, and the Ethiopian
+    // year a fiscal year ends in is the Gregorian one less 8.
+    getFiscalYear(date = new Date()) {
+        const { month, day } = this.fiscalYearStart;
+        const local = new Date(new Date(date).getTime() + this.utcOffset * HOUR);
+        const year = local.getUTCFullYear();
+        const startYear = local.getTime() < Date.UTC(year, month - 1, day) ? year - 1 : year;
+        const boundary = y => new Date(Date.UTC(y, month - 1, day) - this.utcOffset * HOUR).toISOString();
+
+        return { year: startYear + 1 - 8, start: boundary(startYear), end: boundary(startYear + 1) };
+    }
+
+    formatNumber(type, fiscalYear, sequence) {
+        return `${SERIES[type].prefix}-${fiscalYear}-${String(sequence).padStart(6, '0')}`;
+    }
+
+    // Takes the next number in the series. Only called once the document is
+    // complete, in the same load/save that stores it.
+    take(state, type, issuedAt, details) {
+        const fiscalYear = this.getFiscalYear(issuedAt).year;
+        const key = `${type}:${fiscalYear}`;
+        const sequence = (state.counters[key] || 0) + 1;
+        state.counters[key] = sequence;
+
+        const entry = {
+            number: this.formatNumber(type, fiscalYear, sequence),
+            type,
+            fiscalYear,
+            sequence,
+            status: 'issued',
+            issuedAt,
+            ...details
+        };
+        state.documents[entry.number] = entry;
+        return entry;
+    }
+
+    // For audits: the numbers of a series and year that have no document
+    checkSequence(type, fiscalYear) {
+        const state = this.load();
+        const last = state.counters[`${type}:${fiscalYear}`] || 0;
+        const missing = [];
+        for (let sequence = 1; sequence <= last; sequence++) {
+            const number = this.formatNumber(type, fiscalYear, sequence);
+            if (!state.documents[number]) missing.push(number);
+        }
+        return { last, missing };
+    }
+
+    // ====== DOCUMENTS ======
+    get(number) {
+        return this.load().documents[number] || null;
+    }
+
+    // Newest first
+    list(filters = {}) {
+        return Object.values(this.load().documents)
+            .filter(entry => (!filters.type || entry.type === filters.type) &&
+                (!filters.fiscalYear || entry.fiscalYear === filters.fiscalYear) &&
+                (!filters.paymentId || entry.paymentId === filters.paymentId))
+            .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt) || b.sequence - a.sequence);
+    }
+
+    // { invoice, receipt } issued for a payment, or null
+    getForPayment(paymentId) {
+        const state = this.load();
+        const numbers = state.payments[paymentId];
+        return numbers
+            ? { invoice: state.documents[numbers.invoice], receipt: state.documents[numbers.receipt] }
+            : null;
+    }
+
+    // Issues the invoice and receipt for a completed payment; asking again
+    // returns the same documents. options: { lines, buyer, withholding }.
+    issueForPayment(paymentOrId, options = {}) {
+        const paymentId = typeof paymentOrId === 'object' ? paymentOrId?.id : paymentOrId;
+        const payment = this.ledger.get(paymentId) || (typeof paymentOrId === 'object' ? paymentOrId : null);
+        if (!payment) {
+            throw invoiceError('Payment not found', 'payment_not_found');
+        }
+
+        const existing = this.getForPayment(payment.id);
+        if (existing) return existing;
+
+        if (!PAID.includes(payment.status)) {
+            throw invoiceError(`Payment ${payment.id} has not been completed`, 'not_paid');
+        }
+
+        const buyer = { ...payment.customer, ...options.buyer };
+        const details = this.prepare({
+            lines: options.lines || this.getLines(payment),
+            currency: payment.currency,
+            buyer,
+            withholding: options.withholding ?? buyer.withholdingAgent,
+            quote: payment.quote
+        });
+
+        if (!Money.of(details.totals.gross, payment.currency).equals(Money.of(payment.amount, payment.currency, ROUNDING.HALF_UP))) {
+            throw invoiceError(`The line items do not add up to the ${payment.currency} ${payment.amount} paid`, 'lines_mismatch');
+        }
+
+        details.paymentId = payment.id;
+        details.payment = {
+            amount: Money.of(payment.amount, payment.currency, ROUNDING.HALF_UP).toString(),
+            method: payment.paymentMethod || payment.method || null,
+            provider: payment.provider || null,
+            transactionId: payment.transactionId || null,
+            reference: payment.reference || null,
+            paidAt: payment.completedAt || payment.updatedAt || null
+        };
+
+        const state = this.load();
+        if (state.payments[payment.id]) return this.getForPayment(payment.id);
+
+        const issuedAt = new Date().toISOString();
+        const invoice = this.take(state, 'invoice', issuedAt, details);
+        const receipt = this.take(state, 'receipt', issuedAt, { ...details, invoiceNumber: invoice.number });
+        invoice.receiptNumber = receipt.number;
+        state.payments[payment.id] = { invoice: invoice.number, receipt: receipt.number };
+        this.save(state);
+
+        this.emit('issue', { invoice, receipt });
+        return { invoice, receipt };
+    }
+
+    // The number stays taken; the document is kept and printed as void
+    void(number, reason = '') {
+        const state = this.load();
+        const entry = state.documents[number];
+        if (!entry) {
+            throw invoiceError('Document not found', 'not_found');
+        }
+        if (entry.status === 'void') return entry;
+
+        Object.assign(entry, { status: 'void', voidedAt: new Date().toISOString(), voidReason: reason });
+        this.save(state);
+        this.emit('void', entry);
+        return entry;
+    }
+
+    // Line items for a payment, VAT inclusive and in its currency: given in
+    // metadata.lines, taken from the subscription invoice it paid, or one
+    // line for the whole amount
+    getLines(payment) {
+        // Coupons, referral discounts and credit (discounts.js) follow the
+        // list-price lines as negative lines
+        const discount = payment.discount;
+        const adjustments = (discount?.adjustments || []).map(adjustment => ({
+            description: adjustment.label,
+            descriptionAm: adjustment.labelAm,
+            amount: `-${adjustment.amount}`
+        }));
+
+        if (payment.metadata?.lines?.length) return [...payment.metadata.lines, ...adjustments];
+
+        const invoice = payment.metadata?.invoiceId && this.subscriptions?.getInvoice(payment.metadata.invoiceId);
+        if (invoice) {
+            return [
+                ...invoice.lines,
+                ...(invoice.credit ? [{ description: 'Account credit', descriptionAm: 'የሂሳብ ተቀማጭ', amount: -invoice.credit }] : []),
+                ...adjustments
+            ];
+        }
+
+        return [{
+            description: payment.description || 'ZewedJobs services',
+            descriptionAm: payment.description ? null : 'የዘውድ ጆብስ አገልግሎት',
+            amount: discount ? discount.subtotal : payment.amount
+        }, ...adjustments];
+    }
+
+    // ====== AMOUNTS ======
+    // Birr per unit of the paid currency as { rate, per, source, asOf }:
+    // from the quote the customer paid with, otherwise the current rate
+    getExchange(currency, quote) {
+        if (currency === 'ETB') return null;
+
+        if (quote?.from.currency === 'ETB' && quote.to.currency === currency) {
+            return { rate: quote.per, per: quote.rate, source: quote.source, asOf: quote.asOf, quoteId: quote.id };
+        }
+        if (quote?.to.currency === 'ETB' && quote.from.currency === currency) {
+            return { rate: quote.rate, per: quote.per, source: quote.source, asOf: quote.asOf, quoteId: quote.id };
+        }
+
+        const { rate, per, source, asOf } = this.exchangeRates.getRate(currency, 'ETB');
+        return { rate, per, source, asOf, quoteId: null };
+    }
+
+    // Works out every amount before a number is taken. Prices include VAT,
+    // so each line is split into net and VAT without losing a cent; birr
+    // amounts are split the same way so they add up on their own.
+    prepare({ lines, currency, buyer = {}, withholding = false, quote = null }) {
+        if (!/^\d{10}$/.test(this.seller.tin || '')) {
+            throw invoiceError('The seller TIN must be set (10 digits) before invoices can be issued', 'seller_tin');
+        }
+        if (buyer.tin && !/^\d{10}$/.test(String(buyer.tin).trim())) {
+            throw invoiceError('The buyer TIN must be 10 digits', 'invalid_tin');
+        }
+        if (!lines?.length) {
+            throw invoiceError('An invoice needs at least one line item', 'no_lines');
+        }
+
+        const code = Money.normalizeCurrency(currency);
+        const exchange = this.getExchange(code, quote);
+        const vatSplit = ['100', this.tax.vatRate];
+        const grosses = lines.map(line => Money.of(line.amount, code, ROUNDING.HALF_UP));
+
+        // A quote fixed the birr price, so the birr lines share it out exactly
+        const birrTotal = exchange?.quoteId && quote.from.currency === 'ETB'
+            ? Money.of(quote.from.amount, 'ETB')
+            : null;
+        const birrGrosses = !exchange
+            ? grosses
+            : birrTotal && grosses.every(gross => !gross.isNegative()) && grosses.some(gross => gross.isPositive())
+                ? birrTotal.allocate(grosses.map(gross => gross.minor))
+                : grosses.map(gross => gross.convert('ETB', exchange.rate, ROUNDING.HALF_UP, exchange.per));
+
+        const items = lines.map((line, index) => {
+            const [net, vat] = grosses[index].allocate(vatSplit);
+            const [birrNet, birrVat] = birrGrosses[index].allocate(vatSplit);
+            return {
+                description: line.description,
+                descriptionAm: line.descriptionAm || null,
+                quantity: line.quantity || 1,
+                net,
+                vat,
+                gross: grosses[index],
+                birr: { net: birrNet, vat: birrVat, gross: birrGrosses[index] }
+            };
+        });
+
+        const totalsIn = (pick, curr) => {
+            const net = Money.sum(items.map(item => pick(item).net), curr);
+            const vat = Money.sum(items.map(item => pick(item).vat), curr);
+            return { net, vat, gross: net.add(vat) };
+        };
+        const totals = totalsIn(item => item, code);
+        const birr = totalsIn(item => item.birr, 'ETB');
+
+        const withholds = Boolean(withholding) &&
+            !birr.net.lessThan(Money.of(this.tax.withholdingThreshold, 'ETB'));
+        const withheld = amounts => {
+            const tax = withholds
+                ? amounts.net.multiply(Number(this.tax.withholdingRate) / 100, ROUNDING.HALF_UP)
+                : Money.zero(amounts.net.currency);
+            return { ...amounts, withholding: tax, payable: amounts.gross.subtract(tax) };
+        };
+        const asStrings = amounts => Object.fromEntries(Object.entries(amounts).map(([key, money]) => [key, money.toString()]));
+
+        return {
+            seller: { ...this.seller },
+            buyer: {
+                name: buyer.name || null,
+                company: buyer.company || null,
+                email: buyer.email || null,
+                phone: buyer.phone || null,
+                tin: buyer.tin ? String(buyer.tin).trim() : null,
+                address: buyer.address || null
+            },
+            currency: code,
+            vatRate: this.tax.vatRate,
+            withholdingRate: withholds ? this.tax.withholdingRate : null,
+            exchange,
+            lines: items.map(item => ({
+                description: item.description,
+                descriptionAm: item.descriptionAm,
+                quantity: item.quantity,
+                net: item.net.toString(),
+                vat: item.vat.toString(),
+                gross: item.gross.toString(),
+                birr: asStrings(item.birr)
+            })),
+            totals: asStrings(withheld(totals)),
+            totalsBirr: asStrings(withheld(birr))
+        };
+    }
+
+    // ====== OUTPUT ======
+    // "USD 1,234.50"; documents print the same in either language
+    formatAmount(amount, currency) {
+        const [whole, fraction] = Money.of(amount, currency).toString().split('.');
+        const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        return `${currency} ${fraction ? `${grouped}.${fraction}` : grouped}`;
+    }
+
+    // { en, am }: the Gregorian date, and the Ethiopian calendar date in Amharic
+    formatDate(date) {
+        const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Africa/Addis_Ababa' };
+        return {
+            en: new Date(date).toLocaleDateString('en-US', options),
+            am: new Date(date).toLocaleDateString('am-ET-u-ca-ethiopic', options)
+        };
+    }
+
+    formatRate(exchange, currency) {
+        const rate = (Number(exchange.rate) / Number(exchange.per)).toFixed(4);
+        const asOf = exchange.asOf ? this.formatDate(exchange.asOf) : null;
+        return {
+            en: `Exchange rate: 1 ${currency} = ${rate} ETB${exchange.source ? ` (${exchange.source}${asOf ? `, ${asOf.en}` : ''})` : ''}`,
+            am: `የምንዛሪ ተመን፡ 1 ${currency} = ${rate} ብር${asOf ? ` (${asOf.am})` : ''}`
+        };
+    }
+
+    // Everything both renderers print, in order. Text is either a string or
+    // { en, am }.
+    describe(entry) {
+        const foreign = entry.currency !== 'ETB';
+        const amounts = (key, sign = '') => [
+            `${sign}${this.formatAmount(entry.totals[key], entry.currency)}`,
+            ...(foreign ? [`${sign}${this.formatAmount(entry.totalsBirr[key], 'ETB')}`] : [])
+        ];
+        const present = rows => rows.filter(([, value]) => value);
+        const seller = entry.seller;
+        const buyer = entry.buyer;
+        const payment = entry.payment || {};
+
+        const totals = [
+            [LABELS.subtotal, amounts('net')],
+            [{ en: `${LABELS.vat.en} ${entry.vatRate}%`, am: `${LABELS.vat.am} ${entry.vatRate}%` }, amounts('vat')],
+            [LABELS.total, amounts('gross'), true]
+        ];
+        if (entry.withholdingRate) {
+            totals.push(
+                [{ en: `${LABELS.withholding.en} ${entry.withholdingRate}%`, am: `${LABELS.withholding.am} ${entry.withholdingRate}%` }, amounts('withholding', '−')],
+                [LABELS.payable, amounts('payable'), true]
+            );
+        }
+        if (entry.type === 'receipt') {
+            totals.push([LABELS.received, [
+                this.formatAmount(payment.amount, entry.currency),
+                ...(foreign ? [this.formatAmount(entry.totalsBirr.gross, 'ETB')] : [])
+            ], true]);
+        }
+
+        const notes = [];
+        if (foreign) notes.push(this.formatRate(entry.exchange, entry.currency));
+        notes.push({
+            en: `Prices include VAT at ${entry.vatRate}%.`,
+            am: `ዋጋዎቹ ${entry.vatRate}% ተጨማሪ እሴት ታክስን ያካትታሉ።`
+        });
+        if (entry.withholdingRate) {
+            notes.push({
+                en: `The buyer withholds ${entry.withholdingRate}% of the amount before VAT and remits it to the tax authority.`,
+                am: `ገዢው ከተ.እ.ታ. በፊት ካለው ዋጋ ${entry.withholdingRate}% ቀንሶ ለግብር ባለሥልጣኑ ገቢ ያደርጋል።`
+            });
+        }
+        notes.push({
+            en: 'This document was issued electronically and is valid without a signature or stamp.',
+            am: 'ይህ ሰነድ በኤሌክትሮኒክ መንገድ የተሰጠ ሲሆን ያለ ፊርማና ማህተም የሚሰራ ነው።'
+        });
+
+        return {
+            title: SERIES[entry.type].title,
+            number: entry.number,
+            void: entry.status === 'void' ? LABELS.void : null,
+            meta: present([
+                [LABELS.number, entry.number],
+                [LABELS.date, this.formatDate(entry.issuedAt)],
+                [LABELS.fiscalYear, { en: `${entry.fiscalYear} EFY`, am: `${entry.fiscalYear} ዓ.ም.` }],
+                [LABELS.invoice, entry.type === 'receipt' ? entry.invoiceNumber : null]
+            ]),
+            seller: {
+                name: { en: seller.name, am: seller.nameAm || seller.name },
+                rows: present([
+                    [LABELS.tin, seller.tin],
+                    [LABELS.vatNumber, seller.vatNumber],
+                    [LABELS.address, seller.address && { en: seller.address, am: seller.addressAm || seller.address }],
+                    [LABELS.phone, seller.phone],
+                    [LABELS.email, seller.email]
+                ])
+            },
+            buyer: present([
+                [LABELS.name, buyer.name],
+                [LABELS.company, buyer.company],
+                [LABELS.tin, buyer.tin],
+                [LABELS.address, buyer.address],
+                [LABELS.phone, buyer.phone],
+                [LABELS.email, buyer.email]
+            ]),
+            payment: present([
+                [LABELS.paidAt, payment.paidAt && this.formatDate(payment.paidAt)],
+                [LABELS.method, payment.method],
+                [LABELS.transaction, payment.transactionId],
+                [LABELS.reference, payment.reference]
+            ]),
+            columns: [
+                { label: { en: '#', am: '#' } },
+                { label: LABELS.description, wide: true },
+                { label: LABELS.quantity, align: 'right' },
+                { label: { en: `${LABELS.amount.en} (${entry.currency})`, am: `${LABELS.amount.am} (${entry.currency})` }, align: 'right' },
+                ...(foreign ? [{ label: { en: `${LABELS.amount.en} (ETB)`, am: `${LABELS.amount.am} (ብር)` }, align: 'right' }] : [])
+            ],
+            rows: entry.lines.map((line, index) => [
+                String(index + 1),
+                { en: line.description, am: line.descriptionAm || '' },
+                String(line.quantity),
+                this.formatAmount(line.net, entry.currency),
+                ...(foreign ? [this.formatAmount(line.birr.net, 'ETB')] : [])
+            ]),
+            totals,
+            notes
+        };
+    }
+
+    // A standalone page that prints on A4
+    renderHtml(entry) {
+        const view = this.describe(entry);
+        const text = value => (typeof value === 'string'
+            ? escapeHtml(value)
+            : `${escapeHtml(value.en)}${value.am && value.am !== value.en ? `<span lang="am">${escapeHtml(value.am)}</span>` : ''}`);
+        const rows = items => items.map(([label, value]) => `<tr><th>${text(label)}</th><td>${text(value)}</td></tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(view.title.en)} ${escapeHtml(view.number)}</title>
+    <style>
+        @page { size: A4; margin: 16mm; }
+        body { margin: 0; color: #2c3e50; font: 13px/1.45 Inter, 'Noto Sans Ethiopic', Nyala, 'Abyssinica SIL', sans-serif; }
+        .invoice-document { max-width: 780px; margin: 24px auto; position: relative; }
+        [lang="am"] { display: block; color: #5d6d7e; font-size: 0.92em; }
+        header { display: flex; justify-content: space-between; gap: 24px; border-bottom: 3px solid #2c3e50; padding-bottom: 12px; }
+        h1 { margin: 0; font-size: 24px; text-align: right; }
+        h2 { margin: 0; font-size: 18px; }
+        h3 { margin: 0 0 6px; font-size: 13px; text-transform: uppercase; letter-spacing: 0.04em; }
+        .parties { display: flex; gap: 24px; margin: 18px 0; }
+        .parties section { flex: 1; }
+        table { width: 100%; border-collapse: collapse; }
+        .details th { text-align: left; font-weight: 600; padding: 2px 12px 2px 0; vertical-align: top; white-space: nowrap; }
+        .details td { padding: 2px 0; vertical-align: top; }
+        .lines th, .lines td { border-bottom: 1px solid #d5dbdb; padding: 6px 8px; text-align: left; vertical-align: top; }
+        .lines thead th { background: #f2f4f4; }
+        .lines .right { text-align: right; white-space: nowrap; }
+        .totals { width: auto; margin: 12px 0 0 auto; }
+        .totals th { text-align: left; padding: 4px 16px 4px 0; font-weight: 500; }
+        .totals td { text-align: right; padding: 4px 0 4px 16px; white-space: nowrap; }
+        .totals .strong th, .totals .strong td { font-weight: 700; border-top: 1px solid #2c3e50; }
+        .notes { margin-top: 24px; font-size: 11px; color: #5d6d7e; }
+        .notes p { margin: 0 0 6px; }
+        .void { position: absolute; top: 40%; left: 0; right: 0; text-align: center; font-size: 96px; font-weight: 800; color: rgba(231, 76, 60, 0.25); transform: rotate(-20deg); }
+    </style>
+</head>
+<body>
+    <article class="invoice-document">
+        ${view.void ? `<div class="void">${text(view.void)}</div>` : ''}
+        <header>
+            <div>
+                <h2>${text(view.seller.name)}</h2>
+                <table class="details">${rows(view.seller.rows)}</table>
+            </div>
+            <div>
+                <h1>${text(view.title)}</h1>
+                <table class="details">${rows(view.meta)}</table>
+            </div>
+        </header>
+        <div class="parties">
+            <section>
+                <h3>${text(LABELS.buyer)}</h3>
+                <table class="details">${rows(view.buyer)}</table>
+            </section>
+            ${view.payment.length ? `<section>
+                <h3>${text(LABELS.method)}</h3>
+                <table class="details">${rows(view.payment)}</table>
+            </section>` : ''}
+        </div>
+        <table class="lines">
+            <thead>
+                <tr>${view.columns.map(column => `<th class="${column.align || ''}">${text(column.label)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${view.rows.map(row => `<tr>${row.map((cell, index) => `<td class="${view.columns[index].align || ''}">${text(cell)}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+        <table class="totals">
+            ${view.totals.map(([label, values, strong]) => `<tr class="${strong ? 'strong' : ''}"><th>${text(label)}</th>${values.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`).join('')}
+        </table>
+        <div class="notes">
+            ${view.notes.map(note => `<p>${text(note)}</p>`).join('')}
+        </div>
+    </article>
+</body>
+</html>`;
+    }
+
+    // ====== PDF ======
+    // Pages are drawn on a canvas with the browser's fonts, which is what
+    // makes the Ethiopic script come out right, and embedded as JPEG images.
+    // options.createCanvas swaps in another canvas implementation.
+    async renderPdf(entry, options = {}) {
+        const createCanvas = options.createCanvas || (() => document.createElement('canvas'));
+        if (typeof document !== 'undefined' && document.fonts) {
+            await document.fonts.ready;
+        }
+
+        const pages = drawPages(this.describe(entry), createCanvas);
+        const bytes = buildPdf(pages.map(canvas => ({
+            width: canvas.width,
+            height: canvas.height,
+            jpeg: dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92))
+        })), { title: `${SERIES[entry.type].title.en} ${entry.number}` });
+
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+
+    // ====== EVENTS ======
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// ====== PDF LAYOUT ======
+// A4 in points, drawn at twice the resolution
+const PAGE = { width: 595.28, height: 841.89, margin: 40, scale: 2 };
+const FONT = "Inter, 'Noto Sans Ethiopic', Nyala, 'Abyssinica SIL', sans-serif";
+
+function drawPages(view, createCanvas) {
+    const pages = [];
+    const right = PAGE.width - PAGE.margin;
+    const bottom = PAGE.height - PAGE.margin;
+    let ctx;
+    let y;
+
+    const newPage = () => {
+        const canvas = createCanvas();
+        canvas.width = Math.round(PAGE.width * PAGE.scale);
+        canvas.height = Math.round(PAGE.height * PAGE.scale);
+        ctx = canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('This browser cannot create the PDF; use Print and save as PDF instead');
+        }
+        ctx.scale(PAGE.scale, PAGE.scale);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, PAGE.width, PAGE.height);
+        ctx.textBaseline = 'top';
+        pages.push(canvas);
+        y = PAGE.margin;
+
+        if (view.void) {
+            ctx.save();
+            ctx.translate(PAGE.width / 2, PAGE.height / 2);
+            ctx.rotate(-Math.PI / 9);
+            ctx.font = `800 72px ${FONT}`;
+            ctx.fillStyle = 'rgba(231, 76, 60, 0.25)';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${view.void.en} · ${view.void.am}`, 0, 0);
+            ctx.restore();
+        }
+    };
+    const font = (size, weight = 400, color = '#2c3e50') => {
+        ctx.font = `${weight} ${size}px ${FONT}`;
+        ctx.fillStyle = color;
+    };
+    const write = (value, x, top, align = 'left') => {
+        ctx.textAlign = align;
+        ctx.fillText(value, x, top);
+    };
+    const wrap = (value, width) => {
+        const lines = [];
+        String(value).split(/\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).forEach(word => {
+                const next = line ? `${line} ${word}` : word;
+                if (line && ctx.measureText(next).width > width) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = next;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    };
+    const rule = (top, weight = 0.5) => {
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillRect(PAGE.margin, top, right - PAGE.margin, weight);
+    };
+    const ensure = height => {
+        if (y + height > bottom) newPage();
+    };
+    const bilingual = value => (typeof value === 'string' ? { en: value, am: '' } : value);
+
+    // label: value rows, each label with its Amharic under it
+    const details = (rows, x, top, width) => {
+        let at = top;
+        rows.forEach(([label, value]) => {
+            const { en, am } = bilingual(value);
+            font(8, 600);
+            write(label.en, x, at);
+            font(7, 400, '#5d6d7e');
+            write(label.am, x, at + 10);
+            font(9);
+            const lines = [...wrap(en, width - 95), ...(am && am !== en ? wrap(am, width - 95) : [])];
+            lines.forEach((line, index) => write(line, x + 95, at + index * 11));
+            at += Math.max(22, lines.length * 11 + 4);
+        });
+        return at;
+    };
+
+    newPage();
+
+    // Header: seller on the left, title and number on the right
+    const half = (right - PAGE.margin) / 2;
+    font(15, 700);
+    write(view.seller.name.en, PAGE.margin, y);
+    font(10, 400, '#5d6d7e');
+    write(view.seller.name.am, PAGE.margin, y + 18);
+    font(18, 800);
+    write(view.title.en, right, y, 'right');
+    font(12, 600, '#5d6d7e');
+    write(view.title.am, right, y + 22, 'right');
+
+    const top = y + 44;
+    y = Math.max(
+        details(view.seller.rows, PAGE.margin, top, half - 10),
+        details(view.meta, PAGE.margin + half + 10, top, half - 10)
+    );
+    rule(y, 1.5);
+    y += 12;
+
+    // Buyer and payment
+    font(9, 700);
+    write(`${LABELS.buyer.en} · ${LABELS.buyer.am}`, PAGE.margin, y);
+    if (view.payment.length) {
+        write(`${LABELS.method.en} · ${LABELS.method.am}`, PAGE.margin + half + 10, y);
+    }
+    y = Math.max(
+        details(view.buyer, PAGE.margin, y + 16, half - 10),
+        details(view.payment, PAGE.margin + half + 10, y + 16, half - 10)
+    ) + 8;
+
+    // Line items; the header row is repeated on every page
+    const fixed = 70;
+    const amountColumns = view.columns.length - 3;
+    const description = right - PAGE.margin - 24 - 30 - fixed * amountColumns - 4;
+    const columnX = [PAGE.margin + 4, PAGE.margin + 24, PAGE.margin + 24 + description + 30];
+    for (let index = 1; index <= amountColumns; index++) {
+        columnX.push(columnX[2] + index * fixed);
+    }
+
+    const tableHeader = () => {
+        ctx.fillStyle = '#f2f4f4';
+        ctx.fillRect(PAGE.margin, y, right - PAGE.margin, 28);
+        view.columns.forEach((column, index) => {
+            const align = column.align || 'left';
+            font(8, 700);
+            write(column.label.en, columnX[index], y + 4, align);
+            font(7, 400, '#5d6d7e');
+            write(column.label.am, columnX[index], y + 15, align);
+        });
+        y += 32;
+    };
+    tableHeader();
+
+    view.rows.forEach(row => {
+        font(9);
+        const { en, am } = bilingual(row[1]);
+        const lines = wrap(en, description);
+        font(8);
+        const amLines = am ? wrap(am, description) : [];
+        const height = (lines.length + amLines.length) * 11 + 8;
+
+        if (y + height > bottom) {
+            newPage();
+            tableHeader();
+        }
+
+        font(9);
+        lines.forEach((line, index) => write(line, columnX[1], y + index * 11));
+        font(8, 400, '#5d6d7e');
+        amLines.forEach((line, index) => write(line, columnX[1], y + (lines.length + index) * 11));
+        font(9);
+        row.forEach((cell, index) => {
+            if (index !== 1) write(cell, columnX[index], y, view.columns[index].align || 'left');
+        });
+        y += height;
+        ctx.fillStyle = '#d5dbdb';
+        ctx.fillRect(PAGE.margin, y - 4, right - PAGE.margin, 0.5);
+    });
+
+    // Totals, right aligned under the amount columns
+    y += 6;
+    view.totals.forEach(([label, values, strong]) => {
+        ensure(26);
+        if (strong) rule(y - 3, 0.75);
+        const labelX = columnX[columnX.length - values.length] - fixed - 8;
+        font(9, strong ? 700 : 500);
+        write(label.en, labelX, y, 'right');
+        font(7, 400, '#5d6d7e');
+        write(label.am, labelX, y + 11, 'right');
+        font(9, strong ? 700 : 400);
+        values.forEach((value, index) => write(value, columnX[columnX.length - values.length + index], y, 'right'));
+        y += 24;
+    });
+
+    // Notes
+    y += 12;
+    view.notes.forEach(note => {
+        font(8, 400, '#5d6d7e');
+        const lines = [...wrap(note.en, right - PAGE.margin), ...wrap(note.am, right - PAGE.margin)];
+        ensure(lines.length * 11 + 6);
+        lines.forEach((line, index) => write(line, PAGE.margin, y + index * 11));
+        y += lines.length * 11 + 6;
+    });
+
+    // Page numbers once the count is known
+    pages.forEach((canvas, index) => {
+        ctx = canvas.getContext('2d');
+        font(8, 400, '#95a5a6');
+        write(`${view.number} · ${index + 1} / ${pages.length}`, right, PAGE.height - PAGE.margin / 2 - 8, 'right');
+    });
+
+    return pages;
+}
+
+// ====== PDF FILE ======
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+}
+
+// A PDF 1.4 file with one full-page JPEG per page
+function buildPdf(pages, info = {}) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const push = part => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body, stream) => {
+        offsets[id] = length;
+        push(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            push('stream\n');
+            push(stream);
+            push('\nendstream\n');
+        }
+        push('endobj\n');
+    };
+    // Only printable ASCII goes into PDF strings here
+    const pdfString = value => `(${String(value).replace(/[^\x20-\x7e]/g, '').replace(/[\\()]/g, '\\$&')})`;
+
+    const pageIds = pages.map((page, index) => 4 + index * 3);
+    push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    object(3, `<< /Title ${pdfString(info.title || '')} /Producer (ZewedJobs) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+    pages.forEach((page, index) => {
+        const id = pageIds[index];
+        const content = `q ${PAGE.width} 0 0 ${PAGE.height} 0 0 cm /Im0 Do Q`;
+        object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources << /XObject << /Im0 ${id + 1} 0 R >> >> /Contents ${id + 2} 0 R >>`);
+        object(id + 1, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+        object(id + 2, `<< /Length ${content.length} >>`, content);
+    });
+
+    const xref = length;
+    const count = offsets.length;
+    push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    for (let id = 1; id < count; id++) {
+        push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    push(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const bytes = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, position);
+        position += chunk.length;
+    });
+    return bytes;
+}
+
+const invoicing = new InvoiceRegister();
+
+export { InvoiceRegister, SERIES, SELLER, TAX, LABELS, buildPdf };
+export default invoicing;
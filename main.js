@@ -2,6 +2,13 @@ import PaymentSystem from './js/payment.js';
 import EthiopianPayment from './js/ethiopian-payments.js';
 import InternationalPayment from './js/international-payments.js';
 
+// Notifications and the payment modal render HTML; codes can come from the URL
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 class PaymentManager {
     constructor() {
         this.paymentSystems = {
@@ -33,6 +40,9 @@ class PaymentManager {
             // Set up event handlers
             this.setupPaymentEventListeners();
 
+            // Keep promo and referral codes from campaign links for checkout
+            this.rememberCampaignCodes();
+
             // Set default payment system based on user location
             this.detectUserLocation();
 
@@ -70,24 +80,61 @@ class PaymentManager {
         return false;
     }
 
-    async processPayment(amount, currency, customerData, paymentMethod) {
+    // ?promo=CODE and ?ref=CODE on any page are kept until a payment uses them
+    rememberCampaignCodes() {
+        const params = new URLSearchParams(window.location.search);
+        const stored = this.getCampaignCodes();
+        const codes = {
+            promo: params.get('promo') || stored.promo || null,
+            ref: params.get('ref') || stored.ref || null
+        };
+        localStorage.setItem('campaignCodes', JSON.stringify(codes));
+        return codes;
+    }
+
+    getCampaignCodes() {
+        try {
+            return JSON.parse(localStorage.getItem('campaignCodes')) || {};
+        } catch (error) {
+            console.error('Failed to read campaign codes:', error);
+            return {};
+        }
+    }
+
+    // amount is the list price. options: { coupons, context: { product,
+    // planId, itemId }, description }. Codes from campaign links are tried
+    // too, and skipped if they do not apply.
+    async processPayment(amount, currency, customerData, paymentMethod, options = {}) {
         if (!this.activeSystem) {
             throw new Error('No active payment system');
         }
 
+        const campaign = this.getCampaignCodes();
+
         try {
             // Initiate payment
             const initiation = await this.activeSystem.initiatePayment({
                 amount: amount,
                 currency: currency,
                 customer: customerData,
-                method: paymentMethod
+                method: paymentMethod,
+                description: options.description,
+                discounts: {
+                    coupons: options.coupons || [],
+                    optionalCoupons: campaign.promo ? [campaign.promo] : [],
+                    referralCode: options.referralCode || campaign.ref || null,
+                    context: options.context || {}
+                }
             });
 
             if (!initiation.success) {
                 throw new Error(initiation.error);
             }
 
+            (initiation.paymentIntent.discount?.rejected || []).forEach(item => {
+                Notifications.warning(escapeHtml(`${item.code} was not applied: ${item.reason}`));
+            });
+
             // Show payment UI based on payment method
             this.showPaymentInterface(initiation.paymentIntent);
 
@@ -117,7 +164,8 @@ class PaymentManager {
                 </div>
                 <div class="payment-modal-body">
                     <div class="payment-details">
-                        <p>Amount: ${paymentIntent.amount} ${paymentIntent.currency}</p>
+                        ${this.getDiscountBreakdown(paymentIntent)}
+                        <p>Amount: ${this.activeSystem.formatCurrency(paymentIntent.amount, paymentIntent.currency)}</p>
                         <p>Reference: ${paymentIntent.reference || 'N/A'}</p>
                     </div>
                     <div class="payment-method-selection">
@@ -137,6 +185,20 @@ class PaymentManager {
         return modal;
     }
 
+    // List price and each coupon, referral discount or credit taken off it
+    getDiscountBreakdown(paymentIntent) {
+        const discount = paymentIntent.discount;
+        if (!discount?.adjustments.length) return '';
+
+        const format = amount => escapeHtml(this.activeSystem.formatCurrency(amount, discount.currency));
+        return `
+            <p>Subtotal: ${format(discount.subtotal)}</p>
+            ${discount.adjustments.map(adjustment => `
+                <p class="payment-discount">${escapeHtml(adjustment.label)}: −${format(adjustment.amount)}</p>
+            `).join('')}
+        `;
+    }
+
     getPaymentMethodOptions() {
         if (!this.activeSystem) return '';
         
@@ -152,12 +214,12 @@ class PaymentManager {
     setupPaymentEventListeners() {
         // Payment success handler
         this.paymentSystems.ethiopian?.on('success', (payment) => {
-            Notifications.success(`Payment of ${payment.amount} ETB completed successfully`);
+            Notifications.success(`Payment of ${this.paymentSystems.ethiopian.formatCurrency(payment.amount, payment.currency)} completed successfully`);
             this.redirectToSuccessPage(payment);
         });
 
         this.paymentSystems.international?.on('success', (payment) => {
-            Notifications.success(`Payment of ${payment.amount} ${payment.currency} completed`);
+            Notifications.success(`Payment of ${this.paymentSystems.international.formatCurrency(payment.amount, payment.currency)} completed`);
             this.redirectToSuccessPage(payment);
         });
 
@@ -176,17 +238,26 @@ class PaymentManager {
     redirectToSuccessPage(payment) {
         // Store payment data for success page
         localStorage.setItem('lastPayment', JSON.stringify(payment));
+        localStorage.removeItem('campaignCodes');
         window.location.href = '/payment-success.html';
     }
 
     showRetryOption(payment) {
         const retry = confirm('Payment failed. Would you like to try again?');
         if (retry) {
+            // From the list price again, with the same coupons
             this.processPayment(
-                payment.amount,
+                payment.listAmount ?? payment.amount,
                 payment.currency,
                 payment.customer,
-                payment.paymentMethod
+                payment.paymentMethod,
+                {
+                    coupons: (payment.discount?.adjustments || [])
+                        .filter(adjustment => adjustment.kind === 'coupon')
+                        .map(adjustment => adjustment.code),
+                    context: payment.discount?.context,
+                    description: payment.description
+                }
             );
         }
     }
@@ -0,0 +1,308 @@
+/**
+ * Money Value Type
+ * Responsibilities:
+ * - Hold amounts as integer minor units of an ISO 4217 currency
+ * - Add, subtract, multiply and allocate without floating-point drift
+ * - Make rounding explicit whenever a fraction of a minor unit appears
+ * - Format amounts for the current language through the Translator
+ *
+ * Money values are immutable; every operation returns a new one.
+ */
+
+import Translator from './- Internationalization Systemtranslator.js';
+
+// ISO 4217 minor units for the currencies the site deals in. Others are
+// looked up through Intl.
+const MINOR_UNITS = {
+    ETB: 2,
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    CAD: 2,
+    AUD: 2,
+    KES: 2,
+    JPY: 0,
+    KWD: 3
+};
+
+const ROUNDING = {
+    HALF_UP: 'half-up',       // .5 away from zero
+    HALF_EVEN: 'half-even',   // .5 to the even neighbour (banker's rounding)
+    UP: 'up',                 // away from zero
+    DOWN: 'down',             // towards zero
+    CEILING: 'ceiling',
+    FLOOR: 'floor'
+};
+
+// "12.345" / 12.345 → { digits: 12345n, scale: 3 }
+function parseDecimal(value) {
+    let text = typeof value === 'string' ? value.trim() : String(value);
+    if (typeof value === 'number' && /e/i.test(text)) {
+        text = value.toFixed(20);
+    }
+
+    const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || !(match[2] || match[3])) {
+        throw new TypeError(`Not a decimal amount: ${value}`);
+    }
+
+    const fraction = match[3] || '';
+    const digits = BigInt((match[2] || '0') + fraction);
+    return {
+        digits: match[1] === '-' ? -digits : digits,
+        scale: fraction.length
+    };
+}
+
+// numerator / denominator (> 0) to an integer; rounding is required only
+// when the division leaves a remainder
+function divide(numerator, denominator, rounding) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+
+    if (!rounding) {
+        throw new RangeError('The result has a fraction of a minor unit; pass a rounding mode');
+    }
+
+    const sign = numerator < 0n ? -1n : 1n;
+    const twice = 2n * (remainder < 0n ? -remainder : remainder);
+
+    switch (rounding) {
+        case ROUNDING.DOWN:
+            return quotient;
+        case ROUNDING.UP:
+            return quotient + sign;
+        case ROUNDING.CEILING:
+            return sign > 0n ? quotient + 1n : quotient;
+        case ROUNDING.FLOOR:
+            return sign < 0n ? quotient - 1n : quotient;
+        case ROUNDING.HALF_UP:
+            return twice >= denominator ? quotient + sign : quotient;
+        case ROUNDING.HALF_EVEN:
+            return twice > denominator || (twice === denominator && quotient % 2n !== 0n) ? quotient + sign : quotient;
+        default:
+            throw new Error(`Unknown rounding mode: ${rounding}`);
+    }
+}
+
+function toSafeNumber(value) {
+    if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < BigInt(Number.MIN_SAFE_INTEGER)) {
+        throw new RangeError('Amount is too large');
+    }
+    return Number(value);
+}
+
+class Money {
+    constructor(minor, currency) {
+        if (!Number.isSafeInteger(minor)) {
+            throw new TypeError(`Minor units must be a safe integer, got ${minor}`);
+        }
+
+        this.minor = minor;
+        this.currency = Money.normalizeCurrency(currency);
+        Object.freeze(this);
+    }
+
+    // ====== CREATION ======
+    // amount in major units (number or decimal string). rounding is needed
+    // when it has more decimals than the currency allows.
+    static of(amount, currency, rounding) {
+        if (amount instanceof Money) {
+            return Money.assertSameCurrency(amount, { currency });
+        }
+
+        const code = Money.normalizeCurrency(currency);
+        const { digits, scale } = parseDecimal(amount);
+        const units = Money.minorUnits(code);
+
+        const minor = scale > units
+            ? divide(digits, 10n ** BigInt(scale - units), rounding)
+            : digits * 10n ** BigInt(units - scale);
+
+        return new Money(toSafeNumber(minor), code);
+    }
+
+    static ofMinor(minor, currency) {
+        return new Money(minor, currency);
+    }
+
+    static zero(currency) {
+        return new Money(0, currency);
+    }
+
+    static sum(values, currency) {
+        return values.reduce((total, value) => total.add(value), Money.zero(currency));
+    }
+
+    static normalizeCurrency(currency) {
+        const code = String(currency || '').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) {
+            throw new TypeError(`Not an ISO 4217 currency code: ${currency}`);
+        }
+        return code;
+    }
+
+    static minorUnits(currency) {
+        const code = Money.normalizeCurrency(currency);
+        if (code in MINOR_UNITS) return MINOR_UNITS[code];
+
+        return new Intl.NumberFormat('en', { style: 'currency', currency: code })
+            .resolvedOptions().maximumFractionDigits;
+    }
+
+    static assertSameCurrency(a, b) {
+        if (a.currency !== Money.normalizeCurrency(b.currency)) {
+            throw new Error(`Currency mismatch: ${a.currency} and ${b.currency}`);
+        }
+        return a;
+    }
+
+    // ====== ARITHMETIC ======
+    add(other) {
+        Money.assertSameCurrency(this, other);
+        return new Money(this.minor + other.minor, this.currency);
+    }
+
+    subtract(other) {
+        Money.assertSameCurrency(this, other);
+        return new Money(this.minor - other.minor, this.currency);
+    }
+
+    // factor: number or decimal string, e.g. 0.15 for VAT
+    multiply(factor, rounding) {
+        const { digits, scale } = parseDecimal(factor);
+        const minor = divide(BigInt(this.minor) * digits, 10n ** BigInt(scale), rounding);
+        return new Money(toSafeNumber(minor), this.currency);
+    }
+
+    negate() {
+        return new Money(-this.minor, this.currency);
+    }
+
+    // Splits into parts proportional to ratios without losing a minor unit.
+    // Each part gets its rounded-down share; the minor units left over go one
+    // at a time to the parts with the largest remainders, earlier parts first
+    // on ties. allocate([1, 1, 1]) of 100.00 → 33.34, 33.33, 33.33.
+    allocate(ratios) {
+        if (!ratios.length || ratios.some(ratio => !(ratio >= 0))) {
+            throw new Error('Ratios must be zero or more');
+        }
+
+        const scale = Math.max(...ratios.map(ratio => parseDecimal(ratio).scale));
+        const weights = ratios.map(ratio => {
+            const { digits, scale: own } = parseDecimal(ratio);
+            return digits * 10n ** BigInt(scale - own);
+        });
+        const total = weights.reduce((sum, weight) => sum + weight, 0n);
+        if (total === 0n) {
+            throw new Error('At least one ratio must be above zero');
+        }
+
+        const amount = BigInt(Math.abs(this.minor));
+        const shares = weights.map((weight, index) => ({
+            index,
+            minor: amount * weight / total,
+            remainder: amount * weight % total
+        }));
+
+        let left = amount - shares.reduce((sum, share) => sum + share.minor, 0n);
+        [...shares]
+            .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index))
+            .forEach(share => {
+                if (left > 0n) {
+                    share.minor += 1n;
+                    left -= 1n;
+                }
+            });
+
+        const sign = this.minor < 0 ? -1 : 1;
+        return shares.map(share => new Money(sign * Number(share.minor), this.currency));
+    }
+
+    // rate: units of currency per `per` units of this currency, e.g.
+    // convert('ETB', 54.5, ROUNDING.HALF_UP) for USD → ETB
+    convert(currency, rate, rounding, per = 1) {
+        const target = Money.normalizeCurrency(currency);
+        const { digits: rateDigits, scale: rateScale } = parseDecimal(rate);
+        const { digits: perDigits, scale: perScale } = parseDecimal(per);
+        if (rateDigits <= 0n || perDigits <= 0n) {
+            throw new Error('Exchange rates must be above zero');
+        }
+
+        const shift = Money.minorUnits(target) - Money.minorUnits(this.currency);
+        let numerator = BigInt(this.minor) * rateDigits * 10n ** BigInt(perScale);
+        let denominator = perDigits * 10n ** BigInt(rateScale);
+
+        if (shift >= 0) {
+            numerator *= 10n ** BigInt(shift);
+        } else {
+            denominator *= 10n ** BigInt(-shift);
+        }
+
+        return new Money(toSafeNumber(divide(numerator, denominator, rounding)), target);
+    }
+
+    // ====== COMPARISON ======
+    compare(other) {
+        Money.assertSameCurrency(this, other);
+        return Math.sign(this.minor - other.minor);
+    }
+
+    equals(other) {
+        return other instanceof Money && this.currency === other.currency && this.minor === other.minor;
+    }
+
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    isZero() {
+        return this.minor === 0;
+    }
+
+    isPositive() {
+        return this.minor > 0;
+    }
+
+    isNegative() {
+        return this.minor < 0;
+    }
+
+    // ====== OUTPUT ======
+    // Exact decimal string in major units: "1234.50", "-0.05", "1500" (JPY)
+    toString() {
+        const units = Money.minorUnits(this.currency);
+        const digits = String(Math.abs(this.minor)).padStart(units + 1, '0');
+        const sign = this.minor < 0 ? '-' : '';
+
+        return units
+            ? `${sign}${digits.slice(0, -units)}.${digits.slice(-units)}`
+            : `${sign}${digits}`;
+    }
+
+    // Major units as a number, for APIs and displays that expect one
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    toJSON() {
+        return { amount: this.toString(), currency: this.currency };
+    }
+
+    format(options = {}) {
+        const units = Money.minorUnits(this.currency);
+        return Translator.formatCurrency(this.toString(), this.currency, {
+            minimumFractionDigits: units,
+            maximumFractionDigits: units,
+            ...options
+        });
+    }
+}
+
+export { ROUNDING, MINOR_UNITS };
+export default Money;
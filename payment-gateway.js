@@ -0,0 +1,169 @@
+/**
+ * Hosted Checkout Gateway
+ * Responsibilities:
+ * - Shared flow for aggregator gateways (Chapa, ArifPay): send the customer
+ *   to the gateway's hosted checkout, then verify the transaction by
+ *   reference until it settles
+ * - Turn gateway outcomes into payment results and error codes
+ * - Sign and check webhook bodies (HMAC-SHA256)
+ *
+ * Subclasses implement createPaymentIntent(), verifyTransaction(),
+ * verifyWebhook() and executeCancellation(). Results are normalized to
+ * { reference, status, transactionId, amount, currency, errorMessage } with
+ * status one of succeeded, failed, cancelled, expired or pending.
+ *
+ * Secret keys belong on the server. In the browser point baseUrl at the
+ * site's API, which adds the key and forwards the request.
+ */
+
+function gatewayError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+async function hmacSha256Hex(secret, text) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Compares every character so the time taken does not leak the signature
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+class PaymentGateway {
+    constructor(config = {}) {
+        this.name = config.name;
+        this.displayName = config.displayName || config.name;
+        this.baseUrl = config.baseUrl;
+        this.returnUrl = config.returnUrl || (typeof window !== 'undefined' ? window.location.href : '');
+        this.callbackUrl = config.callbackUrl || null;
+        this.checkoutTimeout = config.checkoutTimeout || 60; // minutes
+        this.pollInterval = config.pollInterval ?? 3000;
+        this.pollTimeout = config.pollTimeout ?? 5 * 60000;
+
+        // Replaced by the mock servers, or by tests
+        this.transport = config.transport || ((method, path, body, headers) => this.send(method, path, body, headers));
+        this.launcher = config.launcher || (intent => this.openCheckout(intent));
+    }
+
+    // Headers every request needs (API keys)
+    getHeaders() {
+        return {};
+    }
+
+    async send(method, path, body, headers = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...this.getHeaders(), ...headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return response.json();
+    }
+
+    request(method, path, body) {
+        return this.transport(method, path, body, this.getHeaders());
+    }
+
+    // ====== CHECKOUT ======
+    // In a new tab when possible; otherwise the page is replaced and the
+    // gateway's return URL brings the customer back
+    async openCheckout(intent) {
+        if (!window.open(intent.checkoutUrl, this.name)) {
+            window.location.assign(intent.checkoutUrl);
+        }
+    }
+
+    // payment: the ledger entry, whose paymentIntent came from
+    // createPaymentIntent. A success carries the verified result, so the
+    // caller can check its amount and currency against the ledger.
+    async executePayment(payment) {
+        await this.launcher(payment.paymentIntent);
+        const result = await this.waitForPayment(payment.paymentIntent);
+
+        if (result.status === 'timeout') {
+            return {
+                success: false,
+                pending: true,
+                message: `${this.displayName} has not confirmed the payment yet. It will be updated as soon as it does.`
+            };
+        }
+        if (result.status !== 'succeeded') {
+            throw this.toError(result);
+        }
+
+        return {
+            success: true,
+            transactionId: result.transactionId,
+            receipt: this.buildReceipt(payment, result),
+            result
+        };
+    }
+
+    // Resolves with the first settled result, or status 'timeout'
+    async waitForPayment(intent, options = {}) {
+        const interval = options.interval ?? this.pollInterval;
+        const deadline = Date.now() + (options.timeout ?? this.pollTimeout);
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+
+            try {
+                const result = await this.verifyTransaction(intent);
+                if (result.status !== 'pending') return result;
+            } catch (error) {
+                console.error(`${this.displayName} verification failed:`, error);
+            }
+        }
+
+        return { reference: intent.reference, status: 'timeout' };
+    }
+
+    buildReceipt(payment, result) {
+        return {
+            provider: this.displayName,
+            method: result.method || payment.method,
+            amount: Number(result.amount ?? payment.amount),
+            currency: result.currency || payment.currency,
+            transactionId: result.transactionId,
+            timestamp: result.completedAt || new Date().toISOString(),
+            reference: result.reference
+        };
+    }
+
+    toError(result) {
+        const errors = {
+            failed: [`${this.displayName} payment failed`, 'payment_failed'],
+            cancelled: [`${this.displayName} payment was cancelled`, 'user_cancelled'],
+            expired: [`${this.displayName} checkout expired before it was paid`, 'timeout']
+        };
+        const [message, code] = errors[result.status] || errors.failed;
+        return gatewayError(result.errorMessage || message, code);
+    }
+
+    // ====== WEBHOOKS ======
+    async checkSignature(body, signature, secret) {
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        if (!secret || !safeEqual(await hmacSha256Hex(secret, text), String(signature || ''))) {
+            throw gatewayError(`${this.displayName} webhook signature is invalid`, 'invalid_signature');
+        }
+        return typeof body === 'string' ? JSON.parse(body) : body;
+    }
+}
+
+export { PaymentGateway, gatewayError, hmacSha256Hex };
+export default PaymentGateway;
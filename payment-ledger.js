@@ -0,0 +1,196 @@
+/**
+ * Payment Ledger
+ * Responsibilities:
+ * - Record every payment attempt with its idempotency key
+ * - Enforce the allowed status transitions
+ * - Timestamp each transition in the payment's history
+ * - Persist attempts so they replay safely after a page reload
+ *
+ * Statuses: created → pending → succeeded / failed / cancelled, and a
+ * succeeded payment can go on to partially_refunded / refunded. A payment
+ * can also fail or be cancelled before it is submitted (created → failed).
+ * Refunds are kept on the payment they belong to, each with its own
+ * status (pending → succeeded / failed), and show up in its history.
+ */
+
+const TRANSITIONS = {
+    created: ['pending', 'failed', 'cancelled'],
+    pending: ['succeeded', 'failed', 'cancelled'],
+    succeeded: ['partially_refunded', 'refunded'],
+    partially_refunded: ['partially_refunded', 'refunded'],
+    failed: [],
+    cancelled: [],
+    refunded: []
+};
+
+class PaymentLedger {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'paymentLedger';
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.transitions = config.transitions || TRANSITIONS;
+        this.memory = null;
+    }
+
+    // State is re-read on every call so other tabs' payments are seen too
+    load() {
+        try {
+            const stored = this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : this.memory;
+            return stored || { payments: {}, keys: {} };
+        } catch (error) {
+            console.error('Failed to read payment ledger:', error);
+            return { payments: {}, keys: {} };
+        }
+    }
+
+    save(state) {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(state));
+        } else {
+            this.memory = state;
+        }
+    }
+
+    // Records a new attempt as created. The idempotency key then points at
+    // the latest attempt made with it.
+    record(payment) {
+        if (!payment.id || !payment.idempotencyKey) {
+            throw new Error('Payment id and idempotency key are required');
+        }
+
+        const state = this.load();
+        if (state.payments[payment.id]) {
+            throw new Error(`Payment ${payment.id} is already recorded`);
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+            ...payment,
+            status: 'created',
+            createdAt: now,
+            updatedAt: now,
+            history: [{ status: 'created', at: now }]
+        };
+
+        state.payments[entry.id] = entry;
+        state.keys[entry.idempotencyKey] = entry.id;
+        this.save(state);
+
+        return entry;
+    }
+
+    get(paymentId) {
+        return this.load().payments[paymentId] || null;
+    }
+
+    findByIdempotencyKey(idempotencyKey) {
+        const state = this.load();
+        return state.payments[state.keys[idempotencyKey]] || null;
+    }
+
+    list(filters = {}) {
+        return Object.values(this.load().payments)
+            .filter(entry => (!filters.system || entry.system === filters.system) &&
+                (!filters.status || entry.status === filters.status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    canTransition(from, to) {
+        return (this.transitions[from] || []).includes(to);
+    }
+
+    assertTransition(entry, status) {
+        if (!this.canTransition(entry.status, status)) {
+            const error = new Error(`Payment ${entry.id} cannot go from ${entry.status} to ${status}`);
+            error.code = 'invalid_transition';
+            throw error;
+        }
+    }
+
+    // Moves a payment to status, merging details (transactionId, error, ...)
+    // into it and adding the transition to its history. event adds to the
+    // history entry, e.g. the refund that caused it.
+    transition(paymentId, status, details = {}, event = {}) {
+        const state = this.load();
+        const entry = state.payments[paymentId];
+        if (!entry) throw new Error('Payment not found');
+
+        this.assertTransition(entry, status);
+
+        const at = new Date().toISOString();
+        Object.assign(entry, details, { status, updatedAt: at });
+        entry.history.push({ status, at, ...(details.error ? { error: details.error } : {}), ...event });
+
+        this.save(state);
+        return entry;
+    }
+
+    // Merges details without changing the status
+    update(paymentId, details) {
+        const state = this.load();
+        const entry = state.payments[paymentId];
+        if (!entry) throw new Error('Payment not found');
+
+        Object.assign(entry, details, { updatedAt: new Date().toISOString() });
+        this.save(state);
+        return entry;
+    }
+
+    // ====== REFUNDS ======
+    addRefund(paymentId, refund) {
+        const state = this.load();
+        const entry = state.payments[paymentId];
+        if (!entry) throw new Error('Payment not found');
+
+        const at = new Date().toISOString();
+        entry.refunds = [...(entry.refunds || []), refund];
+        entry.updatedAt = at;
+        entry.history.push({ status: entry.status, at, refund: this.describeRefund(refund) });
+
+        this.save(state);
+        return refund;
+    }
+
+    // The history gets an entry when the refund's status changes
+    updateRefund(paymentId, refundId, changes) {
+        const state = this.load();
+        const entry = state.payments[paymentId];
+        const refund = entry?.refunds?.find(item => item.id === refundId);
+        if (!refund) throw new Error('Refund not found');
+
+        const at = new Date().toISOString();
+        const previous = refund.status;
+        Object.assign(refund, changes, { updatedAt: at });
+        entry.updatedAt = at;
+        if (refund.status !== previous) {
+            entry.history.push({ status: entry.status, at, refund: this.describeRefund(refund) });
+        }
+
+        this.save(state);
+        return refund;
+    }
+
+    describeRefund(refund) {
+        return {
+            id: refund.id,
+            amount: refund.amount,
+            reason: refund.reason,
+            status: refund.status,
+            ...(refund.error ? { error: refund.error } : {})
+        };
+    }
+
+    // Still waiting to be paid or confirmed
+    isOpen(entry) {
+        return ['created', 'pending'].includes(entry.status);
+    }
+
+    isFinal(entry) {
+        return (this.transitions[entry.status] || []).length === 0;
+    }
+}
+
+// Shared by every payment system on the page
+const ledger = new PaymentLedger();
+
+export { PaymentLedger, TRANSITIONS };
+export default ledger;
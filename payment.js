@@ -3,11 +3,30 @@
  * Responsibilities:
  * - Define common payment interface
  * - Handle payment validation
- * - Manage payment states
+ * - Manage payment states through the payment ledger
  * - Provide base error handling
- * - Handle currency conversions
+ * - Refund captured payments in full or in part
+ * - Handle currency conversions (amounts are Money values underneath) with
+ *   rates from the exchange rate service, and honour locked quotes
+ * - Apply coupons, referral discounts and credit (discounts.js) when a
+ *   payment asks for them, and charge the discounted total
  */
 
+import ledger from './payment-ledger.js';
+import Money, { ROUNDING } from './money.js';
+import exchangeRates from './exchange-rates.js';
+import discounts from './discounts.js';
+
+// Reason codes accepted by refundPayment
+const REFUND_REASONS = {
+    requested_by_customer: 'Requested by customer',
+    duplicate: 'Duplicate payment',
+    fraudulent: 'Fraudulent payment',
+    service_not_provided: 'Service not provided',
+    plan_downgrade: 'Plan downgrade',
+    other: 'Other'
+};
+
 class PaymentSystem {
     constructor(config = {}) {
         this.name = config.name || 'Generic Payment';
@@ -16,6 +35,14 @@ class PaymentSystem {
         this.supportedCurrencies = config.supportedCurrencies || ['USD'];
         this.paymentMethods = [];
         this.currentPayment = null;
+        this.ledger = config.ledger || ledger;
+        this.exchangeRates = config.exchangeRates || exchangeRates;
+        this.discounts = config.discounts || discounts;
+        this.refundReasons = REFUND_REASONS;
+
+        // Requests still running, by idempotency key or payment id, so a
+        // double click joins the first request instead of starting another
+        this.inFlight = {};
         this.callbacks = {
             onSuccess: null,
             onFailure: null,
@@ -27,8 +54,20 @@ class PaymentSystem {
     validatePayment(amount, currency, customerData) {
         const errors = [];
         
-        if (amount <= 0) {
-            errors.push('Amount must be greater than zero');
+        if (!this.supportedCurrencies.includes(currency)) {
+            if (!(amount > 0)) {
+                errors.push('Amount must be greater than zero');
+            }
+        } else {
+            try {
+                if (!Money.of(amount, currency).isPositive()) {
+                    errors.push('Amount must be greater than zero');
+                }
+            } catch (error) {
+                errors.push(error instanceof RangeError
+                    ? `Amount can have at most ${Money.minorUnits(currency)} decimal places in ${currency}`
+                    : 'Amount must be a number');
+            }
         }
         
         if (!this.supportedCurrencies.includes(currency)) {
@@ -51,37 +90,93 @@ class PaymentSystem {
     }
 
     // Payment flow methods
+    // paymentData.idempotencyKey identifies one purchase: repeating it returns
+    // the original attempt. Without one, identical requests share an attempt
+    // only while it is still open.
+    // paymentData.amount is the list price. With paymentData.discounts
+    // ({ coupons, optionalCoupons, referralCode, useCredit, context }) the
+    // payment is priced by the discount engine and its total is charged; the
+    // breakdown is kept on the payment and its intent as discount.
     async initiatePayment(paymentData) {
+        const idempotencyKey = paymentData.idempotencyKey || this.generateIdempotencyKey(paymentData);
+
+        if (this.inFlight[idempotencyKey]) {
+            return this.inFlight[idempotencyKey];
+        }
+
+        const existing = this.ledger.findByIdempotencyKey(idempotencyKey);
+        if (existing && (paymentData.idempotencyKey || this.ledger.isOpen(existing))) {
+            return this.replayInitiation(existing);
+        }
+
+        this.inFlight[idempotencyKey] = this.startPayment(paymentData, idempotencyKey);
+        try {
+            return await this.inFlight[idempotencyKey];
+        } finally {
+            delete this.inFlight[idempotencyKey];
+        }
+    }
+
+    async startPayment(paymentData, idempotencyKey) {
         try {
-            this.currentPayment = {
+            this.currentPayment = this.ledger.record({
                 id: this.generatePaymentId(),
+                idempotencyKey,
+                system: this.name,
+                provider: this.getProviderName(paymentData),
                 amount: paymentData.amount,
                 currency: paymentData.currency,
                 customer: paymentData.customer,
-                status: 'initiated',
-                timestamp: new Date().toISOString(),
+                method: paymentData.method,
+                description: paymentData.description || null,
                 metadata: paymentData.metadata || {}
-            };
+            });
 
             // Validate payment
             const validation = this.validatePayment(
                 paymentData.amount,
                 paymentData.currency,
-                paymentData.customer
+                paymentData.customer || {}
             );
 
             if (!validation.isValid) {
                 throw new Error(`Payment validation failed: ${validation.errors.join(', ')}`);
             }
 
+            // A converted price shown at checkout is charged as quoted
+            if (paymentData.quoteId) {
+                const quote = this.exchangeRates.assertQuote(paymentData.quoteId, paymentData.amount, paymentData.currency);
+                this.currentPayment = this.ledger.update(this.currentPayment.id, { quote });
+            }
+
+            // Coupons and credit are held for this payment until it settles
+            let charge = paymentData;
+            if (paymentData.discounts) {
+                const discount = this.discounts.price({
+                    ...paymentData.discounts,
+                    amount: paymentData.amount,
+                    currency: paymentData.currency,
+                    customer: paymentData.customer
+                });
+                charge = { ...paymentData, amount: Money.of(discount.total, discount.currency).toNumber(), discount };
+                this.currentPayment = this.ledger.update(this.currentPayment.id, {
+                    amount: charge.amount,
+                    listAmount: paymentData.amount,
+                    discount
+                });
+                this.discounts.reserve(this.currentPayment.id, discount);
+            }
+
             // Create payment intent
-            const paymentIntent = await this.createPaymentIntent(paymentData);
-            
-            this.currentPayment = {
-                ...this.currentPayment,
-                ...paymentIntent,
-                status: 'created'
-            };
+            const paymentIntent = await this.createPaymentIntent({ ...charge, idempotencyKey });
+            if (charge.discount) {
+                paymentIntent.discount = charge.discount;
+            }
+
+            this.currentPayment = this.ledger.update(this.currentPayment.id, {
+                paymentIntent,
+                reference: paymentIntent.reference
+            });
 
             return {
                 success: true,
@@ -92,6 +187,9 @@ class PaymentSystem {
 
         } catch (error) {
             console.error('Payment initiation failed:', error);
+            if (this.currentPayment?.idempotencyKey === idempotencyKey && this.currentPayment.status === 'created') {
+                this.currentPayment = this.ledger.transition(this.currentPayment.id, 'failed', { error: error.message });
+            }
             this.handlePaymentError(error);
             return {
                 success: false,
@@ -100,24 +198,120 @@ class PaymentSystem {
         }
     }
 
+    // The same answer the original request got, e.g. after a reload
+    replayInitiation(payment) {
+        this.currentPayment = payment;
+
+        if (['failed', 'cancelled'].includes(payment.status)) {
+            return {
+                success: false,
+                paymentId: payment.id,
+                error: payment.error || `Payment ${payment.status}`,
+                replayed: true
+            };
+        }
+
+        return {
+            success: true,
+            paymentId: payment.id,
+            paymentIntent: payment.paymentIntent,
+            nextStep: this.getNextStep(),
+            replayed: true
+        };
+    }
+
+    // paymentMethodData.paymentId resumes a recorded payment (e.g. after a
+    // reload); otherwise the current payment is used
     async processPayment(paymentMethodData) {
+        const payment = paymentMethodData.paymentId
+            ? this.ledger.get(paymentMethodData.paymentId)
+            : this.currentPayment && this.ledger.get(this.currentPayment.id);
+
+        if (payment && this.inFlight[payment.id]) {
+            return this.inFlight[payment.id];
+        }
+
+        // Already paid: hand back the original result rather than charging again
+        if (payment && ['succeeded', 'partially_refunded', 'refunded'].includes(payment.status)) {
+            this.currentPayment = payment;
+            return {
+                success: true,
+                payment,
+                receipt: payment.receipt,
+                replayed: true
+            };
+        }
+
+        if (!payment) {
+            return this.failProcessing(null, new Error('No active payment session'));
+        }
+
+        this.inFlight[payment.id] = this.submitPayment(payment, paymentMethodData);
         try {
-            if (!this.currentPayment) {
-                throw new Error('No active payment session');
+            return await this.inFlight[payment.id];
+        } finally {
+            delete this.inFlight[payment.id];
+        }
+    }
+
+    async submitPayment(payment, paymentMethodData) {
+        this.currentPayment = payment;
+
+        // A pending payment with no request running here was submitted before
+        // a reload; its outcome is up to the provider, so it is left alone
+        if (payment.status !== 'created') {
+            return this.failProcessing(null, new Error(payment.status === 'pending'
+                ? 'This payment is already being processed'
+                : `This payment was ${payment.status}`));
+        }
+
+        try {
+            if (payment.paymentIntent?.expiresAt && new Date(payment.paymentIntent.expiresAt) < new Date()) {
+                const expired = new Error('Payment session expired');
+                expired.code = 'timeout';
+                throw expired;
             }
 
             // Update payment with method details
-            this.currentPayment.paymentMethod = paymentMethodData.method;
-            this.currentPayment.status = 'processing';
+            this.currentPayment = this.ledger.transition(payment.id, 'pending', {
+                paymentMethod: paymentMethodData.method
+            });
 
             // Process the payment
             const result = await this.executePayment(paymentMethodData);
-            
+
+            // A provider callback may have settled it in the meantime
+            const latest = this.ledger.get(payment.id);
+            if (latest.status !== 'pending') {
+                this.currentPayment = latest;
+                return latest.status === 'succeeded'
+                    ? { success: true, payment: latest, receipt: latest.receipt }
+                    : this.failProcessing(null, new Error(latest.error || `This payment was ${latest.status}`));
+            }
+
+            // Still with the provider: it stays pending until a callback or a
+            // status check settles it
+            if (result.pending) {
+                this.currentPayment = latest;
+                if (this.callbacks.onPending) {
+                    this.callbacks.onPending(latest);
+                }
+
+                return {
+                    success: false,
+                    pending: true,
+                    payment: latest,
+                    error: result.message
+                };
+            }
+
             if (result.success) {
-                this.currentPayment.status = 'completed';
-                this.currentPayment.completedAt = new Date().toISOString();
-                this.currentPayment.transactionId = result.transactionId;
-                
+                this.currentPayment = this.ledger.transition(payment.id, 'succeeded', {
+                    completedAt: new Date().toISOString(),
+                    transactionId: result.transactionId,
+                    receipt: result.receipt
+                });
+
                 // Trigger success callback
                 if (this.callbacks.onSuccess) {
                     this.callbacks.onSuccess(this.currentPayment);
@@ -133,15 +327,54 @@ class PaymentSystem {
             }
 
         } catch (error) {
-            console.error('Payment processing failed:', error);
-            this.currentPayment.status = 'failed';
-            this.currentPayment.error = error.message;
-            
-            // Trigger failure callback
-            if (this.callbacks.onFailure) {
-                this.callbacks.onFailure(this.currentPayment, error);
+            return this.failProcessing(this.currentPayment, error);
+        }
+    }
+
+    failProcessing(payment, error) {
+        console.error('Payment processing failed:', error);
+
+        if (payment && this.ledger.canTransition(this.ledger.get(payment.id)?.status, 'failed')) {
+            this.currentPayment = this.ledger.transition(payment.id, 'failed', { error: error.message });
+        }
+
+        // Trigger failure callback
+        if (this.callbacks.onFailure) {
+            this.callbacks.onFailure(this.currentPayment, error);
+        }
+
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+
+    async cancelPayment(paymentId) {
+        try {
+            const payment = this.ledger.get(paymentId);
+            if (!payment) {
+                throw new Error('Payment not found');
+            }
+
+            this.ledger.assertTransition(payment, 'cancelled');
+
+            // Perform cancellation logic
+            await this.executeCancellation(paymentId);
+
+            const cancelled = this.ledger.transition(paymentId, 'cancelled', {
+                cancelledAt: new Date().toISOString()
+            });
+            if (this.currentPayment?.id === paymentId) {
+                this.currentPayment = cancelled;
             }
 
+            return {
+                success: true,
+                message: 'Payment cancelled successfully'
+            };
+
+        } catch (error) {
+            console.error('Payment cancellation failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -149,26 +382,22 @@ class PaymentSystem {
         }
     }
 
-    async cancelPayment(paymentId) {
+    async getPaymentStatus(paymentId) {
         try {
-            // Find and update payment status
-            if (this.currentPayment && this.currentPayment.id === paymentId) {
-                this.currentPayment.status = 'cancelled';
-                this.currentPayment.cancelledAt = new Date().toISOString();
-                
-                // Perform cancellation logic
-                await this.executeCancellation(paymentId);
-                
+            // In a real implementation, this would also query the payment provider
+            const payment = this.ledger.get(paymentId);
+            if (payment) {
                 return {
                     success: true,
-                    message: 'Payment cancelled successfully'
+                    status: payment.status,
+                    history: payment.history,
+                    payment
                 };
             }
             
             throw new Error('Payment not found');
 
         } catch (error) {
-            console.error('Payment cancellation failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -176,20 +405,85 @@ class PaymentSystem {
         }
     }
 
-    async getPaymentStatus(paymentId) {
+    getPaymentHistory(filters = {}) {
+        return this.ledger.list({ system: this.name, ...filters });
+    }
+
+    // Refunds
+    // options: { amount (defaults to everything still refundable), reason
+    // (a REFUND_REASONS code), note, idempotencyKey }. Pending and succeeded
+    // refunds together never exceed the captured amount.
+    async refundPayment(paymentId, options = {}) {
         try {
-            // In a real implementation, this would query the payment provider
-            if (this.currentPayment && this.currentPayment.id === paymentId) {
-                return {
-                    success: true,
-                    status: this.currentPayment.status,
-                    payment: this.currentPayment
-                };
+            const payment = this.ledger.get(paymentId);
+            if (!payment) {
+                throw new Error('Payment not found');
             }
-            
-            throw new Error('Payment not found');
+
+            if (options.idempotencyKey) {
+                const existing = (payment.refunds || []).find(item => item.idempotencyKey === options.idempotencyKey);
+                if (existing) {
+                    return { success: existing.status !== 'failed', refund: existing, payment, replayed: true };
+                }
+            }
+
+            if (!['succeeded', 'partially_refunded'].includes(payment.status)) {
+                throw new Error(`A ${payment.status} payment cannot be refunded`);
+            }
+
+            const reason = options.reason || 'requested_by_customer';
+            if (!this.refundReasons[reason]) {
+                throw new Error(`Unknown refund reason: ${reason}`);
+            }
+
+            const refundable = Money.of(this.getRefundableAmount(payment), payment.currency);
+            const amount = options.amount === undefined ? refundable : Money.of(options.amount, payment.currency);
+
+            if (!amount.isPositive()) {
+                throw new Error('Refund amount must be greater than zero');
+            }
+            if (amount.greaterThan(refundable)) {
+                throw new Error(`Refund exceeds the refundable amount of ${refundable.format()}`);
+            }
+
+            // Recorded before the provider call so a second click sees the
+            // amount as taken
+            const refund = this.ledger.addRefund(paymentId, {
+                id: this.generateRefundId(),
+                idempotencyKey: options.idempotencyKey || null,
+                amount: amount.toNumber(),
+                currency: payment.currency,
+                reason,
+                note: options.note || '',
+                status: 'pending',
+                requestedAt: new Date().toISOString()
+            });
+
+            let result;
+            try {
+                result = await this.executeRefund(payment, refund);
+            } catch (error) {
+                this.failRefund(paymentId, refund.id, error.message);
+                throw error;
+            }
+
+            const { status, ...details } = result;
+            if (status === 'succeeded') {
+                return this.completeRefund(paymentId, refund.id, details);
+            }
+            if (status === 'failed') {
+                this.failRefund(paymentId, refund.id, details.error || 'Refund was declined', details);
+                throw new Error(details.error || 'Refund was declined');
+            }
+
+            return {
+                success: true,
+                refund: this.ledger.updateRefund(paymentId, refund.id, details),
+                payment: this.ledger.get(paymentId)
+            };
 
         } catch (error) {
+            console.error('Payment refund failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -197,6 +491,68 @@ class PaymentSystem {
         }
     }
 
+    // Marks a pending refund as paid out (provider webhook, manual reversal)
+    // and moves the payment to partially_refunded or refunded
+    completeRefund(paymentId, refundId, details = {}) {
+        this.assertPendingRefund(paymentId, refundId);
+
+        const refund = this.ledger.updateRefund(paymentId, refundId, {
+            ...details,
+            status: 'succeeded',
+            completedAt: new Date().toISOString()
+        });
+
+        const payment = this.ledger.get(paymentId);
+        const refunded = this.getRefundedAmount(payment, ['succeeded']);
+        const fullyRefunded = !Money.of(refunded, payment.currency).lessThan(Money.of(payment.amount, payment.currency));
+        const updated = this.ledger.transition(paymentId, fullyRefunded ? 'refunded' : 'partially_refunded', {
+            refundedAmount: refunded
+        }, { refundId });
+
+        if (this.currentPayment?.id === paymentId) {
+            this.currentPayment = updated;
+        }
+
+        return {
+            success: true,
+            refund,
+            payment: updated
+        };
+    }
+
+    failRefund(paymentId, refundId, error, details = {}) {
+        this.assertPendingRefund(paymentId, refundId);
+
+        return this.ledger.updateRefund(paymentId, refundId, {
+            ...details,
+            status: 'failed',
+            error
+        });
+    }
+
+    assertPendingRefund(paymentId, refundId) {
+        const refund = (this.ledger.get(paymentId)?.refunds || []).find(item => item.id === refundId);
+        if (!refund) {
+            throw new Error('Refund not found');
+        }
+        if (refund.status !== 'pending') {
+            throw new Error(`Refund ${refundId} is already ${refund.status}`);
+        }
+    }
+
+    getRefundedAmount(payment, statuses = ['pending', 'succeeded']) {
+        const refunds = (payment.refunds || [])
+            .filter(refund => statuses.includes(refund.status))
+            .map(refund => Money.of(refund.amount, payment.currency));
+        return Money.sum(refunds, payment.currency).toNumber();
+    }
+
+    getRefundableAmount(payment) {
+        return Money.of(payment.amount, payment.currency)
+            .subtract(Money.of(this.getRefundedAmount(payment), payment.currency))
+            .toNumber();
+    }
+
     // Abstract methods to be implemented by child classes
     async createPaymentIntent(paymentData) {
         throw new Error('createPaymentIntent must be implemented by child class');
@@ -210,6 +566,22 @@ class PaymentSystem {
         throw new Error('executeCancellation must be implemented by child class');
     }
 
+    // Resolves with { status: 'succeeded' | 'pending' | 'failed', ...details }.
+    // Falls back to the generic refund endpoint (api.endpoints.payments.refund).
+    async executeRefund(payment, refund) {
+        const response = await API.post(`/payments/${payment.id}/refund`, {
+            amount: refund.amount,
+            currency: refund.currency,
+            reason: refund.reason,
+            transactionId: payment.transactionId
+        }, { headers: { 'Idempotency-Key': refund.id } });
+
+        return {
+            status: response.status || 'pending',
+            providerRefundId: response.id
+        };
+    }
+
     // Utility methods
     generatePaymentId() {
         const timestamp = Date.now().toString(36);
@@ -217,27 +589,58 @@ class PaymentSystem {
         return `pay_${timestamp}_${random}`;
     }
 
+    generateRefundId() {
+        return `re_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // Same system, amount, customer, method, metadata and discounts give the
+    // same key
+    generateIdempotencyKey(paymentData) {
+        const text = JSON.stringify([
+            this.name,
+            paymentData.amount,
+            paymentData.currency,
+            paymentData.customer?.email,
+            paymentData.method,
+            paymentData.metadata || {},
+            ...(paymentData.discounts ? [paymentData.discounts] : [])
+        ]);
+
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `idem_${(hash >>> 0).toString(36)}`;
+    }
+
+    // Recorded with each payment; subclasses name the bank, wallet or gateway
+    getProviderName(paymentData) {
+        return paymentData.method || null;
+    }
+
+    // Formatted for the current language (Translator); amounts with more
+    // decimals than the currency has are rounded half-up for display
     formatCurrency(amount, currency) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: currency
-        }).format(amount);
-    }
-
-    convertCurrency(amount, fromCurrency, toCurrency) {
-        // This is a simplified version
-        // In production, use a currency conversion API
-        const rates = {
-            USD: 1,
-            ETB: 54.5,
-            EUR: 0.85,
-            GBP: 0.73
-        };
+        return Money.of(amount, currency, ROUNDING.HALF_UP).format();
+    }
 
-        const fromRate = rates[fromCurrency] || 1;
-        const toRate = rates[toCurrency] || 1;
-        
-        return (amount / fromRate) * toRate;
+    // Number in, number out, rounded to the target currency's minor units
+    convertCurrency(amount, fromCurrency, toCurrency, rounding = ROUNDING.HALF_UP) {
+        return this.convertMoney(Money.of(amount, fromCurrency, rounding), toCurrency, rounding).toNumber();
+    }
+
+    // Throws (code 'stale_rates') rather than convert with out-of-date rates
+    convertMoney(money, toCurrency, rounding) {
+        return this.exchangeRates.convert(money, toCurrency, rounding);
+    }
+
+    // Locks the converted amount for checkout; pass quote.id as
+    // paymentData.quoteId with quote.to.amount / quote.to.currency
+    async lockQuote(amount, fromCurrency, toCurrency) {
+        await this.exchangeRates.ready();
+        return this.exchangeRates.lockQuote(Money.of(amount, fromCurrency, ROUNDING.HALF_UP), toCurrency);
     }
 
     // Callback registration
@@ -254,7 +657,9 @@ class PaymentSystem {
             'card_declined': 'Your card was declined',
             'expired_card': 'Your card has expired',
             'network_error': 'Network error, please try again',
-            'timeout': 'Payment timeout, please try again'
+            'timeout': 'Payment timeout, please try again',
+            'stale_rates': 'Exchange rates are being updated, please try again shortly',
+            'quote_expired': 'The converted price has expired, please review the new amount'
         };
 
         const userMessage = errorMap[error.code] || error.message || 'Payment failed';
@@ -269,4 +674,5 @@ class PaymentSystem {
     }
 }
 
+export { REFUND_REASONS };
 export default PaymentSystem;
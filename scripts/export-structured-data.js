@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+// Static SEO export for JobPortal Website
+// Writes sitemap.xml, the job and news RSS / Atom feeds, the subscribable
+// events calendar (feeds/events.ics) and the schema.org JSON-LD blocks of
+// jobs.html, courses.html and events.html, using the same StructuredData
+// and CalendarExport builders the pages run in the browser.
+//
+// Usage: node scripts/export-structured-data.js --base-url https://example.com/ [--out dir]
+//
+// --out defaults to the site root. The pages are written there with their
+// JSON-LD block added or replaced, so running the export again is safe.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = [
+    'assets/css/assets/js/salary-parser.js',
+    'assets/css/assets/js/structured-data.js',
+    'assets/css/assets/js/calendar-export.js'
+];
+const JSON_LD_PATTERN = /\s*<script type="application\/ld\+json" data-structured-data>[\s\S]*?<\/script>/;
+
+// ====== HTML READER ======
+// Just enough of the DOM for the StructuredData listing readers:
+// querySelector(All) with tag, .class and [attr] compounds, descendant and
+// comma selectors, plus textContent and getAttribute.
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+
+class Element {
+    constructor(tag, attributes = {}, parent = null) {
+        this.tag = tag;
+        this.attributes = attributes;
+        this.parent = parent;
+        this.children = [];
+    }
+
+    get textContent() {
+        return this.children.map(child => typeof child === 'string' ? child : child.textContent).join('');
+    }
+
+    get classList() {
+        return (this.attributes.class || '').split(/\s+/).filter(Boolean);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    querySelectorAll(selector) {
+        const groups = selector.split(',').map(group => group.trim().split(/\s+/).map(parseCompound));
+        const found = [];
+
+        walk(this, element => {
+            if (groups.some(group => matchesChain(element, group, this))) found.push(element);
+        });
+
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+function walk(element, visit) {
+    element.children.forEach(child => {
+        if (typeof child === 'string') return;
+        visit(child);
+        walk(child, visit);
+    });
+}
+
+function parseCompound(text) {
+    return {
+        tag: (text.match(/^[a-z][a-z0-9-]*/i) || [null])[0],
+        classes: (text.match(/\.[\w-]+/g) || []).map(name => name.slice(1)),
+        attributes: (text.match(/\[[\w-]+\]/g) || []).map(name => name.slice(1, -1))
+    };
+}
+
+function matchesCompound(element, compound) {
+    return (!compound.tag || element.tag === compound.tag.toLowerCase()) &&
+        compound.classes.every(name => element.classList.includes(name)) &&
+        compound.attributes.every(name => name in element.attributes);
+}
+
+// Rightmost compound on the element, the rest on ancestors below root
+function matchesChain(element, chain, root) {
+    if (!matchesCompound(element, chain[chain.length - 1])) return false;
+
+    let index = chain.length - 2;
+    let ancestor = element.parent;
+    while (index >= 0 && ancestor && ancestor !== root) {
+        if (matchesCompound(ancestor, chain[index])) index--;
+        ancestor = ancestor.parent;
+    }
+
+    return index < 0;
+}
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©' };
+
+    return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(value);
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source))) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+
+    return attributes;
+}
+
+function parseHtml(html) {
+    const root = new Element('#document');
+    const pattern = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/gi;
+    let current = root;
+    let lastIndex = 0;
+    let match;
+
+    const addText = text => {
+        if (text) current.children.push(decodeEntities(text));
+    };
+
+    while ((match = pattern.exec(html))) {
+        addText(html.slice(lastIndex, match.index));
+        lastIndex = pattern.lastIndex;
+
+        if (match[1]) {
+            // Close the nearest open element with this tag; stray end tags are ignored
+            const tag = match[1].toLowerCase();
+            let open = current;
+            while (open !== root && open.tag !== tag) open = open.parent;
+            if (open !== root) current = open.parent;
+        } else if (match[2]) {
+            const tag = match[2].toLowerCase();
+            const element = new Element(tag, parseAttributes(match[3]), current);
+            current.children.push(element);
+
+            if (RAW_TEXT_TAGS.has(tag)) {
+                const end = html.toLowerCase().indexOf(`</${tag}`, lastIndex);
+                const stop = end === -1 ? html.length : end;
+                element.children.push(html.slice(lastIndex, stop));
+                pattern.lastIndex = lastIndex = stop;
+            } else if (!VOID_TAGS.has(tag) && !match[3].trim().endsWith('/')) {
+                current = element;
+            }
+        }
+    }
+
+    addText(html.slice(lastIndex));
+    return root;
+}
+
+// ====== EXPORT ======
+function parseArgs(argv) {
+    const args = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split('=');
+        if (flag.startsWith('--')) {
+            args[flag.slice(2)] = inline ?? argv[++i];
+        }
+    }
+
+    return args;
+}
+
+function loadBuilders() {
+    const context = vm.createContext({ window: { JobPortal: {} }, URL, console });
+    context.window.window = context.window;
+
+    SCRIPTS.forEach(file => {
+        // Top-level const bindings stay in the script scope, so the files
+        // are read back through window.JobPortal like in the browser
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    return context.window.JobPortal;
+}
+
+function readPage(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function writeFile(outDir, file, contents) {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents);
+    console.log(`  ${file}`);
+}
+
+function injectJsonLd(html, block) {
+    const stripped = html.replace(JSON_LD_PATTERN, '');
+    return stripped.replace(/(\s*)<\/head>/i, `\n    ${block.replace(/\n/g, '\n    ')}$1</head>`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args['base-url']) {
+        console.error('Usage: node scripts/export-structured-data.js --base-url https://example.com/ [--out dir]');
+        process.exit(1);
+    }
+
+    const { StructuredData, CalendarExport } = loadBuilders();
+    const outDir = path.resolve(args.out || ROOT);
+    const newsPath = StructuredData.pages.find(page => /news/i.test(page.path)).path;
+    const pages = {
+        'jobs.html': readPage('jobs.html'),
+        'courses.html': readPage('courses.html'),
+        'events.html': readPage('events.html')
+    };
+
+    const events = StructuredData.readEvents(parseHtml(pages['events.html']));
+    const result = StructuredData.build({
+        jobs: StructuredData.readJobCards(parseHtml(pages['jobs.html'])),
+        courses: StructuredData.readCourses(parseHtml(pages['courses.html'])),
+        events,
+        news: StructuredData.readNews(parseHtml(readPage(newsPath)))
+    }, { baseUrl: args['base-url'] });
+
+    // Same UIDs as the single-event downloads on events.html
+    const calendar = CalendarExport.calendar(
+        events.filter(event => event.start).map(event => CalendarExport.eventListing(event, { baseUrl: args['base-url'] })),
+        { name: 'ZewedJobs Events', description: 'Career fairs, workshops and networking events in Ethiopia', feed: true }
+    );
+
+    console.log(`Writing to ${outDir}`);
+    Object.entries(result.files).forEach(([file, contents]) => writeFile(outDir, file, contents));
+    writeFile(outDir, 'feeds/events.ics', calendar);
+    Object.entries(result.jsonLd).forEach(([file, data]) => {
+        writeFile(outDir, file, injectJsonLd(pages[file], StructuredData.toHtml(data)));
+    });
+}
+
+main();
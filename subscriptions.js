@@ -0,0 +1,870 @@
+/**
+ * Subscriptions
+ * Responsibilities:
+ * - Define the employer plans and Job Seeker Premium with monthly and
+ *   yearly prices
+ * - Start subscriptions with a free trial (one per email and audience)
+ * - Issue an invoice for every billing period and take payment for it
+ * - Prorate plan changes over the rest of the current period
+ * - Keep access through a grace period while a renewal is unpaid, retrying
+ *   saved cards on a dunning schedule
+ * - Remind customers who pay by bank transfer or mobile money, which cannot
+ *   be debited automatically, to pay their renewal invoice
+ *
+ * Subscriptions: trialing → active / past_due, incomplete → active,
+ * active → past_due → active, and past_due or incomplete → expired once
+ * the grace period is over. Any of them can be cancelled.
+ * Invoices: open → paid / void.
+ *
+ * Cards saved with Stripe or Square (receipt.paymentMethod of the first
+ * payment) are charged through InternationalPayment.chargeSavedMethod;
+ * everything else is paid by the customer from the invoice.
+ */
+
+import ledger from './payment-ledger.js';
+import Money from './money.js';
+
+// prices are per cycle in the plan's currency. selfServe: false plans are
+// arranged with the sales team.
+const PLANS = {
+    starter: {
+        id: 'starter', name: 'Starter', audience: 'employer', currency: 'USD',
+        prices: { monthly: 299, yearly: 2990 }, trialDays: 14, selfServe: true
+    },
+    professional: {
+        id: 'professional', name: 'Professional', audience: 'employer', currency: 'USD',
+        prices: { monthly: 699, yearly: 6990 }, trialDays: 14, selfServe: true
+    },
+    business: {
+        id: 'business', name: 'Business', audience: 'employer', currency: 'ETB',
+        prices: { monthly: 2499, yearly: 24990 }, trialDays: 14, selfServe: true
+    },
+    enterprise: {
+        id: 'enterprise', name: 'Enterprise', audience: 'employer', currency: 'ETB',
+        prices: { monthly: 7999, yearly: 79990 }, trialDays: 0, selfServe: false
+    },
+    'seeker-premium': {
+        id: 'seeker-premium', name: 'Job Seeker Premium', audience: 'seeker', currency: 'ETB',
+        prices: { monthly: 199, yearly: 1990 }, trialDays: 7, selfServe: true
+    }
+};
+
+const CYCLES = {
+    monthly: { name: 'Monthly', months: 1 },
+    yearly: { name: 'Yearly', months: 12 }
+};
+
+const TRANSITIONS = {
+    incomplete: ['active', 'expired', 'cancelled'],
+    trialing: ['active', 'past_due', 'cancelled'],
+    active: ['past_due', 'cancelled'],
+    past_due: ['active', 'expired', 'cancelled'],
+    cancelled: [],
+    expired: []
+};
+
+// Days after a failed renewal charge that the saved card is tried again
+const RETRY_DAYS = [1, 3, 5];
+
+// Days from an invoice's due date on which a reminder goes out
+const REMINDER_DAYS = [-7, -1, 0, 3, 6];
+
+// Methods paid through InternationalPayment; the rest go to EthiopianPayment
+const CARD_METHODS = ['card', 'stripe', 'square', 'paypal'];
+
+// Providers that can charge a saved card without the customer present
+const AUTO_DEBIT_PROVIDERS = ['stripe', 'square'];
+
+const DAY = 86400000;
+
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY);
+}
+
+// Keeps the billing day of the month, or the month's last day when it is
+// shorter: Jan 31 → Feb 28 → Mar 31
+function addMonths(date, months, anchorDay) {
+    const start = new Date(date);
+    const day = anchorDay || start.getUTCDate();
+    const result = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1,
+        start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(), start.getUTCMilliseconds()));
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+}
+
+function subscriptionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SubscriptionManager {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'subscriptions';
+        this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.ledger = config.ledger || ledger;
+        this.plans = config.plans || PLANS;
+        this.graceDays = config.graceDays ?? 7;
+        // Invoices for customers without a saved card go out this many days
+        // before the period ends
+        this.invoiceLeadDays = config.invoiceLeadDays ?? 7;
+        this.retryDays = config.retryDays || RETRY_DAYS;
+        this.reminderDays = config.reminderDays || REMINDER_DAYS;
+        this.payUrl = config.payUrl || '/payment.html';
+        this.notifier = config.notifier || (reminder => API.post('/subscriptions/reminders', reminder));
+        this.systems = { ethiopian: null, international: null };
+        this.listeners = {};
+        this.memory = null;
+    }
+
+    // paymentSystems: { ethiopian, international }. Use instances of their
+    // own rather than PaymentManager's, whose callbacks redirect the page.
+    connect(paymentSystems) {
+        Object.assign(this.systems, paymentSystems);
+        return this;
+    }
+
+    load() {
+        try {
+            const stored = this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : this.memory;
+            return stored || { subscriptions: {}, invoices: {}, trials: {} };
+        } catch (error) {
+            console.error('Failed to read subscriptions:', error);
+            return { subscriptions: {}, invoices: {}, trials: {} };
+        }
+    }
+
+    save(state) {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(state));
+        } else {
+            this.memory = state;
+        }
+    }
+
+    // ====== PLANS ======
+    getPlan(planId) {
+        return this.plans[planId] || null;
+    }
+
+    getPlans(audience) {
+        return Object.values(this.plans).filter(plan => !audience || plan.audience === audience);
+    }
+
+    getPrice(planId, cycle = 'monthly') {
+        const plan = this.getPlan(planId);
+        return Money.of(plan.prices[cycle], plan.currency);
+    }
+
+    // ====== LOOKUP ======
+    get(subscriptionId) {
+        return this.load().subscriptions[subscriptionId] || null;
+    }
+
+    getInvoice(invoiceId) {
+        return this.load().invoices[invoiceId] || null;
+    }
+
+    // Newest first
+    getInvoices(subscriptionId) {
+        return Object.values(this.load().invoices)
+            .filter(invoice => invoice.subscriptionId === subscriptionId)
+            .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+    }
+
+    getOpenInvoice(subscriptionId) {
+        return this.getInvoices(subscriptionId).find(invoice => invoice.status === 'open') || null;
+    }
+
+    // The customer's subscription that has not ended, if any
+    getCurrent(email, audience) {
+        const key = String(email || '').toLowerCase();
+        return Object.values(this.load().subscriptions)
+            .filter(sub => sub.customer.email.toLowerCase() === key && sub.audience === audience && this.isOpen(sub))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+    }
+
+    isOpen(subscription) {
+        return !['cancelled', 'expired'].includes(subscription.status);
+    }
+
+    // Past due subscriptions keep their features until the grace period ends
+    hasAccess(subscription) {
+        return Boolean(subscription) && ['trialing', 'active', 'past_due'].includes(subscription.status);
+    }
+
+    hasUsedTrial(email, audience) {
+        return Boolean(this.load().trials[`${audience}:${String(email).toLowerCase()}`]);
+    }
+
+    // Only cards saved with Stripe or Square are charged without the customer
+    canAutoDebit(subscription) {
+        return AUTO_DEBIT_PROVIDERS.includes(subscription.paymentMethod?.provider);
+    }
+
+    // ====== SUBSCRIBING ======
+    // options: { planId, cycle, customer: { name, email, phone, company },
+    // method, trial (false to skip the free trial) }. Without a trial the
+    // subscription is incomplete until its first invoice is paid.
+    subscribe(options = {}) {
+        const plan = this.getPlan(options.planId);
+        const cycle = options.cycle || 'monthly';
+        const customer = options.customer || {};
+
+        if (!plan) throw new Error(`Unknown plan: ${options.planId}`);
+        if (!plan.selfServe) throw new Error(`${plan.name} is arranged with our sales team`);
+        if (!CYCLES[cycle]) throw new Error(`Unknown billing cycle: ${cycle}`);
+        if (!customer.email) throw new Error('An email address is required to subscribe');
+
+        const current = this.getCurrent(customer.email, plan.audience);
+        if (current) {
+            throw subscriptionError(`You already have the ${this.getPlan(current.planId).name} plan. Change plan instead.`, 'already_subscribed');
+        }
+
+        const state = this.load();
+        const now = new Date();
+        const trialKey = `${plan.audience}:${customer.email.toLowerCase()}`;
+        const trialDays = options.trial !== false && !state.trials[trialKey] ? plan.trialDays : 0;
+
+        const subscription = {
+            id: `sub_${now.getTime().toString(36)}_${Math.random().toString(36).substr(2, 9)}`,
+            planId: plan.id,
+            cycle,
+            audience: plan.audience,
+            currency: plan.currency,
+            customer,
+            method: options.method || null,
+            paymentMethod: null,
+            status: trialDays ? 'trialing' : 'incomplete',
+            trialEndsAt: trialDays ? addDays(now, trialDays).toISOString() : null,
+            currentPeriodStart: trialDays ? now.toISOString() : null,
+            currentPeriodEnd: trialDays ? addDays(now, trialDays).toISOString() : null,
+            anchorDay: null,
+            graceEndsAt: trialDays ? null : addDays(now, this.graceDays).toISOString(),
+            cancelAtPeriodEnd: false,
+            creditBalance: 0,
+            pendingChange: null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            history: [{ status: trialDays ? 'trialing' : 'incomplete', at: now.toISOString(), planId: plan.id }]
+        };
+        state.subscriptions[subscription.id] = subscription;
+
+        let invoice = null;
+        if (trialDays) {
+            state.trials[trialKey] = now.toISOString();
+        } else {
+            invoice = this.issueInvoice(state, subscription, {
+                kind: 'initial',
+                lines: [this.planLine(plan, cycle, this.getPrice(plan.id, cycle))],
+                dueAt: now
+            });
+        }
+
+        this.save(state);
+        this.emit('change', subscription);
+        return { subscription: this.get(subscription.id), invoice: invoice && this.getInvoice(invoice.id) };
+    }
+
+    // ====== INVOICES ======
+    planLine(plan, cycle, amount, note = '') {
+        return {
+            description: `${plan.name} (${CYCLES[cycle].name.toLowerCase()})${note ? ` ${note}` : ''}`,
+            amount: amount.toNumber()
+        };
+    }
+
+    // details: { kind (initial, renewal or proration), lines, dueAt,
+    // periodStart, periodEnd }. Credit from downgrades comes off the total;
+    // an invoice that comes to nothing is paid straight away.
+    issueInvoice(state, subscription, details) {
+        const currency = subscription.currency;
+        const now = new Date().toISOString();
+        const total = Money.sum(details.lines.map(line => Money.of(line.amount, currency)), currency);
+        const balance = Money.of(subscription.creditBalance, currency);
+        const credit = balance.greaterThan(total) ? total : balance;
+        const amount = total.subtract(credit);
+
+        subscription.creditBalance = balance.subtract(credit).toNumber();
+
+        const invoice = {
+            id: `inv_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`,
+            subscriptionId: subscription.id,
+            kind: details.kind,
+            planId: details.planId || subscription.planId,
+            cycle: details.cycle || subscription.cycle,
+            periodStart: details.periodStart ? new Date(details.periodStart).toISOString() : null,
+            periodEnd: details.periodEnd ? new Date(details.periodEnd).toISOString() : null,
+            lines: details.lines,
+            subtotal: total.toNumber(),
+            credit: credit.toNumber(),
+            amount: amount.toNumber(),
+            currency,
+            reference: this.generateReference(),
+            status: 'open',
+            dueAt: new Date(details.dueAt).toISOString(),
+            paymentIds: [],
+            attempts: 0,
+            nextAttemptAt: null,
+            reminders: [],
+            issuedAt: now
+        };
+        state.invoices[invoice.id] = invoice;
+
+        if (amount.isZero()) {
+            this.applyPayment(state, invoice, null);
+        }
+        return invoice;
+    }
+
+    // Credit taken by a voided invoice goes back on the balance
+    voidInvoice(state, invoice, reason) {
+        if (invoice.status !== 'open') return;
+
+        const subscription = state.subscriptions[invoice.subscriptionId];
+        subscription.creditBalance = Money.of(subscription.creditBalance, invoice.currency)
+            .add(Money.of(invoice.credit, invoice.currency))
+            .toNumber();
+        Object.assign(invoice, { status: 'void', voidedAt: new Date().toISOString(), voidReason: reason });
+    }
+
+    voidOpenInvoices(state, subscription, reason, kinds) {
+        Object.values(state.invoices)
+            .filter(invoice => invoice.subscriptionId === subscription.id && (!kinds || kinds.includes(invoice.kind)))
+            .forEach(invoice => this.voidInvoice(state, invoice, reason));
+    }
+
+    // Starts a payment for an open invoice. options: { method } plus anything
+    // the payment system needs at initiation. Carry on with processPayment
+    // (cards), the checkout, or a receipt upload for the returned paymentId.
+    async payInvoice(invoiceId, options = {}) {
+        const invoice = this.getInvoice(invoiceId);
+        if (!invoice) throw new Error('Invoice not found');
+        if (invoice.status !== 'open') throw new Error(`This invoice is ${invoice.status}`);
+
+        const subscription = this.get(invoice.subscriptionId);
+        const method = options.method || subscription.method;
+        const system = this.getSystem(method);
+
+        // An attempt that is still open (e.g. before a reload) is picked up
+        // again rather than started twice
+        const last = this.ledger.get(invoice.paymentIds[invoice.paymentIds.length - 1]);
+        const resume = last && this.ledger.isOpen(last) && last.method === method;
+        const attempt = resume ? invoice.paymentIds.length : invoice.paymentIds.length + 1;
+        const idempotencyKey = resume ? last.idempotencyKey : `${invoice.id}_${attempt}`;
+
+        const initiation = await system.initiatePayment({
+            ...options,
+            ...this.getPaymentData(invoice, subscription, attempt),
+            method,
+            idempotencyKey,
+            ...(system === this.systems.international ? { setupFutureUsage: 'off_session' } : {})
+        });
+
+        if (initiation.paymentId) {
+            this.recordAttempt(invoice.id, initiation.paymentId, { method });
+        }
+        return initiation;
+    }
+
+    // Providers take an order reference once (Telebirr's merch_order_id,
+    // Chapa's tx_ref), so each attempt has its own; the invoice reference,
+    // which customers quote on transfers, is kept in the metadata
+    getPaymentData(invoice, subscription, attempt) {
+        const plan = this.getPlan(invoice.planId);
+        return {
+            amount: invoice.amount,
+            currency: invoice.currency,
+            customer: subscription.customer,
+            reference: `${invoice.reference}-${attempt}`,
+            description: `${plan.name} subscription, invoice ${invoice.reference}`,
+            metadata: { subscriptionId: subscription.id, invoiceId: invoice.id, invoiceReference: invoice.reference }
+        };
+    }
+
+    getSystem(method) {
+        const system = CARD_METHODS.includes(method) ? this.systems.international : this.systems.ethiopian;
+        if (!system) {
+            throw new Error('Payments are not available right now. Please try again later.');
+        }
+        return system;
+    }
+
+    recordAttempt(invoiceId, paymentId, changes = {}) {
+        const state = this.load();
+        const invoice = state.invoices[invoiceId];
+        if (!invoice.paymentIds.includes(paymentId)) {
+            invoice.paymentIds.push(paymentId);
+        }
+        if (changes.method) {
+            state.subscriptions[invoice.subscriptionId].method = changes.method;
+        }
+        this.save(state);
+    }
+
+    // Charges the saved card for an invoice. A declined renewal is tried
+    // again on the retry schedule; the customer is told each time.
+    async chargeInvoice(invoiceId, now = new Date()) {
+        const invoice = this.getInvoice(invoiceId);
+        const subscription = this.get(invoice.subscriptionId);
+        if (!this.systems.international || !this.canAutoDebit(subscription)) {
+            throw new Error('There is no saved card to charge for this subscription');
+        }
+
+        const attempt = invoice.paymentIds.length + 1;
+        const idempotencyKey = `${invoice.id}_${attempt}`;
+        const result = await this.systems.international.chargeSavedMethod({
+            ...this.getPaymentData(invoice, subscription, attempt),
+            method: 'card',
+            idempotencyKey,
+            savedMethod: subscription.paymentMethod
+        });
+
+        const payment = this.ledger.findByIdempotencyKey(idempotencyKey);
+        if (payment) {
+            this.recordAttempt(invoice.id, payment.id);
+        }
+
+        if (result.success) {
+            this.syncPayments();
+            return { success: true, invoice: this.getInvoice(invoice.id) };
+        }
+
+        const state = this.load();
+        const failed = state.invoices[invoice.id];
+        failed.attempts += 1;
+        failed.lastError = result.error || 'Payment failed';
+        failed.nextAttemptAt = failed.attempts <= this.retryDays.length
+            ? addDays(now, this.retryDays[failed.attempts - 1]).toISOString()
+            : null;
+        this.save(state);
+        this.emit('change', state.subscriptions[subscription.id]);
+
+        await this.sendReminder(failed.id, 'payment_failed', now);
+        return { success: false, error: failed.lastError, invoice: this.getInvoice(failed.id) };
+    }
+
+    // Marks open invoices paid once one of their payments has succeeded in
+    // the ledger (card payment, gateway callback or an approved receipt)
+    syncPayments() {
+        const state = this.load();
+        const paid = Object.values(state.invoices).filter(invoice => {
+            if (invoice.status !== 'open') return false;
+
+            const payment = invoice.paymentIds
+                .map(paymentId => this.ledger.get(paymentId))
+                .find(entry => entry && ['succeeded', 'partially_refunded', 'refunded'].includes(entry.status));
+            if (payment) {
+                this.applyPayment(state, invoice, payment);
+            }
+            return Boolean(payment);
+        });
+
+        if (paid.length) {
+            this.save(state);
+            paid.forEach(invoice => this.emit('change', state.subscriptions[invoice.subscriptionId]));
+        }
+        return paid;
+    }
+
+    applyPayment(state, invoice, payment) {
+        const subscription = state.subscriptions[invoice.subscriptionId];
+        const now = new Date();
+
+        Object.assign(invoice, {
+            status: 'paid',
+            paidAt: now.toISOString(),
+            paymentId: payment?.id || null,
+            nextAttemptAt: null
+        });
+
+        if (payment) {
+            subscription.method = payment.paymentMethod || payment.method || subscription.method;
+            // Kept so renewals can be charged without the customer
+            if (payment.receipt?.paymentMethod) {
+                subscription.paymentMethod = { ...payment.receipt.paymentMethod, provider: payment.provider };
+            }
+        }
+
+        if (invoice.kind === 'initial' && subscription.status === 'incomplete') {
+            // The first period starts when it is paid for
+            const start = payment ? new Date(payment.completedAt || now) : now;
+            Object.assign(subscription, {
+                currentPeriodStart: start.toISOString(),
+                currentPeriodEnd: addMonths(start, CYCLES[subscription.cycle].months).toISOString(),
+                anchorDay: start.getUTCDate(),
+                graceEndsAt: null
+            });
+            this.setStatus(subscription, 'active', { invoiceId: invoice.id });
+        } else if (invoice.kind === 'renewal' && subscription.status === 'past_due') {
+            subscription.graceEndsAt = null;
+            this.setStatus(subscription, 'active', { invoiceId: invoice.id });
+        } else if (invoice.kind === 'proration' && subscription.pendingChange?.invoiceId === invoice.id) {
+            this.applyChange(state, subscription, subscription.pendingChange.planId);
+        }
+    }
+
+    setStatus(subscription, status, event = {}) {
+        if (!(TRANSITIONS[subscription.status] || []).includes(status)) {
+            throw subscriptionError(`Subscription ${subscription.id} cannot go from ${subscription.status} to ${status}`, 'invalid_transition');
+        }
+
+        const at = new Date().toISOString();
+        subscription.status = status;
+        subscription.updatedAt = at;
+        subscription.history.push({ status, at, ...event });
+    }
+
+    // ====== PLAN CHANGES ======
+    // Upgrades are charged for the rest of the period at the difference in
+    // price and take effect once that invoice is paid; downgrades take effect
+    // at once and the difference is credited against the next invoice. A new
+    // cycle starts at the next renewal. Trials switch plan for free.
+    async changePlan(subscriptionId, options = {}) {
+        const state = this.load();
+        const subscription = state.subscriptions[subscriptionId];
+        if (!subscription || !this.isOpen(subscription)) throw new Error('Subscription not found');
+
+        const current = this.getPlan(subscription.planId);
+        const plan = this.getPlan(options.planId || subscription.planId);
+        const cycle = options.cycle || subscription.nextCycle || subscription.cycle;
+
+        if (!plan) throw new Error(`Unknown plan: ${options.planId}`);
+        if (!plan.selfServe) throw new Error(`${plan.name} is arranged with our sales team`);
+        if (!CYCLES[cycle]) throw new Error(`Unknown billing cycle: ${cycle}`);
+        if (plan.audience !== current.audience) throw new Error(`${plan.name} is not available for this account`);
+        if (plan.currency !== subscription.currency) {
+            throw subscriptionError(`${plan.name} is billed in ${plan.currency}. Cancel this plan and subscribe again to switch.`, 'currency_mismatch');
+        }
+        if (subscription.status === 'past_due') {
+            throw subscriptionError('Please pay the open invoice before changing plan', 'past_due');
+        }
+        if (plan.id === subscription.planId && cycle === (subscription.nextCycle || subscription.cycle)) {
+            throw new Error(`You are already on the ${plan.name} plan`);
+        }
+
+        // Invoices issued for the old plan are issued again for the new one
+        this.voidOpenInvoices(state, subscription, 'Plan changed', ['renewal', 'proration']);
+        subscription.pendingChange = null;
+
+        let invoice = null;
+        if (subscription.status === 'incomplete') {
+            this.voidOpenInvoices(state, subscription, 'Plan changed');
+            Object.assign(subscription, { planId: plan.id, cycle });
+            invoice = this.issueInvoice(state, subscription, {
+                kind: 'initial',
+                lines: [this.planLine(plan, cycle, this.getPrice(plan.id, cycle))],
+                dueAt: new Date()
+            });
+        } else if (subscription.status === 'trialing') {
+            Object.assign(subscription, { planId: plan.id, cycle });
+        } else {
+            subscription.nextCycle = cycle === subscription.cycle ? null : cycle;
+
+            if (plan.id !== current.id) {
+                invoice = this.prorate(state, subscription, current, plan);
+            }
+        }
+
+        this.save(state);
+        this.emit('change', subscription);
+
+        if (invoice?.status === 'open' && this.canAutoDebit(subscription)) {
+            await this.chargeInvoice(invoice.id);
+        }
+
+        return { subscription: this.get(subscriptionId), invoice: invoice && this.getInvoice(invoice.id) };
+    }
+
+    prorate(state, subscription, current, plan) {
+        const now = Date.now();
+        const start = new Date(subscription.currentPeriodStart).getTime();
+        const end = new Date(subscription.currentPeriodEnd).getTime();
+        const remaining = Math.max(end - now, 0);
+        const ratios = [remaining, Math.max(now - start, 0)];
+        if (!remaining) {
+            this.applyChange(state, subscription, plan.id);
+            return null;
+        }
+
+        const [unused] = this.getPrice(current.id, subscription.cycle).allocate(ratios);
+        const [due] = this.getPrice(plan.id, subscription.cycle).allocate(ratios);
+        const difference = due.subtract(unused);
+
+        if (!difference.isPositive()) {
+            subscription.creditBalance = Money.of(subscription.creditBalance, subscription.currency)
+                .subtract(difference)
+                .toNumber();
+            this.applyChange(state, subscription, plan.id);
+            return null;
+        }
+
+        const invoice = this.issueInvoice(state, subscription, {
+            kind: 'proration',
+            planId: plan.id,
+            periodStart: now,
+            periodEnd: end,
+            lines: [
+                this.planLine(plan, subscription.cycle, due, 'for the rest of the period'),
+                { description: `Unused time on ${current.name}`, amount: unused.negate().toNumber() }
+            ],
+            dueAt: now
+        });
+        if (invoice.status === 'paid') {
+            this.applyChange(state, subscription, plan.id);
+        } else {
+            subscription.pendingChange = { planId: plan.id, invoiceId: invoice.id, requestedAt: new Date(now).toISOString() };
+        }
+        return invoice;
+    }
+
+    // A renewal invoice already issued at the old price is issued again
+    applyChange(state, subscription, planId) {
+        const at = new Date().toISOString();
+        this.voidOpenInvoices(state, subscription, 'Plan changed', ['renewal']);
+        subscription.history.push({ status: subscription.status, at, planId, from: subscription.planId });
+        Object.assign(subscription, { planId, pendingChange: null, updatedAt: at });
+    }
+
+    // Ends at the end of the period, or straight away with immediately (and
+    // always for trials, incomplete and past due subscriptions). Nothing
+    // already paid is refunded.
+    cancel(subscriptionId, options = {}) {
+        const state = this.load();
+        const subscription = state.subscriptions[subscriptionId];
+        if (!subscription || !this.isOpen(subscription)) throw new Error('Subscription not found');
+
+        const now = new Date().toISOString();
+        if (options.immediately || subscription.status !== 'active') {
+            this.voidOpenInvoices(state, subscription, 'Subscription cancelled');
+            subscription.endedAt = now;
+            this.setStatus(subscription, 'cancelled', { reason: options.reason || null });
+        } else {
+            this.voidOpenInvoices(state, subscription, 'Subscription cancelled', ['renewal', 'proration']);
+            Object.assign(subscription, { cancelAtPeriodEnd: true, pendingChange: null, updatedAt: now });
+            subscription.history.push({ status: subscription.status, at: now, cancelAtPeriodEnd: true, reason: options.reason || null });
+        }
+
+        this.save(state);
+        this.emit('change', subscription);
+        return subscription;
+    }
+
+    // Undoes a cancellation at the end of the period
+    resume(subscriptionId) {
+        const state = this.load();
+        const subscription = state.subscriptions[subscriptionId];
+        if (!subscription?.cancelAtPeriodEnd || !this.isOpen(subscription)) {
+            throw new Error('This subscription is not set to cancel');
+        }
+
+        const now = new Date().toISOString();
+        Object.assign(subscription, { cancelAtPeriodEnd: false, updatedAt: now });
+        subscription.history.push({ status: subscription.status, at: now, cancelAtPeriodEnd: false });
+
+        this.save(state);
+        this.emit('change', subscription);
+        return subscription;
+    }
+
+    // ====== BILLING RUN ======
+    // Renews subscriptions whose period has ended, charges saved cards,
+    // retries declined ones, sends invoice reminders and expires
+    // subscriptions left unpaid past the grace period. Run on page load (and
+    // on a schedule on the server); it is safe to run any number of times.
+    async runBilling(now = new Date()) {
+        this.syncPayments();
+
+        const summary = { renewed: [], charged: [], reminded: [], expired: [], cancelled: [] };
+        const due = Object.values(this.load().subscriptions).filter(sub => this.isOpen(sub));
+
+        for (const { id } of due) {
+            try {
+                await this.bill(id, now, summary);
+            } catch (error) {
+                console.error(`Billing failed for subscription ${id}:`, error);
+            }
+        }
+        return summary;
+    }
+
+    async bill(subscriptionId, now, summary) {
+        const state = this.load();
+        const subscription = state.subscriptions[subscriptionId];
+        const periodEnded = () => subscription.currentPeriodEnd && new Date(subscription.currentPeriodEnd) <= now;
+
+        while (['trialing', 'active'].includes(subscription.status) && periodEnded()) {
+            if (subscription.cancelAtPeriodEnd) {
+                this.voidOpenInvoices(state, subscription, 'Subscription cancelled');
+                subscription.endedAt = subscription.currentPeriodEnd;
+                this.setStatus(subscription, 'cancelled', { reason: 'cancel_at_period_end' });
+                summary.cancelled.push(subscription.id);
+                break;
+            }
+
+            this.renew(state, subscription);
+            summary.renewed.push(subscription.id);
+        }
+
+        // Without a saved card the renewal invoice goes out ahead of time
+        const leadStart = subscription.currentPeriodEnd && addDays(subscription.currentPeriodEnd, -this.invoiceLeadDays);
+        if (['trialing', 'active'].includes(subscription.status) && !subscription.cancelAtPeriodEnd &&
+            !this.canAutoDebit(subscription) && leadStart <= now) {
+            this.getRenewalInvoice(state, subscription);
+        }
+
+        const grace = subscription.graceEndsAt && new Date(subscription.graceEndsAt) <= now;
+        if (['past_due', 'incomplete'].includes(subscription.status) && grace) {
+            this.voidOpenInvoices(state, subscription, 'Grace period ended');
+            subscription.endedAt = now.toISOString();
+            this.setStatus(subscription, 'expired', { reason: 'unpaid' });
+            summary.expired.push(subscription.id);
+        }
+
+        this.save(state);
+        if (summary.renewed.includes(subscription.id) || summary.cancelled.includes(subscription.id) ||
+            summary.expired.includes(subscription.id)) {
+            this.emit('change', subscription);
+        }
+        if (!this.isOpen(subscription)) return;
+
+        const invoices = Object.values(state.invoices)
+            .filter(invoice => invoice.subscriptionId === subscription.id && invoice.status === 'open');
+
+        for (const invoice of invoices) {
+            if (this.canAutoDebit(subscription)) {
+                if (invoice.nextAttemptAt && new Date(invoice.nextAttemptAt) <= now) {
+                    await this.chargeInvoice(invoice.id, now);
+                    summary.charged.push(invoice.id);
+                }
+            } else if (await this.sendReminder(invoice.id, 'invoice_due', now)) {
+                summary.reminded.push(invoice.id);
+            }
+        }
+    }
+
+    // Moves the subscription into its next period. The renewal invoice is
+    // charged to a saved card; otherwise the subscription is past due until
+    // the customer pays it.
+    renew(state, subscription) {
+        const cycle = subscription.nextCycle || subscription.cycle;
+        const invoice = this.getRenewalInvoice(state, subscription);
+        const start = subscription.currentPeriodEnd;
+        const anchorDay = subscription.status === 'trialing' ? new Date(start).getUTCDate() : subscription.anchorDay;
+
+        Object.assign(subscription, {
+            cycle,
+            nextCycle: null,
+            anchorDay,
+            currentPeriodStart: start,
+            currentPeriodEnd: addMonths(start, CYCLES[cycle].months, anchorDay).toISOString()
+        });
+
+        if (invoice.status === 'paid') {
+            if (subscription.status === 'trialing') {
+                this.setStatus(subscription, 'active', { invoiceId: invoice.id });
+            }
+            return;
+        }
+
+        subscription.graceEndsAt = addDays(start, this.graceDays).toISOString();
+        if (this.canAutoDebit(subscription)) {
+            invoice.nextAttemptAt = start;
+        }
+        this.setStatus(subscription, 'past_due', { invoiceId: invoice.id });
+    }
+
+    // The invoice for the period after the current one, issued if needed
+    getRenewalInvoice(state, subscription) {
+        const existing = Object.values(state.invoices).find(invoice =>
+            invoice.subscriptionId === subscription.id && invoice.kind === 'renewal' &&
+            invoice.periodStart === subscription.currentPeriodEnd && invoice.status !== 'void');
+        if (existing) return existing;
+
+        const plan = this.getPlan(subscription.planId);
+        const cycle = subscription.nextCycle || subscription.cycle;
+        const start = subscription.currentPeriodEnd;
+        const anchorDay = subscription.anchorDay || new Date(start).getUTCDate();
+
+        return this.issueInvoice(state, subscription, {
+            kind: 'renewal',
+            cycle,
+            periodStart: start,
+            periodEnd: addMonths(start, CYCLES[cycle].months, anchorDay),
+            lines: [this.planLine(plan, cycle, this.getPrice(plan.id, cycle))],
+            dueAt: start
+        });
+    }
+
+    // ====== REMINDERS ======
+    // Sends the latest reminder due for an invoice, once. Reminders that
+    // were missed (no billing run on those days) are not sent late.
+    async sendReminder(invoiceId, type, now = new Date()) {
+        const invoice = this.getInvoice(invoiceId);
+        const subscription = this.get(invoice.subscriptionId);
+        const dueAt = new Date(invoice.dueAt).getTime();
+
+        let key = type;
+        if (type === 'invoice_due') {
+            const offsets = this.reminderDays.filter(days => dueAt + days * DAY <= now.getTime());
+            const latest = offsets[offsets.length - 1];
+            if (latest === undefined || invoice.reminders.some(sent => sent.key === `due${latest}`)) return false;
+            key = `due${latest}`;
+        } else {
+            key = `${type}${invoice.attempts}`;
+        }
+
+        const plan = this.getPlan(invoice.planId);
+        const reminder = {
+            type,
+            to: { name: subscription.customer.name, email: subscription.customer.email, phone: subscription.customer.phone },
+            subscriptionId: subscription.id,
+            plan: plan.name,
+            invoiceId: invoice.id,
+            reference: invoice.reference,
+            amount: invoice.amount,
+            currency: invoice.currency,
+            dueAt: invoice.dueAt,
+            graceEndsAt: subscription.graceEndsAt,
+            error: invoice.lastError || null,
+            payUrl: `${this.payUrl}?invoice=${encodeURIComponent(invoice.id)}`
+        };
+
+        try {
+            await this.notifier(reminder);
+        } catch (error) {
+            // Left unmarked so the next billing run tries again
+            console.error('Failed to send subscription reminder:', error);
+            return false;
+        }
+
+        const state = this.load();
+        state.invoices[invoice.id].reminders.push({ key, type, sentAt: now.toISOString() });
+        this.save(state);
+        return true;
+    }
+
+    // ====== UTILITIES ======
+    // Quoted on bank transfers and matched on statements, like payment references
+    generateReference() {
+        return `SUB${Date.now().toString(36).toUpperCase()}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+    }
+
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+}
+
+// Shared by the pricing pages, the employer dashboard and the payment page
+const subscriptions = new SubscriptionManager();
+
+export { SubscriptionManager, PLANS, CYCLES, TRANSITIONS, RETRY_DAYS, REMINDER_DAYS, addMonths };
+export default subscriptions;
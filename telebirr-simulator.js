@@ -0,0 +1,234 @@
+/**
+ * Telebirr Simulator
+ * Responsibilities:
+ * - Answer the token, pre-order and query-order requests in place of the
+ *   Telebirr gateway, checking the merchant's signatures
+ * - Play out a checkout as success, timeout, insufficient balance or user
+ *   cancel
+ * - Send signed notify callbacks like the real gateway
+ *
+ * Lets the whole Telebirr flow run locally without a merchant account:
+ *
+ *     const simulator = new TelebirrSimulator({ scenario: 'user_cancel' });
+ *     const telebirr = await simulator.connect();
+ *     new EthiopianPayment({ telebirr });
+ */
+
+import { TelebirrAdapter, signFields, verifyFields } from './telebirr.js';
+
+const SCENARIOS = ['success', 'timeout', 'insufficient_balance', 'user_cancel'];
+
+const KEY_PARAMS = {
+    name: 'RSA-PSS',
+    modulusLength: 2048,
+    publicExponent: new Uint8Array([1, 0, 1]),
+    hash: 'SHA-256'
+};
+
+const CREDENTIALS = {
+    fabricAppId: 'sim-fabric-app',
+    appSecret: 'sim-app-secret',
+    merchantAppId: 'sim-merchant-app',
+    merchantCode: '245445'
+};
+
+class TelebirrSimulator {
+    constructor(options = {}) {
+        this.scenario = options.scenario || 'success';
+        this.delay = options.delay ?? 1500;
+        this.onNotify = options.onNotify || null;
+        this.orders = {};
+        this.tokens = {};
+        this.keys = null;
+        this.setScenario(this.scenario);
+    }
+
+    setScenario(scenario) {
+        if (!SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown Telebirr scenario: ${scenario}. Use one of ${SCENARIOS.join(', ')}`);
+        }
+        this.scenario = scenario;
+    }
+
+    // One key pair for the merchant and one for "Telebirr"
+    async start() {
+        if (!this.keys) {
+            const [merchant, telebirr] = await Promise.all([
+                crypto.subtle.generateKey(KEY_PARAMS, false, ['sign', 'verify']),
+                crypto.subtle.generateKey(KEY_PARAMS, false, ['sign', 'verify'])
+            ]);
+            this.keys = { merchant, telebirr };
+        }
+        return this;
+    }
+
+    // An adapter that talks to this simulator instead of the gateway
+    async connect(options = {}) {
+        await this.start();
+        return new TelebirrAdapter({
+            ...CREDENTIALS,
+            notifyUrl: 'simulator://notify',
+            webBaseUrl: 'simulator://checkout?',
+            privateKey: this.keys.merchant.privateKey,
+            telebirrPublicKey: this.keys.telebirr.publicKey,
+            pollInterval: 500,
+            ...options,
+            transport: (path, body, headers) => this.handle(path, body, headers),
+            launcher: checkout => this.checkout(checkout)
+        });
+    }
+
+    // ====== GATEWAY ======
+    async handle(path, body, headers = {}) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        if (headers['X-APP-Key'] !== CREDENTIALS.fabricAppId) {
+            return { errorCode: '401', errorMsg: 'Unknown app key' };
+        }
+
+        if (path === '/payment/v1/token') {
+            if (body.appSecret !== CREDENTIALS.appSecret) {
+                return { errorCode: '401', errorMsg: 'Wrong app secret' };
+            }
+            const token = `Bearer sim_${Math.random().toString(36).substr(2, 12)}`;
+            this.tokens[token] = Date.now() + 60 * 60000;
+            return { token, expirationDate: String(Math.floor(this.tokens[token] / 1000)) };
+        }
+
+        if (!(this.tokens[headers.Authorization] > Date.now())) {
+            return { result: 'FAIL', code: 'invalid_token', msg: 'Token is missing or expired' };
+        }
+        if (!await verifyFields(body, this.keys.merchant.publicKey)) {
+            return { result: 'FAIL', code: 'invalid_signature', msg: 'Request signature is invalid' };
+        }
+
+        switch (path) {
+            case '/payment/v1/merchant/preOrder':
+                return this.preOrder(body.biz_content);
+            case '/payment/v1/merchant/queryOrder':
+                return this.queryOrder(body.biz_content);
+            default:
+                return { result: 'FAIL', code: 'not_found', msg: `Unknown path ${path}` };
+        }
+    }
+
+    preOrder(content) {
+        if (!(Number(content.total_amount) > 0) || content.trans_currency !== 'ETB') {
+            return { result: 'FAIL', code: 'invalid_amount', msg: 'Amount must be above zero in ETB' };
+        }
+        if (this.findOrder(content.merch_order_id)) {
+            return { result: 'FAIL', code: 'duplicate_order', msg: 'merch_order_id has already been used' };
+        }
+
+        const minutes = parseInt(content.timeout_express, 10) || 120;
+        const order = {
+            ...content,
+            prepay_id: `sim_prepay_${Math.random().toString(36).substr(2, 12)}`,
+            trade_status: 'Pending',
+            expiresAt: Date.now() + minutes * 60000
+        };
+        this.orders[order.prepay_id] = order;
+
+        return {
+            result: 'SUCCESS',
+            code: '0',
+            biz_content: { merch_order_id: order.merch_order_id, prepay_id: order.prepay_id }
+        };
+    }
+
+    queryOrder(content) {
+        const order = this.findOrder(content.merch_order_id);
+        if (!order) {
+            return { result: 'FAIL', code: 'order_not_found', msg: 'Order not found' };
+        }
+
+        if (['Pending', 'Paying'].includes(order.trade_status) && order.expiresAt <= Date.now()) {
+            order.trade_status = 'Expired';
+        }
+        return { result: 'SUCCESS', code: '0', biz_content: this.describe(order) };
+    }
+
+    findOrder(merchOrderId) {
+        return Object.values(this.orders).find(order => order.merch_order_id === merchOrderId) || null;
+    }
+
+    describe(order) {
+        return {
+            merch_code: order.merch_code,
+            merch_order_id: order.merch_order_id,
+            payment_order_id: order.prepay_id,
+            trans_id: order.trans_id,
+            total_amount: order.total_amount,
+            trans_currency: order.trans_currency,
+            trade_status: order.trade_status,
+            trans_end_time: order.trans_end_time,
+            error_code: order.error_code,
+            error_msg: order.error_msg
+        };
+    }
+
+    // ====== CHECKOUT ======
+    // Stands in for the customer on the checkout page
+    async checkout(checkout) {
+        const fields = Object.fromEntries(new URLSearchParams(checkout.rawRequest));
+        const order = this.orders[fields.prepay_id];
+        if (!order || !await verifyFields(fields, this.keys.merchant.publicKey)) {
+            throw new Error('Telebirr checkout rejected the request signature');
+        }
+
+        order.trade_status = 'Paying';
+        const scenario = this.scenario;
+        setTimeout(() => this.settle(order, scenario), this.delay);
+    }
+
+    async settle(order, scenario) {
+        if (order.trade_status !== 'Paying') return;
+
+        switch (scenario) {
+            case 'success':
+                Object.assign(order, {
+                    trade_status: 'Completed',
+                    trans_id: `SIM${Date.now().toString(36).toUpperCase()}`,
+                    trans_end_time: String(Math.floor(Date.now() / 1000))
+                });
+                break;
+            case 'insufficient_balance':
+                Object.assign(order, {
+                    trade_status: 'Failure',
+                    error_code: 'insufficient_balance',
+                    error_msg: 'The balance is insufficient'
+                });
+                break;
+            case 'user_cancel':
+                Object.assign(order, { trade_status: 'Canceled', error_code: 'user_cancel', error_msg: 'Cancelled by the customer' });
+                break;
+            default:
+                // timeout: the customer never confirms and the order expires
+                return;
+        }
+
+        await this.notify(order);
+    }
+
+    async notify(order) {
+        if (!this.onNotify) return;
+
+        const payload = {
+            notify_url: order.notify_url,
+            appid: order.appid,
+            notify_time: String(Math.floor(Date.now() / 1000)),
+            ...this.describe(order),
+            sign_type: 'SHA256WithRSA'
+        };
+        payload.sign = await signFields(payload, this.keys.telebirr.privateKey);
+
+        try {
+            await this.onNotify(payload);
+        } catch (error) {
+            console.error('Telebirr notify callback failed:', error);
+        }
+    }
+}
+
+export { TelebirrSimulator, SCENARIOS, CREDENTIALS };
+export default TelebirrSimulator;
@@ -0,0 +1,310 @@
+/**
+ * Telebirr Adapter
+ * Responsibilities:
+ * - Get a fabric token and create signed pre-orders (H5 checkout or in-app)
+ * - Open the checkout: the Telebirr SuperApp bridge inside the app, the web
+ *   checkout page everywhere else
+ * - Verify the signature on Telebirr's notify callback
+ * - Query an order's status, and poll until it settles
+ *
+ * Requests are signed with SHA256WithRSA (RSA-PSS) over the sorted
+ * key=value string of the request and its biz_content. The merchant private
+ * key belongs on the server: in the browser leave privateKey out and the
+ * string to sign is sent to the site's API instead.
+ */
+
+import Money from './money.js';
+
+const SIGN_TYPE = 'SHA256WithRSA';
+const SIGN_ALGORITHM = { name: 'RSA-PSS', saltLength: 32 };
+const KEY_ALGORITHM = { name: 'RSA-PSS', hash: 'SHA-256' };
+
+// Never part of the signed string
+const UNSIGNED_FIELDS = ['sign', 'sign_type', 'header', 'refund_info', 'openType', 'raw_request', 'biz_content'];
+
+// Telebirr trade_status → status used by the payment systems
+const TRADE_STATUS = {
+    Completed: 'succeeded',
+    Failure: 'failed',
+    Expired: 'expired',
+    Canceled: 'cancelled',
+    Paying: 'pending',
+    Pending: 'pending'
+};
+
+function telebirrError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Sorted key=value pairs of the request and its biz_content, joined by &
+function buildSignText(fields) {
+    const flat = { ...fields, ...(fields.biz_content || {}) };
+    return Object.keys(flat)
+        .filter(key => !UNSIGNED_FIELDS.includes(key) && flat[key] !== undefined && flat[key] !== null && flat[key] !== '')
+        .sort()
+        .map(key => `${key}=${flat[key]}`)
+        .join('&');
+}
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// PEM text (PKCS#8 private, SPKI public) or an already imported CryptoKey
+async function importKey(key, usage) {
+    if (typeof key !== 'string') return key;
+
+    const der = fromBase64(key.replace(/-----[^-]+-----|\s/g, ''));
+    return crypto.subtle.importKey(usage === 'sign' ? 'pkcs8' : 'spki', der, KEY_ALGORITHM, false, [usage]);
+}
+
+async function signFields(fields, privateKey) {
+    const key = await importKey(privateKey, 'sign');
+    const signature = await crypto.subtle.sign(SIGN_ALGORITHM, key, new TextEncoder().encode(buildSignText(fields)));
+    return toBase64(signature);
+}
+
+async function verifyFields(fields, publicKey) {
+    if (!fields.sign) return false;
+
+    try {
+        const key = await importKey(publicKey, 'verify');
+        return await crypto.subtle.verify(SIGN_ALGORITHM, key, fromBase64(fields.sign), new TextEncoder().encode(buildSignText(fields)));
+    } catch (error) {
+        return false;
+    }
+}
+
+function createNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// Telebirr dates are either yyyyMMddHHmmss (local time) or Unix seconds
+function parseTelebirrDate(value) {
+    const text = String(value || '');
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(text);
+    if (match) {
+        return new Date(match[1], match[2] - 1, match[3], match[4], match[5], match[6]);
+    }
+    return /^\d{10}$/.test(text) ? new Date(Number(text) * 1000) : new Date(text);
+}
+
+class TelebirrAdapter {
+    constructor(config = {}) {
+        this.baseUrl = config.baseUrl || 'https://apisandbox.ethiotelecom.et:32000/apiaccess/payment/gateway';
+        this.webBaseUrl = config.webBaseUrl || 'https://developerportal.ethiotelecom.et:38443/payment/web/paygate?';
+        this.fabricAppId = config.fabricAppId;
+        this.appSecret = config.appSecret;
+        this.merchantAppId = config.merchantAppId;
+        this.merchantCode = config.merchantCode;
+        this.notifyUrl = config.notifyUrl;
+        this.redirectUrl = config.redirectUrl || (typeof window !== 'undefined' ? window.location.href : '');
+        this.privateKey = config.privateKey || null;
+        this.telebirrPublicKey = config.telebirrPublicKey || null;
+        this.orderTimeout = config.orderTimeout || 120; // minutes
+        this.pollInterval = config.pollInterval ?? 3000;
+        this.pollTimeout = config.pollTimeout ?? 5 * 60000;
+
+        // Replaced by the simulator, or by tests
+        this.transport = config.transport || ((path, body, headers) => this.post(path, body, headers));
+        this.launcher = config.launcher || (checkout => this.openCheckout(checkout));
+        this.token = null;
+    }
+
+    async post(path, body, headers = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    }
+
+    // ====== SIGNING ======
+    async sign(fields) {
+        if (this.privateKey) {
+            return signFields(fields, this.privateKey);
+        }
+
+        const response = await API.post('/payments/telebirr/sign', { text: buildSignText(fields) });
+        return response.sign;
+    }
+
+    async signRequest(method, bizContent) {
+        const request = {
+            timestamp: Math.floor(Date.now() / 1000).toString(),
+            nonce_str: createNonce(),
+            method,
+            version: '1.0',
+            biz_content: bizContent
+        };
+
+        return { ...request, sign: await this.sign(request), sign_type: SIGN_TYPE };
+    }
+
+    // ====== REQUESTS ======
+    async getFabricToken() {
+        if (this.token && this.token.expiresAt > new Date()) {
+            return this.token.value;
+        }
+
+        const response = await this.transport('/payment/v1/token', { appSecret: this.appSecret }, {
+            'X-APP-Key': this.fabricAppId
+        });
+        if (!response.token) {
+            throw telebirrError(response.errorMsg || 'Could not get a Telebirr token', 'network_error');
+        }
+
+        this.token = {
+            value: response.token,
+            expiresAt: response.expirationDate ? parseTelebirrDate(response.expirationDate) : new Date(Date.now() + 60 * 60000)
+        };
+        return this.token.value;
+    }
+
+    async call(path, method, bizContent) {
+        const token = await this.getFabricToken();
+        const request = await this.signRequest(method, bizContent);
+        const response = await this.transport(path, request, {
+            'X-APP-Key': this.fabricAppId,
+            Authorization: token
+        });
+
+        if (response.result !== 'SUCCESS') {
+            throw telebirrError(response.msg || response.errorMsg || 'Telebirr request failed', response.code || 'network_error');
+        }
+        return response.biz_content || {};
+    }
+
+    // order: { merchOrderId, amount (ETB), title, tradeType: 'Checkout' | 'InApp' }
+    async createOrder(order) {
+        const tradeType = order.tradeType || 'Checkout';
+        const result = await this.call('/payment/v1/merchant/preOrder', 'payment.preorder', {
+            notify_url: this.notifyUrl,
+            redirect_url: this.redirectUrl,
+            appid: this.merchantAppId,
+            merch_code: this.merchantCode,
+            merch_order_id: order.merchOrderId,
+            trade_type: tradeType,
+            title: order.title || 'ZewedJobs payment',
+            total_amount: Money.of(order.amount, 'ETB').toString(),
+            trans_currency: 'ETB',
+            timeout_express: `${this.orderTimeout}m`,
+            business_type: 'BuyGoods',
+            callback_info: order.callbackInfo
+        });
+
+        const rawRequest = await this.buildRawRequest(result.prepay_id);
+        return {
+            merchOrderId: result.merch_order_id || order.merchOrderId,
+            prepayId: result.prepay_id,
+            tradeType,
+            rawRequest,
+            checkoutUrl: `${this.webBaseUrl}${rawRequest}&version=1.0&trade_type=${tradeType}`
+        };
+    }
+
+    // The signed string the checkout page and the SuperApp bridge expect
+    async buildRawRequest(prepayId) {
+        const fields = {
+            appid: this.merchantAppId,
+            merch_code: this.merchantCode,
+            nonce_str: createNonce(),
+            prepay_id: prepayId,
+            timestamp: Math.floor(Date.now() / 1000).toString()
+        };
+        const sign = await this.sign(fields);
+
+        return [...Object.entries(fields), ['sign', sign], ['sign_type', SIGN_TYPE]]
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+    }
+
+    async queryOrder(merchOrderId) {
+        const result = await this.call('/payment/v1/merchant/queryOrder', 'payment.queryorder', {
+            appid: this.merchantAppId,
+            merch_code: this.merchantCode,
+            merch_order_id: merchOrderId
+        });
+        return this.normalizeResult(result);
+    }
+
+    // ====== CHECKOUT ======
+    // Inside the Telebirr SuperApp the JS bridge starts the payment; in a
+    // browser the checkout opens in a new tab, or replaces the page when
+    // pop-ups are blocked (redirect_url brings the customer back)
+    async openCheckout(checkout) {
+        if (window.consumerapp && checkout.tradeType === 'InApp') {
+            window.consumerapp.evaluate(JSON.stringify({
+                functionName: 'js_fun_start_pay',
+                params: { rawRequest: checkout.rawRequest, functionCallBackName: 'handleinitDataCallback' }
+            }));
+            return;
+        }
+
+        if (!window.open(checkout.checkoutUrl, 'telebirr')) {
+            window.location.assign(checkout.checkoutUrl);
+        }
+    }
+
+    launch(checkout) {
+        return this.launcher(checkout);
+    }
+
+    // Resolves with the first settled result, or status 'timeout'
+    async waitForPayment(merchOrderId, options = {}) {
+        const interval = options.interval ?? this.pollInterval;
+        const deadline = Date.now() + (options.timeout ?? this.pollTimeout);
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+
+            try {
+                const result = await this.queryOrder(merchOrderId);
+                if (result.status !== 'pending') return result;
+            } catch (error) {
+                console.error('Telebirr status query failed:', error);
+            }
+        }
+
+        return { merchOrderId, status: 'timeout' };
+    }
+
+    // ====== NOTIFICATIONS ======
+    // payload: the JSON body Telebirr posts to notify_url
+    async verifyNotification(payload) {
+        if (!this.telebirrPublicKey) {
+            throw new Error('The Telebirr public key is not configured');
+        }
+        if (!await verifyFields(payload, this.telebirrPublicKey)) {
+            throw telebirrError('Telebirr notification signature is invalid', 'invalid_signature');
+        }
+        if (payload.merch_code && payload.merch_code !== this.merchantCode) {
+            throw telebirrError('Telebirr notification is for another merchant', 'invalid_signature');
+        }
+        return this.normalizeResult(payload);
+    }
+
+    normalizeResult(result) {
+        return {
+            merchOrderId: result.merch_order_id,
+            status: TRADE_STATUS[result.trade_status || result.order_status] || 'pending',
+            transactionId: result.trans_id || result.payment_order_id || null,
+            amount: result.total_amount,
+            currency: result.trans_currency || 'ETB',
+            errorCode: result.error_code || null,
+            errorMessage: result.error_msg || null,
+            completedAt: result.trans_end_time ? parseTelebirrDate(result.trans_end_time).toISOString() : null
+        };
+    }
+}
+
+export { TelebirrAdapter, TRADE_STATUS, buildSignText, signFields, verifyFields };
+export default TelebirrAdapter;